@@ -0,0 +1,327 @@
+import fs from 'fs';
+import path from 'path';
+import { isAssetOrPackagePath } from './projectRoot.js';
+import { toAssetPath, walkFiles } from './projectIndex.js';
+import { readMetaGuid } from './unityYaml.js';
+
+const PACKAGE_CACHE_ROOT = 'Library/PackageCache';
+const SOURCE_ROOTS = ['Assets', 'Packages', PACKAGE_CACHE_ROOT];
+const ASSEMBLY_NAME = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+const GUID_REFERENCE = /^GUID:([0-9a-fA-F]{32})$/;
+
+// Folders Unity compiles into the firstpass assemblies when no asmdef applies
+const FIRSTPASS_FOLDERS = ['Assets/Plugins/', 'Assets/Standard Assets/', 'Assets/Pro Standard Assets/'];
+
+/**
+ * The assembly definitions (`.asmdef`) and references (`.asmref`) of a Unity
+ * project, read from disk, with the rules Unity uses to place scripts into
+ * assemblies.
+ */
+export class AssemblyDefinitions {
+  /**
+   * @param {string} projectRoot - Unity project root
+   */
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.assemblies = [];
+    this.asmrefs = [];
+    this.reload();
+  }
+
+  /**
+   * Re-reads every .asmdef and .asmref file.
+   * @returns {AssemblyDefinitions}
+   */
+  reload() {
+    this.assemblies = [];
+    this.asmrefs = [];
+    for (const root of SOURCE_ROOTS) {
+      const files = walkFiles(path.join(this.projectRoot, root), (filePath) => /\.asm(def|ref)$/.test(filePath));
+      for (const filePath of files) {
+        const assetPath = toAssetPath(this.projectRoot, filePath);
+        const data = readJson(filePath);
+        const entry = {
+          path: assetPath,
+          folder: path.posix.dirname(assetPath),
+          guid: readMetaGuid(readText(`${filePath}.meta`)),
+          data
+        };
+        (filePath.endsWith('.asmdef') ? this.assemblies : this.asmrefs).push(entry);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Summaries of the project's assembly definitions.
+   * @param {object} [options]
+   * @param {boolean} [options.includePackages] - Include Library/PackageCache
+   * @returns {object[]}
+   */
+  list({ includePackages = false } = {}) {
+    return this.assemblies
+      .filter((entry) => includePackages || !entry.path.startsWith(`${PACKAGE_CACHE_ROOT}/`))
+      .map((entry) => ({
+        name: entry.data.name,
+        path: entry.path,
+        rootNamespace: entry.data.rootNamespace || '',
+        references: this.resolveReferences(entry).map((reference) => reference.name || reference.reference),
+        isEditorOnly: isEditorOnly(entry.data),
+        autoReferenced: entry.data.autoReferenced !== false
+      }));
+  }
+
+  /**
+   * Full contents of one assembly definition with its references resolved.
+   * @param {string} assembly - Assembly name or .asmdef path
+   * @returns {object}
+   */
+  get(assembly) {
+    const entry = this.find(assembly);
+    return {
+      name: entry.data.name,
+      path: entry.path,
+      guid: entry.guid,
+      isEditorOnly: isEditorOnly(entry.data),
+      definition: entry.data,
+      references: this.resolveReferences(entry),
+      referencedBy: this.assemblies
+        .filter((other) => this.resolveReferences(other).some((reference) => reference.path === entry.path))
+        .map((other) => other.data.name),
+      asmrefs: this.asmrefs.filter((asmref) => this.findReferenceTarget(asmref.data.reference) === entry).map((asmref) => asmref.path)
+    };
+  }
+
+  /**
+   * The assembly Unity compiles a script into: the nearest .asmdef or .asmref
+   * in its folder or a parent folder, otherwise a predefined assembly.
+   * @param {string} scriptPath - Project-relative script path
+   * @returns {{ assembly: string|null, asmdefPath: string|null, asmrefPath?: string, isEditorOnly: boolean, predefined: boolean, reason?: string }}
+   */
+  resolveScript(scriptPath) {
+    const normalized = scriptPath.replace(/\\/g, '/');
+    for (let folder = path.posix.dirname(normalized); folder && folder !== '.'; folder = path.posix.dirname(folder)) {
+      const asmdef = this.assemblies.find((entry) => entry.folder === folder);
+      if (asmdef) {
+        return describeOwner(asmdef);
+      }
+      const asmref = this.asmrefs.find((entry) => entry.folder === folder);
+      if (asmref) {
+        const target = this.findReferenceTarget(asmref.data.reference);
+        return target
+          ? { ...describeOwner(target), asmrefPath: asmref.path }
+          : { assembly: null, asmdefPath: null, asmrefPath: asmref.path, isEditorOnly: false, predefined: false, reason: `Assembly reference ${asmref.path} points to a missing assembly (${asmref.data.reference})` };
+      }
+      if (folder === 'Assets' || folder === 'Packages' || folder === PACKAGE_CACHE_ROOT) {
+        break;
+      }
+    }
+
+    if (!normalized.startsWith('Assets/')) {
+      return { assembly: null, asmdefPath: null, isEditorOnly: false, predefined: false, reason: 'Scripts in packages are only compiled inside an assembly definition' };
+    }
+    const editor = normalized.split('/').slice(0, -1).includes('Editor');
+    const firstpass = FIRSTPASS_FOLDERS.some((folder) => normalized.startsWith(folder));
+    return {
+      assembly: `Assembly-CSharp${editor ? '-Editor' : ''}${firstpass ? '-firstpass' : ''}`,
+      asmdefPath: null,
+      isEditorOnly: editor,
+      predefined: true
+    };
+  }
+
+  /**
+   * Plans a new assembly definition in a folder.
+   * @param {object} spec - name, folderPath and optional asmdef fields
+   * @returns {{ path: string, content: string, definition: object }}
+   */
+  planCreate({ name, folderPath, references = [], ...fields }) {
+    validateAssemblyName(name);
+    const folder = folderPath.replace(/\/+$/, '');
+    const existingName = this.assemblies.find((entry) => entry.data.name === name);
+    if (existingName) {
+      throw createAssemblyError('ASSEMBLY_EXISTS', `An assembly named ${name} already exists at ${existingName.path}`, { path: existingName.path });
+    }
+    const existingFolder = this.assemblies.find((entry) => entry.folder === folder);
+    if (existingFolder) {
+      throw createAssemblyError('ASSEMBLY_EXISTS', `${folder} already contains ${existingFolder.path}; a folder can hold only one assembly definition`, { path: existingFolder.path });
+    }
+
+    const definition = {
+      name,
+      rootNamespace: fields.rootNamespace ?? '',
+      references: references.map((reference) => this.formatReference(reference, false)),
+      includePlatforms: fields.includePlatforms ?? [],
+      excludePlatforms: fields.excludePlatforms ?? [],
+      allowUnsafeCode: fields.allowUnsafeCode ?? false,
+      overrideReferences: false,
+      precompiledReferences: [],
+      autoReferenced: fields.autoReferenced ?? true,
+      defineConstraints: fields.defineConstraints ?? [],
+      versionDefines: [],
+      noEngineReferences: false
+    };
+    validatePlatforms(definition);
+    return { path: `${folder}/${name}.asmdef`, content: formatDefinition(definition), definition };
+  }
+
+  /**
+   * Plans an edit to an existing assembly definition.
+   * @param {string} assembly - Assembly name or .asmdef path
+   * @param {'add_reference'|'remove_reference'|'set_platforms'|'set_defines'} action
+   * @param {object} params - reference, includePlatforms/excludePlatforms or defineConstraints
+   * @returns {{ path: string, content: string, definition: object, changed: boolean }}
+   */
+  planUpdate(assembly, action, params) {
+    const entry = this.find(assembly);
+    // Unity restores Library/PackageCache from the package registry, undoing any edit
+    if (!isAssetOrPackagePath(entry.path)) {
+      throw createAssemblyError('ASSEMBLY_READ_ONLY', `${entry.data.name} belongs to an immutable package (${entry.path}); only assemblies under Assets/ or Packages/ can be edited`, {
+        assembly: entry.data.name,
+        path: entry.path
+      });
+    }
+    const definition = structuredClone(entry.data);
+    const references = definition.references || [];
+
+    switch (action) {
+      case 'add_reference': {
+        const target = this.find(params.reference);
+        if (this.resolveReferences(entry).some((reference) => reference.path === target.path)) {
+          break;
+        }
+        if (target === entry || this.reaches(target, entry)) {
+          throw createAssemblyError('ASSEMBLY_CYCLE', `${target.data.name} already depends on ${entry.data.name}; referencing it would create a cycle`, { assembly: entry.data.name, reference: target.data.name });
+        }
+        // Follow the file's convention: GUID references when it already uses them
+        const useGuid = references.some((reference) => GUID_REFERENCE.test(reference));
+        definition.references = [...references, this.formatReference(target.data.name, useGuid)];
+        break;
+      }
+      case 'remove_reference': {
+        const target = this.findReferenceTarget(params.reference);
+        const remaining = references.filter((reference) => reference !== params.reference && (!target || this.findReferenceTarget(reference) !== target));
+        if (remaining.length === references.length) {
+          throw createAssemblyError('NOT_FOUND', `${entry.data.name} does not reference ${params.reference}`, { assembly: entry.data.name, references });
+        }
+        definition.references = remaining;
+        break;
+      }
+      case 'set_platforms':
+        definition.includePlatforms = params.includePlatforms ?? [];
+        definition.excludePlatforms = params.excludePlatforms ?? [];
+        validatePlatforms(definition);
+        break;
+      case 'set_defines':
+        definition.defineConstraints = params.defineConstraints ?? [];
+        break;
+      default:
+        throw new Error(`Unknown assembly definition action: ${action}`);
+    }
+
+    const content = formatDefinition(definition);
+    return { path: entry.path, content, definition, changed: JSON.stringify(definition) !== JSON.stringify(entry.data) };
+  }
+
+  /**
+   * Finds an assembly definition by name or .asmdef path.
+   * @param {string} assembly
+   * @returns {object} Entry with path, folder, guid and data
+   */
+  find(assembly) {
+    const entry = this.assemblies.find((candidate) => candidate.path === assembly || candidate.data.name === assembly);
+    if (!entry) {
+      throw createAssemblyError('NOT_FOUND', `Assembly definition not found: ${assembly}`, {
+        available: this.assemblies.map((candidate) => candidate.data.name)
+      });
+    }
+    return entry;
+  }
+
+  resolveReferences(entry) {
+    return (entry.data.references || []).map((reference) => {
+      const target = this.findReferenceTarget(reference);
+      return { reference, name: target?.data.name || null, path: target?.path || null };
+    });
+  }
+
+  // References are assembly names or "GUID:<guid of the .asmdef>"
+  findReferenceTarget(reference) {
+    const guid = String(reference || '').match(GUID_REFERENCE)?.[1]?.toLowerCase();
+    return this.assemblies.find((entry) => (guid ? entry.guid === guid : entry.data.name === reference)) || null;
+  }
+
+  formatReference(name, useGuid) {
+    const target = this.find(name);
+    return useGuid && target.guid ? `GUID:${target.guid}` : target.data.name;
+  }
+
+  reaches(from, to, visited = new Set()) {
+    if (visited.has(from)) {
+      return false;
+    }
+    visited.add(from);
+    return (from.data.references || []).some((reference) => {
+      const target = this.findReferenceTarget(reference);
+      return target === to || (target && this.reaches(target, to, visited));
+    });
+  }
+}
+
+/**
+ * Formats an assembly definition the way the Unity inspector saves it.
+ * @param {object} definition
+ * @returns {string}
+ */
+export function formatDefinition(definition) {
+  return JSON.stringify(definition, null, 4);
+}
+
+function describeOwner(entry) {
+  return {
+    assembly: entry.data.name,
+    asmdefPath: entry.path,
+    isEditorOnly: isEditorOnly(entry.data),
+    predefined: false
+  };
+}
+
+function isEditorOnly(definition) {
+  const platforms = definition.includePlatforms || [];
+  return platforms.length === 1 && platforms[0] === 'Editor';
+}
+
+function validateAssemblyName(name) {
+  if (!name || !ASSEMBLY_NAME.test(name)) {
+    throw new Error('name must be a valid assembly name (letters, digits, ".", "_" and "-")');
+  }
+}
+
+function validatePlatforms(definition) {
+  if (definition.includePlatforms.length > 0 && definition.excludePlatforms.length > 0) {
+    throw new Error('Set either includePlatforms or excludePlatforms, not both');
+  }
+}
+
+function createAssemblyError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(readText(filePath).replace(/^\uFEFF/, '')) || {};
+  } catch {
+    return {};
+  }
+}
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return '';
+  }
+}
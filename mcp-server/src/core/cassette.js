@@ -0,0 +1,131 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+/**
+ * Recorded Unity sessions ("cassettes") are JSONL files with one
+ * command/response exchange per line:
+ *
+ *   { "type": "ping", "params": {...}, "response": { "status": "success", "result": {...} },
+ *     "durationMs": 12, "recordedAt": "..." }
+ *
+ * `response` is the framed Unity response envelope without its `id`, so a fake
+ * bridge can replay it verbatim for any command id.
+ */
+
+/**
+ * Creates a recorder that appends exchanges to a cassette file.
+ * Appends are synchronous so lines stay in completion order and survive an abrupt exit.
+ * @param {string} cassettePath - JSONL file to append to
+ * @returns {{ path: string, record: Function }}
+ */
+export function createCassetteRecorder(cassettePath) {
+  const resolvedPath = path.resolve(cassettePath);
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+  return {
+    path: resolvedPath,
+    record({ type, params, response, durationMs }) {
+      const { id, ...envelope } = response || {};
+      const entry = {
+        type,
+        params: params ?? {},
+        response: envelope,
+        ...(Number.isFinite(durationMs) && { durationMs }),
+        recordedAt: new Date().toISOString()
+      };
+      fs.appendFileSync(resolvedPath, `${JSON.stringify(entry)}\n`);
+    }
+  };
+}
+
+/**
+ * Reads and validates a cassette file.
+ * @param {string} cassettePath - JSONL cassette
+ * @returns {Promise<object[]>} Recorded exchanges in file order
+ */
+export async function loadCassette(cassettePath) {
+  let raw;
+  try {
+    raw = await fsp.readFile(cassettePath, 'utf8');
+  } catch (error) {
+    const notFound = new Error(`Cannot read cassette ${cassettePath}: ${error.message}`);
+    notFound.code = 'CASSETTE_NOT_FOUND';
+    throw notFound;
+  }
+
+  const entries = [];
+  const lines = raw.split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw createInvalidCassetteError(cassettePath, index + 1, error.message);
+    }
+
+    if (!entry || typeof entry.type !== 'string' || !entry.response || typeof entry.response !== 'object') {
+      throw createInvalidCassetteError(cassettePath, index + 1, 'expected { type, params, response }');
+    }
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Creates a replay cursor over recorded exchanges.
+ * A command is answered by the next unused exchange with the same type and
+ * params; failing that, by the next exchange with the same type. Once every
+ * candidate has been replayed the last one keeps answering, so polling loops
+ * (get_compilation_state, get_editor_state) settle on the final recorded state.
+ * @param {object[]} entries - Exchanges from loadCassette
+ * @returns {{ next: Function }}
+ */
+export function createCassettePlayer(entries) {
+  const cursors = new Map();
+
+  const take = (key, candidates) => {
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const position = cursors.get(key) || 0;
+    cursors.set(key, position + 1);
+    return candidates[Math.min(position, candidates.length - 1)];
+  };
+
+  return {
+    next(type, params = {}) {
+      const paramsKey = stableStringify(params ?? {});
+      const exact = entries.filter((entry) => entry.type === type && stableStringify(entry.params ?? {}) === paramsKey);
+      const match = take(`exact:${type}:${paramsKey}`, exact) ||
+        take(`type:${type}`, entries.filter((entry) => entry.type === type));
+
+      return match ? match.response : null;
+    }
+  };
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function createInvalidCassetteError(cassettePath, lineNumber, reason) {
+  const error = new Error(`Invalid cassette ${cassettePath} at line ${lineNumber}: ${reason}`);
+  error.code = 'CASSETTE_INVALID';
+  return error;
+}
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+
+const MAX_SNAPSHOTS = 20;
+const DEFAULT_CONTEXT_LINES = 2;
+
+// "Assets/A.cs(10,15): error CS0103: ..." or "Assets/A.cs:10:15: error CS0103: ..."
+const COMPILER_MESSAGE = /^(?<file>.+?)(?:\((?<line>\d+)(?:,(?<column>\d+))?\)|:(?<line2>\d+):(?<column2>\d+))\s*:\s*(?<type>error|warning)\s+(?<code>[A-Z]+\d+)\s*:\s*(?<text>[\s\S]*)$/i;
+const PROJECT_FILE_SUFFIX = /\s+\[[^\]]*\.csproj\]$/;
+const MISSING_TYPE = /type or namespace name '([\w.]+)(?:<[^']*>)?' could not be found/;
+
+const HINTS = {
+  CS0029: 'The value has a different type than the target; convert it explicitly or change the declared type.',
+  CS0101: 'Two types with this name exist in the same namespace; rename one or delete the duplicate file.',
+  CS0103: 'The name is not declared in this scope; check the spelling, declare it, or add the missing using directive.',
+  CS0111: 'A member with the same signature is declared twice in this type; remove or rename one.',
+  CS0115: 'Nothing in the base class matches this override; check the method name and signature or remove "override".',
+  CS0117: 'The type has no member with this name; check the spelling and the Unity API version.',
+  CS0122: 'The member is not accessible here; make it public or internal, or use a public accessor.',
+  CS0161: 'Not all code paths return a value; add a return statement to every branch.',
+  CS0165: 'The local variable may be read before it is assigned; initialize it where it is declared.',
+  CS0234: 'The namespace does not contain this name; check the spelling or add the package or assembly reference.',
+  CS0246: 'The type is unknown here; add the using directive for its namespace or reference its assembly definition.',
+  CS0266: 'An explicit cast is needed between these types.',
+  CS0618: 'The API is obsolete; switch to the replacement named in the message.',
+  CS1002: 'A semicolon is missing at the end of the statement.',
+  CS1003: 'A syntax token is missing; check the brackets and punctuation near this position.',
+  CS1061: 'The type has no member with this name; check the spelling, or the receiver is not the type you expect.',
+  CS1501: 'No overload takes this number of arguments; check the method signature.',
+  CS1503: 'An argument has the wrong type for the parameter at this position.',
+  CS1513: 'A closing brace is missing; braces are unbalanced earlier in the file.',
+  CS1519: 'The token is not valid inside a class body; a statement may sit outside a method.',
+  CS7036: 'A required argument is missing from the call or constructor.',
+  CS0414: 'The private field is assigned but never read; use it or remove it.',
+  CS0649: 'The field is never assigned in code; mark it [SerializeField] and assign it in the Inspector, or initialize it.',
+  CS0169: 'The private field is never used; remove it or add [SerializeField] if the Inspector sets it.'
+};
+
+// Message fingerprints seen at each cursor, oldest first
+const snapshots = new Map();
+let nextCursor = 1;
+
+/**
+ * Parses a compiler message into file, position, CS code and the message
+ * text without its location prefix. Unity's own fields win when present.
+ * @param {{ type?: string, message?: string, file?: string, line?: number, column?: number, assembly?: string }} raw
+ * @returns {{ type: string, code: string|null, file: string|null, line: number, column: number, message: string, assemblies: string[] }}
+ */
+export function parseCompilerMessage(raw) {
+  const text = String(raw.message ?? '').trim().replace(PROJECT_FILE_SUFFIX, '');
+  const match = text.match(COMPILER_MESSAGE);
+  const groups = match?.groups || {};
+  const type = raw.type || groups.type || 'Error';
+  return {
+    type: type[0].toUpperCase() + type.slice(1).toLowerCase(),
+    code: groups.code?.toUpperCase() || text.match(/\b(CS\d{4})\b/)?.[1] || null,
+    file: normalizeFile(raw.file || groups.file),
+    line: raw.line || Number(groups.line || groups.line2) || 0,
+    column: raw.column || Number(groups.column || groups.column2) || 0,
+    message: (match ? groups.text : text).trim(),
+    assemblies: raw.assembly ? [raw.assembly] : []
+  };
+}
+
+/**
+ * Parses, deduplicates and annotates compiler messages. The same error
+ * reported by several assemblies, or by both the compiler event and the log,
+ * is returned once with the assemblies merged.
+ * @param {object[]} rawMessages - Messages from get_compilation_state
+ * @param {object} [options]
+ * @param {string|null} [options.projectRoot] - Reads source context from here when set
+ * @param {number} [options.contextLines] - Source lines before and after the error line
+ * @param {string} [options.since] - Cursor from an earlier result; only newer messages are returned
+ * @param {object|null} [options.symbolIndex] - Suggests using directives for unknown types
+ * @returns {object} messages, per-file summary, counts and a cursor for the next call
+ */
+export function processCompilationMessages(rawMessages, options = {}) {
+  const { projectRoot = null, contextLines = DEFAULT_CONTEXT_LINES, since, symbolIndex = null } = options;
+
+  const messages = dedupeMessages(rawMessages);
+  const counts = countFingerprints(messages);
+  const cursor = recordSnapshot(counts);
+  const result = {
+    cursor,
+    messageCount: messages.length,
+    errorCount: messages.filter((message) => message.type === 'Error').length,
+    warningCount: messages.filter((message) => message.type === 'Warning').length
+  };
+
+  let reported = messages;
+  if (since !== undefined && since !== null) {
+    const previous = snapshots.get(since);
+    result.since = since;
+    if (previous) {
+      // A fingerprint ignores the line, so edits above an old error do not make it new
+      reported = messages.filter((message) => (counts.get(fingerprint(message)) || 0) > (previous.get(fingerprint(message)) || 0));
+      result.newErrorCount = reported.filter((message) => message.type === 'Error').length;
+      result.newWarningCount = reported.filter((message) => message.type === 'Warning').length;
+      result.resolvedCount = [...previous].reduce((total, [key, count]) => total + Math.max(0, count - (counts.get(key) || 0)), 0);
+    } else {
+      // Unknown or evicted cursors (e.g. after a server restart) report everything
+      result.sinceExpired = true;
+    }
+  }
+
+  const sources = new Map();
+  result.messages = reported.map((message) => annotate(message, { projectRoot, contextLines, sources, symbolIndex }));
+  result.files = summarizeFiles(result.messages);
+  return result;
+}
+
+/**
+ * Records the current compilation messages as a cursor without reporting
+ * them, so a later `since` returns only what appeared after this point.
+ * @param {object[]} rawMessages - Messages from get_compilation_state
+ * @returns {string} Cursor for `since`
+ */
+export function recordCompilationCursor(rawMessages) {
+  return recordSnapshot(countFingerprints(dedupeMessages(rawMessages)));
+}
+
+function dedupeMessages(rawMessages) {
+  const unique = new Map();
+  for (const raw of rawMessages || []) {
+    const message = parseCompilerMessage(raw);
+    // Messages parsed from the log lose their CS code, so it is not part of the key
+    const key = [message.type, message.file, message.line, message.column, message.message].join('|');
+    const existing = unique.get(key);
+    if (existing) {
+      existing.code = existing.code || message.code;
+      existing.assemblies = [...new Set([...existing.assemblies, ...message.assemblies])];
+    } else {
+      unique.set(key, message);
+    }
+  }
+  return [...unique.values()].sort(compareMessages);
+}
+
+function annotate(message, { projectRoot, contextLines, sources, symbolIndex }) {
+  const { assemblies, ...annotated } = message;
+  if (assemblies.length > 0) {
+    annotated.assemblies = assemblies;
+  }
+
+  const context = projectRoot && contextLines > 0 && message.file && message.line > 0
+    ? formatSourceContext(readSourceLines(projectRoot, message.file, sources), message.line, message.column, contextLines)
+    : null;
+  if (context) {
+    annotated.context = context;
+  }
+
+  const hint = getHint(message, symbolIndex);
+  if (hint) {
+    annotated.hint = hint;
+  }
+  return annotated;
+}
+
+/**
+ * Numbered source lines around an error, with a caret under the column.
+ * @param {string[]|null} lines - File lines
+ * @param {number} line - 1-based error line
+ * @param {number} column - 1-based column, 0 when unknown
+ * @param {number} contextLines
+ * @returns {string|null}
+ */
+export function formatSourceContext(lines, line, column, contextLines = DEFAULT_CONTEXT_LINES) {
+  if (!lines || line > lines.length) {
+    return null;
+  }
+  const first = Math.max(1, line - contextLines);
+  const last = Math.min(lines.length, line + contextLines);
+  const width = String(last).length;
+  const output = [];
+  for (let number = first; number <= last; number++) {
+    output.push(`${number === line ? '>' : ' '} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+    if (number === line && column > 0) {
+      output.push(`  ${' '.repeat(width)} | ${lines[number - 1].slice(0, column - 1).replace(/[^\t]/g, ' ')}^`);
+    }
+  }
+  return output.join('\n');
+}
+
+function getHint(message, symbolIndex) {
+  const hint = message.code ? HINTS[message.code] : undefined;
+  if (message.code !== 'CS0246' || !symbolIndex) {
+    return hint;
+  }
+
+  // Point at the namespaces that declare the missing type in this project
+  const typeName = message.message.match(MISSING_TYPE)?.[1];
+  if (!typeName) {
+    return hint;
+  }
+  let namespaces = [];
+  try {
+    namespaces = [...new Set(symbolIndex.findSymbols(typeName, { kind: 'type', includePackages: true, limit: 500 }).matches
+      .filter((match) => match.name === typeName && match.namespace)
+      .map((match) => match.namespace))];
+  } catch {
+    return hint;
+  }
+  return namespaces.length > 0
+    ? `${typeName} is declared in ${namespaces.map((namespace) => `"${namespace}"`).join(', ')}; add ${namespaces.map((namespace) => `using ${namespace};`).join(' or ')}`
+    : hint;
+}
+
+function readSourceLines(projectRoot, file, sources) {
+  if (!sources.has(file)) {
+    const filePath = path.isAbsolute(file) ? file : path.join(projectRoot, file);
+    let lines = null;
+    try {
+      lines = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+    } catch {
+      // Deleted or generated files have no context
+    }
+    sources.set(file, lines);
+  }
+  return sources.get(file);
+}
+
+function summarizeFiles(messages) {
+  const files = new Map();
+  for (const message of messages) {
+    const key = message.file || null;
+    if (!files.has(key)) {
+      files.set(key, { file: key, errorCount: 0, warningCount: 0, lines: [] });
+    }
+    const summary = files.get(key);
+    summary[message.type === 'Error' ? 'errorCount' : 'warningCount']++;
+    if (message.line > 0 && !summary.lines.includes(message.line)) {
+      summary.lines.push(message.line);
+    }
+  }
+  return [...files.values()];
+}
+
+function recordSnapshot(counts) {
+  const cursor = `c${nextCursor++}`;
+  snapshots.set(cursor, counts);
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+  return cursor;
+}
+
+function countFingerprints(messages) {
+  const counts = new Map();
+  for (const message of messages) {
+    const key = fingerprint(message);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+function fingerprint(message) {
+  return [message.type, message.file, message.message].join('|');
+}
+
+// Grouped by file (messages without one last), errors first, then by position
+function compareMessages(a, b) {
+  return Number(!a.file) - Number(!b.file) ||
+    (a.file || '').localeCompare(b.file || '') ||
+    (a.type === b.type ? 0 : a.type === 'Error' ? -1 : 1) ||
+    a.line - b.line ||
+    a.column - b.column;
+}
+
+function normalizeFile(file) {
+  return file ? file.trim().replace(/\\/g, '/') : null;
+}
@@ -1,3 +1,8 @@
+import { processCompilationMessages } from './compilationMessages.js';
+import { resolveProjectRoot } from './projectRoot.js';
+import { getProjectSymbolIndex } from './symbolIndex.js';
+import { isRetryableConnectionError, positiveNumber, sleep, throwIfCancelled, tryReconnect } from './unityPolling.js';
+
 const DEFAULT_TIMEOUT_MS = 120000;
 const DEFAULT_POLL_INTERVAL_MS = 500;
 const DEFAULT_SETTLE_MS = 1000;
@@ -44,7 +49,7 @@ export async function waitForCompilation(unityConnection, options = {}, context
           return buildResult(finalState, startedAt, {
             completed: true,
             timedOut: false
-          });
+          }, getMessageOptions(unityConnection, options));
         }
       } else {
         stableSince = null;
@@ -107,26 +112,21 @@ async function getCompilationState(unityConnection, params, deadline = Infinity,
   throw error;
 }
 
-async function reconnect(unityConnection) {
-  if (typeof unityConnection.disconnect === 'function') {
-    unityConnection.disconnect();
-  }
-  await unityConnection.connect();
+function getMessageOptions(unityConnection, options) {
+  return {
+    projectRoot: resolveProjectRoot(unityConnection),
+    symbolIndex: getProjectSymbolIndex(unityConnection),
+    contextLines: nonNegativeNumber(options.contextLines, undefined),
+    since: options.since
+  };
 }
 
-async function tryReconnect(unityConnection) {
-  try {
-    await reconnect(unityConnection);
-    return null;
-  } catch (error) {
-    if (!isRetryableConnectionError(error)) {
-      throw error;
-    }
-    return error;
-  }
-}
+function buildResult(state, startedAt, status, messageOptions = {}) {
+  // Parsed, deduplicated messages replace Unity's raw list and counts
+  const messages = state.messages !== undefined
+    ? processCompilationMessages(state.messages, messageOptions)
+    : null;
 
-function buildResult(state, startedAt, status) {
   return {
     success: status.completed && !status.timedOut,
     completed: status.completed,
@@ -139,29 +139,11 @@ function buildResult(state, startedAt, status) {
     messageCount: state.messageCount ?? 0,
     errorCount: state.errorCount ?? 0,
     warningCount: state.warningCount ?? 0,
-    ...(state.messages !== undefined && { messages: state.messages }),
+    ...messages,
     ...(status.lastError && { lastError: status.lastError })
   };
 }
 
-function isRetryableConnectionError(error) {
-  const message = error?.message || '';
-  const code = error?.code || '';
-  return (
-    code === 'ECONNRESET' ||
-    code === 'ECONNREFUSED' ||
-    code === 'ETIMEDOUT' ||
-    message.includes('Connection closed') ||
-    message.includes('Connection timeout') ||
-    message.includes('Command timeout') ||
-    message.includes('Not connected to Unity')
-  );
-}
-
-function positiveNumber(value, fallback) {
-  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : fallback;
-}
-
 function nonNegativeNumber(value, fallback) {
   return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : fallback;
 }
@@ -184,40 +166,3 @@ async function sendProgress(context, startedAt, timeoutMs, state) {
     message: `Waiting for ${waitingFor}`
   });
 }
-
-function throwIfCancelled(signal) {
-  if (!signal?.aborted) {
-    return;
-  }
-
-  const error = new Error('Request cancelled');
-  error.code = 'REQUEST_CANCELLED';
-  throw error;
-}
-
-function sleep(ms, signal) {
-  if (ms <= 0) {
-    return Promise.resolve();
-  }
-
-  return new Promise((resolve, reject) => {
-    let timeout;
-    const cleanup = () => {
-      clearTimeout(timeout);
-      signal?.removeEventListener?.('abort', onAbort);
-    };
-    const onAbort = () => {
-      cleanup();
-      const error = new Error('Request cancelled');
-      error.code = 'REQUEST_CANCELLED';
-      reject(error);
-    };
-    timeout = setTimeout(() => {
-      cleanup();
-      resolve();
-    }, ms);
-    if (signal) {
-      signal.addEventListener('abort', onAbort, { once: true });
-    }
-  });
-}
@@ -9,6 +9,8 @@ const cliPort = getCliArgValue(['--port', '--unity-port']);
 const explicitPortValue = process.env.UNITY_PORT || cliPort;
 const cliDaemonPort = getCliArgValue(['--daemon-port', '--mcp-daemon-port']);
 const cliDaemonRegistryDir = getCliArgValue(['--daemon-registry-dir', '--mcp-daemon-registry-dir']);
+const cliRecordCassette = getCliArgValue(['--record-cassette']);
+const cliCassette = getCliArgValue(['--cassette']);
 
 /**
  * Configuration for Unity Editor MCP Server
@@ -23,6 +25,10 @@ export const config = {
     maxReconnectDelay: 30000, // Maximum reconnect delay
     reconnectBackoffMultiplier: 2,
     commandTimeout: 30000, // Command timeout in ms
+    maxInFlightCommands: parseInt(process.env.UNITY_MCP_MAX_IN_FLIGHT_COMMANDS, 10) || 4, // Concurrent commands multiplexed over the socket
+    maxResponseBytes: parseInt(process.env.UNITY_MCP_MAX_RESPONSE_BYTES, 10) || 64 * 1024 * 1024, // Upper bound for a reassembled Unity response
+    recordCassette: process.env.UNITY_MCP_RECORD_CASSETTE || cliRecordCassette || '', // JSONL file receiving every command/response pair
+    allowTestConnection: parseBoolean(process.env.UNITY_MCP_ALLOW_TEST_CONNECTION), // Connect even under NODE_ENV=test (e.g. to fake-unity)
     discovery: {
       enabled: process.env.UNITY_MCP_DISCOVERY !== 'false',
       instanceId: process.env.UNITY_MCP_INSTANCE_ID || cliInstanceId || '',
@@ -56,6 +62,31 @@ export const config = {
     maxBodyBytes: parseInt(process.env.UNITY_MCP_DAEMON_MAX_BODY_BYTES, 10) || 1048576
   },
 
+  prompts: {
+    directory: process.env.UNITY_MCP_PROMPTS_DIR || '' // Defaults to <project>/.unity-mcp/prompts
+  },
+
+  scriptTemplates: {
+    directory: process.env.UNITY_MCP_SCRIPT_TEMPLATES_DIR || '' // Defaults to <project>/.unity-mcp/templates
+  },
+
+  screenshotBaselines: {
+    directory: process.env.UNITY_MCP_SCREENSHOT_BASELINES_DIR || '' // Defaults to <project>/.unity-mcp/baselines
+  },
+
+  testRuns: {
+    directory: process.env.UNITY_MCP_TEST_RUNS_DIR || '', // Defaults to <project>/Library/UnityEditorMCP/test-runs
+    maxRuns: parseInt(process.env.UNITY_MCP_TEST_RUNS_MAX, 10) || 50
+  },
+
+  policy: {
+    file: process.env.UNITY_MCP_POLICY_FILE || '' // Defaults to <project>/.unity-mcp/policy.json
+  },
+
+  fakeUnity: {
+    cassettePath: process.env.UNITY_MCP_FAKE_UNITY_CASSETTE || cliCassette || ''
+  },
+
   playModeRecovery: {
     timeoutMs: parseInt(process.env.UNITY_MCP_PLAY_MODE_RECOVERY_TIMEOUT_MS, 10) || 15000,
     stopTransitionTimeoutMs: parseInt(process.env.UNITY_MCP_PLAY_MODE_STOP_TIMEOUT_MS, 10) || 10000,
@@ -0,0 +1,627 @@
+const TYPE_KEYWORDS = /^(class|struct|interface|enum|record)$/;
+const MODIFIERS = new Set([
+  'public', 'private', 'protected', 'internal', 'static', 'readonly', 'const', 'volatile', 'virtual',
+  'override', 'abstract', 'sealed', 'extern', 'unsafe', 'new', 'async', 'partial', 'required', 'fixed',
+  'implicit', 'explicit', 'file'
+]);
+const PARAMETER_MODIFIERS = new Set(['this', 'ref', 'out', 'in', 'params', 'scoped', 'readonly']);
+const SERIALIZE_ATTRIBUTES = new Set(['SerializeField', 'SerializeReference']);
+
+/**
+ * Parses the declarations of a C# file: namespaces, types with their base
+ * types and attributes, and members (fields, properties, methods, events).
+ * Method bodies are skipped, so this is an outline rather than a full parse.
+ * @param {string} source - C# source text
+ * @returns {{ usings: string[], namespaces: string[], types: object[] }}
+ */
+export function parseCSharpOutline(source) {
+  return new OutlineParser(source).parse();
+}
+
+/**
+ * Replaces comments, string and char literals, and preprocessor lines with
+ * spaces, keeping offsets and line breaks intact.
+ * @param {string} source
+ * @returns {string}
+ */
+export function maskNonCode(source) {
+  const output = source.split('');
+  const blank = (from, to) => {
+    for (let index = from; index < to; index++) {
+      if (output[index] !== '\n' && output[index] !== '\r') {
+        output[index] = ' ';
+      }
+    }
+  };
+
+  let index = 0;
+  let lineStart = true;
+  while (index < source.length) {
+    const char = source[index];
+    const next = source[index + 1];
+    if (lineStart && char === '#') {
+      const end = findLineEnd(source, index);
+      blank(index, end);
+      index = end;
+    } else if (char === '/' && next === '/') {
+      const end = findLineEnd(source, index);
+      blank(index, end);
+      index = end;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', index + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      blank(index, stop);
+      index = stop;
+    } else if (char === '"' || char === '\'' || ((char === '@' || char === '$') && /^[@$]*"/.test(source.slice(index, index + 3)))) {
+      const stop = findLiteralEnd(source, index);
+      blank(index, stop);
+      index = stop;
+    } else {
+      if (char === '\n') {
+        lineStart = true;
+      } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+        lineStart = false;
+      }
+      index++;
+      continue;
+    }
+    lineStart = false;
+  }
+  return output.join('');
+}
+
+class OutlineParser {
+  constructor(source) {
+    this.source = source;
+    this.code = maskNonCode(source);
+    this.lineStarts = [0];
+    for (let index = 0; index < source.length; index++) {
+      if (source[index] === '\n') {
+        this.lineStarts.push(index + 1);
+      }
+    }
+    this.outline = { usings: [], namespaces: [], types: [] };
+  }
+
+  parse() {
+    const scopes = [{ kind: 'namespace', name: '' }];
+    let headerStart = 0;
+    for (let index = 0; index < this.code.length; index++) {
+      const char = this.code[index];
+      if (char !== ';' && char !== '{' && char !== '}') {
+        continue;
+      }
+
+      const scope = scopes[scopes.length - 1];
+      const header = this.header(headerStart, index);
+      if (char === '{') {
+        const opened = scope.kind === 'block' ? { kind: 'block' } : this.openScope(scope, header, scopes);
+        scopes.push(opened);
+        headerStart = opened.kind === 'initializer' ? headerStart : index + 1;
+        if (opened.kind === 'initializer') {
+          opened.resumeFrom = header.start;
+        }
+      } else if (char === ';') {
+        // Delegates and positional records are types without a body
+        const bodilessType = (scope.kind === 'namespace' || scope.kind === 'type') &&
+          /\b(delegate|record)\b/.test(header.code) && this.typeDeclaration(header, scopes);
+        if (bodilessType) {
+          bodilessType.endLine = bodilessType.line;
+        } else if (scope.kind === 'namespace') {
+          this.namespaceStatement(scope, header);
+        } else if (scope.kind === 'type') {
+          this.memberDeclaration(scope.type, header);
+        }
+        if (scope.kind !== 'initializer') {
+          headerStart = index + 1;
+        }
+      } else {
+        if (scope.kind === 'enum') {
+          this.enumMembers(scope.type, header);
+        }
+        if (scopes.length > 1) {
+          scopes.pop();
+        }
+        if (scope.type) {
+          scope.type.endLine = this.lineAt(index);
+        }
+        const parent = scopes[scopes.length - 1];
+        if (scope.kind === 'initializer' && parent.kind !== 'initializer') {
+          headerStart = scope.resumeFrom;
+        } else if (parent.kind !== 'initializer') {
+          headerStart = index + 1;
+        }
+      }
+    }
+    return this.outline;
+  }
+
+  openScope(scope, header, scopes) {
+    if (scope.kind === 'initializer') {
+      return { kind: 'initializer' };
+    }
+
+    const text = normalize(header.code);
+    const namespaceMatch = scope.kind === 'namespace' && text.match(/^namespace\s+([\w.]+)$/);
+    if (namespaceMatch) {
+      const name = joinName(scope.name, namespaceMatch[1]);
+      this.outline.namespaces.push(name);
+      return { kind: 'namespace', name };
+    }
+
+    const type = this.typeDeclaration(header, scopes);
+    if (type) {
+      return { kind: type.kind === 'enum' ? 'enum' : 'type', type, name: scope.name };
+    }
+
+    if (scope.kind === 'type') {
+      const { rest } = splitAttributes(header.code);
+      // `= {` and `=> new X {` continue a declaration that ends at `;`
+      if (hasTopLevelAssignment(rest)) {
+        return { kind: 'initializer' };
+      }
+      this.memberDeclaration(scope.type, header, true);
+    }
+    return { kind: 'block' };
+  }
+
+  namespaceStatement(scope, header) {
+    const text = normalize(header.code);
+    const usingMatch = text.match(/^(?:global\s+)?using\s+(.+)$/);
+    if (usingMatch) {
+      this.outline.usings.push(usingMatch[1]);
+      return;
+    }
+    const fileScoped = text.match(/^namespace\s+([\w.]+)$/);
+    if (fileScoped) {
+      scope.name = joinName(scope.name, fileScoped[1]);
+      this.outline.namespaces.push(scope.name);
+    }
+  }
+
+  typeDeclaration(header, scopes) {
+    const { attributes, rest, restOffset } = this.attributesOf(header);
+    const text = normalize(rest);
+    const words = splitTopLevel(text, ' ');
+    const keywordIndex = words.findIndex((word) => TYPE_KEYWORDS.test(word) || word === 'delegate');
+    if (keywordIndex === -1 || !words.slice(0, keywordIndex).every((word) => MODIFIERS.has(word))) {
+      return null;
+    }
+
+    const container = [...scopes].reverse().find((scope) => scope.type);
+    const namespace = [...scopes].reverse().find((scope) => scope.kind === 'namespace')?.name || '';
+    const modifiers = words.slice(0, keywordIndex);
+    const kind = words[keywordIndex];
+    let afterKeyword = words.slice(keywordIndex + 1).join(' ');
+    if (kind === 'record' && /^(class|struct)\b/.test(afterKeyword)) {
+      afterKeyword = afterKeyword.replace(/^(class|struct)\s*/, '');
+    }
+
+    let name;
+    let baseTypes = [];
+    let recordParameters = [];
+    if (kind === 'delegate') {
+      const signature = parseSignature(afterKeyword);
+      if (!signature) {
+        return null;
+      }
+      name = signature.name;
+    } else {
+      const match = afterKeyword.match(/^(@?\w+)\s*(<[^>]*(?:<[^>]*>[^>]*)*>)?\s*(\([^)]*\))?\s*(?::\s*(.*?))?\s*(?:\bwhere\b.*)?$/);
+      if (!match) {
+        return null;
+      }
+      name = match[1].replace(/^@/, '');
+      recordParameters = kind === 'record' && match[3] ? parseParameters(match[3].slice(1, -1)) : [];
+      baseTypes = match[4] ? splitTopLevel(match[4], ',').map((base) => base.replace(/\(.*\)$/, '').trim()).filter(Boolean) : [];
+    }
+
+    const fullName = joinName(container ? container.type.fullName : namespace, name);
+    const type = {
+      kind,
+      name,
+      fullName,
+      namespace,
+      containerName: container ? container.type.fullName : null,
+      modifiers,
+      baseTypes,
+      attributes,
+      line: this.lineAt(header.start + restOffset + rest.search(new RegExp(`\\b${escapeRegExp(name)}\\b`))),
+      endLine: null,
+      members: []
+    };
+    const summary = this.summaryBefore(header);
+    if (summary) {
+      type.summary = summary;
+    }
+    // Positional record parameters become public properties
+    type.members = recordParameters.map((parameter) => ({
+      kind: 'property',
+      name: parameter.name,
+      type: parameter.type,
+      modifiers: ['public'],
+      line: type.line,
+      attributes: [],
+      serialized: false
+    }));
+    this.outline.types.push(type);
+    return type;
+  }
+
+  memberDeclaration(type, header, hasBody = false) {
+    const { attributes, rest, restOffset } = this.attributesOf(header);
+    const text = normalize(rest);
+    if (!text || text.startsWith('=') || /^(using|return)\b/.test(text)) {
+      return;
+    }
+
+    const members = this.parseMembers(type, text, hasBody);
+    const summary = this.summaryBefore(header);
+    for (const member of members) {
+      const nameIndex = rest.search(new RegExp(`(?<![\\w@])@?${escapeRegExp(member.name.split(' ').pop())}\\b`));
+      member.line = this.lineAt(header.start + restOffset + Math.max(0, nameIndex));
+      member.attributes = attributes;
+      if (member.kind === 'field' || member.kind === 'property') {
+        member.serialized = isSerialized(member, attributes);
+      }
+      if (summary) {
+        member.summary = summary;
+      }
+      type.members.push(member);
+    }
+  }
+
+  parseMembers(type, text, hasBody) {
+    const words = splitTopLevel(text.replace(/\s*=>.*$/, ''), ' ');
+    const modifiers = [];
+    while (words.length > 0 && MODIFIERS.has(words[0])) {
+      modifiers.push(words.shift());
+    }
+    const declaration = words.join(' ');
+
+    if (words[0] === 'event') {
+      return splitTopLevel(words.slice(2).join(' '), ',').map((part) => ({
+        kind: 'event',
+        name: part.split('=')[0].trim(),
+        type: words[1],
+        modifiers
+      }));
+    }
+
+    if (/\boperator\b/.test(declaration)) {
+      const operator = declaration.match(/\boperator\s*([^\s(]+)\s*\(/);
+      return operator ? [{ kind: 'operator', name: `operator ${operator[1]}`, modifiers }] : [];
+    }
+
+    const parenIndex = findTopLevelChar(declaration, '(');
+    const equalsIndex = findAssignment(declaration);
+    if (parenIndex !== -1 && (equalsIndex === -1 || parenIndex < equalsIndex)) {
+      if (declaration.startsWith('~')) {
+        return [{ kind: 'finalizer', name: `~${type.name}`, modifiers }];
+      }
+      const signature = parseSignature(declaration);
+      if (!signature) {
+        return [];
+      }
+      if (!signature.returnType && signature.name === type.name) {
+        return [{ kind: 'constructor', name: signature.name, parameters: signature.parameters, modifiers }];
+      }
+      if (!signature.returnType) {
+        return [];
+      }
+      return [{ kind: 'method', name: signature.name, returnType: signature.returnType, parameters: signature.parameters, modifiers }];
+    }
+
+    const indexerMatch = declaration.match(/^(.+?)\s+this\s*\[(.*)\]$/);
+    if (indexerMatch) {
+      return [{ kind: 'indexer', name: 'this[]', type: indexerMatch[1], parameters: parseParameters(indexerMatch[2]), modifiers }];
+    }
+
+    const arrowIndex = text.indexOf('=>');
+    if (hasBody || (arrowIndex !== -1 && (findAssignment(text) === -1 || arrowIndex < findAssignment(text)))) {
+      const split = splitTypeAndName(declaration);
+      return split ? [{ kind: 'property', name: split.name, type: split.type, modifiers }] : [];
+    }
+
+    // Fields may declare several names: `int a = 1, b;`
+    const [first, ...others] = splitTopLevel(declaration, ',');
+    const split = splitTypeAndName(first.split(/=(?![=>])/)[0].trim());
+    if (!split) {
+      return [];
+    }
+    return [split.name, ...others.map((part) => part.split('=')[0].trim())]
+      .filter((name) => /^@?\w+$/.test(name))
+      .map((name) => ({ kind: 'field', name: name.replace(/^@/, ''), type: split.type, modifiers }));
+  }
+
+  enumMembers(type, header) {
+    for (const part of splitTopLevel(header.code, ',')) {
+      const { rest } = splitAttributes(part);
+      const name = rest.split('=')[0].trim();
+      if (/^@?\w+$/.test(name)) {
+        const offset = header.code.indexOf(part) + part.indexOf(name);
+        type.members.push({ kind: 'enumMember', name: name.replace(/^@/, ''), modifiers: [], attributes: [], line: this.lineAt(header.start + offset) });
+      }
+    }
+  }
+
+  attributesOf(header) {
+    const { attributes, rest, restOffset } = splitAttributes(header.code);
+    return {
+      // Argument text comes from the original source, where strings are intact
+      attributes: attributes.map(({ start, end }) => this.source.slice(header.start + start, header.start + end))
+        .flatMap((text) => splitTopLevel(text, ','))
+        .map(parseAttribute)
+        .filter(Boolean),
+      rest,
+      restOffset
+    };
+  }
+
+  summaryBefore(header) {
+    const declarationStart = header.start + header.code.search(/\S/);
+    const lines = this.source.slice(header.start, declarationStart).split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line.startsWith('///'))
+      .map((line) => line.slice(3).trim());
+    if (lines.length === 0) {
+      return null;
+    }
+    const xml = lines.join(' ');
+    const summary = xml.match(/<summary>([\s\S]*?)<\/summary>/);
+    return (summary ? summary[1] : xml)
+      .replace(/<(?:see|seealso|paramref|typeparamref)\s+\w+="([^"]*)"\s*\/>/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\s+/g, ' ')
+      .trim() || null;
+  }
+
+  header(start, end) {
+    return { start, code: this.code.slice(start, end) };
+  }
+
+  lineAt(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  }
+}
+
+function splitAttributes(code) {
+  const attributes = [];
+  let index = 0;
+  while (true) {
+    while (index < code.length && /\s/.test(code[index])) {
+      index++;
+    }
+    if (code[index] !== '[') {
+      break;
+    }
+    const end = findClosing(code, index, '[', ']');
+    if (end === -1) {
+      break;
+    }
+    attributes.push({ start: index + 1, end });
+    index = end + 1;
+  }
+  return { attributes, rest: code.slice(index), restOffset: index };
+}
+
+function parseAttribute(text) {
+  const match = text.trim().match(/^(?:(\w+)\s*:\s*)?([\w.]+)\s*(?:\(([\s\S]*)\))?$/);
+  if (!match) {
+    return null;
+  }
+  const attribute = { name: match[2].split('.').pop().replace(/Attribute$/, '') };
+  if (match[1]) {
+    attribute.target = match[1];
+  }
+  if (match[3] !== undefined && match[3].trim() !== '') {
+    attribute.arguments = match[3].trim();
+  }
+  return attribute;
+}
+
+function parseSignature(text) {
+  const parenIndex = findTopLevelChar(text, '(');
+  const closeIndex = findClosing(text, parenIndex, '(', ')');
+  if (parenIndex === -1 || closeIndex === -1) {
+    return null;
+  }
+  const words = splitTopLevel(text.slice(0, parenIndex).trim(), ' ');
+  const rawName = words.pop();
+  if (!rawName) {
+    return null;
+  }
+  const name = rawName.replace(/<.*>$/, '').replace(/^@/, '');
+  if (!/^\w+$/.test(name.split('.').pop())) {
+    return null;
+  }
+  return {
+    name,
+    returnType: words.filter((word) => !MODIFIERS.has(word)).join(' ') || null,
+    parameters: parseParameters(text.slice(parenIndex + 1, closeIndex))
+  };
+}
+
+function parseParameters(text) {
+  if (!text.trim()) {
+    return [];
+  }
+  return splitTopLevel(text, ',').map((parameter) => {
+    const { rest } = splitAttributes(parameter);
+    const words = splitTopLevel(rest.split(/=(?![=>])/)[0].trim(), ' ')
+      .filter((word, index, all) => index === all.length - 1 || !PARAMETER_MODIFIERS.has(word));
+    const name = (words.pop() || '').replace(/^@/, '');
+    return { name, type: words.join(' ') };
+  });
+}
+
+function splitTypeAndName(declaration) {
+  const words = splitTopLevel(declaration, ' ');
+  if (words.length < 2) {
+    return null;
+  }
+  const name = words.pop().replace(/^@/, '');
+  return /^[\w.]+$/.test(name) ? { name: name.split('.').pop(), type: words.join(' ') } : null;
+}
+
+function isSerialized(member, attributes) {
+  const { modifiers } = member;
+  if (modifiers.includes('static') || modifiers.includes('const') || modifiers.includes('readonly')) {
+    return false;
+  }
+  const names = new Set(attributes.map((attribute) => attribute.name));
+  if (member.kind === 'property') {
+    // Auto-properties serialize through [field: SerializeField]
+    return attributes.some((attribute) => attribute.target === 'field' && SERIALIZE_ATTRIBUTES.has(attribute.name));
+  }
+  return [...SERIALIZE_ATTRIBUTES].some((name) => names.has(name)) ||
+    (modifiers.includes('public') && !names.has('NonSerialized'));
+}
+
+/**
+ * Splits on a separator character outside (), [], {} and <> nesting.
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if ('([{<'.includes(char)) {
+      depth++;
+    } else if (')]}>'.includes(char) && depth > 0 && !(char === '>' && text[index - 1] === '=')) {
+      depth--;
+    }
+    if (char === separator && depth === 0) {
+      if (current.trim()) {
+        parts.push(current.trim());
+      }
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) {
+    parts.push(current.trim());
+  }
+  return separator === ' ' ? mergeGenericSpaces(parts) : parts;
+}
+
+// "Dictionary<string," + "int>" never happens with depth tracking, but a
+// space before "<" or "[" (e.g. "List <int>") still belongs to the type
+function mergeGenericSpaces(parts) {
+  const merged = [];
+  for (const part of parts) {
+    if (merged.length > 0 && /^[<[?*]/.test(part)) {
+      merged[merged.length - 1] += part;
+    } else {
+      merged.push(part);
+    }
+  }
+  return merged;
+}
+
+function findTopLevelChar(text, target) {
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === target && depth === 0) {
+      return index;
+    }
+    if ('[{<'.includes(char) || (char === '(' && target !== '(')) {
+      depth++;
+    } else if (']}>'.includes(char) || (char === ')' && target !== '(')) {
+      depth = Math.max(0, depth - 1);
+    }
+  }
+  return -1;
+}
+
+function findAssignment(text) {
+  const match = text.match(/(?<![=!<>])=(?![=>])/);
+  return match ? match.index : -1;
+}
+
+function hasTopLevelAssignment(code) {
+  return findAssignment(code) !== -1 || code.includes('=>');
+}
+
+function findClosing(text, openIndex, open, close) {
+  if (openIndex === -1) {
+    return -1;
+  }
+  let depth = 0;
+  for (let index = openIndex; index < text.length; index++) {
+    if (text[index] === open) {
+      depth++;
+    } else if (text[index] === close && --depth === 0) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function findLineEnd(source, index) {
+  const end = source.indexOf('\n', index);
+  return end === -1 ? source.length : end;
+}
+
+function findLiteralEnd(source, start) {
+  let index = start;
+  let verbatim = false;
+  while (source[index] === '@' || source[index] === '$') {
+    verbatim = verbatim || source[index] === '@';
+    index++;
+  }
+  const quote = source[index];
+
+  // Raw string literals: three or more quotes
+  const raw = quote === '"' && source.startsWith('"""', index);
+  if (raw) {
+    let count = 0;
+    while (source[index + count] === '"') {
+      count++;
+    }
+    const end = source.indexOf('"'.repeat(count), index + count);
+    return end === -1 ? source.length : end + count;
+  }
+
+  index++;
+  while (index < source.length) {
+    const char = source[index];
+    if (verbatim && char === '"' && source[index + 1] === '"') {
+      index += 2;
+    } else if (!verbatim && char === '\\') {
+      index += 2;
+    } else if (char === quote) {
+      return index + 1;
+    } else if (!verbatim && char === '\n') {
+      return index;
+    } else {
+      index++;
+    }
+  }
+  return source.length;
+}
+
+function normalize(code) {
+  return code.replace(/\s+/g, ' ').trim();
+}
+
+function joinName(prefix, name) {
+  return prefix ? `${prefix}.${name}` : name;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -224,7 +224,7 @@ export async function createDaemonMcpClient(options = {}) {
       version: config.server.version
     },
     {
-      capabilities: {}
+      capabilities: options.capabilities || {}
     }
   );
   const transport = new StreamableHTTPClientTransport(new URL(registry.url));
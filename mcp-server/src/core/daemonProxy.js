@@ -1,11 +1,59 @@
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  CreateMessageRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  LoggingMessageNotificationSchema,
+  ReadResourceRequestSchema,
+  ResourceUpdatedNotificationSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 
 export function registerDaemonProxyHandlers(server, options = {}) {
-  const getClient = options.getClient;
-  if (typeof getClient !== 'function') {
+  if (typeof options.getClient !== 'function') {
     throw new Error('registerDaemonProxyHandlers requires getClient');
   }
 
+  // Resource subscriptions and editor event filters live in the daemon
+  // session, so a refreshed daemon client must restore them and forward its
+  // notifications and sampling requests again.
+  const subscriptions = new Set();
+  let loggingLevel = null;
+  let editorEventFilter = null;
+  const preparedClients = new WeakSet();
+  const getClient = async (context) => {
+    const client = await options.getClient(context);
+    if (client && !preparedClients.has(client)) {
+      preparedClients.add(client);
+      client.setNotificationHandler?.(ResourceUpdatedNotificationSchema, (notification) => {
+        return server.sendResourceUpdated(notification.params);
+      });
+      client.setNotificationHandler?.(LoggingMessageNotificationSchema, (notification) => {
+        return server.sendLoggingMessage(notification.params);
+      });
+      if (server.getClientCapabilities?.()?.sampling) {
+        client.setRequestHandler?.(CreateMessageRequestSchema, (request, extra = {}) => {
+          return server.createMessage(request.params, { signal: extra.signal });
+        });
+      }
+      for (const uri of subscriptions) {
+        await client.subscribeResource({ uri });
+      }
+      if (loggingLevel) {
+        await client.setLoggingLevel(loggingLevel);
+      }
+      if (editorEventFilter) {
+        await client.callTool({ name: 'subscribe_editor_events', arguments: editorEventFilter });
+      }
+    }
+    return client;
+  };
+
   const forward = async (operation, context) => {
     const client = await getClient(context);
     try {
@@ -30,12 +78,80 @@ export function registerDaemonProxyHandlers(server, options = {}) {
 
   server.setRequestHandler(CallToolRequestSchema, async (request, extra = {}) => {
     const { name, arguments: args } = request.params;
-    return forward(
+    const result = await forward(
       (client) => client.callTool({
         name,
         arguments: args ?? {}
       }),
       { request, extra, method: 'call_tool', toolName: name }
     );
+    if (name === 'subscribe_editor_events' && !result?.isError) {
+      editorEventFilter = { ...editorEventFilter, ...args };
+    }
+    return result;
+  });
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request, extra = {}) => {
+    const result = await forward(
+      (client) => client.setLoggingLevel(request.params.level),
+      { request, extra, method: 'set_logging_level' }
+    );
+    loggingLevel = request.params.level;
+    if (editorEventFilter) {
+      editorEventFilter = { ...editorEventFilter, level: loggingLevel };
+    }
+    return result;
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra = {}) => {
+    return forward(
+      (client) => client.listResources(request.params),
+      { request, extra, method: 'list_resources' }
+    );
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async (request, extra = {}) => {
+    return forward(
+      (client) => client.listResourceTemplates(request.params),
+      { request, extra, method: 'list_resource_templates' }
+    );
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra = {}) => {
+    return forward(
+      (client) => client.readResource(request.params),
+      { request, extra, method: 'read_resource' }
+    );
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async (request, extra = {}) => {
+    return forward(
+      (client) => client.listPrompts(request.params),
+      { request, extra, method: 'list_prompts' }
+    );
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra = {}) => {
+    return forward(
+      (client) => client.getPrompt(request.params),
+      { request, extra, method: 'get_prompt' }
+    );
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request, extra = {}) => {
+    const result = await forward(
+      (client) => client.subscribeResource(request.params),
+      { request, extra, method: 'subscribe_resource' }
+    );
+    subscriptions.add(request.params.uri);
+    return result;
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request, extra = {}) => {
+    subscriptions.delete(request.params.uri);
+    return forward(
+      (client) => client.unsubscribeResource(request.params),
+      { request, extra, method: 'unsubscribe_resource' }
+    );
   });
 }
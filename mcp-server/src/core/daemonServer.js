@@ -6,6 +6,11 @@ import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import { UnityConnection } from './unityConnection.js';
 import { registerMcpHandlers } from './mcpRegistration.js';
 import { createHandlers } from '../handlers/index.js';
+import { UndoJournal } from './undoJournal.js';
+import { UnityResourceProvider } from './mcpResources.js';
+import { createPromptLibrary } from './mcpPrompts.js';
+import { EditorEventHub } from './editorEvents.js';
+import { createToolPolicyProvider } from './toolPolicy.js';
 import { config, logger } from './config.js';
 import { getServerMetadata } from './serverMetadata.js';
 import { removeDaemonRegistry, writeDaemonRegistry } from './daemonRegistry.js';
@@ -16,7 +21,13 @@ export async function startDaemonServer(options = {}) {
   const registryDir = options.registryDir || config.daemon.registryDir;
   const unityConnection = options.unityConnection || new UnityConnection();
   const metadata = getServerMetadata();
-  const handlers = createHandlers(unityConnection);
+  // One journal for every session, so an undo can see the calls of other sessions above its own
+  const undoJournal = new UndoJournal(unityConnection);
+  const resources = new UnityResourceProvider(unityConnection);
+  const prompts = createPromptLibrary(unityConnection);
+  const editorEvents = new EditorEventHub(unityConnection);
+  const policy = createToolPolicyProvider(unityConnection);
+  const handlers = createHandlers(unityConnection, { undoJournal });
   const sessions = new Map();
   let selectedUnity = null;
   let lastError = null;
@@ -45,6 +56,11 @@ export async function startDaemonServer(options = {}) {
         await handleMcpRequest(req, res, {
           sessions,
           handlers,
+          undoJournal,
+          resources,
+          prompts,
+          editorEvents,
+          policy,
           host,
           port: actualPort,
           maxBodyBytes: options.maxBodyBytes ?? config.daemon.maxBodyBytes,
@@ -187,7 +203,7 @@ async function handleMcpRequest(req, res, options) {
 
 async function createMcpSession(options) {
   let sessionId = null;
-  const server = createDaemonMcpServer(options.handlers);
+  const server = createDaemonMcpServer(options.handlers, options);
   const transport = new StreamableHTTPServerTransport({
     sessionIdGenerator: options.sessionIdGenerator,
     enableDnsRebindingProtection: true,
@@ -224,7 +240,7 @@ async function closeMcpSession(session) {
   await session.server.close().catch(() => {});
 }
 
-function createDaemonMcpServer(handlers) {
+function createDaemonMcpServer(handlers, { undoJournal, resources, prompts, editorEvents, policy } = {}) {
   const server = new Server(
     {
       name: `${config.server.name}-daemon`,
@@ -232,11 +248,14 @@ function createDaemonMcpServer(handlers) {
     },
     {
       capabilities: {
-        tools: {}
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+        logging: {}
       }
     }
   );
-  registerMcpHandlers(server, handlers, { logger });
+  registerMcpHandlers(server, handlers, { logger, undoJournal, resources, prompts, editorEvents, policy });
   return server;
 }
 
@@ -0,0 +1,134 @@
+import { EventEmitter } from 'events';
+import { logger } from './config.js';
+
+export const EDITOR_EVENT_TYPES = [
+  'console_log',
+  'compilation_started',
+  'compilation_finished',
+  'play_mode_changed',
+  'scene_loaded'
+];
+
+// MCP logging levels, least to most severe.
+export const LOGGING_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+export const DEFAULT_NOTIFICATION_LEVEL = 'info';
+
+const LOG_TYPE_LEVELS = {
+  Log: 'debug',
+  Warning: 'warning',
+  Assert: 'error',
+  Error: 'error',
+  Exception: 'error'
+};
+
+/**
+ * Turns editor events pushed by Unity into notification payloads and fans them
+ * out to every MCP session on the connection. Unity only pushes events to
+ * clients that have sent an authorized command, so the hub pings Unity once
+ * a session is attached and again after every reconnect.
+ */
+export class EditorEventHub extends EventEmitter {
+  constructor(unityConnection) {
+    super();
+    this.unityConnection = unityConnection;
+    this.sessions = 0;
+
+    this.unityConnection.on?.('unityEvent', (event) => {
+      for (const notification of toEditorNotifications(event)) {
+        this.emit('notification', notification);
+      }
+    });
+
+    this.unityConnection.on?.('connected', () => {
+      if (this.sessions > 0) {
+        this.registerForEvents();
+      }
+    });
+  }
+
+  /**
+   * Attaches a session listener.
+   * @param {(notification: object) => void} listener
+   * @returns {() => void} Detaches the listener
+   */
+  attach(listener) {
+    this.on('notification', listener);
+    this.sessions++;
+    if (this.sessions === 1 && this.unityConnection.isConnected?.()) {
+      this.registerForEvents();
+    }
+
+    return () => {
+      this.off('notification', listener);
+      this.sessions--;
+    };
+  }
+
+  registerForEvents() {
+    Promise.resolve()
+      .then(() => this.unityConnection.sendCommand('ping', {}))
+      .catch((error) => {
+        logger.debug(`[EditorEvents] Could not register for Unity events: ${error.message}`);
+      });
+  }
+}
+
+/**
+ * Maps one Unity editor event to zero or more notifications.
+ * @param {{ event: string, data: object, timestamp?: string }} unityEvent
+ * @returns {{ event: string, level: string, data: object }[]}
+ */
+export function toEditorNotifications({ event, data = {} }) {
+  switch (event) {
+    case 'log_messages':
+      return (data.entries || []).map((entry) => ({
+        event: 'console_log',
+        level: LOG_TYPE_LEVELS[entry.type] || 'info',
+        data: entry
+      }));
+    case 'compilation_started':
+      return [{ event, level: 'info', data }];
+    case 'compilation_finished':
+      return [{ event, level: data.errorCount > 0 ? 'error' : 'info', data }];
+    case 'play_mode_changed':
+    case 'scene_loaded':
+      return [{ event, level: 'info', data }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Per-session filter for editor event notifications. Sessions receive every
+ * event type at `info` and above until they narrow or widen the filter with
+ * `subscribe_editor_events` or `logging/setLevel`.
+ */
+export class EditorEventSubscription {
+  constructor() {
+    this.events = new Set(EDITOR_EVENT_TYPES);
+    this.level = DEFAULT_NOTIFICATION_LEVEL;
+  }
+
+  /**
+   * @param {{ events?: string[], level?: string }} filter
+   */
+  update({ events, level } = {}) {
+    if (events !== undefined) {
+      this.events = new Set(events);
+    }
+    if (level !== undefined) {
+      this.level = level;
+    }
+    return this.describe();
+  }
+
+  accepts(notification) {
+    return this.events.has(notification.event) &&
+      LOGGING_LEVELS.indexOf(notification.level) >= LOGGING_LEVELS.indexOf(this.level);
+  }
+
+  describe() {
+    return { events: [...this.events], level: this.level };
+  }
+}
@@ -0,0 +1,215 @@
+import fsp from 'fs/promises';
+import net from 'net';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { config, logger } from './config.js';
+import { createCassettePlayer, loadCassette } from './cassette.js';
+import { normalizeProjectPath } from './unityDiscovery.js';
+import { getServerMetadata } from './serverMetadata.js';
+
+// Mirror the Unity bridge: responses above one frame go out as continuation frames.
+const MAX_FRAME_PAYLOAD_BYTES = 512 * 1024;
+const CHUNK_PAYLOAD_BYTES = 384 * 1024;
+
+/**
+ * Starts a local stand-in for the Unity editor bridge that answers commands
+ * from a recorded cassette over the same length-prefixed TCP protocol, and
+ * registers itself in the instance registry so discovery selects it like a
+ * real editor.
+ * @param {object} options
+ * @param {string} options.cassettePath - JSONL cassette recorded with UNITY_MCP_RECORD_CASSETTE
+ * @returns {Promise<object>} Server handle with `port`, `instance`, `registryPath` and `close()`
+ */
+export async function startFakeUnityServer(options = {}) {
+  if (!options.cassettePath) {
+    const error = new Error('fake-unity requires --cassette <file>');
+    error.code = 'CASSETTE_REQUIRED';
+    throw error;
+  }
+
+  const entries = await loadCassette(options.cassettePath);
+  const player = createCassettePlayer(entries);
+  const host = options.host || '127.0.0.1';
+  const registryDir = options.registryDir || config.unity.discovery.registryDir;
+  const projectPath = normalizeProjectPath(options.projectPath || config.unity.discovery.projectPath || process.cwd());
+  const authToken = randomUUID().replace(/-/g, '');
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', (error) => {
+      logger.debug(`[FakeUnity] Client socket error: ${error.message}`);
+    });
+    socket.on('data', createFrameReader((payload) => {
+      const response = createReplayResponse(payload, { player, authToken });
+      for (const frame of encodeResponseFrames(response)) {
+        socket.write(frame);
+      }
+    }));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 0, host, resolve);
+  });
+
+  const port = server.address().port;
+  const startedAt = new Date().toISOString();
+  const instanceId = `fake-unity-${process.pid}-${port}`;
+  const registryPath = path.join(registryDir, `${instanceId}.json`);
+  const metadata = getServerMetadata();
+  const recordedPing = entries.find((entry) => entry.type === 'ping')?.response?.result || {};
+
+  const createInstance = () => ({
+    schemaVersion: 2,
+    instanceId,
+    authToken,
+    projectPath,
+    projectName: path.basename(projectPath),
+    workspaceId: options.workspaceId || recordedPing.workspaceId || instanceId,
+    workspaceIdSource: 'fake-unity',
+    pid: process.pid,
+    host,
+    port,
+    unityVersion: recordedPing.unityVersion || 'fake',
+    packageVersion: recordedPing.packageVersion || metadata.packageVersion,
+    status: 'Connected',
+    isBatchMode: false,
+    fake: true,
+    cassettePath: path.resolve(options.cassettePath),
+    startedAt,
+    lastSeen: new Date().toISOString()
+  });
+
+  const writeInstance = async () => {
+    await fsp.mkdir(registryDir, { recursive: true });
+    await fsp.writeFile(registryPath, JSON.stringify(createInstance(), null, 2), { mode: 0o600 });
+  };
+
+  await writeInstance();
+  const heartbeat = setInterval(() => {
+    writeInstance().catch((error) => {
+      logger.warn(`Fake Unity registry heartbeat failed: ${error.message}`);
+    });
+  }, options.heartbeatMs || 5000);
+  heartbeat.unref?.();
+
+  const close = async () => {
+    clearInterval(heartbeat);
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+    await new Promise((resolve) => server.close(resolve));
+    await fsp.rm(registryPath, { force: true });
+  };
+
+  return {
+    server,
+    host,
+    port,
+    authToken,
+    registryPath,
+    instance: createInstance(),
+    exchanges: entries.length,
+    close
+  };
+}
+
+export async function startFakeUnityCli(options = {}) {
+  const fake = await startFakeUnityServer({
+    cassettePath: config.fakeUnity.cassettePath,
+    port: config.unity.hasExplicitPort ? config.unity.port : 0,
+    ...options
+  });
+  logger.info(`Fake Unity bridge replaying ${fake.exchanges} exchange(s) on ${fake.host}:${fake.port}; registered ${fake.registryPath}`);
+
+  const shutdown = async () => {
+    await fake.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  return fake;
+}
+
+function createReplayResponse(payload, { player, authToken }) {
+  let command;
+  try {
+    command = JSON.parse(payload.toString('utf8'));
+  } catch (error) {
+    return { status: 'error', error: `JSON parsing error: ${error.message}`, code: 'JSON_ERROR' };
+  }
+
+  if (!command || typeof command !== 'object') {
+    return { status: 'error', error: 'Invalid command format', code: 'PARSE_ERROR' };
+  }
+
+  if (command.authToken !== authToken) {
+    return {
+      id: command.id,
+      status: 'error',
+      error: 'Invalid or missing Unity Editor MCP auth token',
+      code: 'AUTH_FAILED',
+      details: { commandType: command.type }
+    };
+  }
+
+  const recorded = player.next(command.type, command.params);
+  if (!recorded) {
+    return {
+      id: command.id,
+      status: 'error',
+      error: `No recorded response for command type: ${command.type}`,
+      code: 'CASSETTE_MISS',
+      details: { commandType: command.type, params: command.params ?? {} }
+    };
+  }
+
+  return { id: command.id, ...recorded };
+}
+
+function createFrameReader(onFrame) {
+  let buffer = Buffer.alloc(0);
+  return (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    while (buffer.length >= 4) {
+      const length = buffer.readInt32BE(0);
+      if (length < 0) {
+        buffer = Buffer.alloc(0);
+        return;
+      }
+      if (buffer.length < 4 + length) {
+        return;
+      }
+
+      const payload = buffer.slice(4, 4 + length);
+      buffer = buffer.slice(4 + length);
+      onFrame(payload);
+    }
+  };
+}
+
+function encodeResponseFrames(response) {
+  const payload = Buffer.from(JSON.stringify(response), 'utf8');
+  if (!response.id || payload.length <= MAX_FRAME_PAYLOAD_BYTES) {
+    return [frame(payload)];
+  }
+
+  const total = Math.ceil(payload.length / CHUNK_PAYLOAD_BYTES);
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    frames.push(frame(Buffer.from(JSON.stringify({
+      id: response.id,
+      chunk: { index, total, final: index === total - 1 },
+      payload: payload.slice(index * CHUNK_PAYLOAD_BYTES, (index + 1) * CHUNK_PAYLOAD_BYTES).toString('base64')
+    }), 'utf8')));
+  }
+  return frames;
+}
+
+function frame(payload) {
+  const header = Buffer.allocUnsafe(4);
+  header.writeInt32BE(payload.length, 0);
+  return Buffer.concat([header, payload]);
+}
@@ -0,0 +1,118 @@
+// Pixels whose channels all stay at or below this count as black (JPEG noise stays under it)
+const BLACK_THRESHOLD = 8;
+const EDGE_THRESHOLD = 0.3;
+
+/**
+ * Color and luminance statistics for a decoded RGBA image, including the
+ * checks for frames that were captured before anything was drawn.
+ * @param {{width: number, height: number, hasAlpha: boolean, data: Uint8Array}} image - From decodeImage
+ * @param {object} [options]
+ * @param {number} [options.maxColors] - Dominant colors to return
+ * @param {boolean} [options.includeEdges] - Also compute the edge pixel ratio used for UI detection
+ * @returns {object}
+ */
+export function analyzeImagePixels(image, { maxColors = 5, includeEdges = false } = {}) {
+  const { width, height, data } = image;
+  const pixelCount = width * height;
+  const colorCounts = new Map();
+  let luminanceSum = 0;
+  let alphaSum = 0;
+  let maxChannel = 0;
+  let maxAlpha = 0;
+  let visiblePixels = 0;
+  const first = [data[0], data[1], data[2], data[3]];
+  let uniform = true;
+
+  for (let o = 0; o < data.length; o += 4) {
+    const r = data[o];
+    const g = data[o + 1];
+    const b = data[o + 2];
+    const a = data[o + 3];
+
+    luminanceSum += luminance(r, g, b);
+    alphaSum += a;
+    if (a > maxAlpha) {
+      maxAlpha = a;
+    }
+    if (uniform && (r !== first[0] || g !== first[1] || b !== first[2] || a !== first[3])) {
+      uniform = false;
+    }
+    if (a === 0) {
+      continue;
+    }
+
+    visiblePixels++;
+    maxChannel = Math.max(maxChannel, r, g, b);
+    // Quantize to 32 levels per channel, matching the Unity-side analysis
+    const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+    colorCounts.set(key, (colorCounts.get(key) || 0) + 1);
+  }
+
+  const dominantColors = [...colorCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxColors)
+    .map(([key, count]) => {
+      const r = (key >> 6) << 5;
+      const g = ((key >> 3) & 7) << 5;
+      const b = (key & 7) << 5;
+      return { r, g, b, hex: toHex(r, g, b), percentage: round((count * 100) / pixelCount, 2) };
+    });
+
+  const isAllClear = image.hasAlpha && maxAlpha === 0;
+  const isAllBlack = !isAllClear && maxChannel <= BLACK_THRESHOLD;
+  const result = {
+    dominantColors,
+    averageLuminance: round(luminanceSum / pixelCount / 255, 4),
+    ...(image.hasAlpha && { averageAlpha: round(alphaSum / pixelCount / 255, 4), visiblePixelRatio: round(visiblePixels / pixelCount, 4) }),
+    isUniform: uniform,
+    isAllBlack,
+    isAllClear,
+    isBlank: isAllBlack || isAllClear
+  };
+
+  if (isAllClear) {
+    result.warning = 'Every pixel is fully transparent; the capture finished before anything was drawn';
+  } else if (isAllBlack) {
+    result.warning = 'Every pixel is black; the camera or Game View had not rendered when it was captured';
+  }
+
+  if (includeEdges) {
+    result.edgePixelRatio = edgePixelRatio(image);
+  }
+  return result;
+}
+
+// Share of pixels whose grayscale differs sharply from the right or lower neighbour
+function edgePixelRatio({ width, height, data }) {
+  if (width < 3 || height < 3) {
+    return 0;
+  }
+
+  const gray = (x, y) => {
+    const o = (y * width + x) * 4;
+    return luminance(data[o], data[o + 1], data[o + 2]) / 255;
+  };
+  let edges = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const current = gray(x, y);
+      if (Math.abs(current - gray(x + 1, y)) > EDGE_THRESHOLD || Math.abs(current - gray(x, y + 1)) > EDGE_THRESHOLD) {
+        edges++;
+      }
+    }
+  }
+  return round(edges / (width * height), 4);
+}
+
+function luminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function toHex(r, g, b) {
+  return [r, g, b].map((value) => value.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
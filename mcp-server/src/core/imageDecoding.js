@@ -0,0 +1,718 @@
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Larger images are rejected before any pixel buffer is allocated
+const MAX_IMAGE_PIXELS = 8192 * 8192;
+
+// Samples per pixel for each PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: x start, y start, x step, y step
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+const JPEG_ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// IDCT basis: IDCT_COS[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16)
+const IDCT_COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    IDCT_COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+/**
+ * Identifies PNG and JPEG data by its signature.
+ * @param {Buffer} buffer
+ * @returns {'png'|'jpeg'|null}
+ */
+export function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  return null;
+}
+
+/**
+ * Decodes a PNG or baseline JPEG image to 8-bit RGBA pixels.
+ * @param {Buffer} buffer - Encoded image
+ * @returns {{format: string, width: number, height: number, hasAlpha: boolean, data: Uint8Array}}
+ */
+export function decodeImage(buffer) {
+  const format = detectImageFormat(buffer);
+  if (format === 'png') {
+    return decodePng(buffer);
+  }
+  if (format === 'jpeg') {
+    return decodeJpeg(buffer);
+  }
+  throw createDecodeError('Image data is neither PNG nor JPEG', 'UNSUPPORTED_IMAGE_FORMAT');
+}
+
+/**
+ * Decodes a PNG of any bit depth, color type and interlacing to 8-bit RGBA.
+ * @param {Buffer} buffer
+ * @returns {{format: 'png', width: number, height: number, hasAlpha: boolean, bitDepth: number, colorType: number, interlaced: boolean, data: Uint8Array}}
+ */
+export function decodePng(buffer) {
+  if (detectImageFormat(buffer) !== 'png') {
+    throw createDecodeError('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const start = offset + 8;
+    const end = start + length;
+    if (end + 4 > buffer.length) {
+      throw createDecodeError(`PNG chunk ${type} is truncated`);
+    }
+    const chunk = buffer.subarray(start, end);
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset = end + 4;
+  }
+
+  if (!header) {
+    throw createDecodeError('PNG has no IHDR chunk');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth) || width === 0 || height === 0) {
+    throw createDecodeError(`Unsupported PNG color type ${colorType} with bit depth ${bitDepth}`);
+  }
+  if (colorType === 3 && !palette) {
+    throw createDecodeError('Palette PNG has no PLTE chunk');
+  }
+  if (idat.length === 0) {
+    throw createDecodeError('PNG has no image data');
+  }
+  throwIfTooLarge(width, height);
+
+  const passes = interlace === 1 ? ADAM7 : [[0, 0, 1, 1]];
+  // Every scanline is a filter byte followed by its packed samples
+  const expectedLength = passes.reduce((total, [startX, startY, stepX, stepY]) => {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    return passWidth <= 0 || passHeight <= 0
+      ? total
+      : total + passHeight * (1 + Math.ceil((passWidth * channels * bitDepth) / 8));
+  }, 0);
+
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expectedLength });
+  } catch (error) {
+    throw createDecodeError(error.code === 'ERR_BUFFER_TOO_LARGE'
+      ? 'PNG image data is larger than its dimensions allow'
+      : `PNG image data is corrupt: ${error.message}`);
+  }
+  if (raw.length < expectedLength) {
+    throw createDecodeError('PNG image data is truncated');
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  const bytesPerPixel = Math.max(1, (channels * bitDepth) >> 3);
+  const toRgba = createPngPixelReader(colorType, bitDepth, palette, transparency);
+
+  let position = 0;
+  for (const [startX, startY, stepX, stepY] of passes) {
+    const passWidth = Math.ceil((width - startX) / stepX);
+    const passHeight = Math.ceil((height - startY) / stepY);
+    if (passWidth <= 0 || passHeight <= 0) {
+      continue;
+    }
+
+    const stride = Math.ceil((passWidth * channels * bitDepth) / 8);
+    let previous = new Uint8Array(stride);
+    for (let row = 0; row < passHeight; row++) {
+      if (position + 1 + stride > raw.length) {
+        throw createDecodeError('PNG image data is truncated');
+      }
+      const filter = raw[position];
+      const line = Uint8Array.from(raw.subarray(position + 1, position + 1 + stride));
+      position += 1 + stride;
+      unfilterPngLine(filter, line, previous, bytesPerPixel);
+
+      const y = startY + row * stepY;
+      for (let column = 0; column < passWidth; column++) {
+        toRgba(line, column, data, (y * width + startX + column * stepX) * 4);
+      }
+      previous = line;
+    }
+  }
+
+  return {
+    format: 'png',
+    width,
+    height,
+    hasAlpha: colorType === 4 || colorType === 6 || transparency !== null,
+    bitDepth,
+    colorType,
+    interlaced: interlace === 1,
+    data
+  };
+}
+
+/**
+ * Decodes a baseline (sequential Huffman) JPEG to RGBA. Progressive and
+ * arithmetic-coded JPEGs are rejected with UNSUPPORTED_IMAGE_FORMAT.
+ * @param {Buffer} buffer
+ * @returns {{format: 'jpeg', width: number, height: number, hasAlpha: false, components: number, data: Uint8Array}}
+ */
+export function decodeJpeg(buffer) {
+  if (detectImageFormat(buffer) !== 'jpeg') {
+    throw createDecodeError('Not a JPEG image');
+  }
+
+  const quantizationTables = [];
+  const huffmanTables = { dc: [], ac: [] };
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      // Fill byte before a marker
+      offset++;
+      continue;
+    }
+    offset += 2;
+    if (marker === 0x00 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      continue;
+    }
+    if (marker === 0xd9) {
+      break;
+    }
+    if (offset + 2 > buffer.length) {
+      throw createDecodeError('JPEG segment is truncated');
+    }
+
+    const length = buffer.readUInt16BE(offset);
+    const segment = buffer.subarray(offset + 2, offset + length);
+    offset += length;
+
+    if (marker === 0xdb) {
+      readQuantizationTables(segment, quantizationTables);
+    } else if (marker === 0xc4) {
+      readHuffmanTables(segment, huffmanTables);
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      frame = readFrame(segment);
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw createDecodeError(
+        marker === 0xc2 ? 'Progressive JPEG is not supported' : `JPEG process 0x${marker.toString(16)} is not supported`,
+        'UNSUPPORTED_IMAGE_FORMAT'
+      );
+    } else if (marker === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xee && segment.toString('latin1', 0, 5) === 'Adobe') {
+      adobeTransform = segment[11];
+    } else if (marker === 0xda) {
+      if (!frame) {
+        throw createDecodeError('JPEG scan appears before the frame header');
+      }
+      offset = decodeJpegScan(buffer, offset, segment, frame, quantizationTables, huffmanTables, restartInterval);
+    }
+  }
+
+  if (!frame || !frame.components.every((component) => component.blocks)) {
+    throw createDecodeError('JPEG has no image data');
+  }
+
+  return {
+    format: 'jpeg',
+    width: frame.width,
+    height: frame.height,
+    hasAlpha: false,
+    components: frame.components.length,
+    data: convertJpegColors(frame, adobeTransform)
+  };
+}
+
+function createPngPixelReader(colorType, bitDepth, palette, transparency) {
+  const maxValue = (1 << Math.min(bitDepth, 8)) - 1;
+  const sample = bitDepth === 16
+    ? (line, index) => line[index * 2]
+    : bitDepth === 8
+      ? (line, index) => line[index]
+      : (line, index) => {
+        const bit = index * bitDepth;
+        return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxValue;
+      };
+  const rawSample = bitDepth === 16
+    ? (line, index) => (line[index * 2] << 8) | line[index * 2 + 1]
+    : sample;
+  const scale = bitDepth < 8 ? 255 / maxValue : 1;
+
+  switch (colorType) {
+    case 0: {
+      const transparent = transparency?.length >= 2 ? transparency.readUInt16BE(0) : null;
+      return (line, x, out, o) => {
+        const gray = Math.round(sample(line, x) * scale);
+        out[o] = out[o + 1] = out[o + 2] = gray;
+        out[o + 3] = rawSample(line, x) === transparent ? 0 : 255;
+      };
+    }
+    case 2: {
+      const transparent = transparency?.length >= 6
+        ? [transparency.readUInt16BE(0), transparency.readUInt16BE(2), transparency.readUInt16BE(4)]
+        : null;
+      return (line, x, out, o) => {
+        out[o] = sample(line, x * 3);
+        out[o + 1] = sample(line, x * 3 + 1);
+        out[o + 2] = sample(line, x * 3 + 2);
+        out[o + 3] = transparent
+          && rawSample(line, x * 3) === transparent[0]
+          && rawSample(line, x * 3 + 1) === transparent[1]
+          && rawSample(line, x * 3 + 2) === transparent[2] ? 0 : 255;
+      };
+    }
+    case 3:
+      return (line, x, out, o) => {
+        const index = sample(line, x);
+        out[o] = palette[index * 3] ?? 0;
+        out[o + 1] = palette[index * 3 + 1] ?? 0;
+        out[o + 2] = palette[index * 3 + 2] ?? 0;
+        out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      };
+    case 4:
+      return (line, x, out, o) => {
+        out[o] = out[o + 1] = out[o + 2] = sample(line, x * 2);
+        out[o + 3] = sample(line, x * 2 + 1);
+      };
+    default:
+      return (line, x, out, o) => {
+        out[o] = sample(line, x * 4);
+        out[o + 1] = sample(line, x * 4 + 1);
+        out[o + 2] = sample(line, x * 4 + 2);
+        out[o + 3] = sample(line, x * 4 + 3);
+      };
+  }
+}
+
+function unfilterPngLine(filter, line, previous, bytesPerPixel) {
+  switch (filter) {
+    case 0:
+      return;
+    case 1:
+      for (let i = bytesPerPixel; i < line.length; i++) {
+        line[i] = (line[i] + line[i - bytesPerPixel]) & 0xff;
+      }
+      return;
+    case 2:
+      for (let i = 0; i < line.length; i++) {
+        line[i] = (line[i] + previous[i]) & 0xff;
+      }
+      return;
+    case 3:
+      for (let i = 0; i < line.length; i++) {
+        const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+        line[i] = (line[i] + ((left + previous[i]) >> 1)) & 0xff;
+      }
+      return;
+    case 4:
+      for (let i = 0; i < line.length; i++) {
+        const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+        const upperLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        line[i] = (line[i] + paeth(left, previous[i], upperLeft)) & 0xff;
+      }
+      return;
+    default:
+      throw createDecodeError(`Unknown PNG filter type ${filter}`);
+  }
+}
+
+function paeth(left, up, upperLeft) {
+  const estimate = left + up - upperLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpperLeft = Math.abs(estimate - upperLeft);
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpperLeft) {
+    return left;
+  }
+  return distanceUp <= distanceUpperLeft ? up : upperLeft;
+}
+
+function readQuantizationTables(segment, tables) {
+  let offset = 0;
+  while (offset < segment.length) {
+    const precision = segment[offset] >> 4;
+    const id = segment[offset] & 0x0f;
+    offset++;
+    const table = new Int32Array(64);
+    for (let k = 0; k < 64; k++) {
+      table[k] = precision ? segment.readUInt16BE(offset + k * 2) : segment[offset + k];
+    }
+    tables[id] = table;
+    offset += precision ? 128 : 64;
+  }
+}
+
+function readHuffmanTables(segment, tables) {
+  let offset = 0;
+  while (offset < segment.length) {
+    const tableClass = segment[offset] >> 4;
+    const id = segment[offset] & 0x0f;
+    const counts = segment.subarray(offset + 1, offset + 17);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const values = segment.subarray(offset + 17, offset + 17 + total);
+    (tableClass === 0 ? tables.dc : tables.ac)[id] = buildHuffmanTable(counts, values);
+    offset += 17 + total;
+  }
+}
+
+// Canonical Huffman decoding tables from ITU T.81 annex F.2.2.3
+function buildHuffmanTable(counts, values) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const minCode = new Int32Array(17);
+  const valuePointer = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    if (count > 0) {
+      valuePointer[length] = k;
+      minCode[length] = code;
+      code += count;
+      k += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, minCode, valuePointer, values: Uint8Array.from(values) };
+}
+
+function readFrame(segment) {
+  if (segment[0] !== 8) {
+    throw createDecodeError(`${segment[0]}-bit JPEG is not supported`, 'UNSUPPORTED_IMAGE_FORMAT');
+  }
+
+  const height = segment.readUInt16BE(1);
+  const width = segment.readUInt16BE(3);
+  const count = segment[5];
+  if (width === 0 || height === 0) {
+    throw createDecodeError('JPEG has no dimensions');
+  }
+  throwIfTooLarge(width, height);
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const base = 6 + i * 3;
+    components.push({
+      id: segment[base],
+      h: segment[base + 1] >> 4,
+      v: segment[base + 1] & 0x0f,
+      quantizationTable: segment[base + 2]
+    });
+  }
+
+  const maxH = Math.max(...components.map((component) => component.h));
+  const maxV = Math.max(...components.map((component) => component.v));
+  const mcusPerLine = Math.ceil(width / (8 * maxH));
+  const mcusPerColumn = Math.ceil(height / (8 * maxV));
+  for (const component of components) {
+    component.blocksPerLine = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+    component.blocksPerColumn = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+    // Blocks are allocated to whole MCUs so interleaved scans can fill the padding
+    component.planeWidth = mcusPerLine * component.h * 8;
+    component.planeHeight = mcusPerColumn * component.v * 8;
+    component.pixels = null;
+    component.blocks = false;
+  }
+
+  return { width, height, components, maxH, maxV, mcusPerLine, mcusPerColumn };
+}
+
+function decodeJpegScan(buffer, offset, header, frame, quantizationTables, huffmanTables, restartInterval) {
+  const scanComponents = [];
+  for (let i = 0; i < header[0]; i++) {
+    const id = header[1 + i * 2];
+    const tables = header[2 + i * 2];
+    const component = frame.components.find((candidate) => candidate.id === id);
+    if (!component) {
+      throw createDecodeError(`JPEG scan refers to unknown component ${id}`);
+    }
+    const quantization = quantizationTables[component.quantizationTable];
+    const dcTable = huffmanTables.dc[tables >> 4];
+    const acTable = huffmanTables.ac[tables & 0x0f];
+    if (!quantization || !dcTable || !acTable) {
+      throw createDecodeError('JPEG scan uses a missing quantization or Huffman table');
+    }
+    component.pixels ??= new Uint8Array(component.planeWidth * component.planeHeight);
+    component.blocks = true;
+    scanComponents.push({ component, quantization, dcTable, acTable, prediction: 0 });
+  }
+
+  const reader = createBitReader(buffer, offset);
+  const coefficients = new Float64Array(64);
+  const decodeBlock = (entry, blockRow, blockColumn) => {
+    decodeJpegBlock(reader, entry, coefficients);
+    writeIdctBlock(coefficients, entry.component, blockRow, blockColumn);
+  };
+
+  const single = scanComponents.length === 1;
+  const totalMcus = single
+    ? scanComponents[0].component.blocksPerLine * scanComponents[0].component.blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+
+  for (let mcu = 0; mcu < totalMcus; mcu++) {
+    if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      for (const entry of scanComponents) {
+        entry.prediction = 0;
+      }
+    }
+
+    if (single) {
+      const entry = scanComponents[0];
+      const blocksPerLine = entry.component.blocksPerLine;
+      decodeBlock(entry, Math.floor(mcu / blocksPerLine), mcu % blocksPerLine);
+      continue;
+    }
+
+    const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+    const mcuColumn = mcu % frame.mcusPerLine;
+    for (const entry of scanComponents) {
+      const { h, v } = entry.component;
+      for (let y = 0; y < v; y++) {
+        for (let x = 0; x < h; x++) {
+          decodeBlock(entry, mcuRow * v + y, mcuColumn * h + x);
+        }
+      }
+    }
+  }
+
+  return reader.end();
+}
+
+function decodeJpegBlock(reader, entry, coefficients) {
+  coefficients.fill(0);
+  const { quantization } = entry;
+
+  const dcSize = reader.decode(entry.dcTable);
+  entry.prediction += dcSize === 0 ? 0 : extend(reader.receive(dcSize), dcSize);
+  coefficients[0] = entry.prediction * quantization[0];
+
+  for (let k = 1; k < 64;) {
+    const symbol = reader.decode(entry.acTable);
+    const run = symbol >> 4;
+    const size = symbol & 0x0f;
+    if (size === 0) {
+      if (run !== 15) {
+        break;
+      }
+      k += 16;
+      continue;
+    }
+    k += run;
+    if (k > 63) {
+      break;
+    }
+    coefficients[JPEG_ZIGZAG[k]] = extend(reader.receive(size), size) * quantization[k];
+    k++;
+  }
+}
+
+function extend(value, size) {
+  return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+}
+
+function writeIdctBlock(coefficients, component, blockRow, blockColumn) {
+  const rows = new Float64Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) {
+        sum += IDCT_COS[x * 8 + u] * coefficients[y * 8 + u];
+      }
+      rows[y * 8 + x] = sum;
+    }
+  }
+
+  const { pixels, planeWidth } = component;
+  const baseX = blockColumn * 8;
+  const baseY = blockRow * 8;
+  if (baseX >= planeWidth || (baseY + 8) * planeWidth > pixels.length) {
+    return;
+  }
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) {
+        sum += IDCT_COS[y * 8 + v] * rows[v * 8 + x];
+      }
+      pixels[(baseY + y) * planeWidth + baseX + x] = clampByte(Math.round(sum + 128));
+    }
+  }
+}
+
+function createBitReader(buffer, start) {
+  let offset = start;
+  let bits = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      let byte = 0;
+      // A marker ends the entropy-coded data; pad with zero bits past it
+      if (offset < buffer.length && !(buffer[offset] === 0xff && buffer[offset + 1] !== 0x00)) {
+        byte = buffer[offset];
+        offset += byte === 0xff ? 2 : 1;
+      }
+      bits = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bits >> bitCount) & 1;
+  };
+
+  return {
+    decode(table) {
+      let code = readBit();
+      let length = 1;
+      while (code > table.maxCode[length]) {
+        code = (code << 1) | readBit();
+        length++;
+      }
+      if (length > 16) {
+        throw createDecodeError('JPEG Huffman data is corrupt');
+      }
+      return table.values[table.valuePointer[length] + code - table.minCode[length]];
+    },
+    receive(size) {
+      let value = 0;
+      for (let i = 0; i < size; i++) {
+        value = (value << 1) | readBit();
+      }
+      return value;
+    },
+    restart() {
+      bitCount = 0;
+      while (offset < buffer.length - 1 && !(buffer[offset] === 0xff && buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7)) {
+        offset++;
+      }
+      offset += 2;
+    },
+    end() {
+      while (offset < buffer.length - 1 && !(buffer[offset] === 0xff && buffer[offset + 1] !== 0x00 && !(buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7))) {
+        offset++;
+      }
+      return offset;
+    }
+  };
+}
+
+function convertJpegColors(frame, adobeTransform) {
+  const { width, height, components, maxH, maxV } = frame;
+  const data = new Uint8Array(width * height * 4);
+  // Nearest-neighbour upsampling of subsampled chroma is enough for analysis
+  const sampleAt = (component, x, y) => component.pixels[
+    Math.floor((y * component.v) / maxV) * component.planeWidth + Math.floor((x * component.h) / maxH)
+  ];
+  const isRgb = components.length === 3 && (adobeTransform === 0
+    || (components[0].id === 0x52 && components[1].id === 0x47 && components[2].id === 0x42));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const first = sampleAt(components[0], x, y);
+      let r = first;
+      let g = first;
+      let b = first;
+
+      if (components.length >= 3) {
+        const second = sampleAt(components[1], x, y);
+        const third = sampleAt(components[2], x, y);
+        if (isRgb) {
+          r = first;
+          g = second;
+          b = third;
+        } else if (components.length === 4 && adobeTransform !== 2) {
+          // Adobe CMYK is stored inverted
+          const k = sampleAt(components[3], x, y);
+          r = (first * k) / 255;
+          g = (second * k) / 255;
+          b = (third * k) / 255;
+        } else {
+          r = first + 1.402 * (third - 128);
+          g = first - 0.344136 * (second - 128) - 0.714136 * (third - 128);
+          b = first + 1.772 * (second - 128);
+          if (components.length === 4) {
+            // YCCK converts to Adobe's inverted CMY, which K scales like CMYK
+            const k = sampleAt(components[3], x, y);
+            r = (clampByte(r) * k) / 255;
+            g = (clampByte(g) * k) / 255;
+            b = (clampByte(b) * k) / 255;
+          }
+        }
+      }
+
+      data[o] = clampByte(Math.round(r));
+      data[o + 1] = clampByte(Math.round(g));
+      data[o + 2] = clampByte(Math.round(b));
+      data[o + 3] = 255;
+    }
+  }
+  return data;
+}
+
+function clampByte(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+function throwIfTooLarge(width, height) {
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw createDecodeError(`Image is ${width}x${height}; at most ${MAX_IMAGE_PIXELS} pixels are decoded`, 'IMAGE_TOO_LARGE');
+  }
+}
+
+function createDecodeError(message, code = 'IMAGE_DECODE_FAILED') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
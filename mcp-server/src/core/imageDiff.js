@@ -0,0 +1,269 @@
+// Largest possible YIQ color delta, between black and white
+const MAX_YIQ_DELTA = 35215;
+
+const DIFF_COLOR = [255, 0, 0];
+const ANTI_ALIASED_COLOR = [255, 255, 0];
+
+/**
+ * Compares two same-sized RGBA images pixel by pixel in YIQ space, the
+ * perceptual metric pixelmatch uses. Pixels that only differ by
+ * anti-aliasing can be ignored, and the result includes a diff image:
+ * changed pixels red, anti-aliased ones yellow, the rest a faded baseline.
+ * @param {{width: number, height: number, data: Uint8Array}} baseline
+ * @param {{width: number, height: number, data: Uint8Array}} capture
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Per-pixel tolerance from 0 (exact) to 1 (default: 0.1)
+ * @param {boolean} [options.antiAliasing] - Ignore anti-aliased pixels (default: true)
+ * @param {number} [options.maxRegions] - Changed regions to return, largest first (default: 20)
+ * @returns {object} Mismatch counts, changed regions and the diff image
+ */
+export function compareImages(baseline, capture, { threshold = 0.1, antiAliasing = true, maxRegions = 20 } = {}) {
+  const { width, height } = baseline;
+  if (capture.width !== width || capture.height !== height) {
+    const error = new Error(`Image sizes differ: ${width}x${height} and ${capture.width}x${capture.height}`);
+    error.code = 'IMAGE_SIZE_MISMATCH';
+    throw error;
+  }
+
+  const a = baseline.data;
+  const b = capture.data;
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const diff = new Uint8Array(width * height * 4);
+  const mask = new Uint8Array(width * height);
+  let mismatchedPixels = 0;
+  let antiAliasedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const o = index * 4;
+      const delta = colorDelta(a, b, o, o, false);
+
+      if (Math.abs(delta) > maxDelta) {
+        if (antiAliasing && (isAntiAliased(a, x, y, width, height, b) || isAntiAliased(b, x, y, width, height, a))) {
+          antiAliasedPixels++;
+          diff.set(ANTI_ALIASED_COLOR, o);
+        } else {
+          mismatchedPixels++;
+          mask[index] = 1;
+          diff.set(DIFF_COLOR, o);
+        }
+      } else {
+        const faded = 255 + ((luma(a, o) - 255) * 0.1 * a[o + 3]) / 255;
+        diff[o] = diff[o + 1] = diff[o + 2] = Math.round(faded);
+      }
+      diff[o + 3] = 255;
+    }
+  }
+
+  const { regions, regionCount } = findChangedRegions(mask, width, height, { maxRegions });
+  return {
+    width,
+    height,
+    mismatchedPixels,
+    antiAliasedPixels,
+    mismatchPercentage: Math.round((mismatchedPixels * 100 * 1000) / (width * height)) / 1000,
+    regions,
+    regionCount,
+    diff: { width, height, data: diff }
+  };
+}
+
+/**
+ * Groups changed pixels into bounding boxes. The mask is bucketed into cells
+ * and touching cells are merged, so nearby changes form one region.
+ * @param {Uint8Array} mask - 1 for each changed pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {object} [options]
+ * @param {number} [options.cellSize] - Changes this close together are merged (default: 8)
+ * @param {number} [options.maxRegions] - Regions to return, largest first (default: 20)
+ * @returns {{regions: object[], regionCount: number}}
+ */
+export function findChangedRegions(mask, width, height, { cellSize = 8, maxRegions = 20 } = {}) {
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cellCount = columns * rows;
+  const pixels = new Int32Array(cellCount);
+  const minX = new Int32Array(cellCount).fill(width);
+  const minY = new Int32Array(cellCount).fill(height);
+  const maxX = new Int32Array(cellCount).fill(-1);
+  const maxY = new Int32Array(cellCount).fill(-1);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!mask[y * width + x]) {
+        continue;
+      }
+      const cell = Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+      pixels[cell]++;
+      minX[cell] = Math.min(minX[cell], x);
+      minY[cell] = Math.min(minY[cell], y);
+      maxX[cell] = Math.max(maxX[cell], x);
+      maxY[cell] = Math.max(maxY[cell], y);
+    }
+  }
+
+  const visited = new Uint8Array(cellCount);
+  const regions = [];
+  for (let start = 0; start < cellCount; start++) {
+    if (visited[start] || pixels[start] === 0) {
+      continue;
+    }
+
+    const region = { left: width, top: height, right: -1, bottom: -1, pixels: 0 };
+    const stack = [start];
+    visited[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      region.left = Math.min(region.left, minX[cell]);
+      region.top = Math.min(region.top, minY[cell]);
+      region.right = Math.max(region.right, maxX[cell]);
+      region.bottom = Math.max(region.bottom, maxY[cell]);
+      region.pixels += pixels[cell];
+
+      const column = cell % columns;
+      const row = Math.floor(cell / columns);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbourColumn = column + dx;
+          const neighbourRow = row + dy;
+          if (neighbourColumn < 0 || neighbourRow < 0 || neighbourColumn >= columns || neighbourRow >= rows) {
+            continue;
+          }
+          const neighbour = neighbourRow * columns + neighbourColumn;
+          if (!visited[neighbour] && pixels[neighbour] > 0) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: region.left,
+      y: region.top,
+      width: region.right - region.left + 1,
+      height: region.bottom - region.top + 1,
+      pixels: region.pixels
+    });
+  }
+
+  regions.sort((first, second) => second.pixels - first.pixels || first.y - second.y || first.x - second.x);
+  return { regions: regions.slice(0, maxRegions), regionCount: regions.length };
+}
+
+// A pixel is anti-aliased when its neighbours include both a darker and a brighter
+// pixel that sit inside flat areas of both images (Vysniauskas, 2009)
+function isAntiAliased(image, x1, y1, width, height, other) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const position = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+  let min = 0;
+  let max = 0;
+  let minX = 0;
+  let minY = 0;
+  let maxX = 0;
+  let maxY = 0;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) {
+        continue;
+      }
+      const delta = colorDelta(image, image, position, (y * width + x) * 4, true);
+      if (delta === 0) {
+        zeroes++;
+        if (zeroes > 2) {
+          return false;
+        }
+      } else if (delta < min) {
+        min = delta;
+        minX = x;
+        minY = y;
+      } else if (delta > max) {
+        max = delta;
+        maxX = x;
+        maxY = y;
+      }
+    }
+  }
+
+  if (min === 0 || max === 0) {
+    return false;
+  }
+  return (hasManySiblings(image, minX, minY, width, height) && hasManySiblings(other, minX, minY, width, height)) ||
+    (hasManySiblings(image, maxX, maxY, width, height) && hasManySiblings(other, maxX, maxY, width, height));
+}
+
+// More than two identical neighbours means the pixel sits in a flat area
+function hasManySiblings(image, x1, y1, width, height) {
+  const x0 = Math.max(x1 - 1, 0);
+  const y0 = Math.max(y1 - 1, 0);
+  const x2 = Math.min(x1 + 1, width - 1);
+  const y2 = Math.min(y1 + 1, height - 1);
+  const position = (y1 * width + x1) * 4;
+  let zeroes = x1 === x0 || x1 === x2 || y1 === y0 || y1 === y2 ? 1 : 0;
+
+  for (let x = x0; x <= x2; x++) {
+    for (let y = y0; y <= y2; y++) {
+      if (x === x1 && y === y1) {
+        continue;
+      }
+      const other = (y * width + x) * 4;
+      if (image[position] === image[other] &&
+        image[position + 1] === image[other + 1] &&
+        image[position + 2] === image[other + 2] &&
+        image[position + 3] === image[other + 3]) {
+        zeroes++;
+      }
+      if (zeroes > 2) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+// Squared YIQ distance after blending both pixels onto white; negative when the second is brighter
+function colorDelta(first, second, k, m, lumaOnly) {
+  const r1 = blend(first[k], first[k + 3]);
+  const g1 = blend(first[k + 1], first[k + 3]);
+  const b1 = blend(first[k + 2], first[k + 3]);
+  const r2 = blend(second[m], second[m + 3]);
+  const g2 = blend(second[m + 1], second[m + 3]);
+  const b2 = blend(second[m + 2], second[m + 3]);
+
+  const y = rgbToY(r1, g1, b1) - rgbToY(r2, g2, b2);
+  if (lumaOnly) {
+    return y;
+  }
+
+  const i = rgbToI(r1, g1, b1) - rgbToI(r2, g2, b2);
+  const q = rgbToQ(r1, g1, b1) - rgbToQ(r2, g2, b2);
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+  return rgbToY(r1, g1, b1) > rgbToY(r2, g2, b2) ? -delta : delta;
+}
+
+function blend(channel, alpha) {
+  return 255 + ((channel - 255) * alpha) / 255;
+}
+
+function luma(data, o) {
+  return rgbToY(data[o], data[o + 1], data[o + 2]);
+}
+
+function rgbToY(r, g, b) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+function rgbToI(r, g, b) {
+  return r * 0.59597799 - g * 0.2741761 - b * 0.32180189;
+}
+
+function rgbToQ(r, g, b) {
+  return r * 0.21147017 - g * 0.52261711 + b * 0.31114694;
+}
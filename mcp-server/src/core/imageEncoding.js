@@ -0,0 +1,275 @@
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// zlib.crc32 needs Node 20.15, and the server supports Node 18
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * Encodes 8-bit RGBA pixels as a PNG.
+ * @param {{width: number, height: number, data: Uint8Array}} image - Pixels as returned by decodeImage
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Sub filter: flat screenshot areas compress to runs of zeros
+    const row = y * (stride + 1);
+    const source = y * stride;
+    raw[row] = 1;
+    for (let i = 0; i < stride; i++) {
+      raw[row + 1 + i] = (data[source + i] - (i >= 4 ? data[source + i - 4] : 0)) & 0xff;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Encodes RGBA frames of the same size as a looping animated GIF. Each
+ * frame gets its own 256-color palette from median-cut quantization, so
+ * alpha is ignored.
+ * @param {{width: number, height: number, frames: Array<{data: Uint8Array, delayMs: number}>}} animation
+ * @returns {Buffer}
+ */
+export function encodeGif({ width, height, frames }) {
+  const encoder = createGifEncoder({ width, height });
+  for (const frame of frames) {
+    encoder.addFrame(frame);
+  }
+  return encoder.finish();
+}
+
+/**
+ * Encodes an animated GIF one frame at a time, so only the compressed
+ * frames are kept in memory. Same output as encodeGif.
+ * @param {{width: number, height: number}} size - Size of every frame
+ * @returns {{addFrame: (frame: {data: Uint8Array, delayMs: number}) => void, finish: () => Buffer}}
+ */
+export function createGifEncoder({ width, height }) {
+  const parts = [Buffer.from('GIF89a', 'latin1')];
+
+  // Logical screen without a global color table
+  const screen = Buffer.alloc(7);
+  screen.writeUInt16LE(width, 0);
+  screen.writeUInt16LE(height, 2);
+  parts.push(screen);
+
+  // NETSCAPE2.0 extension: loop forever
+  parts.push(Buffer.from([0x21, 0xff, 0x0b]), Buffer.from('NETSCAPE2.0', 'latin1'), Buffer.from([0x03, 0x01, 0x00, 0x00, 0x00]));
+
+  const addFrame = (frame) => {
+    const control = Buffer.from([0x21, 0xf9, 0x04, 0x04, 0, 0, 0, 0]);
+    // Browsers treat delays under 20ms as 100ms
+    control.writeUInt16LE(Math.max(2, Math.round(frame.delayMs / 10)), 4);
+    parts.push(control);
+
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+    descriptor[9] = 0x87;
+    parts.push(descriptor);
+
+    const { palette, indices } = quantize(frame.data, width * height);
+    parts.push(palette, Buffer.from([8]), toSubBlocks(lzwEncode(indices, 8)));
+  };
+
+  const finish = () => {
+    parts.push(Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+  };
+  return { addFrame, finish };
+}
+
+// Median cut over a 15-bit color histogram. Returns a 256-entry RGB palette
+// and one palette index per pixel.
+function quantize(data, pixelCount) {
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (let i = 0, o = 0; i < pixelCount; i++, o += 4) {
+    const key = ((data[o] >> 3) << 10) | ((data[o + 1] >> 3) << 5) | (data[o + 2] >> 3);
+    counts[key]++;
+    sums[key * 3] += data[o];
+    sums[key * 3 + 1] += data[o + 1];
+    sums[key * 3 + 2] += data[o + 2];
+  }
+
+  const cells = [];
+  for (let key = 0; key < 32768; key++) {
+    if (counts[key] > 0) {
+      cells.push(key);
+    }
+  }
+
+  const boxes = [cells];
+  while (boxes.length < 256) {
+    let widest = -1;
+    let widestRange = 0;
+    for (let i = 0; i < boxes.length; i++) {
+      const range = boxes[i].length > 1 ? channelRange(boxes[i]).range : 0;
+      if (range > widestRange) {
+        widestRange = range;
+        widest = i;
+      }
+    }
+    if (widest < 0) {
+      break;
+    }
+
+    const box = boxes[widest];
+    const { shift } = channelRange(box);
+    box.sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+    const half = box.reduce((total, key) => total + counts[key], 0) / 2;
+    let split = 1;
+    for (let seen = counts[box[0]]; split < box.length - 1 && seen + counts[box[split]] <= half; split++) {
+      seen += counts[box[split]];
+    }
+    boxes.splice(widest, 1, box.slice(0, split), box.slice(split));
+  }
+
+  const palette = Buffer.alloc(768);
+  const cellIndex = new Uint8Array(32768);
+  boxes.forEach((box, index) => {
+    let count = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const key of box) {
+      count += counts[key];
+      r += sums[key * 3];
+      g += sums[key * 3 + 1];
+      b += sums[key * 3 + 2];
+      cellIndex[key] = index;
+    }
+    palette[index * 3] = Math.round(r / count);
+    palette[index * 3 + 1] = Math.round(g / count);
+    palette[index * 3 + 2] = Math.round(b / count);
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0, o = 0; i < pixelCount; i++, o += 4) {
+    indices[i] = cellIndex[((data[o] >> 3) << 10) | ((data[o + 1] >> 3) << 5) | (data[o + 2] >> 3)];
+  }
+  return { palette, indices };
+}
+
+// The channel (as a bit shift into the 15-bit key) with the widest spread in a box
+function channelRange(box) {
+  let best = { shift: 10, range: -1 };
+  for (const shift of [10, 5, 0]) {
+    let min = 31;
+    let max = 0;
+    for (const key of box) {
+      const value = (key >> shift) & 31;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+    if (max - min > best.range) {
+      best = { shift, range: max - min };
+    }
+  }
+  return best;
+}
+
+// Variable-length LZW as GIF uses it: codes are written LSB first, the code
+// size grows up to 12 bits, and the table is cleared when it is full
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bufferBits = 0;
+
+  const write = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  write(clearCode);
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const next = indices[i];
+    const key = (current << 8) | next;
+    const code = table.get(key);
+    if (code !== undefined) {
+      current = code;
+      continue;
+    }
+
+    write(current);
+    if (nextCode === 4096) {
+      write(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) {
+        codeSize++;
+      }
+      table.set(key, nextCode++);
+    }
+    current = next;
+  }
+
+  write(current);
+  write(endCode);
+  if (bufferBits > 0) {
+    bytes.push(buffer & 0xff);
+  }
+  return Buffer.from(bytes);
+}
+
+function toSubBlocks(data) {
+  const blocks = [];
+  for (let offset = 0; offset < data.length; offset += 255) {
+    const block = data.subarray(offset, offset + 255);
+    blocks.push(Buffer.from([block.length]), block);
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
+}
@@ -0,0 +1,174 @@
+/**
+ * Shrinks an RGBA image so its longer side is at most `maxDimension`,
+ * averaging every source pixel a destination pixel covers. Images that
+ * already fit are returned unchanged.
+ * @param {{width: number, height: number, data: Uint8Array}} image - From decodeImage
+ * @param {number} maxDimension - Longest side of the result
+ * @returns {{width: number, height: number, data: Uint8Array, scaled: boolean}}
+ */
+export function downscaleImage(image, maxDimension) {
+  const { width, height } = image;
+  const { width: targetWidth, height: targetHeight } = fitDimensions(width, height, maxDimension);
+  if (targetWidth === width && targetHeight === height) {
+    return { width, height, data: image.data, scaled: false };
+  }
+
+  const premultiplied = premultiply(image.data);
+  const columns = resampleAxis(premultiplied, width, height, targetWidth, true);
+  const resized = resampleAxis(columns, targetWidth, height, targetHeight, false);
+  return { width: targetWidth, height: targetHeight, data: unpremultiply(resized), scaled: true };
+}
+
+/**
+ * The size downscaleImage gives an image, without touching its pixels.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} maxDimension - Longest side of the result
+ * @returns {{width: number, height: number}}
+ */
+export function fitDimensions(width, height, maxDimension) {
+  const scale = maxDimension / Math.max(width, height);
+  if (scale >= 1) {
+    return { width, height };
+  }
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+// Color is weighted by alpha so transparent pixels do not darken the edges they border
+function premultiply(data) {
+  const result = new Float32Array(data.length);
+  for (let o = 0; o < data.length; o += 4) {
+    const alpha = data[o + 3] / 255;
+    result[o] = data[o] * alpha;
+    result[o + 1] = data[o + 1] * alpha;
+    result[o + 2] = data[o + 2] * alpha;
+    result[o + 3] = data[o + 3];
+  }
+  return result;
+}
+
+function unpremultiply(data) {
+  const result = new Uint8Array(data.length);
+  for (let o = 0; o < data.length; o += 4) {
+    const alpha = data[o + 3];
+    const factor = alpha > 0 ? 255 / alpha : 0;
+    result[o] = Math.min(255, Math.round(data[o] * factor));
+    result[o + 1] = Math.min(255, Math.round(data[o + 1] * factor));
+    result[o + 2] = Math.min(255, Math.round(data[o + 2] * factor));
+    result[o + 3] = Math.round(alpha);
+  }
+  return result;
+}
+
+// Box-filters one axis: each target pixel averages the source span it covers,
+// with partial weight for source pixels cut by the span's ends
+function resampleAxis(source, width, height, targetSize, horizontal) {
+  const sourceSize = horizontal ? width : height;
+  const targetWidth = horizontal ? targetSize : width;
+  const targetHeight = horizontal ? height : targetSize;
+  const result = new Float32Array(targetWidth * targetHeight * 4);
+  const ratio = sourceSize / targetSize;
+  const lines = horizontal ? height : width;
+
+  for (let target = 0; target < targetSize; target++) {
+    const start = target * ratio;
+    const end = start + ratio;
+    for (let line = 0; line < lines; line++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      let total = 0;
+      for (let position = Math.floor(start); position < end && position < sourceSize; position++) {
+        const weight = Math.min(position + 1, end) - Math.max(position, start);
+        const o = (horizontal ? line * width + position : position * width + line) * 4;
+        r += source[o] * weight;
+        g += source[o + 1] * weight;
+        b += source[o + 2] * weight;
+        a += source[o + 3] * weight;
+        total += weight;
+      }
+      const o = (horizontal ? line * targetWidth + target : target * targetWidth + line) * 4;
+      result[o] = r / total;
+      result[o + 1] = g / total;
+      result[o + 2] = b / total;
+      result[o + 3] = a / total;
+    }
+  }
+  return result;
+}
+
+/**
+ * Lays frames out left to right, top to bottom on one image. Every cell is
+ * as large as the largest frame, and smaller frames sit in its top-left corner.
+ * @param {Array<{width: number, height: number, data: Uint8Array}>} images
+ * @param {object} [options]
+ * @param {number} [options.columns] - Frames per row (default: a near-square grid)
+ * @param {number} [options.spacing] - Pixels between and around cells (default: 4)
+ * @param {number[]} [options.background] - RGBA fill (default: dark gray)
+ * @returns {{image: {width: number, height: number, data: Uint8Array}, cells: Array<{x: number, y: number, width: number, height: number}>}}
+ */
+export function composeContactSheet(images, { columns, spacing = 4, background = [24, 24, 24, 255] } = {}) {
+  const layout = layoutContactSheet(images, { columns, spacing });
+  const sheet = createImage(layout.width, layout.height, background);
+  images.forEach((image, index) => drawImage(sheet, image, layout.cells[index].x, layout.cells[index].y));
+  return { image: sheet, cells: layout.cells };
+}
+
+/**
+ * Where composeContactSheet puts each frame, from the frame sizes alone, so
+ * frames can be drawn onto the sheet one at a time.
+ * @param {Array<{width: number, height: number}>} sizes
+ * @param {object} [options]
+ * @param {number} [options.columns] - Frames per row (default: a near-square grid)
+ * @param {number} [options.spacing] - Pixels between and around cells (default: 4)
+ * @returns {{width: number, height: number, cells: Array<{x: number, y: number, width: number, height: number}>}}
+ */
+export function layoutContactSheet(sizes, { columns, spacing = 4 } = {}) {
+  const columnCount = Math.min(sizes.length, columns || Math.ceil(Math.sqrt(sizes.length)));
+  const rowCount = Math.ceil(sizes.length / columnCount);
+  const cellWidth = Math.max(...sizes.map((size) => size.width));
+  const cellHeight = Math.max(...sizes.map((size) => size.height));
+
+  const cells = sizes.map((size, index) => ({
+    x: spacing + (index % columnCount) * (cellWidth + spacing),
+    y: spacing + Math.floor(index / columnCount) * (cellHeight + spacing),
+    width: size.width,
+    height: size.height
+  }));
+  return {
+    width: columnCount * (cellWidth + spacing) + spacing,
+    height: rowCount * (cellHeight + spacing) + spacing,
+    cells
+  };
+}
+
+/**
+ * An image filled with one color.
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} rgba
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ */
+export function createImage(width, height, rgba) {
+  const data = new Uint8Array(width * height * 4);
+  for (let o = 0; o < data.length; o += 4) {
+    data.set(rgba, o);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Copies an image onto another at (x, y), clipped to the target.
+ * @param {{width: number, height: number, data: Uint8Array}} target
+ * @param {{width: number, height: number, data: Uint8Array}} image
+ * @param {number} x
+ * @param {number} y
+ */
+export function drawImage(target, image, x, y) {
+  const width = Math.min(image.width, target.width - x);
+  for (let row = 0; row < image.height && y + row < target.height; row++) {
+    const source = row * image.width * 4;
+    target.data.set(image.data.subarray(source, source + width * 4), ((y + row) * target.width + x) * 4);
+  }
+}
@@ -0,0 +1,226 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { config, logger } from './config.js';
+import { resolveProjectConfigPath, resolveProjectRoot } from './projectRoot.js';
+
+const PROMPT_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/**
+ * Workflow prompts shipped with the server. Each renders one user message that
+ * walks the model through existing tools; null lines are dropped.
+ */
+export const BUILTIN_PROMPTS = [
+  {
+    name: 'scaffold_monobehaviour',
+    description: 'Create a MonoBehaviour script, wait for it to compile, and attach it to a GameObject',
+    arguments: [
+      { name: 'className', description: 'Name of the MonoBehaviour class (e.g. PlayerController)', required: true },
+      { name: 'gameObjectPath', description: 'GameObject to attach the component to (e.g. /Player)', required: true },
+      { name: 'behaviour', description: 'What the component should do', required: false },
+      { name: 'path', description: 'Directory for the script (default: Assets/Scripts/)', required: false },
+      { name: 'namespace', description: 'Namespace for the class', required: false }
+    ],
+    render: (args) => [
+      `Scaffold a MonoBehaviour named ${args.className} and attach it to ${args.gameObjectPath}.`,
+      args.behaviour ? `The component should: ${args.behaviour}` : null,
+      '',
+      'Steps:',
+      `1. Call \`create_script\` with scriptName "${args.className}", scriptType "MonoBehaviour", path "${args.path || 'Assets/Scripts/'}"${args.namespace ? ` and namespace "${args.namespace}"` : ''}.`,
+      args.behaviour ? '   Then implement the behaviour with `update_script`.' : null,
+      '2. Call `wait_for_compilation`. If it reports errors, fix them with `update_script` and wait again before continuing.',
+      `3. Call \`add_component\` with gameObjectPath "${args.gameObjectPath}" and componentType "${args.namespace ? `${args.namespace}.` : ''}${args.className}". Create the GameObject with \`create_gameobject\` first if it does not exist.`,
+      '4. Call `read_logs` and report any new errors or warnings.'
+    ]
+  },
+  {
+    name: 'diagnose_compile_errors',
+    description: 'Read the current compilation errors, explain their causes, and propose fixes',
+    arguments: [
+      { name: 'scriptPath', description: 'Limit the diagnosis to one script (e.g. Assets/Scripts/Player.cs)', required: false },
+      { name: 'applyFixes', description: '"true" to apply the fixes and recompile', required: false }
+    ],
+    render: (args) => [
+      `Diagnose the C# compilation errors in this Unity project${args.scriptPath ? `, focusing on ${args.scriptPath}` : ''}.`,
+      '',
+      'Steps:',
+      '1. Call `get_compilation_state` with includeMessages true. If it is still compiling, call `wait_for_compilation` first.',
+      '2. Group the errors by file and by root cause; errors that cascade from one mistake count once.',
+      '3. For each root cause, call `read_script` on the file and explain the error with the offending lines.',
+      args.applyFixes === 'true'
+        ? '4. Fix each root cause with `update_script`, then call `wait_for_compilation` and repeat until no errors remain.'
+        : '4. Propose a concrete fix for each root cause without editing files.',
+      '5. Summarize what was wrong and what remains.'
+    ]
+  },
+  {
+    name: 'smoke_test_scene',
+    description: 'Load a scene, enter Play Mode, and check the console for errors',
+    arguments: [
+      { name: 'scenePath', description: 'Scene to test (e.g. Assets/Scenes/Main.unity)', required: true },
+      { name: 'durationSeconds', description: 'How long to let the scene run before checking logs (default: 5)', required: false }
+    ],
+    render: (args) => [
+      `Smoke-test the scene ${args.scenePath}.`,
+      '',
+      'Steps:',
+      '1. Call `get_compilation_state`; stop and report if there are compilation errors.',
+      `2. Call \`load_scene\` with scenePath "${args.scenePath}" and loadMode "Single".`,
+      '3. Call `clear_console`, then `play_game`.',
+      `4. Let the scene run for about ${args.durationSeconds || '5'} seconds, checking \`get_editor_state\` to confirm it is still playing.`,
+      '5. Call `enhanced_read_logs` with logTypes ["Error", "Exception", "Warning"] and includeStackTrace true.',
+      '6. Call `stop_game`.',
+      '7. Report PASS if no errors or exceptions were logged, otherwise FAIL with each distinct error and its likely source.'
+    ]
+  }
+];
+
+/**
+ * Serves the built-in workflow prompts plus JSON prompt files from a
+ * project-local directory. Project prompts are re-read on every request, so
+ * edits show up without restarting the server, and override built-ins with
+ * the same name.
+ */
+export class PromptLibrary {
+  /**
+   * @param {object} [options]
+   * @param {() => string|null} [options.getDirectory] - Resolves the project prompts directory
+   */
+  constructor({ getDirectory = () => null } = {}) {
+    this.getDirectory = getDirectory;
+  }
+
+  async listPrompts() {
+    const prompts = await this.loadPrompts();
+    return {
+      prompts: [...prompts.values()].map(({ name, description, arguments: args }) => ({
+        name,
+        description,
+        arguments: args
+      }))
+    };
+  }
+
+  /**
+   * Renders one prompt with its arguments.
+   * @param {string} name - Prompt name
+   * @param {Record<string, string>} [args] - Prompt arguments
+   * @returns {Promise<{ description: string, messages: object[] }>}
+   */
+  async getPrompt(name, args = {}) {
+    const prompts = await this.loadPrompts();
+    const prompt = prompts.get(name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments
+      .filter((argument) => argument.required && !args[argument.name])
+      .map((argument) => argument.name);
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for prompt ${name}: ${missing.join(', ')}`);
+    }
+
+    const text = prompt.render(args)
+      .filter((line) => line !== null)
+      .join('\n')
+      .trim();
+
+    return {
+      description: prompt.description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
+    };
+  }
+
+  async loadPrompts() {
+    const prompts = new Map(BUILTIN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+    for (const prompt of await this.loadProjectPrompts()) {
+      prompts.set(prompt.name, prompt);
+    }
+    return prompts;
+  }
+
+  async loadProjectPrompts() {
+    const directory = this.getDirectory();
+    if (!directory) {
+      return [];
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`[Prompts] Could not read prompts directory ${directory}: ${error.message}`);
+      }
+      return [];
+    }
+
+    const prompts = [];
+    for (const entry of entries.filter((file) => file.endsWith('.json')).sort()) {
+      const filePath = path.join(directory, entry);
+      try {
+        const definition = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        prompts.push(parsePromptDefinition(definition, path.basename(entry, '.json')));
+      } catch (error) {
+        logger.warn(`[Prompts] Skipping ${filePath}: ${error.message}`);
+      }
+    }
+    return prompts;
+  }
+}
+
+/**
+ * Creates the prompt library for a server. Project prompts are read from
+ * `UNITY_MCP_PROMPTS_DIR`, or `.unity-mcp/prompts` in the Unity project.
+ * @param {object} unityConnection - Unity connection used to locate the project
+ * @param {object} [customConfig] - Server configuration
+ * @returns {PromptLibrary}
+ */
+export function createPromptLibrary(unityConnection, customConfig = config) {
+  return new PromptLibrary({
+    getDirectory: () => customConfig.prompts?.directory ||
+      resolveProjectConfigPath(resolveProjectRoot(unityConnection, customConfig), 'prompts')
+  });
+}
+
+/**
+ * Validates a project prompt file and turns its template into a renderer.
+ * `template` is a string or an array of lines; `{{argument}}` placeholders are
+ * replaced with argument values (empty when an optional argument is omitted).
+ * @param {object} definition - Parsed prompt file
+ * @param {string} fallbackName - Name used when the file does not set one
+ * @returns {object} Prompt definition
+ */
+export function parsePromptDefinition(definition, fallbackName) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('prompt file must contain a JSON object');
+  }
+
+  const name = definition.name ?? fallbackName;
+  if (typeof name !== 'string' || !PROMPT_NAME_PATTERN.test(name)) {
+    throw new Error(`invalid prompt name: ${name}`);
+  }
+
+  const template = Array.isArray(definition.template) ? definition.template.join('\n') : definition.template;
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new Error('template must be a non-empty string or array of strings');
+  }
+
+  const args = definition.arguments ?? [];
+  if (!Array.isArray(args) || args.some((argument) => typeof argument?.name !== 'string')) {
+    throw new Error('arguments must be an array of { name, description, required }');
+  }
+
+  return {
+    name,
+    description: typeof definition.description === 'string' ? definition.description : '',
+    arguments: args.map((argument) => ({
+      name: argument.name,
+      description: argument.description ?? '',
+      required: argument.required === true
+    })),
+    render: (values) => [template.replace(PLACEHOLDER_PATTERN, (match, key) => values[key] ?? '')]
+  };
+}
@@ -1,13 +1,27 @@
 import {
   CallToolRequestSchema,
+  CreateMessageResultSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
-  McpError
+  McpError,
+  ReadResourceRequestSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
 import { toMcpToolResult } from './mcpResultAdapter.js';
+import { EditorEventSubscription } from './editorEvents.js';
 
 export function registerMcpHandlers(server, handlers, options = {}) {
   const logger = options.logger;
+  const undoJournal = options.undoJournal;
+  const editorEventSubscription = options.editorEvents
+    ? registerEditorEventNotifications(server, options.editorEvents, { logger })
+    : undefined;
 
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
@@ -26,7 +40,20 @@ export function registerMcpHandlers(server, handlers, options = {}) {
     const startTime = Date.now();
     logger?.info?.(`[MCP] Tool call started: ${name}`, { args });
 
-    const result = await handler.handle(args ?? {}, createToolContext(extra));
+    const context = createToolContext(extra, {
+      editorEvents: editorEventSubscription,
+      policy: options.policy,
+      sampling: Boolean(server.getClientCapabilities?.()?.sampling)
+    });
+    const run = () => handler.handle(args ?? {}, context);
+    let result;
+    if (!undoJournal || args?.dryRun === true || handler.annotations?.readOnlyHint) {
+      result = await run();
+    } else if (undoJournal.shouldTrack(name)) {
+      result = await undoJournal.track(name, run, { sessionId: extra.sessionId });
+    } else {
+      result = await undoJournal.runShared(run);
+    }
     logger?.info?.(`[MCP] Tool call completed: ${name}`, {
       status: result.status,
       durationMs: Date.now() - startTime
@@ -34,11 +61,113 @@ export function registerMcpHandlers(server, handlers, options = {}) {
 
     return toMcpToolResult(result, name);
   });
+
+  if (options.resources) {
+    registerResourceHandlers(server, options.resources, { logger });
+  }
+
+  if (options.prompts) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => options.prompts.listPrompts());
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      return options.prompts.getPrompt(request.params.name, request.params.arguments ?? {});
+    });
+  }
+}
+
+/**
+ * Registers resources/* handlers backed by a shared UnityResourceProvider.
+ * Subscriptions are per server (one per MCP session); the provider's
+ * 'updated' events become notifications/resources/updated for subscribed URIs.
+ */
+function registerResourceHandlers(server, resources, { logger } = {}) {
+  const subscriptions = new Set();
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => resources.listResources());
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => resources.listResourceTemplates());
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => resources.readResource(request.params.uri));
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    await resources.watch(request.params.uri);
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  const onUpdated = (uri) => {
+    if (!subscriptions.has(uri)) {
+      return;
+    }
+    server.sendResourceUpdated({ uri }).catch((error) => {
+      logger?.debug?.(`[MCP] Failed to send resource update for ${uri}: ${error.message}`);
+    });
+  };
+  resources.on('updated', onUpdated);
+
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    resources.off('updated', onUpdated);
+    previousOnClose?.();
+  };
+}
+
+/**
+ * Forwards editor events from the shared EditorEventHub to this session as
+ * notifications/message, filtered by the session's subscription. The session
+ * level is set through logging/setLevel or the subscribe_editor_events tool.
+ */
+function registerEditorEventNotifications(server, editorEvents, { logger } = {}) {
+  const subscription = new EditorEventSubscription();
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    subscription.update({ level: request.params.level });
+    return {};
+  });
+
+  const detach = editorEvents.attach((notification) => {
+    if (!subscription.accepts(notification)) {
+      return;
+    }
+    server.sendLoggingMessage({
+      level: notification.level,
+      logger: 'unity',
+      data: { event: notification.event, ...notification.data }
+    }).catch((error) => {
+      logger?.debug?.(`[MCP] Failed to send ${notification.event} notification: ${error.message}`);
+    });
+  });
+
+  const previousOnClose = server.onclose;
+  server.onclose = () => {
+    detach();
+    previousOnClose?.();
+  };
+
+  return subscription;
 }
 
-export function createToolContext(extra = {}) {
+/**
+ * Builds the context handlers receive. `createMessage(params)` asks the
+ * client's model through sampling/createMessage; it is only set when the
+ * client declared the sampling capability (`services.sampling`).
+ */
+export function createToolContext(extra = {}, services = {}) {
+  const { sampling, ...rest } = services;
+  const canSample = sampling === true && typeof extra.sendRequest === 'function';
   return {
+    ...rest,
+    sessionId: extra.sessionId,
     signal: extra.signal,
+    createMessage: canSample
+      ? (params, requestOptions = {}) => extra.sendRequest(
+        { method: 'sampling/createMessage', params },
+        CreateMessageResultSchema,
+        { signal: extra.signal, ...requestOptions }
+      )
+      : undefined,
     requestMeta: extra._meta,
     sendProgress: async ({ progress, total, message }) => {
       const progressToken = extra._meta?.progressToken;
@@ -0,0 +1,238 @@
+import { EventEmitter } from 'events';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from './config.js';
+
+export const HIERARCHY_URI = 'unity://scene/active/hierarchy';
+export const CONSOLE_URI = 'unity://console/latest';
+export const PROJECT_SETTINGS_URI = 'unity://project/settings';
+export const EDITOR_STATE_URI = 'unity://editor/state';
+export const COMPILATION_URI = 'unity://editor/compilation';
+export const SCRIPT_URI_PREFIX = 'unity://script/';
+
+const JSON_MIME_TYPE = 'application/json';
+const CSHARP_MIME_TYPE = 'text/x-csharp';
+const CONSOLE_LOG_COUNT = 100;
+
+const STATIC_RESOURCES = [
+  {
+    uri: HIERARCHY_URI,
+    name: 'Active scene hierarchy',
+    description: 'GameObject hierarchy of the active Unity scene, including inactive objects',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uri: CONSOLE_URI,
+    name: 'Latest console logs',
+    description: `The most recent ${CONSOLE_LOG_COUNT} Unity console entries`,
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uri: PROJECT_SETTINGS_URI,
+    name: 'Project settings',
+    description: 'Player, build, editor and quality settings, tags and layers',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uri: EDITOR_STATE_URI,
+    name: 'Editor state',
+    description: 'Play mode, pause and compilation flags of the Unity Editor',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uri: COMPILATION_URI,
+    name: 'Compilation state',
+    description: 'Whether scripts are compiling, with the latest compiler errors and warnings',
+    mimeType: JSON_MIME_TYPE
+  }
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${SCRIPT_URI_PREFIX}{path}`,
+    name: 'C# script',
+    description: 'Source of a C# script by project-relative path, e.g. unity://script/Assets/Scripts/Player.cs',
+    mimeType: CSHARP_MIME_TYPE
+  }
+];
+
+/**
+ * Serves Unity editor state as MCP resources and turns editor events pushed
+ * by Unity into per-URI 'updated' events. One provider is shared by every MCP
+ * session on a Unity connection; sessions track their own subscriptions.
+ */
+export class UnityResourceProvider extends EventEmitter {
+  constructor(unityConnection) {
+    super();
+    this.unityConnection = unityConnection;
+    this.watching = false;
+
+    this.unityConnection.on?.('unityEvent', (event) => {
+      for (const uri of getUpdatedResourceUris(event)) {
+        this.emit('updated', uri);
+      }
+    });
+
+    // Unity forgets event subscribers on reconnect (e.g. after a domain reload).
+    this.unityConnection.on?.('connected', () => {
+      if (this.watching) {
+        this.registerForEvents().catch((error) => {
+          logger.debug(`[Resources] Could not re-register for Unity events: ${error.message}`);
+        });
+      }
+    });
+  }
+
+  listResources() {
+    return { resources: STATIC_RESOURCES.map((resource) => ({ ...resource })) };
+  }
+
+  listResourceTemplates() {
+    return { resourceTemplates: RESOURCE_TEMPLATES.map((template) => ({ ...template })) };
+  }
+
+  /**
+   * Reads one resource from Unity.
+   * @param {string} uri - Resource URI
+   * @returns {Promise<{ contents: object[] }>}
+   */
+  async readResource(uri) {
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    if (uri === HIERARCHY_URI) {
+      const hierarchy = await this.sendCommand('get_hierarchy', {
+        includeInactive: true,
+        maxDepth: -1,
+        includeComponents: false
+      });
+      return createJsonContents(uri, hierarchy);
+    }
+
+    if (uri === CONSOLE_URI) {
+      return createJsonContents(uri, await this.sendCommand('read_logs', { count: CONSOLE_LOG_COUNT }));
+    }
+
+    if (uri === PROJECT_SETTINGS_URI) {
+      return createJsonContents(uri, await this.sendCommand('get_project_settings', {}));
+    }
+
+    if (uri === EDITOR_STATE_URI) {
+      return createJsonContents(uri, await this.sendCommand('get_editor_state', {}));
+    }
+
+    if (uri === COMPILATION_URI) {
+      return createJsonContents(uri, await this.sendCommand('get_compilation_state', { includeMessages: true }));
+    }
+
+    const scriptPath = parseScriptUri(uri);
+    if (scriptPath) {
+      const response = await this.sendCommand('read_script', { scriptPath, includeMetadata: false });
+      const data = response.data || response;
+      return {
+        contents: [{ uri, mimeType: CSHARP_MIME_TYPE, text: data.scriptContent ?? '' }]
+      };
+    }
+
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
+
+  /**
+   * Validates a subscription target and makes sure Unity pushes editor events
+   * to this connection.
+   * @param {string} uri - Resource URI
+   */
+  async watch(uri) {
+    if (!isKnownResourceUri(uri)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+
+    this.watching = true;
+    try {
+      await this.registerForEvents();
+    } catch (error) {
+      // Subscriptions stay valid; registration is retried when Unity connects.
+      logger.debug(`[Resources] Unity not reachable for event registration: ${error.message}`);
+    }
+  }
+
+  // Unity only pushes events to clients that have sent an authorized command.
+  async registerForEvents() {
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+    await this.unityConnection.sendCommand('ping', {});
+  }
+
+  async sendCommand(type, params) {
+    const result = await this.unityConnection.sendCommand(type, params);
+    if (result?.error) {
+      throw new McpError(ErrorCode.InternalError, result.error);
+    }
+    return result;
+  }
+}
+
+/**
+ * Maps a Unity editor event to the resource URIs whose contents it changes.
+ * @param {{ event: string, data: object }} unityEvent
+ * @returns {string[]}
+ */
+export function getUpdatedResourceUris({ event, data = {} }) {
+  switch (event) {
+    case 'hierarchy_changed':
+    case 'scene_loaded':
+      return [HIERARCHY_URI];
+    case 'log_messages':
+      return [CONSOLE_URI];
+    case 'compilation_started':
+    case 'compilation_finished':
+      return [EDITOR_STATE_URI, COMPILATION_URI];
+    case 'play_mode_changed':
+      return [EDITOR_STATE_URI];
+    case 'assets_changed': {
+      const paths = [
+        ...(data.imported || []),
+        ...(data.deleted || []),
+        ...(data.moved || []).flatMap((move) => [move.from, move.to])
+      ];
+      const uris = new Set(paths
+        .filter((assetPath) => typeof assetPath === 'string' && assetPath.endsWith('.cs'))
+        .map((assetPath) => `${SCRIPT_URI_PREFIX}${assetPath}`));
+      if (paths.some((assetPath) => typeof assetPath === 'string' && assetPath.startsWith('ProjectSettings/'))) {
+        uris.add(PROJECT_SETTINGS_URI);
+      }
+      return [...uris];
+    }
+    default:
+      return [];
+  }
+}
+
+function parseScriptUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(SCRIPT_URI_PREFIX)) {
+    return null;
+  }
+
+  let scriptPath;
+  try {
+    scriptPath = decodeURIComponent(uri.slice(SCRIPT_URI_PREFIX.length));
+  } catch {
+    throw new McpError(ErrorCode.InvalidParams, `Script resource URI is not correctly percent-encoded: ${uri}`);
+  }
+  const isProjectScript = /^(Assets|Packages)\//.test(scriptPath) && scriptPath.endsWith('.cs');
+  if (!isProjectScript || scriptPath.split('/').includes('..')) {
+    throw new McpError(ErrorCode.InvalidParams, `Script resources must be project-relative .cs paths under Assets/ or Packages/: ${uri}`);
+  }
+  return scriptPath;
+}
+
+function isKnownResourceUri(uri) {
+  return STATIC_RESOURCES.some((resource) => resource.uri === uri) || parseScriptUri(uri) !== null;
+}
+
+function createJsonContents(uri, value) {
+  return {
+    contents: [{ uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(value, null, 2) }]
+  };
+}
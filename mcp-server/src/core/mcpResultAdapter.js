@@ -1,12 +1,14 @@
 export function toMcpToolResult(handlerResult, toolName) {
   if (!handlerResult || handlerResult.status !== 'error') {
-    const structuredContent = normalizeStructuredContent(handlerResult?.result, toolName);
+    const { imageContent, value } = splitImageContent(handlerResult?.result);
+    const structuredContent = normalizeStructuredContent(value, toolName);
     return {
       content: [
         {
           type: 'text',
           text: formatResultText(structuredContent)
-        }
+        },
+        ...imageContent.map(({ data, mimeType }) => ({ type: 'image', data, mimeType }))
       ],
       structuredContent
     };
@@ -61,6 +63,18 @@ export function normalizeStructuredContent(value, toolName = 'tool') {
   return { result: value };
 }
 
+// Handlers return images as `imageContent: [{ data, mimeType }]` with base64
+// data. Each becomes an `image` content item after the text and is left out
+// of structuredContent, so the pixels are not sent twice.
+function splitImageContent(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.imageContent)) {
+    return { imageContent: [], value };
+  }
+
+  const { imageContent, ...rest } = value;
+  return { imageContent, value: rest };
+}
+
 function formatResultText(structuredContent) {
   if (structuredContent?.summary) {
     return String(structuredContent.summary);
@@ -0,0 +1,590 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './config.js';
+import { toAssetPath, walkFiles } from './projectIndex.js';
+import { resolveProjectRoot } from './projectRoot.js';
+import { parseUnityYamlBlock, readMetaGuid, readUnityYamlFile, toObjectReference } from './unityYaml.js';
+
+const GAME_OBJECT_CLASS_ID = 1;
+const TRANSFORM_CLASS_IDS = new Set([4, 224]);
+const PREFAB_INSTANCE_CLASS_ID = 1001;
+const SCENE_ROOTS_CLASS_ID = 1660057539;
+const MAX_PREFAB_DEPTH = 8;
+
+// Serialized bookkeeping that is not a user-facing reference
+const STRUCTURAL_PROPERTIES = new Set([
+  'm_GameObject',
+  'm_Father',
+  'm_Children',
+  'm_Component',
+  'm_Script',
+  'm_PrefabInstance',
+  'm_PrefabAsset',
+  'm_CorrespondingSourceObject',
+  'm_PrefabParentObject',
+  'm_PrefabInternal'
+]);
+
+const UNAVAILABLE_CODES = new Set([
+  'CONNECTION_CLOSED',
+  'COMMAND_TIMEOUT',
+  'NO_UNITY_INSTANCE',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'ETIMEDOUT',
+  'EHOSTUNREACH'
+]);
+
+const UNAVAILABLE_MESSAGE = /^(Not connected to Unity|Connection timeout|Connection closed|Unity connection (not available|disabled))/;
+
+/**
+ * Whether an error means Unity could not be reached (closed, reloading or
+ * timing out), as opposed to Unity answering with an error.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUnityUnavailableError(error) {
+  return UNAVAILABLE_CODES.has(error?.code) || UNAVAILABLE_MESSAGE.test(error?.message || '');
+}
+
+/**
+ * Runs a read against Unity and, when Unity cannot be reached, answers it from
+ * the saved project files instead. Disk results carry `source: "disk"`.
+ * @param {object} unityConnection - Unity connection (locates the project)
+ * @param {() => Promise<object>} readFromUnity
+ * @param {(project: OfflineProject) => object} readFromDisk
+ * @returns {Promise<object>}
+ */
+export async function withDiskFallback(unityConnection, readFromUnity, readFromDisk) {
+  try {
+    return await readFromUnity();
+  } catch (error) {
+    const projectRoot = isUnityUnavailableError(error) ? resolveProjectRoot(unityConnection) : null;
+    if (!projectRoot) {
+      throw error;
+    }
+
+    logger.info(`[Offline] Unity unavailable (${error.message}); reading saved files from ${projectRoot}`);
+    try {
+      return { ...readFromDisk(new OfflineProject(projectRoot)), source: 'disk' };
+    } catch (diskError) {
+      diskError.details = { ...diskError.details, source: 'disk', unityError: error.message };
+      throw diskError;
+    }
+  }
+}
+
+/**
+ * Read-only view of a Unity project's saved files, used while the editor is
+ * closed or reloading. Parsed files are cached for the lifetime of the object.
+ */
+export class OfflineProject {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.documents = new Map();
+    this.guidPaths = null;
+  }
+
+  /**
+   * Resolves a project-relative asset path to an absolute path inside the project.
+   * @param {string} assetPath
+   * @returns {string}
+   */
+  resolve(assetPath) {
+    const absolute = path.resolve(this.projectRoot, assetPath);
+    const relative = path.relative(this.projectRoot, absolute);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Path is outside the Unity project: ${assetPath}`);
+    }
+    return absolute;
+  }
+
+  exists(assetPath) {
+    return fs.existsSync(this.resolve(assetPath));
+  }
+
+  readDocuments(assetPath) {
+    if (!this.documents.has(assetPath)) {
+      this.documents.set(assetPath, readUnityYamlFile(this.resolve(assetPath)));
+    }
+    return this.documents.get(assetPath);
+  }
+
+  /**
+   * Loads a scene or prefab. Every call builds fresh GameObject nodes, so a
+   * prefab can be placed under several instances.
+   * @param {string} assetPath - e.g. `Assets/Scenes/Main.unity`
+   * @param {number} [depth] - Prefab nesting depth
+   * @returns {SerializedScene}
+   */
+  loadScene(assetPath, depth = 0) {
+    if (!this.exists(assetPath)) {
+      throw createNotFoundError(`Scene or prefab not found on disk: ${assetPath}`);
+    }
+    return new SerializedScene(this, assetPath, this.readDocuments(assetPath), depth);
+  }
+
+  /**
+   * Maps an asset GUID to its path by scanning `.meta` files under Assets/.
+   * @param {string} guid
+   * @returns {string|null}
+   */
+  assetPathForGuid(guid) {
+    if (!this.guidPaths) {
+      this.guidPaths = new Map();
+      for (const metaPath of walkFiles(this.resolve('Assets'), (file) => file.endsWith('.meta'))) {
+        const assetGuid = readMetaGuid(fs.readFileSync(metaPath, 'utf8'));
+        if (assetGuid) {
+          this.guidPaths.set(assetGuid, toAssetPath(this.projectRoot, metaPath.slice(0, -'.meta'.length)));
+        }
+      }
+    }
+    return this.guidPaths.get(guid?.toLowerCase()) || null;
+  }
+
+  /**
+   * Scenes from the saved Build Settings.
+   * @returns {{ path: string, enabled: boolean }[]}
+   */
+  getBuildScenes() {
+    if (!this.exists('ProjectSettings/EditorBuildSettings.asset')) {
+      return [];
+    }
+    const settings = this.readDocuments('ProjectSettings/EditorBuildSettings.asset')[0]?.data || {};
+    return (Array.isArray(settings.m_Scenes) ? settings.m_Scenes : [])
+      .map((scene) => ({ path: scene.path, enabled: scene.enabled === 1 }))
+      .filter((scene) => scene.path);
+  }
+
+  /**
+   * Scenes open in the editor's last session, from `Library/LastSceneManagerSetup.txt`.
+   * @returns {{ path: string, isLoaded: boolean, isActive: boolean }[]}
+   */
+  getLastSceneSetup() {
+    const setupPath = this.resolve('Library/LastSceneManagerSetup.txt');
+    if (!fs.existsSync(setupPath)) {
+      return [];
+    }
+    const setup = parseUnityYamlBlock(fs.readFileSync(setupPath, 'utf8'));
+    return (Array.isArray(setup?.sceneSetups) ? setup.sceneSetups : [])
+      .map((scene) => ({ path: scene.path, isLoaded: scene.isLoaded === 1, isActive: scene.isActive === 1 }))
+      .filter((scene) => scene.path);
+  }
+
+  /**
+   * The scene the editor had active when it last saved its session, falling
+   * back to the first enabled build scene.
+   * @returns {string}
+   */
+  getActiveScenePath() {
+    const lastActive = this.getLastSceneSetup().find((scene) => scene.isActive);
+    const candidate = lastActive?.path || this.getBuildScenes().find((scene) => scene.enabled)?.path;
+    if (!candidate || !this.exists(candidate)) {
+      throw createNotFoundError('Cannot tell which scene is active from the saved project files; open it in Unity or pass a scene explicitly');
+    }
+    return candidate;
+  }
+
+  /**
+   * Resolves a scene by path or name; the active scene when neither is given.
+   * @param {{ scenePath?: string, sceneName?: string }} params
+   * @returns {string}
+   */
+  findScenePath({ scenePath, sceneName } = {}) {
+    if (scenePath) {
+      if (!this.exists(scenePath)) {
+        throw createNotFoundError(`Scene not found: ${scenePath}`);
+      }
+      return scenePath;
+    }
+    if (!sceneName) {
+      return this.getActiveScenePath();
+    }
+
+    const match = walkFiles(this.resolve('Assets'), (file) => file.endsWith('.unity'))
+      .find((file) => path.basename(file, '.unity') === sceneName);
+    if (!match) {
+      throw createNotFoundError(`Scene not found: ${sceneName}`);
+    }
+    return toAssetPath(this.projectRoot, match);
+  }
+
+  /**
+   * Prefab assets under Assets/.
+   * @returns {string[]}
+   */
+  listPrefabs() {
+    return walkFiles(this.resolve('Assets'), (file) => file.endsWith('.prefab'))
+      .map((file) => toAssetPath(this.projectRoot, file));
+  }
+
+  scriptName(guid) {
+    const scriptPath = guid ? this.assetPathForGuid(guid) : null;
+    return scriptPath?.endsWith('.cs') ? path.basename(scriptPath, '.cs') : null;
+  }
+}
+
+/**
+ * GameObject tree of one saved scene or prefab. Prefab instances are
+ * expanded from their source prefab with the instance's overrides applied.
+ */
+export class SerializedScene {
+  constructor(project, assetPath, documents, depth = 0) {
+    this.project = project;
+    this.assetPath = assetPath;
+    this.depth = depth;
+    this.documents = new Map(documents.map((document) => [document.fileID, document]));
+    // fileID -> { node, component? } for every object a reference can point at
+    this.objects = new Map();
+    this.roots = this.build(documents);
+  }
+
+  get name() {
+    return path.basename(this.assetPath, path.extname(this.assetPath));
+  }
+
+  build(documents) {
+    const nodes = new Map();
+    for (const document of documents) {
+      if (document.classId === GAME_OBJECT_CLASS_ID && !document.stripped) {
+        const node = this.createNode(document);
+        nodes.set(document.fileID, node);
+        this.objects.set(document.fileID, { node });
+      }
+    }
+
+    const instances = new Map();
+    for (const document of documents) {
+      if (document.classId === PREFAB_INSTANCE_CLASS_ID) {
+        instances.set(document.fileID, this.expandPrefabInstance(document));
+      }
+    }
+
+    // Stripped objects stand in for objects inside a prefab instance
+    for (const document of documents.filter((candidate) => candidate.stripped)) {
+      const instance = instances.get(toObjectReference(document.data.m_PrefabInstance)?.fileID);
+      if (instance) {
+        const source = toObjectReference(document.data.m_CorrespondingSourceObject);
+        this.objects.set(document.fileID, instance.objects.get(source?.fileID) || { node: instance.root });
+      }
+    }
+
+    for (const document of documents) {
+      if (document.classId === GAME_OBJECT_CLASS_ID || document.classId === PREFAB_INSTANCE_CLASS_ID || document.stripped) {
+        continue;
+      }
+      const owner = this.objects.get(toObjectReference(document.data.m_GameObject)?.fileID)?.node;
+      if (owner) {
+        const component = this.createComponent(document);
+        owner.components.push(component);
+        this.objects.set(document.fileID, { node: owner, component });
+        if (TRANSFORM_CLASS_IDS.has(document.classId)) {
+          owner.transform = { ...document.data };
+        }
+      }
+    }
+
+    const roots = [];
+    const rootOrder = new Map();
+    for (const document of documents) {
+      if (TRANSFORM_CLASS_IDS.has(document.classId) && !document.stripped) {
+        const node = this.objects.get(document.fileID)?.node;
+        const father = this.objects.get(toObjectReference(document.data.m_Father)?.fileID)?.node;
+        if (!node) {
+          continue;
+        }
+        if (father) {
+          attachChild(father, node);
+        } else {
+          roots.push(node);
+          rootOrder.set(node, Number(document.data.m_RootOrder) || 0);
+        }
+      }
+    }
+
+    for (const instance of instances.values()) {
+      const parentId = toObjectReference(instance.transformParent)?.fileID;
+      const parent = parentId ? this.objects.get(parentId)?.node : null;
+      if (parent) {
+        attachChild(parent, instance.root);
+      } else {
+        roots.push(instance.root);
+        rootOrder.set(instance.root, instance.rootOrder);
+      }
+    }
+
+    const sceneRoots = documents.find((document) => document.classId === SCENE_ROOTS_CLASS_ID)?.data.m_Roots;
+    if (Array.isArray(sceneRoots)) {
+      const order = sceneRoots.map((reference) => this.objects.get(toObjectReference(reference)?.fileID)?.node);
+      return roots.sort((a, b) => rankOf(order, a) - rankOf(order, b));
+    }
+    return roots.sort((a, b) => rootOrder.get(a) - rootOrder.get(b));
+  }
+
+  createNode(document) {
+    return {
+      name: String(document.data.m_Name ?? ''),
+      active: document.data.m_IsActive !== 0,
+      tag: String(document.data.m_TagString ?? 'Untagged'),
+      layer: Number(document.data.m_Layer) || 0,
+      transform: {},
+      components: [],
+      children: [],
+      parent: null
+    };
+  }
+
+  createComponent(document) {
+    const script = toObjectReference(document.data.m_Script);
+    const scriptName = document.type === 'MonoBehaviour' ? this.project.scriptName(script?.guid) : null;
+    return {
+      type: scriptName || document.type,
+      classId: document.classId,
+      fileID: document.fileID,
+      enabled: document.data.m_Enabled === undefined ? true : document.data.m_Enabled !== 0,
+      data: document.data,
+      scene: this
+    };
+  }
+
+  expandPrefabInstance(document) {
+    const modification = document.data.m_Modification || {};
+    const source = toObjectReference(document.data.m_SourcePrefab);
+    const sourcePath = source?.guid ? this.project.assetPathForGuid(source.guid) : null;
+
+    let prefab = null;
+    if (sourcePath && this.depth < MAX_PREFAB_DEPTH) {
+      try {
+        prefab = this.project.loadScene(sourcePath, this.depth + 1);
+      } catch (error) {
+        logger.debug(`[Offline] Could not expand prefab ${sourcePath}: ${error.message}`);
+      }
+    }
+
+    const root = prefab?.roots[0] || {
+      ...this.createNode({ data: { m_Name: 'Missing Prefab' } }),
+      missingPrefab: true
+    };
+    root.prefab = { assetPath: sourcePath, guid: source?.guid || null };
+
+    const objects = prefab?.objects || new Map();
+    for (const entry of asArray(modification.m_Modifications)) {
+      const target = objects.get(toObjectReference(entry.target)?.fileID);
+      if (target) {
+        applyModification(target, String(entry.propertyPath ?? ''), entry.value);
+      }
+    }
+    for (const reference of asArray(modification.m_RemovedComponents)) {
+      const target = objects.get(toObjectReference(reference)?.fileID);
+      if (target?.component) {
+        target.node.components = target.node.components.filter((component) => component !== target.component);
+      }
+    }
+
+    const rootOrderOverride = asArray(modification.m_Modifications)
+      .find((entry) => entry.propertyPath === 'm_RootOrder');
+    return {
+      root,
+      objects,
+      transformParent: modification.m_TransformParent,
+      rootOrder: Number(rootOrderOverride?.value) || 0
+    };
+  }
+
+  /**
+   * Finds a GameObject the way GameObject.Find does: a leading `/` anchors
+   * the path at a root, otherwise the path can start at any depth.
+   * @param {string} objectPath - e.g. `/Level/Player` or `Player`
+   * @returns {object|null} Node
+   */
+  find(objectPath) {
+    const anchored = objectPath.startsWith('/');
+    const segments = objectPath.split('/').filter(Boolean);
+    if (segments.length === 0) {
+      return null;
+    }
+
+    const candidates = anchored ? this.roots : this.allNodes();
+    for (const candidate of candidates) {
+      let node = candidate;
+      if (node.name !== segments[0]) {
+        continue;
+      }
+      for (const segment of segments.slice(1)) {
+        node = node?.children.find((child) => child.name === segment);
+      }
+      if (node) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  allNodes() {
+    const nodes = [];
+    const visit = (node) => {
+      nodes.push(node);
+      node.children.forEach(visit);
+    };
+    this.roots.forEach(visit);
+    return nodes;
+  }
+
+  /**
+   * Lists the object references a component holds, skipping serialization bookkeeping.
+   * @param {object} component - Component entry of a node
+   * @returns {{ property: string, target?: { node: object, component?: object }, assetPath?: string, guid?: string }[]}
+   */
+  static collectReferences(component) {
+    const references = [];
+    const visit = (value, property) => {
+      const reference = toObjectReference(value);
+      if (reference) {
+        if (reference.guid) {
+          references.push({
+            property,
+            guid: reference.guid,
+            assetPath: component.scene.project.assetPathForGuid(reference.guid)
+          });
+        } else {
+          const target = component.scene.objects.get(reference.fileID);
+          if (target) {
+            references.push({ property, target });
+          }
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${property}[${index}]`));
+      } else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+          visit(item, `${property}.${key}`);
+        }
+      }
+    };
+
+    for (const [key, value] of Object.entries(component.data)) {
+      if (!STRUCTURAL_PROPERTIES.has(key)) {
+        visit(value, key);
+      }
+    }
+    return references;
+  }
+}
+
+/**
+ * Slash-separated path of a node, matching GameObjectHandler.GetGameObjectPath.
+ * @param {object} node
+ * @returns {string}
+ */
+export function getNodePath(node) {
+  const names = [];
+  for (let current = node; current; current = current.parent) {
+    names.unshift(current.name);
+  }
+  return `/${names.join('/')}`;
+}
+
+/**
+ * Local transform of a node as `{ position, rotation, scale }` with rotation
+ * in Euler degrees.
+ * @param {object} node
+ */
+export function getLocalTransform(node) {
+  const { m_LocalPosition: position, m_LocalRotation: rotation, m_LocalEulerAnglesHint: hint, m_LocalScale: scale } = node.transform;
+  return {
+    position: toVector(position, 0),
+    rotation: hint && rotation && hintMatchesRotation(hint, rotation) ? toVector(hint, 0) : quaternionToEuler(rotation),
+    scale: toVector(scale, 1)
+  };
+}
+
+function applyModification(target, propertyPath, value) {
+  const { node, component } = target;
+  const nodeProperties = {
+    m_Name: () => { node.name = String(value); },
+    m_IsActive: () => { node.active = Number(value) !== 0; },
+    m_TagString: () => { node.tag = String(value); },
+    m_Layer: () => { node.layer = Number(value) || 0; }
+  };
+
+  if (!component && nodeProperties[propertyPath]) {
+    nodeProperties[propertyPath]();
+    return;
+  }
+  if (!component) {
+    return;
+  }
+
+  const [key, ...rest] = propertyPath.split('.');
+  if (propertyPath === 'm_Enabled') {
+    component.enabled = Number(value) !== 0;
+  }
+  if (TRANSFORM_CLASS_IDS.has(component.classId)) {
+    node.transform = { ...node.transform, [key]: setPath(node.transform[key], rest, value) };
+  }
+  component.data = { ...component.data, [key]: setPath(component.data[key], rest, value) };
+}
+
+function setPath(current, segments, value) {
+  if (segments.length === 0 || segments.some((segment) => segment.includes('['))) {
+    return segments.length === 0 ? value : current;
+  }
+  const [segment, ...rest] = segments;
+  const base = current && typeof current === 'object' ? { ...current } : {};
+  base[segment] = setPath(base[segment], rest, value);
+  return base;
+}
+
+function attachChild(parent, child) {
+  child.parent = parent;
+  parent.children.push(child);
+}
+
+function rankOf(order, node) {
+  const index = order.indexOf(node);
+  return index === -1 ? order.length : index;
+}
+
+function toVector(value, fallback) {
+  return {
+    x: Number(value?.x ?? fallback),
+    y: Number(value?.y ?? fallback),
+    z: Number(value?.z ?? fallback)
+  };
+}
+
+function quaternionToEuler(rotation) {
+  if (!rotation) {
+    return { x: 0, y: 0, z: 0 };
+  }
+  const { x, y, z, w } = { x: Number(rotation.x) || 0, y: Number(rotation.y) || 0, z: Number(rotation.z) || 0, w: Number(rotation.w ?? 1) };
+  // Unity applies Euler rotations in Z, X, Y order
+  const pitch = Math.asin(Math.max(-1, Math.min(1, 2 * (w * x - y * z))));
+  const yaw = Math.atan2(2 * (w * y + x * z), 1 - 2 * (x * x + y * y));
+  const roll = Math.atan2(2 * (w * z + x * y), 1 - 2 * (x * x + z * z));
+  return { x: toDegrees(pitch), y: toDegrees(yaw), z: toDegrees(roll) };
+}
+
+function toDegrees(radians) {
+  const degrees = Math.round((radians * 180 / Math.PI) * 1000) / 1000;
+  return degrees < 0 ? degrees + 360 : degrees;
+}
+
+// The Euler hint is only trustworthy while it still describes the stored quaternion
+function hintMatchesRotation(hint, rotation) {
+  const computed = quaternionToEuler(rotation);
+  return ['x', 'y', 'z'].every((axis) => {
+    const delta = Math.abs(((Number(hint[axis]) - computed[axis]) % 360 + 540) % 360 - 180);
+    return delta < 0.01;
+  });
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_FOUND';
+  return error;
+}
@@ -0,0 +1,548 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './config.js';
+import { readMetaGuid } from './unityYaml.js';
+
+// Folders the AssetDatabase imports; Library/PackageCache is not indexed
+const INDEXED_ROOTS = ['Assets', 'Packages'];
+
+// Extensions whose files may be YAML and carry GUID references
+const SERIALIZED_EXTENSIONS = new Set([
+  '.unity', '.prefab', '.asset', '.mat', '.controller', '.overridecontroller', '.anim', '.mask',
+  '.physicmaterial', '.physicsmaterial2d', '.playable', '.signal', '.spriteatlas', '.spriteatlasv2',
+  '.guiskin', '.fontsettings', '.mixer', '.rendertexture', '.lighting', '.terrainlayer', '.flare',
+  '.cubemap', '.brush', '.preset', '.shadervariants', '.giparams'
+]);
+
+const ASSET_TYPES = {
+  '.unity': 'SceneAsset',
+  '.prefab': 'GameObject',
+  '.mat': 'Material',
+  '.cs': 'MonoScript',
+  '.shader': 'Shader',
+  '.controller': 'AnimatorController',
+  '.anim': 'AnimationClip',
+  '.png': 'Texture2D',
+  '.jpg': 'Texture2D',
+  '.jpeg': 'Texture2D',
+  '.tga': 'Texture2D',
+  '.psd': 'Texture2D',
+  '.exr': 'Texture2D',
+  '.wav': 'AudioClip',
+  '.mp3': 'AudioClip',
+  '.ogg': 'AudioClip',
+  '.fbx': 'GameObject',
+  '.obj': 'GameObject',
+  '.ttf': 'Font',
+  '.otf': 'Font',
+  '.asmdef': 'AssemblyDefinitionAsset',
+  '.json': 'TextAsset',
+  '.txt': 'TextAsset'
+};
+
+const GUID_REFERENCE = /\bguid: ([0-9a-fA-F]{32})\b/g;
+const DOCUMENT_TYPE = /^([A-Za-z]\w*):\s*$/;
+const PROPERTY_KEY = /^\s*(?:- )?(\w+):/;
+// Unity's built-in resources use reserved GUIDs such as 0000000000000000f000000000000000
+const BUILT_IN_GUID = /^0{16}/;
+
+// Node 18 cannot watch recursively on Linux; said once per process
+let watchFallbackLogged = false;
+
+/**
+ * In-memory GUID index of a Unity project, built from `.meta` files and the
+ * GUID references in text-serialized assets. A recursive file watcher marks
+ * changed paths, which are re-read before the next query. Where recursive
+ * watching is unavailable, modification times are compared before each query.
+ */
+export class ProjectIndex {
+  /**
+   * @param {string} projectRoot - Unity project root
+   * @param {object} [options]
+   * @param {boolean} [options.watch] - Keep the index current with fs watchers
+   */
+  constructor(projectRoot, { watch = true } = {}) {
+    this.projectRoot = projectRoot;
+    this.watchEnabled = watch;
+    this.assets = new Map();
+    this.guidPaths = new Map();
+    this.pending = new Set();
+    this.watchers = [];
+    this.pollingChanges = false;
+    this.built = false;
+  }
+
+  /**
+   * Builds the index on first use and applies pending file changes.
+   * @returns {ProjectIndex}
+   */
+  refresh() {
+    if (!this.built || (this.watchEnabled && this.watchers.length === 0 && !this.pollingChanges)) {
+      this.rebuild();
+      return this;
+    }
+
+    if (this.pollingChanges) {
+      this.invalidateModified();
+    }
+    const changed = [...this.pending];
+    this.pending.clear();
+    for (const assetPath of changed) {
+      this.reindexPath(assetPath);
+    }
+    return this;
+  }
+
+  rebuild() {
+    this.close();
+    this.assets.clear();
+    this.guidPaths.clear();
+    this.pending.clear();
+    if (this.watchEnabled) {
+      this.startWatching();
+    }
+
+    for (const root of INDEXED_ROOTS) {
+      for (const metaPath of walkFiles(path.join(this.projectRoot, root), (file) => file.endsWith('.meta'))) {
+        this.indexAsset(toAssetPath(this.projectRoot, metaPath.slice(0, -'.meta'.length)));
+      }
+    }
+    this.built = true;
+    logger.debug(`[ProjectIndex] Indexed ${this.assets.size} assets in ${this.projectRoot}`);
+  }
+
+  /**
+   * Marks a project-relative path (file, `.meta` file or folder) as changed.
+   * @param {string} assetPath
+   */
+  invalidate(assetPath) {
+    this.pending.add(assetPath.endsWith('.meta') ? assetPath.slice(0, -'.meta'.length) : assetPath);
+  }
+
+  /** Stops watching the project. */
+  close() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+  }
+
+  startWatching() {
+    this.pollingChanges = false;
+    for (const root of INDEXED_ROOTS) {
+      const directory = path.join(this.projectRoot, root);
+      if (!fs.existsSync(directory)) {
+        continue;
+      }
+      try {
+        const watcher = fs.watch(directory, { recursive: true }, (eventType, filename) => {
+          if (filename) {
+            this.invalidate(`${root}/${filename.split(path.sep).join('/')}`);
+          } else {
+            this.built = false;
+          }
+        });
+        watcher.on('error', (error) => {
+          logger.debug(`[ProjectIndex] Watcher for ${directory} failed: ${error.message}`);
+          this.built = false;
+          this.close();
+        });
+        watcher.unref();
+        this.watchers.push(watcher);
+      } catch (error) {
+        if (error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+          this.close();
+          this.pollingChanges = true;
+          if (!watchFallbackLogged) {
+            watchFallbackLogged = true;
+            logger.info(`[ProjectIndex] Recursive file watching is not available on ${process.platform} with Node ${process.versions.node}; comparing modification times before each query instead`);
+          }
+          return;
+        }
+        // Without watchers every query rebuilds the index
+        logger.debug(`[ProjectIndex] Cannot watch ${directory}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Marks assets whose file or `.meta` file was added, removed or modified
+   * since it was indexed.
+   */
+  invalidateModified() {
+    const seen = new Set();
+    for (const root of INDEXED_ROOTS) {
+      for (const metaPath of walkFiles(path.join(this.projectRoot, root), (file) => file.endsWith('.meta'))) {
+        const assetPath = toAssetPath(this.projectRoot, metaPath.slice(0, -'.meta'.length));
+        const entry = this.assets.get(assetPath);
+        let stat;
+        let metaStat;
+        try {
+          stat = fs.statSync(metaPath.slice(0, -'.meta'.length));
+          metaStat = fs.statSync(metaPath);
+        } catch {
+          continue;
+        }
+        if (stat.isDirectory()) {
+          continue;
+        }
+        seen.add(assetPath);
+        if (!entry || entry.size !== stat.size || entry.lastModified.getTime() !== stat.mtime.getTime()
+          || entry.metaModified !== metaStat.mtimeMs) {
+          this.invalidate(assetPath);
+        }
+      }
+    }
+    for (const assetPath of this.assets.keys()) {
+      if (!seen.has(assetPath)) {
+        this.invalidate(assetPath);
+      }
+    }
+  }
+
+  reindexPath(assetPath) {
+    for (const indexedPath of [...this.assets.keys()]) {
+      if (indexedPath === assetPath || indexedPath.startsWith(`${assetPath}/`)) {
+        this.removeAsset(indexedPath);
+      }
+    }
+
+    const absolute = path.join(this.projectRoot, assetPath);
+    if (isDirectory(absolute)) {
+      // A folder that was moved or restored brings its contents with it
+      this.indexAsset(assetPath);
+      for (const metaPath of walkFiles(absolute, (file) => file.endsWith('.meta'))) {
+        this.indexAsset(toAssetPath(this.projectRoot, metaPath.slice(0, -'.meta'.length)));
+      }
+    } else {
+      this.indexAsset(assetPath);
+    }
+  }
+
+  indexAsset(assetPath) {
+    const absolute = path.join(this.projectRoot, assetPath);
+    let guid;
+    let stat;
+    let metaStat;
+    try {
+      guid = readMetaGuid(fs.readFileSync(`${absolute}.meta`, 'utf8'));
+      stat = fs.statSync(absolute);
+      metaStat = fs.statSync(`${absolute}.meta`);
+    } catch {
+      return;
+    }
+    if (!guid || stat.isDirectory()) {
+      return;
+    }
+
+    const references = new Map();
+    collectReferences(readText(`${absolute}.meta`), references, guid);
+    const text = SERIALIZED_EXTENSIONS.has(path.extname(assetPath).toLowerCase()) ? readText(absolute) : '';
+    if (text.startsWith('%YAML')) {
+      collectReferences(text, references, guid);
+    }
+
+    const entry = {
+      path: assetPath,
+      guid,
+      type: getAssetType(assetPath, text),
+      size: stat.size,
+      lastModified: stat.mtime,
+      metaModified: metaStat.mtimeMs,
+      references
+    };
+    this.assets.set(assetPath, entry);
+    this.guidPaths.set(guid, assetPath);
+  }
+
+  removeAsset(assetPath) {
+    const entry = this.assets.get(assetPath);
+    this.assets.delete(assetPath);
+    if (entry && this.guidPaths.get(entry.guid) === assetPath) {
+      this.guidPaths.delete(entry.guid);
+    }
+  }
+
+  /**
+   * Returns the indexed asset at a path, or throws NOT_FOUND.
+   * @param {string} assetPath
+   */
+  getAsset(assetPath) {
+    const entry = this.refresh().assets.get(assetPath);
+    if (!entry) {
+      const error = new Error(`Asset not found: ${assetPath}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * Assets referenced by an asset, breadth first with their depth.
+   * @param {string} assetPath
+   * @param {boolean} [recursive]
+   * @returns {{ path: string, type: string, isDirectDependency: boolean, depth: number }[]}
+   */
+  getDependencies(assetPath, recursive = false) {
+    const root = this.getAsset(assetPath);
+    const dependencies = [];
+    const visited = new Set([root.path]);
+    let frontier = [root];
+    for (let depth = 1; frontier.length > 0 && (recursive || depth === 1); depth++) {
+      const next = [];
+      for (const entry of frontier) {
+        for (const dependency of this.resolveReferences(entry)) {
+          if (!visited.has(dependency.path)) {
+            visited.add(dependency.path);
+            dependencies.push({ path: dependency.path, type: dependency.type, isDirectDependency: depth === 1, depth });
+            next.push(dependency);
+          }
+        }
+      }
+      frontier = next;
+    }
+    return dependencies;
+  }
+
+  /**
+   * Assets that reference an asset directly, with the serialized properties
+   * that hold the reference.
+   * @param {string} assetPath
+   * @returns {{ path: string, type: string, usage: string }[]}
+   */
+  getDependents(assetPath) {
+    const target = this.getAsset(assetPath);
+    const dependents = [];
+    for (const entry of this.assets.values()) {
+      const usages = entry.path === target.path ? null : entry.references.get(target.guid);
+      if (usages) {
+        dependents.push({ path: entry.path, type: entry.type, usage: [...usages].join(', ') });
+      }
+    }
+    return dependents.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Assets no other asset references. Scenes and scripts are entry points and
+   * never reported, matching Unity's find_unused.
+   * @param {boolean} [includeBuiltIn] - Include assets under Packages/
+   */
+  findUnused(includeBuiltIn = false) {
+    const referenced = new Set();
+    for (const entry of this.refresh().assets.values()) {
+      for (const guid of entry.references.keys()) {
+        if (guid !== entry.guid) {
+          referenced.add(guid);
+        }
+      }
+    }
+
+    return [...this.assets.values()]
+      .filter((entry) => includeBuiltIn || !entry.path.startsWith('Packages/'))
+      .filter((entry) => !entry.path.endsWith('.cs') && !entry.path.endsWith('.unity'))
+      .filter((entry) => !referenced.has(entry.guid))
+      .sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * One cycle per strongly connected group of assets, starting and ending at
+   * the group's first path.
+   * @returns {string[][]}
+   */
+  findCycles() {
+    this.refresh();
+    const cycles = [];
+    for (const component of this.stronglyConnectedComponents()) {
+      const members = new Set(component);
+      const [start] = [...component].sort();
+      const selfReference = component.length === 1 &&
+        this.resolveReferences(this.assets.get(start)).some((dependency) => dependency.path === start);
+      if (component.length > 1 || selfReference) {
+        cycles.push(this.findCycle(start, members));
+      }
+    }
+    return cycles.sort((a, b) => a[0].localeCompare(b[0]));
+  }
+
+  findCycle(start, members) {
+    // Shortest path back to the start, staying inside the component
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const dependency of this.resolveReferences(this.assets.get(current))) {
+        if (dependency.path === start) {
+          const cycle = [start];
+          for (let node = current; node !== start; node = previous.get(node)) {
+            cycle.splice(1, 0, node);
+          }
+          return [...cycle, start];
+        }
+        if (members.has(dependency.path) && !previous.has(dependency.path)) {
+          previous.set(dependency.path, current);
+          queue.push(dependency.path);
+        }
+      }
+    }
+    return [start, start];
+  }
+
+  stronglyConnectedComponents() {
+    // Iterative Tarjan so deep reference chains cannot overflow the stack
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let nextIndex = 0;
+
+    for (const rootPath of this.assets.keys()) {
+      if (indices.has(rootPath)) {
+        continue;
+      }
+      const work = [{ path: rootPath, edges: null, edgeIndex: 0 }];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        if (frame.edges === null) {
+          indices.set(frame.path, nextIndex);
+          lowLinks.set(frame.path, nextIndex);
+          nextIndex++;
+          stack.push(frame.path);
+          onStack.add(frame.path);
+          frame.edges = this.resolveReferences(this.assets.get(frame.path)).map((dependency) => dependency.path);
+        }
+
+        if (frame.edgeIndex < frame.edges.length) {
+          const next = frame.edges[frame.edgeIndex++];
+          if (!indices.has(next)) {
+            work.push({ path: next, edges: null, edgeIndex: 0 });
+          } else if (onStack.has(next)) {
+            lowLinks.set(frame.path, Math.min(lowLinks.get(frame.path), indices.get(next)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1].path;
+          lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.path)));
+        }
+        if (lowLinks.get(frame.path) === indices.get(frame.path)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== frame.path);
+          components.push(component);
+        }
+      }
+    }
+    return components;
+  }
+
+  resolveReferences(entry) {
+    const dependencies = [];
+    for (const guid of entry.references.keys()) {
+      const dependency = this.assets.get(this.guidPaths.get(guid));
+      if (dependency) {
+        dependencies.push(dependency);
+      }
+    }
+    return dependencies;
+  }
+}
+
+/**
+ * Lists files below a directory, skipping the hidden and `~`-suffixed entries
+ * Unity does not import.
+ * @param {string} directory - Absolute directory path
+ * @param {(filePath: string) => boolean} predicate
+ * @returns {string[]} Absolute file paths
+ */
+export function walkFiles(directory, predicate) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(directory, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name.endsWith('~')) {
+      continue;
+    }
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(fullPath, predicate));
+    } else if (predicate(fullPath)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Converts an absolute path inside the project to a `/`-separated asset path.
+ * @param {string} projectRoot
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function toAssetPath(projectRoot, filePath) {
+  return path.relative(projectRoot, filePath).split(path.sep).join('/');
+}
+
+function collectReferences(text, references, ownGuid) {
+  let documentType = null;
+  let propertyKey = null;
+  for (const line of text.split(/\r?\n/)) {
+    const documentMatch = line.match(DOCUMENT_TYPE);
+    if (documentMatch) {
+      documentType = documentMatch[1];
+      continue;
+    }
+
+    const keyMatch = line.match(PROPERTY_KEY);
+    if (keyMatch && !line.trimStart().startsWith('- {')) {
+      propertyKey = keyMatch[1];
+    }
+
+    for (const [, rawGuid] of line.matchAll(GUID_REFERENCE)) {
+      const guid = rawGuid.toLowerCase();
+      if (guid === ownGuid || BUILT_IN_GUID.test(guid)) {
+        continue;
+      }
+      if (!references.has(guid)) {
+        references.set(guid, new Set());
+      }
+      references.get(guid).add([documentType, propertyKey].filter(Boolean).join('.'));
+    }
+  }
+}
+
+function getAssetType(assetPath, text) {
+  const extension = path.extname(assetPath).toLowerCase();
+  if (ASSET_TYPES[extension]) {
+    return ASSET_TYPES[extension];
+  }
+  // Otherwise the main object is the first document of a serialized file
+  const match = text.match(/^--- !u!\d+ &-?\d+\s*\r?\n([A-Za-z]\w*):/m);
+  return match ? match[1] : 'DefaultAsset';
+}
+
+function isDirectory(filePath) {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,69 @@
+import path from 'path';
+import { config } from './config.js';
+import { findUnityProjectRoot } from './unityDiscovery.js';
+
+export const PROJECT_CONFIG_DIR = '.unity-mcp';
+
+/**
+ * Resolves the Unity project root the server is working against: the project
+ * of the connected Unity instance, then the configured project path, then the
+ * Unity project containing the working directory.
+ * @param {object} [unityConnection] - Unity connection (its endpoint carries the discovered project)
+ * @param {object} [customConfig] - Server configuration
+ * @returns {string|null} Absolute project path, or null when none is known
+ */
+export function resolveProjectRoot(unityConnection, customConfig = config) {
+  const discovery = customConfig.unity?.discovery || {};
+  const candidate = unityConnection?.endpoint?.projectPath ||
+    discovery.projectPath ||
+    findUnityProjectRoot(discovery.cwd || process.cwd());
+  return candidate ? path.resolve(candidate) : null;
+}
+
+/**
+ * Error for tools that read project files when the project is not on this machine.
+ * @returns {Error} Error with code PROJECT_NOT_FOUND
+ */
+export function createProjectNotFoundError() {
+  const error = new Error('Unity project sources are not available on this machine. Set UNITY_PROJECT_PATH, pass --project <path>, or start the MCP server from inside the Unity project.');
+  error.code = 'PROJECT_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Resolves a path inside the project-local `.unity-mcp` directory.
+ * @param {string|null} projectRoot - Unity project root
+ * @param {...string} segments - Path segments below `.unity-mcp`
+ * @returns {string|null}
+ */
+export function resolveProjectConfigPath(projectRoot, ...segments) {
+  return projectRoot ? path.join(projectRoot, PROJECT_CONFIG_DIR, ...segments) : null;
+}
+
+/**
+ * Whether a project-relative path stays under Assets/ or Packages/ once its
+ * `..` segments are resolved.
+ * @param {string} assetPath - e.g. Assets/Scripts/Player.cs
+ * @returns {boolean}
+ */
+export function isAssetOrPackagePath(assetPath) {
+  return /^(Assets|Packages)\//.test(path.posix.normalize(String(assetPath).replace(/\\/g, '/')));
+}
+
+/**
+ * Resolves a project-relative path, refusing paths that leave the project.
+ * @param {string} projectRoot - Unity project root
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {string} Absolute path inside the project
+ * @throws {Error} With code PATH_OUTSIDE_PROJECT
+ */
+export function resolvePathInProject(projectRoot, relativePath) {
+  const absolute = path.resolve(projectRoot, relativePath);
+  const relative = path.relative(projectRoot, absolute);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    const error = new Error(`Path is outside the Unity project: ${relativePath}`);
+    error.code = 'PATH_OUTSIDE_PROJECT';
+    throw error;
+  }
+  return absolute;
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from './config.js';
+import { PROJECT_CONFIG_DIR, resolveProjectConfigPath, resolveProjectRoot } from './projectRoot.js';
+
+const DIFFS_DIR = 'Library/UnityEditorMCP/screenshot-diffs';
+
+// Names may use folders to group baselines, e.g. `ui/main-menu`
+const BASELINE_NAME = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*(\/[A-Za-z0-9_-][A-Za-z0-9_.-]*)*$/;
+
+/**
+ * Where screenshot baselines are kept: `UNITY_MCP_SCREENSHOT_BASELINES_DIR`,
+ * or `.unity-mcp/baselines` in the Unity project so they can be committed.
+ * @param {object} [unityConnection] - Unity connection used to locate the project
+ * @param {object} [customConfig] - Server configuration
+ * @returns {string|null}
+ */
+export function getScreenshotBaselinesDirectory(unityConnection, customConfig = config) {
+  return customConfig.screenshotBaselines?.directory ||
+    resolveProjectConfigPath(resolveProjectRoot(unityConnection, customConfig), 'baselines');
+}
+
+/**
+ * Where diff images are written: the project's Library folder, which is not
+ * committed, or the system temp directory without a local project.
+ * @param {object} [unityConnection]
+ * @param {object} [customConfig]
+ * @returns {string}
+ */
+export function getScreenshotDiffsDirectory(unityConnection, customConfig = config) {
+  const projectRoot = resolveProjectRoot(unityConnection, customConfig);
+  return projectRoot ? path.join(projectRoot, DIFFS_DIR) : path.join(os.tmpdir(), 'unity-mcp-screenshot-diffs');
+}
+
+/**
+ * The PNG file for a baseline name. A trailing `.png` is ignored.
+ * @param {string} directory - Baselines directory
+ * @param {string} name - Baseline name
+ * @returns {string}
+ */
+export function resolveBaselinePath(directory, name) {
+  const normalized = name.replace(/\.png$/i, '');
+  if (!BASELINE_NAME.test(normalized) || normalized.split('/').includes('..')) {
+    const error = new Error(`Invalid baseline name "${name}": use letters, digits, "-", "_" and "." with "/" between folders`);
+    error.code = 'INVALID_BASELINE_NAME';
+    throw error;
+  }
+  return path.join(directory, `${normalized}.png`);
+}
+
+/**
+ * The baseline file a call writes, for the tool policy: relative to the
+ * project unless `UNITY_MCP_SCREENSHOT_BASELINES_DIR` points elsewhere.
+ * @param {string} name - Baseline name
+ * @param {object} [customConfig] - Server configuration
+ * @returns {string}
+ */
+export function getBaselineWriteTarget(name, customConfig = config) {
+  return resolveBaselinePath(customConfig.screenshotBaselines?.directory || path.join(PROJECT_CONFIG_DIR, 'baselines'), name);
+}
+
+/**
+ * Names of the stored baselines, sorted.
+ * @param {string|null} directory
+ * @returns {string[]}
+ */
+export function listScreenshotBaselines(directory) {
+  if (!directory) {
+    return [];
+  }
+
+  const names = [];
+  const visit = (folder, prefix) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(folder, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        visit(path.join(folder, entry.name), `${prefix}${entry.name}/`);
+      } else if (entry.name.toLowerCase().endsWith('.png')) {
+        names.push(`${prefix}${entry.name.slice(0, -4)}`);
+      }
+    }
+  };
+  visit(directory, '');
+  return names.sort();
+}
@@ -0,0 +1,367 @@
+import crypto from 'crypto';
+
+export const SCRIPT_CONFLICT = 'SCRIPT_CONFLICT';
+export const PATCH_FAILED = 'PATCH_FAILED';
+
+const DIFF_CONTEXT_LINES = 3;
+// Larger diffs are not computed: the work grows with lines times edits
+const MAX_DIFF_LINES = 20000;
+const MAX_DIFF_EDITS = 2000;
+const MAX_SNAPSHOTS = 50;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Script contents recently read or written, by hash, so a conflict can be
+// reported as a diff from the version the caller last saw
+const snapshots = new Map();
+
+/**
+ * Content hash of a script as Unity reads it (UTF-8 text without BOM).
+ * @param {string} content
+ * @returns {string} Lowercase hex SHA-256
+ */
+export function hashScriptContent(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Remembers a script version so later conflicts against it can include a diff.
+ * @param {string} content
+ * @returns {string} The content hash
+ */
+export function rememberScriptContent(content) {
+  const hash = hashScriptContent(content);
+  snapshots.delete(hash);
+  snapshots.set(hash, content);
+  if (snapshots.size > MAX_SNAPSHOTS) {
+    snapshots.delete(snapshots.keys().next().value);
+  }
+  return hash;
+}
+
+/**
+ * Builds the SCRIPT_CONFLICT error for a script that no longer matches the
+ * expected hash. The details carry a diff from the expected version when it
+ * is known and small enough to diff, otherwise the current content.
+ * @param {string} scriptPath
+ * @param {string} expectedHash
+ * @param {string} currentContent
+ * @returns {Error}
+ */
+export function createScriptConflictError(scriptPath, expectedHash, currentContent) {
+  const currentHash = rememberScriptContent(currentContent);
+  const expectedContent = snapshots.get(expectedHash.toLowerCase());
+  const diff = expectedContent === undefined ? null : createUnifiedDiff(expectedContent, currentContent, scriptPath);
+  const error = new Error(`${scriptPath} changed since it was read (expected hash ${expectedHash}, now ${currentHash}). Re-read the script and rebuild the edit.`);
+  error.code = SCRIPT_CONFLICT;
+  error.details = diff === null
+    ? { scriptPath, expectedHash, currentHash, currentContent }
+    : { scriptPath, expectedHash, currentHash, diff };
+  return error;
+}
+
+/**
+ * Applies a patch to script content. A string patch is a unified diff; an
+ * array is a list of exact `{ search, replace }` hunks, each of which must
+ * match once unless `replaceAll` is set.
+ * @param {string} content - Current script content
+ * @param {string|{ search: string, replace: string, replaceAll?: boolean }[]} patch
+ * @returns {{ content: string, hunksApplied: number }}
+ */
+export function applyScriptPatch(content, patch) {
+  return typeof patch === 'string'
+    ? applyUnifiedDiff(content, patch)
+    : applySearchReplace(content, patch);
+}
+
+/**
+ * Creates a unified diff between two versions of a file.
+ * @param {string} before
+ * @param {string} after
+ * @param {string} [filePath]
+ * @returns {string|null} Empty when the versions are identical; null when
+ *   they differ in too many lines to diff
+ */
+export function createUnifiedDiff(before, after, filePath = 'script') {
+  const operations = diffLines(splitLines(before).lines, splitLines(after).lines);
+  if (operations === null) {
+    return null;
+  }
+  const hunks = groupHunks(operations);
+  if (hunks.length === 0) {
+    return '';
+  }
+  return [`--- a/${filePath}`, `+++ b/${filePath}`, ...hunks.flatMap(formatHunk)].join('\n') + '\n';
+}
+
+function applySearchReplace(content, hunks) {
+  const eol = detectLineEnding(content);
+  let result = content;
+  hunks.forEach((hunk, index) => {
+    const search = toLineEnding(hunk.search, eol);
+    const replace = toLineEnding(hunk.replace, eol);
+    const occurrences = result.split(search).length - 1;
+    if (occurrences === 0) {
+      throw createPatchError(`Hunk ${index + 1}: search text not found`, { hunk: index + 1, search: hunk.search });
+    }
+    if (occurrences > 1 && !hunk.replaceAll) {
+      throw createPatchError(`Hunk ${index + 1}: search text found ${occurrences} times; add context or set replaceAll`, { hunk: index + 1, search: hunk.search, occurrences });
+    }
+    result = result.split(search).join(replace);
+  });
+  return { content: result, hunksApplied: hunks.length };
+}
+
+function applyUnifiedDiff(content, patch) {
+  const hunks = parseUnifiedDiff(patch);
+  if (hunks.length === 0) {
+    throw createPatchError('Patch contains no hunks (expected "@@ -start,count +start,count @@" headers)');
+  }
+
+  const eol = detectLineEnding(content);
+  const { lines, trailingNewline } = splitLines(content);
+  let offset = 0;
+  let searchFrom = 0;
+  hunks.forEach((hunk, index) => {
+    const nominalAt = hunk.pureInsert ? hunk.oldStart : hunk.oldStart - 1;
+    const at = findBlock(lines, hunk.oldLines, Math.max(0, nominalAt + offset), searchFrom);
+    if (at === -1) {
+      throw createPatchError(`Hunk ${index + 1} (${hunk.header}) does not match the current script`, { hunk: index + 1, header: hunk.header });
+    }
+    lines.splice(at, hunk.oldLines.length, ...hunk.newLines);
+    offset = at - nominalAt + hunk.newLines.length - hunk.oldLines.length;
+    searchFrom = at + hunk.newLines.length;
+  });
+
+  return { content: lines.join(eol) + (trailingNewline ? eol : ''), hunksApplied: hunks.length };
+}
+
+function parseUnifiedDiff(patch) {
+  const hunks = [];
+  let current = null;
+  for (const line of patch.replace(/\r?\n$/, '').split(/\r?\n/)) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      // A hunk without old lines inserts after oldStart rather than at it
+      current = { header: header[0], oldStart: Number(header[1]), pureInsert: header[2] === '0', oldLines: [], newLines: [] };
+      hunks.push(current);
+    } else if (!current || line.startsWith('\\')) {
+      // File headers before the first hunk and "\ No newline at end of file" markers
+      continue;
+    } else if (line.startsWith('-')) {
+      current.oldLines.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      current.newLines.push(line.slice(1));
+    } else if (line.startsWith(' ') || line === '') {
+      // Editors often strip the space from blank context lines
+      current.oldLines.push(line.slice(1));
+      current.newLines.push(line.slice(1));
+    } else {
+      current = null;
+    }
+  }
+  return hunks;
+}
+
+// Nearest exact match to the expected line, not before earlier hunks
+function findBlock(lines, block, expectedAt, searchFrom) {
+  const last = lines.length - block.length;
+  for (let distance = 0; expectedAt - distance >= searchFrom || expectedAt + distance <= last; distance++) {
+    for (const at of distance === 0 ? [expectedAt] : [expectedAt - distance, expectedAt + distance]) {
+      if (at >= searchFrom && at <= last && block.every((line, index) => lines[at + index] === line)) {
+        return at;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Myers line diff in linear space; returns `{ type: ' ' | '-' | '+', line }`
+ * operations, or null past MAX_DIFF_LINES changed lines or MAX_DIFF_EDITS edits.
+ */
+function diffLines(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+    suffix++;
+  }
+  if (before.length + after.length - 2 * (prefix + suffix) > MAX_DIFF_LINES) {
+    return null;
+  }
+
+  const operations = [];
+  for (let index = 0; index < prefix; index++) {
+    operations.push({ type: ' ', line: before[index] });
+  }
+  if (!diffRange(before, prefix, before.length - suffix, after, prefix, after.length - suffix, operations)) {
+    return null;
+  }
+  for (let index = before.length - suffix; index < before.length; index++) {
+    operations.push({ type: ' ', line: before[index] });
+  }
+  return operations;
+}
+
+// Appends the operations turning a[aStart, aEnd) into b[bStart, bEnd): the
+// halves on either side of the middle snake are diffed recursively
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, operations) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    operations.push({ type: ' ', line: a[aStart++] });
+    bStart++;
+  }
+  let suffix = 0;
+  while (aStart < aEnd - suffix && bStart < bEnd - suffix && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) {
+    suffix++;
+  }
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart === aEnd || bStart === bEnd) {
+    for (let index = aStart; index < aEnd; index++) {
+      operations.push({ type: '-', line: a[index] });
+    }
+    for (let index = bStart; index < bEnd; index++) {
+      operations.push({ type: '+', line: b[index] });
+    }
+  } else {
+    const snake = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    if (!snake) {
+      return false;
+    }
+    diffRange(a, aStart, aStart + snake.startX, b, bStart, bStart + snake.startY, operations);
+    for (let index = aStart + snake.startX; index < aStart + snake.endX; index++) {
+      operations.push({ type: ' ', line: a[index] });
+    }
+    diffRange(a, aStart + snake.endX, aEnd, b, bStart + snake.endY, bEnd, operations);
+  }
+
+  for (let index = aEnd; index < aEnd + suffix; index++) {
+    operations.push({ type: ' ', line: a[index] });
+  }
+  return true;
+}
+
+// Searches from both corners at once until the paths meet and returns the
+// snake where they do, relative to the range starts. Forward entries hold the
+// furthest x per diagonal k; backward entries the same counted from the end.
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const limit = Math.min(Math.ceil((n + m) / 2), Math.ceil(MAX_DIFF_EDITS / 2));
+  const offset = limit + 1;
+  const forward = new Int32Array(2 * limit + 3);
+  const backward = new Int32Array(2 * limit + 3);
+
+  for (let d = 0; d <= limit; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      const startX = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      const startY = startX - k;
+      let x = startX;
+      let y = startY;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      if (odd && k >= delta - d + 1 && k <= delta + d - 1 && x + backward[offset + delta - k] >= n) {
+        return { startX, startY, endX: x, endY: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      const startX = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      const startY = startX - k;
+      let x = startX;
+      let y = startY;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (!odd && k >= delta - d && k <= delta + d && x + forward[offset + delta - k] >= n) {
+        return { startX: n - x, startY: m - y, endX: n - startX, endY: m - startY };
+      }
+    }
+  }
+  return null;
+}
+
+function groupHunks(operations) {
+  // Each change pulls in its surrounding context; overlapping ranges merge
+  const ranges = [];
+  operations.forEach((operation, index) => {
+    if (operation.type === ' ') {
+      return;
+    }
+    const start = Math.max(0, index - DIFF_CONTEXT_LINES);
+    const end = Math.min(operations.length, index + DIFF_CONTEXT_LINES + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  // Line numbers are counted in one pass over the operations before each hunk
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let index = 0;
+  for (const { start, end } of ranges) {
+    for (; index < start; index++) {
+      oldLine += operations[index].type !== '+' ? 1 : 0;
+      newLine += operations[index].type !== '-' ? 1 : 0;
+    }
+    hunks.push({ oldStart: oldLine, newStart: newLine, operations: operations.slice(start, end) });
+  }
+  return hunks;
+}
+
+function formatHunk(hunk) {
+  const oldCount = hunk.operations.filter((operation) => operation.type !== '+').length;
+  const newCount = hunk.operations.filter((operation) => operation.type !== '-').length;
+  return [
+    `@@ -${oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart},${oldCount} +${newCount === 0 ? hunk.newStart - 1 : hunk.newStart},${newCount} @@`,
+    ...hunk.operations.map((operation) => `${operation.type}${operation.line}`)
+  ];
+}
+
+function splitLines(content) {
+  if (content === '') {
+    return { lines: [], trailingNewline: false };
+  }
+  const lines = content.split(/\r?\n/);
+  const trailingNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (trailingNewline) {
+    lines.pop();
+  }
+  return { lines, trailingNewline };
+}
+
+function detectLineEnding(content) {
+  return content.includes('\r\n') ? '\r\n' : '\n';
+}
+
+function toLineEnding(text, eol) {
+  return text.replace(/\r?\n/g, eol);
+}
+
+function createPatchError(message, details) {
+  const error = new Error(message);
+  error.code = PATCH_FAILED;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
@@ -0,0 +1,208 @@
+import fsSync from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { config, logger } from './config.js';
+import { AssemblyDefinitions } from './assemblyDefinitions.js';
+import { resolveProjectConfigPath, resolveProjectRoot } from './projectRoot.js';
+
+const TEMPLATE_EXTENSION = '.cs.tmpl';
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+const HEADER_PATTERN = /^\/\/\s*@(description|var)\s+(.*)$/;
+const IDENTIFIER_PATTERN = /[^A-Za-z0-9_]/g;
+
+/**
+ * Script types `create_script` generates without a template.
+ */
+export const BUILTIN_SCRIPT_TYPES = ['MonoBehaviour', 'ScriptableObject', 'Editor', 'StaticClass', 'Interface'];
+
+/**
+ * Variables every template can use without passing them to `create_script`.
+ */
+export const BUILTIN_TEMPLATE_VARIABLES = {
+  className: 'Name of the class (the script name)',
+  namespace: 'Namespace from the namespace parameter, or derived from the assembly root namespace and folder',
+  folder: 'Folder the script is created in',
+  assembly: 'Assembly the script compiles into'
+};
+
+/**
+ * Directory holding project script templates: `UNITY_MCP_SCRIPT_TEMPLATES_DIR`,
+ * or `.unity-mcp/templates` in the Unity project.
+ * @param {object} unityConnection - Unity connection used to locate the project
+ * @param {object} [customConfig] - Server configuration
+ * @returns {string|null}
+ */
+export function getScriptTemplatesDirectory(unityConnection, customConfig = config) {
+  return customConfig.scriptTemplates?.directory ||
+    resolveProjectConfigPath(resolveProjectRoot(unityConnection, customConfig), 'templates');
+}
+
+/**
+ * Reads every `*.cs.tmpl` file in a directory. Unreadable templates are
+ * skipped with a warning; a missing directory has no templates.
+ * @param {string|null} directory
+ * @returns {Promise<object[]>} Parsed templates sorted by name
+ */
+export async function loadScriptTemplates(directory) {
+  if (!directory) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`[Templates] Cannot read ${directory}: ${error.message}`);
+    }
+    return [];
+  }
+
+  const templates = [];
+  for (const entry of entries.filter((file) => file.endsWith(TEMPLATE_EXTENSION)).sort()) {
+    const filePath = path.join(directory, entry);
+    try {
+      const template = parseScriptTemplate(await fs.readFile(filePath, 'utf8'), entry.slice(0, -TEMPLATE_EXTENSION.length));
+      templates.push({ ...template, path: filePath });
+    } catch (error) {
+      logger.warn(`[Templates] Skipping ${filePath}: ${error.message}`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Parses a template file. Leading `// @description <text>` and
+ * `// @var <name> <description>` lines document the template and are not
+ * part of the generated script.
+ * @param {string} text - Template file contents
+ * @param {string} name - Template name (the file name without `.cs.tmpl`)
+ * @returns {{ name: string, description: string, variables: object[], body: string }}
+ */
+export function parseScriptTemplate(text, name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    throw new Error(`invalid template name: ${name}`);
+  }
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let description = '';
+  const documented = new Map();
+  while (lines.length > 0) {
+    const header = lines[0].trim().match(HEADER_PATTERN);
+    if (!header) {
+      break;
+    }
+    lines.shift();
+    if (header[1] === 'description') {
+      description = header[2].trim();
+    } else {
+      const [variable, ...rest] = header[2].trim().split(/\s+/);
+      documented.set(variable, rest.join(' '));
+    }
+  }
+
+  const body = lines.join('\n').replace(/^\n+/, '');
+  if (body.trim() === '') {
+    throw new Error('template has no content');
+  }
+
+  const used = [...new Set([...body.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+  const variables = [...new Set([...used, ...documented.keys()])]
+    .filter((variable) => !(variable in BUILTIN_TEMPLATE_VARIABLES))
+    .map((variable) => ({ name: variable, description: documented.get(variable) || '' }));
+
+  return { name, description, variables, body };
+}
+
+/**
+ * Renders a template into script source. `{{variable}}` placeholders are
+ * replaced, and Unity's own script template markers (`#SCRIPTNAME#`,
+ * `#ROOTNAMESPACEBEGIN#`/`#ROOTNAMESPACEEND#`, `#NOTRIM#`) work too, so
+ * templates copied from `Assets/ScriptTemplates` can be used unchanged.
+ * @param {object} template - Parsed template
+ * @param {object} values - className, namespace, folder, assembly and custom variables
+ * @returns {string}
+ * @throws {Error} TEMPLATE_VARIABLES_MISSING when a custom variable has no value
+ */
+export function renderScriptTemplate(template, values) {
+  const missing = template.variables
+    .filter((variable) => values[variable.name] === undefined || values[variable.name] === null)
+    .map((variable) => variable.name);
+  if (missing.length > 0) {
+    const error = new Error(`Template ${template.name} needs values for: ${missing.join(', ')}`);
+    error.code = 'TEMPLATE_VARIABLES_MISSING';
+    error.details = { template: template.name, missing, variables: template.variables };
+    throw error;
+  }
+
+  const body = template.body
+    .replace(PLACEHOLDER_PATTERN, (match, key) => String(values[key] ?? ''))
+    .replace(/#SCRIPTNAME#/g, values.className)
+    .replace(/#SCRIPTNAME_LOWER#/g, values.className.charAt(0).toLowerCase() + values.className.slice(1))
+    .replace(/#NOTRIM#/g, '');
+  return wrapRootNamespace(body, values.namespace || '');
+}
+
+/**
+ * The namespace for a new script in a folder: the root namespace of the
+ * assembly definition that owns the folder followed by the folders below it
+ * (`Game` + `Assets/Game/AI/States` gives `Game.AI.States`). Scripts outside
+ * assembly definitions get the project's Root Namespace editor setting.
+ * @param {string} projectRoot - Unity project root
+ * @param {string} folder - Project-relative folder of the script
+ * @returns {string} Namespace, empty when no root namespace is configured
+ */
+export function deriveNamespace(projectRoot, folder) {
+  const normalized = folder.replace(/\\/g, '/').replace(/\/+$/, '');
+  const definitions = new AssemblyDefinitions(projectRoot);
+  const owner = definitions.resolveScript(`${normalized}/Script.cs`);
+  if (!owner.asmdefPath) {
+    return readProjectRootNamespace(projectRoot);
+  }
+
+  const root = definitions.get(owner.asmdefPath).definition.rootNamespace || '';
+  if (!root) {
+    return '';
+  }
+  // Folders are counted from the .asmref when one adds the folder to the assembly
+  const assemblyFolder = path.posix.dirname(owner.asmrefPath || owner.asmdefPath);
+  const segments = normalized === assemblyFolder
+    ? []
+    : normalized.slice(assemblyFolder.length + 1).split('/');
+  return [root, ...segments.map(toIdentifier).filter(Boolean)].join('.');
+}
+
+function readProjectRootNamespace(projectRoot) {
+  // The Root Namespace field in Project Settings > Editor
+  return readFileSyncSafe(path.join(projectRoot, 'ProjectSettings/EditorSettings.asset'))
+    .match(/^\s*m_ProjectGenerationRootNamespace:[ \t]*(\S*)/m)?.[1] || '';
+}
+
+function wrapRootNamespace(body, namespace) {
+  const lines = body.split('\n');
+  const begin = lines.findIndex((line) => line.includes('#ROOTNAMESPACEBEGIN#'));
+  const end = lines.findIndex((line) => line.includes('#ROOTNAMESPACEEND#'));
+  if (begin === -1 || end < begin) {
+    return body;
+  }
+
+  const inner = lines.slice(begin + 1, end);
+  const wrapped = namespace
+    ? [`namespace ${namespace}`, '{', ...inner.map((line) => (line.trim() ? `    ${line}` : line)), '}']
+    : inner;
+  return [...lines.slice(0, begin), ...wrapped, ...lines.slice(end + 1)].join('\n');
+}
+
+function toIdentifier(segment) {
+  const identifier = segment.replace(IDENTIFIER_PATTERN, '');
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+function readFileSyncSafe(filePath) {
+  try {
+    return fsSync.readFileSync(filePath, 'utf8');
+  } catch {
+    return '';
+  }
+}
@@ -8,7 +8,13 @@ import { registerMcpHandlers } from './mcpRegistration.js';
 import { registerDaemonProxyHandlers } from './daemonProxy.js';
 import { createDaemonMcpClient } from './daemonClient.js';
 import { startDaemonCli } from './daemonServer.js';
+import { startFakeUnityCli } from './fakeUnity.js';
 import { createHandlers } from '../handlers/index.js';
+import { UndoJournal } from './undoJournal.js';
+import { UnityResourceProvider } from './mcpResources.js';
+import { createPromptLibrary } from './mcpPrompts.js';
+import { EditorEventHub } from './editorEvents.js';
+import { createToolPolicyProvider } from './toolPolicy.js';
 import { config, logger } from './config.js';
 
 export async function main() {
@@ -17,6 +23,11 @@ export async function main() {
     return;
   }
 
+  if (process.argv.includes('fake-unity')) {
+    await startFakeUnityCli();
+    return;
+  }
+
   if (config.daemon.enabled) {
     await startStdioDaemonProxy();
     return;
@@ -35,7 +46,10 @@ export async function startStdioDaemonProxy(customConfig = config, options = {})
     },
     {
       capabilities: {
-        tools: {}
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+        logging: {}
       }
     }
   );
@@ -53,9 +67,11 @@ export async function startStdioDaemonProxy(customConfig = config, options = {})
         cachedTransport = null;
       }
 
+      // Offer sampling to the daemon only when the real client can answer it
       const connection = await createDaemonMcpClient({
         ...customConfig.daemon,
-        ...(options.daemon || {})
+        ...(options.daemon || {}),
+        capabilities: server.getClientCapabilities()?.sampling ? { sampling: {} } : {}
       });
       cachedClient = connection.client;
       cachedTransport = connection.transport;
@@ -142,7 +158,12 @@ export async function startDirectStdioServer(customConfig = config) {
 
 export async function createServer(customConfig = config) {
   const testUnityConnection = new UnityConnection({ config: customConfig });
-  const testHandlers = createHandlers(testUnityConnection);
+  const undoJournal = new UndoJournal(testUnityConnection);
+  const resources = new UnityResourceProvider(testUnityConnection);
+  const prompts = createPromptLibrary(testUnityConnection, customConfig);
+  const editorEvents = new EditorEventHub(testUnityConnection);
+  const policy = createToolPolicyProvider(testUnityConnection, customConfig);
+  const testHandlers = createHandlers(testUnityConnection, { undoJournal });
   
   const testServer = new Server(
     {
@@ -151,12 +172,15 @@ export async function createServer(customConfig = config) {
     },
     {
       capabilities: {
-        tools: {}
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+        logging: {}
       }
     }
   );
   
-  registerMcpHandlers(testServer, testHandlers, { logger });
+  registerMcpHandlers(testServer, testHandlers, { logger, undoJournal, resources, prompts, editorEvents, policy });
   
   return {
     server: testServer,
@@ -0,0 +1,408 @@
+import fs from 'fs';
+import path from 'path';
+import { maskNonCode, parseCSharpOutline } from './csharpOutline.js';
+import { toAssetPath, walkFiles } from './projectIndex.js';
+import { createProjectNotFoundError, resolvePathInProject, resolveProjectRoot } from './projectRoot.js';
+
+// Script roots the project compiles; Library/PackageCache holds registry packages
+const SOURCE_ROOTS = ['Assets', 'Packages'];
+const PACKAGE_CACHE_ROOT = 'Library/PackageCache';
+
+export const SYMBOL_KINDS = [
+  'type', 'class', 'struct', 'interface', 'enum', 'record', 'delegate',
+  'method', 'constructor', 'field', 'property', 'event'
+];
+const TYPE_KINDS = new Set(['class', 'struct', 'interface', 'enum', 'record', 'delegate']);
+
+// One index per project root, shared by the code navigation tools
+const indexes = new Map();
+
+/**
+ * The symbol index of the project the server works against, or null when
+ * the project is not on this machine.
+ * @param {object} [unityConnection] - Unity connection (its endpoint carries the project path)
+ * @returns {SymbolIndex|null}
+ */
+export function getProjectSymbolIndex(unityConnection) {
+  const projectRoot = resolveProjectRoot(unityConnection);
+  if (!projectRoot || !fs.existsSync(path.join(projectRoot, 'Assets'))) {
+    return null;
+  }
+  if (!indexes.has(projectRoot)) {
+    indexes.set(projectRoot, new SymbolIndex(projectRoot));
+  }
+  return indexes.get(projectRoot);
+}
+
+/**
+ * Like getProjectSymbolIndex, but throws PROJECT_NOT_FOUND when the project
+ * cannot be read from disk.
+ * @param {object} [unityConnection]
+ * @returns {SymbolIndex}
+ */
+export function requireProjectSymbolIndex(unityConnection) {
+  const index = getProjectSymbolIndex(unityConnection);
+  if (!index) {
+    throw createProjectNotFoundError();
+  }
+  return index;
+}
+
+/**
+ * Outline index of the C# scripts in a Unity project. Files are parsed on
+ * first use and re-parsed when their size or modification time changes.
+ */
+export class SymbolIndex {
+  /**
+   * @param {string} projectRoot - Unity project root
+   */
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.files = new Map();
+  }
+
+  /**
+   * Outline of one script, parsed from disk.
+   * @param {string} scriptPath - Project-relative path, e.g. Assets/Scripts/Player.cs
+   * @returns {{ usings: string[], namespaces: string[], types: object[] }}
+   */
+  getOutline(scriptPath) {
+    const entry = this.load(resolvePathInProject(this.projectRoot, scriptPath));
+    if (!entry) {
+      const error = new Error(`Script not found: ${scriptPath}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return entry.outline;
+  }
+
+  /**
+   * Finds types and members whose names, containing type or doc summary match
+   * every word of the query. Matches in Assets/ rank before package code.
+   * @param {string} [query] - Words or a camelCase name, e.g. "player damage"
+   * @param {object} [options]
+   * @param {string} [options.kind] - One of SYMBOL_KINDS
+   * @param {string} [options.baseType] - Only types deriving (transitively) from this type
+   * @param {boolean} [options.includePackages] - Also search Library/PackageCache
+   * @param {number} [options.limit]
+   * @returns {{ matches: object[], totalMatches: number, filesSearched: number }}
+   */
+  findSymbols(query = '', { kind, baseType, includePackages = false, limit = 50 } = {}) {
+    const entries = this.scan(includePackages);
+    const tokens = tokenize(query);
+    const derived = baseType ? this.findDerivedTypes(entries, baseType) : null;
+
+    const matches = [];
+    for (const { scriptPath, outline } of entries) {
+      for (const type of outline.types) {
+        const typeMatches = !derived || derived.has(type);
+        if (typeMatches && matchesKind(type.kind, kind, true)) {
+          const haystack = { name: type.name, container: type.containerName, summary: type.summary, members: type.members.map((member) => member.name) };
+          const score = scoreSymbol(tokens, haystack, query);
+          if (score > 0) {
+            matches.push({ scriptPath, score, symbol: describeType(type) });
+          }
+        }
+
+        if (!derived || typeMatches) {
+          for (const member of type.members) {
+            if (member.kind === 'enumMember' || !matchesKind(member.kind, kind, false) || tokens.length === 0) {
+              continue;
+            }
+            const score = scoreSymbol(tokens, { name: member.name, container: type.name, summary: member.summary }, query);
+            if (score > 0) {
+              matches.push({ scriptPath, score, symbol: describeMember(member, type) });
+            }
+          }
+        }
+      }
+    }
+
+    matches.sort((a, b) => getSourceRank(a.scriptPath) - getSourceRank(b.scriptPath) ||
+      b.score - a.score ||
+      a.scriptPath.localeCompare(b.scriptPath) ||
+      a.symbol.line - b.symbol.line);
+    return {
+      matches: matches.slice(0, limit).map(({ scriptPath, score, symbol }) => ({ ...symbol, scriptPath, score })),
+      totalMatches: matches.length,
+      filesSearched: entries.length
+    };
+  }
+
+  /**
+   * Finds whole-word uses of a symbol in code, ignoring comments and strings.
+   * A qualified name (Player.TakeDamage) searches for its last segment.
+   * @param {string} symbol
+   * @param {object} [options]
+   * @param {boolean} [options.includePackages] - Also search Library/PackageCache
+   * @param {boolean} [options.includeDeclarations] - Keep the lines that declare the symbol
+   * @param {number} [options.limit]
+   * @returns {{ references: object[], totalReferences: number, filesSearched: number }}
+   */
+  findReferences(symbol, { includePackages = false, includeDeclarations = true, limit = 200 } = {}) {
+    const name = symbol.split('.').pop().replace(/^@/, '');
+    const pattern = new RegExp(`(?<![\\w@])@?${escapeRegExp(name)}(?!\\w)`, 'g');
+    const entries = this.scan(includePackages);
+
+    const references = [];
+    for (const entry of entries) {
+      const declarations = collectDeclarationLines(entry.outline, name);
+      const codeLines = entry.code.split('\n');
+      const sourceLines = entry.source.split('\n');
+      codeLines.forEach((line, index) => {
+        for (const match of line.matchAll(pattern)) {
+          const isDeclaration = declarations.has(index + 1);
+          if (isDeclaration && !includeDeclarations) {
+            continue;
+          }
+          references.push({
+            scriptPath: entry.scriptPath,
+            line: index + 1,
+            column: match.index + 1,
+            text: sourceLines[index].trim(),
+            isDeclaration
+          });
+        }
+      });
+    }
+
+    references.sort((a, b) => getSourceRank(a.scriptPath) - getSourceRank(b.scriptPath));
+    return {
+      references: references.slice(0, limit),
+      totalReferences: references.length,
+      filesSearched: entries.length
+    };
+  }
+
+  /**
+   * Parses every script under the source roots, reusing unchanged files.
+   * @param {boolean} includePackages
+   * @returns {object[]} File entries
+   */
+  scan(includePackages) {
+    const roots = includePackages ? [...SOURCE_ROOTS, PACKAGE_CACHE_ROOT] : SOURCE_ROOTS;
+    const seen = new Set();
+    const entries = [];
+    for (const root of roots) {
+      for (const filePath of walkFiles(path.join(this.projectRoot, root), (candidate) => candidate.endsWith('.cs'))) {
+        const entry = this.load(filePath);
+        if (entry) {
+          seen.add(filePath);
+          entries.push(entry);
+        }
+      }
+    }
+
+    // Drop deleted files, keeping the package cache entries when it was not scanned
+    for (const filePath of this.files.keys()) {
+      if (!seen.has(filePath) && (includePackages || !isPackageCachePath(this.projectRoot, filePath))) {
+        this.files.delete(filePath);
+      }
+    }
+    return entries;
+  }
+
+  load(filePath) {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch {
+      this.files.delete(filePath);
+      return null;
+    }
+
+    const cached = this.files.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+      return cached;
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const entry = {
+      scriptPath: toAssetPath(this.projectRoot, filePath),
+      mtimeMs: stats.mtimeMs,
+      size: stats.size,
+      source,
+      code: maskNonCode(source),
+      outline: parseCSharpOutline(source)
+    };
+    this.files.set(filePath, entry);
+    return entry;
+  }
+
+  // Types whose base list reaches baseType, following base classes declared in the index
+  findDerivedTypes(entries, baseType) {
+    const types = entries.flatMap((entry) => entry.outline.types);
+    const byName = new Map();
+    for (const type of types) {
+      for (const name of [type.name, type.fullName]) {
+        if (!byName.has(name)) {
+          byName.set(name, []);
+        }
+        byName.get(name).push(type);
+      }
+    }
+
+    const target = shortName(baseType);
+    const derived = new Set();
+    const visit = (type, visiting) => {
+      if (derived.has(type)) {
+        return true;
+      }
+      if (visiting.has(type)) {
+        return false;
+      }
+      visiting.add(type);
+      const found = type.baseTypes.some((base) => shortName(base) === target ||
+        (byName.get(stripGenerics(base)) || byName.get(shortName(base)) || []).some((candidate) => visit(candidate, visiting)));
+      if (found) {
+        derived.add(type);
+      }
+      return found;
+    };
+    types.forEach((type) => visit(type, new Set()));
+    return derived;
+  }
+}
+
+/**
+ * A type declaration without its member list, plus member counts.
+ * @param {object} type - Type from parseCSharpOutline
+ * @returns {object}
+ */
+export function describeType(type) {
+  const { members, ...symbol } = type;
+  return {
+    ...symbol,
+    signature: formatTypeSignature(type),
+    serializedFields: members.filter((member) => member.serialized).map((member) => member.name),
+    memberCount: members.length
+  };
+}
+
+/**
+ * Declaration line of a type, e.g. "public class Player : MonoBehaviour".
+ * @param {object} type
+ * @returns {string}
+ */
+export function formatTypeSignature(type) {
+  const bases = type.baseTypes.length > 0 ? ` : ${type.baseTypes.join(', ')}` : '';
+  return [...type.modifiers, type.kind, type.name].join(' ') + bases;
+}
+
+/**
+ * Declaration line of a member, e.g. "public void TakeDamage(int amount)".
+ * @param {object} member
+ * @returns {string}
+ */
+export function formatMemberSignature(member) {
+  const parameters = (member.parameters || []).map((parameter) => `${parameter.type} ${parameter.name}`.trim()).join(', ');
+  switch (member.kind) {
+    case 'method':
+      return [...member.modifiers, member.returnType, `${member.name}(${parameters})`].join(' ');
+    case 'constructor':
+      return [...member.modifiers, `${member.name}(${parameters})`].join(' ');
+    case 'indexer':
+      return [...member.modifiers, member.type, `this[${parameters}]`].join(' ');
+    case 'event':
+      return [...member.modifiers, 'event', member.type, member.name].join(' ');
+    case 'field':
+    case 'property':
+      return [...member.modifiers, member.type, member.name].join(' ');
+    default:
+      return [...member.modifiers, member.name].join(' ');
+  }
+}
+
+function describeMember(member, type) {
+  return {
+    ...member,
+    fullName: `${type.fullName}.${member.name}`,
+    containerName: type.fullName,
+    signature: formatMemberSignature(member)
+  };
+}
+
+function matchesKind(symbolKind, kind, isType) {
+  if (!kind) {
+    return true;
+  }
+  if (kind === 'type') {
+    return isType && TYPE_KINDS.has(symbolKind);
+  }
+  return symbolKind === kind;
+}
+
+function scoreSymbol(tokens, { name, container, summary, members = [] }, query) {
+  if (tokens.length === 0) {
+    return 1;
+  }
+  const nameWords = tokenize(name);
+  const lowerName = name.toLowerCase();
+  const containerText = (container || '').toLowerCase();
+  const summaryText = (summary || '').toLowerCase();
+  const memberText = members.join(' ').toLowerCase();
+
+  // Each token must match somewhere; every field it matches adds evidence
+  let score = 0;
+  for (const token of tokens) {
+    const tokenScore = (nameWords.includes(token) ? 10 : lowerName.includes(token) ? 6 : 0) +
+      (containerText.includes(token) ? 3 : 0) +
+      (memberText.includes(token) ? 2 : 0) +
+      (summaryText.includes(token) ? 1 : 0);
+    if (tokenScore === 0) {
+      return 0;
+    }
+    score += tokenScore;
+  }
+  if (lowerName === query.trim().toLowerCase()) {
+    score += 20;
+  }
+  return score;
+}
+
+// "PlayerDamage handler" -> ["player", "damage", "handler"]
+function tokenize(text) {
+  return (text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function collectDeclarationLines(outline, name) {
+  const lines = new Set();
+  for (const type of outline.types) {
+    if (type.name === name) {
+      lines.add(type.line);
+    }
+    for (const member of type.members) {
+      if (member.name === name) {
+        lines.add(member.line);
+      }
+    }
+  }
+  return lines;
+}
+
+// Project scripts first, then embedded packages, then the package cache
+function getSourceRank(scriptPath) {
+  const rank = SOURCE_ROOTS.findIndex((root) => scriptPath.startsWith(`${root}/`));
+  return rank === -1 ? SOURCE_ROOTS.length : rank;
+}
+
+function isPackageCachePath(projectRoot, filePath) {
+  return toAssetPath(projectRoot, filePath).startsWith(`${PACKAGE_CACHE_ROOT}/`);
+}
+
+function stripGenerics(typeName) {
+  return typeName.replace(/<.*>$/, '').trim();
+}
+
+function shortName(typeName) {
+  return stripGenerics(typeName).split('.').pop();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
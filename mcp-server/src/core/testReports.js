@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import os from 'os';
+
+export const TEST_REPORT_FORMATS = ['junit', 'nunit', 'trx'];
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+// Characters XML 1.0 cannot contain, even escaped
+const INVALID_XML_CHARS = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+const TRX_NAMESPACE = 'http://microsoft.com/schemas/VisualStudio/TeamTest/2010';
+const TRX_UNIT_TEST_TYPE = '13cdc9d9-ddb5-4fa4-a97d-d965ccfc6d4b';
+const TRX_DEFAULT_LIST = '8c84fa94-04c1-424b-9868-57a2d4851a1d';
+const TRX_OUTCOMES = { Passed: 'Passed', Failed: 'Failed', Skipped: 'NotExecuted', Inconclusive: 'Inconclusive' };
+
+/**
+ * Formats a stored test run as a CI report.
+ * @param {object} run - Run from the test run history
+ * @param {'junit'|'nunit'|'trx'} format
+ * @returns {string} XML document
+ */
+export function formatTestReport(run, format) {
+  switch (format) {
+    case 'junit':
+      return formatJUnit(run);
+    case 'nunit':
+      return formatNUnit(run);
+    case 'trx':
+      return formatTrx(run);
+    default:
+      throw new Error(`format must be one of: ${TEST_REPORT_FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * JUnit XML with one testsuite per test class.
+ * @param {object} run
+ * @returns {string}
+ */
+export function formatJUnit(run) {
+  const suites = groupByClass(run.tests).map(([className, tests]) => {
+    const cases = tests.map((test) => {
+      const children = [];
+      if (test.status === 'Failed') {
+        children.push(element('failure', { message: test.message || '', type: 'AssertionException' }, test.stackTrace || test.message || ''));
+      } else if (test.status === 'Skipped' || test.status === 'Inconclusive') {
+        children.push(element('skipped', { message: test.message || test.status }));
+      }
+      if (test.output) {
+        children.push(element('system-out', {}, test.output));
+      }
+      return element('testcase', { name: test.methodName, classname: className, time: seconds(test.duration) }, children);
+    });
+    return element('testsuite', {
+      name: className,
+      tests: tests.length,
+      failures: countStatus(tests, 'Failed'),
+      errors: 0,
+      skipped: tests.length - countStatus(tests, 'Passed') - countStatus(tests, 'Failed'),
+      time: seconds(sumDuration(tests)),
+      ...(tests[0].startTime || run.startedAt ? { timestamp: tests[0].startTime || run.startedAt } : {})
+    }, cases);
+  });
+
+  return document(element('testsuites', {
+    name: `Unity ${run.testMode || 'Tests'}`,
+    tests: run.summary.total,
+    failures: run.summary.failed,
+    errors: 0,
+    skipped: run.summary.skipped + run.summary.inconclusive,
+    time: seconds(run.summary.duration)
+  }, suites));
+}
+
+/**
+ * NUnit 3 result XML, the format Unity's own Test Runner exports.
+ * @param {object} run
+ * @returns {string}
+ */
+export function formatNUnit(run) {
+  let nextId = 1000;
+  const suites = groupByClass(run.tests).map(([className, tests]) => {
+    const cases = tests.map((test) => {
+      const children = [];
+      if (test.status === 'Failed') {
+        children.push(element('failure', {}, [
+          element('message', {}, cdata(test.message || '')),
+          element('stack-trace', {}, cdata(test.stackTrace || ''))
+        ]));
+      } else if (test.message) {
+        children.push(element('reason', {}, [element('message', {}, cdata(test.message))]));
+      }
+      if (test.output) {
+        children.push(element('output', {}, cdata(test.output)));
+      }
+      return element('test-case', {
+        id: nextId++,
+        name: test.methodName,
+        fullname: test.name,
+        methodname: test.methodName.replace(/\(.*$/, ''),
+        classname: className,
+        runstate: 'Runnable',
+        result: test.status,
+        ...(test.startTime ? { 'start-time': test.startTime } : {}),
+        ...(test.endTime ? { 'end-time': test.endTime } : {}),
+        duration: test.duration,
+        asserts: 0
+      }, children);
+    });
+    return element('test-suite', {
+      type: 'TestFixture',
+      id: nextId++,
+      name: className.split('.').pop(),
+      fullname: className,
+      classname: className,
+      runstate: 'Runnable',
+      testcasecount: tests.length,
+      result: countStatus(tests, 'Failed') > 0 ? 'Failed' : 'Passed',
+      total: tests.length,
+      passed: countStatus(tests, 'Passed'),
+      failed: countStatus(tests, 'Failed'),
+      inconclusive: countStatus(tests, 'Inconclusive'),
+      skipped: countStatus(tests, 'Skipped'),
+      asserts: 0,
+      duration: sumDuration(tests)
+    }, cases);
+  });
+
+  return document(element('test-run', {
+    id: 2,
+    testcasecount: run.summary.total,
+    result: run.summary.failed > 0 ? 'Failed' : 'Passed',
+    total: run.summary.total,
+    passed: run.summary.passed,
+    failed: run.summary.failed,
+    inconclusive: run.summary.inconclusive,
+    skipped: run.summary.skipped,
+    asserts: 0,
+    engineversion: '3.5.0.0',
+    ...(run.startedAt ? { 'start-time': run.startedAt } : {}),
+    ...(run.finishedAt ? { 'end-time': run.finishedAt } : {}),
+    duration: run.summary.duration
+  }, suites));
+}
+
+/**
+ * Visual Studio TRX, read by Azure DevOps and most .NET dashboards.
+ * @param {object} run
+ * @returns {string}
+ */
+export function formatTrx(run) {
+  const computerName = os.hostname();
+  const tests = run.tests.map((test) => ({
+    test,
+    testId: guidFrom(`test:${test.name}`),
+    executionId: guidFrom(`execution:${run.id}:${test.name}`)
+  }));
+
+  const definitions = tests.map(({ test, testId, executionId }) => element('UnitTest', { name: test.name, storage: 'unity', id: testId }, [
+    element('Execution', { id: executionId }),
+    element('TestMethod', { codeBase: 'Unity', adapterTypeName: 'executor://unity', className: test.className, name: test.methodName })
+  ]));
+  const entries = tests.map(({ testId, executionId }) => element('TestEntry', { testId, executionId, testListId: TRX_DEFAULT_LIST }));
+  const results = tests.map(({ test, testId, executionId }) => {
+    const output = [];
+    if (test.output) {
+      output.push(element('StdOut', {}, test.output));
+    }
+    if (test.message || test.stackTrace) {
+      output.push(element('ErrorInfo', {}, [
+        element('Message', {}, test.message || ''),
+        element('StackTrace', {}, test.stackTrace || '')
+      ]));
+    }
+    return element('UnitTestResult', {
+      executionId,
+      testId,
+      testName: test.name,
+      computerName,
+      duration: timeSpan(test.duration),
+      ...(test.startTime ? { startTime: test.startTime } : {}),
+      ...(test.endTime ? { endTime: test.endTime } : {}),
+      testType: TRX_UNIT_TEST_TYPE,
+      outcome: TRX_OUTCOMES[test.status],
+      testListId: TRX_DEFAULT_LIST
+    }, output.length > 0 ? [element('Output', {}, output)] : []);
+  });
+
+  const { summary } = run;
+  return document(element('TestRun', { id: guidFrom(`run:${run.id}`), name: `Unity ${run.testMode || 'Tests'} ${run.id}`, xmlns: TRX_NAMESPACE }, [
+    element('Times', {
+      creation: run.recordedAt,
+      ...(run.startedAt ? { start: run.startedAt } : {}),
+      ...(run.finishedAt ? { finish: run.finishedAt } : {})
+    }),
+    element('ResultSummary', { outcome: summary.failed > 0 ? 'Failed' : 'Completed' }, [
+      element('Counters', {
+        total: summary.total,
+        executed: summary.passed + summary.failed + summary.inconclusive,
+        passed: summary.passed,
+        failed: summary.failed,
+        inconclusive: summary.inconclusive,
+        notExecuted: summary.skipped
+      })
+    ]),
+    element('TestDefinitions', {}, definitions),
+    element('TestEntries', {}, entries),
+    element('TestLists', {}, [element('TestList', { name: 'Results Not in a List', id: TRX_DEFAULT_LIST })]),
+    element('Results', {}, results)
+  ]));
+}
+
+function groupByClass(tests) {
+  const groups = new Map();
+  for (const test of tests) {
+    const key = test.className || '(no class)';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(test);
+  }
+  return [...groups];
+}
+
+function document(root) {
+  return `${XML_HEADER}\n${root.join('\n')}\n`;
+}
+
+/**
+ * An element as indented lines. Content is a string (escaped), a CDATA
+ * marker, or child elements.
+ */
+function element(name, attributes, content = []) {
+  const open = `<${name}${Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`).join('')}`;
+  if (typeof content === 'string') {
+    return [content === '' ? `${open} />` : `${open}>${escapeText(content)}</${name}>`];
+  }
+  if (content?.cdata !== undefined) {
+    return [`${open}><![CDATA[${sanitize(content.cdata).replace(/]]>/g, ']]]]><![CDATA[>')}]]></${name}>`];
+  }
+  if (content.length === 0) {
+    return [`${open} />`];
+  }
+  return [`${open}>`, ...content.flat().map((line) => `  ${line}`), `</${name}>`];
+}
+
+function cdata(text) {
+  return { cdata: text };
+}
+
+function escapeText(value) {
+  return sanitize(String(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Newlines in attributes would be normalized to spaces by XML parsers
+function escapeAttribute(value) {
+  return escapeText(value)
+    .replace(/"/g, '&quot;')
+    .replace(/\r?\n/g, '&#10;');
+}
+
+function sanitize(text) {
+  return text.replace(INVALID_XML_CHARS, '');
+}
+
+function countStatus(tests, status) {
+  return tests.filter((test) => test.status === status).length;
+}
+
+function sumDuration(tests) {
+  return tests.reduce((total, test) => total + test.duration, 0);
+}
+
+function seconds(duration) {
+  return Number(duration || 0).toFixed(3);
+}
+
+// hh:mm:ss.fffffff
+function timeSpan(duration) {
+  const totalTicks = Math.round((duration || 0) * 1e7);
+  const hours = Math.floor(totalTicks / 36e9);
+  const minutes = Math.floor((totalTicks % 36e9) / 6e8);
+  const secondsPart = (totalTicks % 6e8) / 1e7;
+  const [whole, fraction = ''] = secondsPart.toFixed(7).split('.');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${whole.padStart(2, '0')}.${fraction}`;
+}
+
+// Stable GUIDs so re-exporting a run gives the same ids
+function guidFrom(text) {
+  const hex = crypto.createHash('sha1').update(text).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
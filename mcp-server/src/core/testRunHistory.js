@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config, logger } from './config.js';
+import { resolveProjectRoot } from './projectRoot.js';
+
+const HISTORY_DIR = 'Library/UnityEditorMCP/test-runs';
+const STATUSES = ['Passed', 'Failed', 'Skipped', 'Inconclusive'];
+const CLASSIFICATIONS_FILE = 'classifications.json';
+
+// One history per directory so every handler sees the same runs
+const histories = new Map();
+
+/**
+ * The test run history of the project the server works against. Runs are
+ * stored in `UNITY_MCP_TEST_RUNS_DIR`, or `Library/UnityEditorMCP/test-runs`
+ * in the Unity project; without either they are kept in memory only.
+ * @param {object} [unityConnection] - Unity connection used to locate the project
+ * @param {object} [customConfig] - Server configuration
+ * @returns {TestRunHistory}
+ */
+export function getTestRunHistory(unityConnection, customConfig = config) {
+  const projectRoot = resolveProjectRoot(unityConnection, customConfig);
+  const directory = customConfig.testRuns?.directory || (projectRoot ? path.join(projectRoot, HISTORY_DIR) : null);
+  const key = directory || '';
+  if (!histories.has(key)) {
+    histories.set(key, new TestRunHistory({ directory, maxRuns: customConfig.testRuns?.maxRuns }));
+  }
+  return histories.get(key);
+}
+
+/**
+ * Finished test runs, oldest first, one JSON file per run.
+ */
+export class TestRunHistory {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.directory] - Where runs are stored; null keeps them in memory
+   * @param {number} [options.maxRuns] - Older runs are deleted beyond this count
+   */
+  constructor({ directory = null, maxRuns = 50 } = {}) {
+    this.directory = directory;
+    this.maxRuns = maxRuns;
+    this.memoryRuns = [];
+    this.memoryClassifications = {};
+  }
+
+  /**
+   * Stores a finished run from Unity's get_test_results response. Reading the
+   * same run again returns the stored copy.
+   * @param {object} response - get_test_results data, fetched with details and without a status filter;
+   *   `rerunOf` marks a rerun of an earlier run's failures
+   * @returns {object|null} The stored run, or null while tests are running or without results
+   */
+  record(response) {
+    if (!response || response.isRunning || !Array.isArray(response.results) || response.results.length === 0) {
+      return null;
+    }
+
+    const run = normalizeRun(response);
+    const existing = this.get(run.id);
+    if (existing) {
+      return existing;
+    }
+    // Runs are ordered by recordedAt, so keep it increasing within a millisecond
+    const latest = this.list().at(-1);
+    if (latest && run.recordedAt <= latest.recordedAt) {
+      run.recordedAt = new Date(Date.parse(latest.recordedAt) + 1).toISOString();
+    }
+
+    if (!this.directory) {
+      this.memoryRuns.push(run);
+      this.memoryRuns.splice(0, Math.max(0, this.memoryRuns.length - this.maxRuns));
+      return run;
+    }
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(path.join(this.directory, `${run.id}.json`), JSON.stringify(run));
+      this.prune();
+    } catch (error) {
+      logger.warn(`[TestRuns] Cannot store run ${run.id}: ${error.message}`);
+    }
+    return run;
+  }
+
+  /**
+   * Stored runs, oldest first.
+   * @returns {object[]}
+   */
+  list() {
+    if (!this.directory) {
+      return [...this.memoryRuns];
+    }
+
+    let entries;
+    try {
+      entries = fs.readdirSync(this.directory)
+        .filter((entry) => entry.endsWith('.json') && entry !== CLASSIFICATIONS_FILE);
+    } catch {
+      return [];
+    }
+    const runs = [];
+    for (const entry of entries) {
+      try {
+        runs.push(JSON.parse(fs.readFileSync(path.join(this.directory, entry), 'utf8')));
+      } catch (error) {
+        logger.warn(`[TestRuns] Skipping ${entry}: ${error.message}`);
+      }
+    }
+    return runs.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+  }
+
+  /**
+   * Finds a run by id, or `latest` / `previous`, which skip reruns.
+   * @param {string} runId
+   * @returns {object|null}
+   */
+  get(runId) {
+    if (runId === 'latest' || runId === 'previous') {
+      const runs = this.list().filter((run) => !run.rerunOf);
+      return runs[runs.length - (runId === 'latest' ? 1 : 2)] || null;
+    }
+    return this.list().find((run) => run.id === runId) || null;
+  }
+
+  /**
+   * Like get, but throws TEST_RUN_NOT_FOUND.
+   * @param {string} runId
+   * @returns {object}
+   */
+  require(runId) {
+    const run = this.get(runId);
+    if (!run) {
+      const error = new Error(runId === 'latest' || runId === 'previous'
+        ? `No ${runId} test run is stored; run tests and read them with get_test_results first`
+        : `Test run not found: ${runId}`);
+      error.code = 'TEST_RUN_NOT_FOUND';
+      error.details = { runId, available: this.list().map((run) => run.id) };
+      throw error;
+    }
+    return run;
+  }
+
+  /**
+   * Stores how reruns classified failing tests. Each test keeps a count of
+   * the times it was classified flaky, so a later consistent failure does not
+   * hide that it has been flaky before.
+   * @param {object[]} classifications - { name, classification: 'flaky' | 'consistent', attempts, passes, runId }
+   * @returns {object} All classifications by test name
+   */
+  recordClassifications(classifications) {
+    const stored = this.getClassifications();
+    const classifiedAt = new Date().toISOString();
+    for (const { name, classification, attempts, passes, runId } of classifications) {
+      const previous = stored[name];
+      stored[name] = {
+        classification,
+        attempts,
+        passes,
+        runId,
+        classifiedAt,
+        flakyCount: (previous?.flakyCount || 0) + (classification === 'flaky' ? 1 : 0),
+        consistentCount: (previous?.consistentCount || 0) + (classification === 'consistent' ? 1 : 0)
+      };
+    }
+
+    if (!this.directory) {
+      this.memoryClassifications = stored;
+      return stored;
+    }
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.writeFileSync(path.join(this.directory, CLASSIFICATIONS_FILE), JSON.stringify(stored));
+    } catch (error) {
+      logger.warn(`[TestRuns] Cannot store test classifications: ${error.message}`);
+    }
+    return stored;
+  }
+
+  /**
+   * Rerun classifications by test name.
+   * @returns {object}
+   */
+  getClassifications() {
+    if (!this.directory) {
+      return { ...this.memoryClassifications };
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.directory, CLASSIFICATIONS_FILE), 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  prune() {
+    const runs = this.list();
+    for (const run of runs.slice(0, Math.max(0, runs.length - this.maxRuns))) {
+      fs.rmSync(path.join(this.directory, `${run.id}.json`), { force: true });
+    }
+  }
+}
+
+/**
+ * Compares two runs and classifies tests whose status flips back and forth
+ * across the recent history as flaky.
+ * @param {object} base - Earlier run
+ * @param {object} head - Later run
+ * @param {object[]} [history] - Runs oldest first, used for flaky detection
+ * @param {object} [options]
+ * @param {number} [options.flakyWindow] - Runs up to and including head to look at
+ * @returns {object} newlyFailing, fixed, stillFailing, added, removed and flaky tests
+ */
+export function compareTestRuns(base, head, history = [base, head], { flakyWindow = 10 } = {}) {
+  const baseTests = new Map(base.tests.map((test) => [test.name, test]));
+  const headTests = new Map(head.tests.map((test) => [test.name, test]));
+
+  const headIndex = history.findIndex((run) => run.id === head.id);
+  const end = headIndex === -1 ? history.length : headIndex + 1;
+  const window = history.slice(Math.max(0, end - flakyWindow), end);
+  const flaky = findFlakyTests(window);
+  const flakyNames = new Set(flaky.map((test) => test.name));
+
+  const describe = (test, previous) => ({
+    name: test.name,
+    status: test.status,
+    ...(previous ? { previousStatus: previous.status } : {}),
+    ...(test.message ? { message: test.message } : {}),
+    ...(flakyNames.has(test.name) ? { flaky: true } : {})
+  });
+
+  const result = { newlyFailing: [], fixed: [], stillFailing: [], added: [], removed: [] };
+  for (const test of headTests.values()) {
+    const previous = baseTests.get(test.name);
+    if (!previous) {
+      result.added.push(describe(test));
+    } else if (test.status === 'Failed' && previous.status !== 'Failed') {
+      result.newlyFailing.push(describe(test, previous));
+    } else if (test.status === 'Failed') {
+      result.stillFailing.push(describe(test, previous));
+    } else if (previous.status === 'Failed' && test.status === 'Passed') {
+      result.fixed.push(describe(test, previous));
+    }
+  }
+  for (const test of baseTests.values()) {
+    if (!headTests.has(test.name)) {
+      result.removed.push({ name: test.name, previousStatus: test.status });
+    }
+  }
+
+  return {
+    base: summarizeRun(base),
+    head: summarizeRun(head),
+    ...result,
+    flaky,
+    flakyWindow: window.length
+  };
+}
+
+/**
+ * Tests that passed and failed in the given runs and changed status more
+ * than once, so a single regression or fix is not called flaky.
+ * @param {object[]} runs - Oldest first
+ * @returns {object[]}
+ */
+export function findFlakyTests(runs) {
+  const sequences = new Map();
+  for (const run of runs) {
+    for (const test of run.tests) {
+      if (test.status === 'Passed' || test.status === 'Failed') {
+        if (!sequences.has(test.name)) {
+          sequences.set(test.name, []);
+        }
+        sequences.get(test.name).push(test.status);
+      }
+    }
+  }
+
+  const flaky = [];
+  for (const [name, statuses] of sequences) {
+    const flips = statuses.filter((status, index) => index > 0 && status !== statuses[index - 1]).length;
+    if (flips >= 2) {
+      const failures = statuses.filter((status) => status === 'Failed').length;
+      flaky.push({
+        name,
+        runs: statuses.length,
+        failures,
+        flips,
+        failureRate: Math.round((failures / statuses.length) * 100) / 100,
+        lastStatus: statuses[statuses.length - 1]
+      });
+    }
+  }
+  return flaky.sort((a, b) => b.flips - a.flips || a.name.localeCompare(b.name));
+}
+
+/**
+ * Run metadata without the per-test results.
+ * @param {object} run
+ * @returns {object}
+ */
+export function summarizeRun(run) {
+  const { tests, ...summary } = run;
+  return summary;
+}
+
+function normalizeRun(response) {
+  const tests = response.results.map((result) => {
+    const { className, methodName } = splitTestName(result.name);
+    return {
+      name: result.name,
+      className,
+      methodName,
+      status: STATUSES.includes(result.status) ? result.status : 'Inconclusive',
+      duration: Number(result.duration) || 0,
+      startTime: result.startTime || null,
+      endTime: result.endTime || null,
+      ...(result.message ? { message: result.message } : {}),
+      ...(result.stackTrace ? { stackTrace: result.stackTrace } : {}),
+      ...(result.output ? { output: result.output } : {})
+    };
+  });
+
+  const count = (status) => tests.filter((test) => test.status === status).length;
+  const times = tests.flatMap((test) => [test.startTime, test.endTime]).filter(Boolean).sort();
+  return {
+    // Older Unity packages do not send a run id; identical results are the same run
+    id: response.runId || `run-${hashTests(tests)}`,
+    recordedAt: new Date().toISOString(),
+    startedAt: times[0] || null,
+    finishedAt: times[times.length - 1] || null,
+    testMode: response.testMode || null,
+    ...(response.rerunOf ? { rerunOf: response.rerunOf } : {}),
+    summary: {
+      total: tests.length,
+      passed: count('Passed'),
+      failed: count('Failed'),
+      skipped: count('Skipped'),
+      inconclusive: count('Inconclusive'),
+      duration: tests.reduce((total, test) => total + test.duration, 0)
+    },
+    tests
+  };
+}
+
+/**
+ * Splits a test's full name into class and method, keeping parameterized
+ * arguments with the method: `Game.Tests.MathTests.Add(1,2)`.
+ * @param {string} name
+ * @returns {{ className: string, methodName: string }}
+ */
+export function splitTestName(name) {
+  const parenthesis = name.indexOf('(');
+  const head = parenthesis === -1 ? name : name.slice(0, parenthesis);
+  const dot = head.lastIndexOf('.');
+  return dot === -1
+    ? { className: '', methodName: name }
+    : { className: name.slice(0, dot), methodName: name.slice(dot + 1) };
+}
+
+function hashTests(tests) {
+  const hash = crypto.createHash('sha1');
+  for (const test of tests) {
+    hash.update(`${test.name}|${test.status}|${test.startTime}\n`);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
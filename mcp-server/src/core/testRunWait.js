@@ -0,0 +1,196 @@
+import path from 'path';
+import { resolveProjectRoot } from './projectRoot.js';
+import { getTestRunHistory } from './testRunHistory.js';
+import { isRetryableConnectionError, positiveNumber, sleep, throwIfCancelled, tryReconnect } from './unityPolling.js';
+
+const DEFAULT_TIMEOUT_MS = 600000;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+// Mono frames end with "in /path/File.cs:12", Unity log frames with "(at Assets/File.cs:12)"
+const STACK_FRAME_LOCATION = /(?:\bin |\(at )(.+?\.cs):(\d+)/;
+
+/**
+ * Polls Unity until the given test run finishes, streaming one progress
+ * notification per finished test. Connection drops while PlayMode tests reload
+ * the domain are retried; cancelling the request cancels the Unity run.
+ */
+export async function waitForTestRun(unityConnection, options = {}, context = {}) {
+  const timeoutMs = positiveNumber(options.timeoutMs, DEFAULT_TIMEOUT_MS);
+  const pollIntervalMs = positiveNumber(options.pollIntervalMs, DEFAULT_POLL_INTERVAL_MS);
+  const startedAt = Date.now();
+  const deadline = startedAt + timeoutMs;
+  const reported = new Set();
+
+  let latestState = null;
+  let lastRetryableError = null;
+
+  try {
+    while (Date.now() <= deadline) {
+      throwIfCancelled(context.signal);
+
+      try {
+        latestState = await getTestResults(unityConnection, false);
+        lastRetryableError = null;
+
+        if (options.runId && latestState.runId && latestState.runId !== options.runId) {
+          const error = new Error(`Unity started test run ${latestState.runId} before run ${options.runId} finished`);
+          error.code = 'TEST_RUN_SUPERSEDED';
+          error.details = { runId: options.runId, currentRunId: latestState.runId };
+          throw error;
+        }
+
+        await reportProgress(context, latestState, reported);
+
+        if (!latestState.isRunning) {
+          const finalState = await getTestResults(unityConnection, true);
+          return buildResult(unityConnection, finalState, options, startedAt);
+        }
+      } catch (error) {
+        if (!isRetryableConnectionError(error) || Date.now() >= deadline) {
+          throw error;
+        }
+
+        lastRetryableError = error;
+        const reconnectError = await tryReconnect(unityConnection);
+        if (reconnectError) {
+          lastRetryableError = reconnectError;
+        }
+      }
+
+      await sleep(Math.min(pollIntervalMs, Math.max(0, deadline - Date.now())), context.signal);
+    }
+  } catch (error) {
+    if (error.code === 'REQUEST_CANCELLED') {
+      await cancelTestRun(unityConnection);
+    }
+    throw error;
+  }
+
+  return {
+    success: false,
+    completed: false,
+    timedOut: true,
+    runId: latestState?.runId ?? options.runId,
+    elapsedMs: Date.now() - startedAt,
+    progress: latestState?.progress ?? { completed: reported.size },
+    message: 'Timed out waiting for the test run; it is still running in Unity',
+    ...(lastRetryableError && { lastError: lastRetryableError.message })
+  };
+}
+
+/**
+ * Finds the first project source location in a Unity or NUnit stack trace.
+ * @returns {{file: string, line: number}|null}
+ */
+export function findSourceLocation(stackTrace, projectRoot) {
+  if (typeof stackTrace !== 'string') {
+    return null;
+  }
+
+  const root = projectRoot ? `${toPosixPath(projectRoot).replace(/\/+$/, '')}/` : null;
+  const locations = [];
+  for (const line of stackTrace.split(/\r?\n/)) {
+    const match = STACK_FRAME_LOCATION.exec(line);
+    if (!match) {
+      continue;
+    }
+
+    let file = toPosixPath(match[1].trim());
+    if (root && file.toLowerCase().startsWith(root.toLowerCase())) {
+      file = file.slice(root.length);
+    }
+    locations.push({ file, line: Number(match[2]) });
+  }
+
+  return locations.find((location) => /^(Assets|Packages)\//.test(location.file)) ?? locations[0] ?? null;
+}
+
+async function getTestResults(unityConnection, includeDetails) {
+  if (!unityConnection.isConnected()) {
+    await unityConnection.connect();
+  }
+
+  return unityConnection.sendCommand('get_test_results', { includeDetails });
+}
+
+function buildResult(unityConnection, state, { runId, rerunOf }, startedAt) {
+  const projectRoot = resolveProjectRoot(unityConnection);
+  const run = getTestRunHistory(unityConnection).record(rerunOf ? { ...state, rerunOf } : state);
+  const results = Array.isArray(state.results) ? state.results : [];
+  const failures = results
+    .filter((test) => test.status === 'Failed')
+    .map((test) => {
+      const location = findSourceLocation(test.stackTrace, projectRoot);
+      return {
+        name: test.name,
+        message: test.message ?? null,
+        stackTrace: test.stackTrace ?? null,
+        ...(location && { file: location.file, line: location.line }),
+        duration: test.duration
+      };
+    });
+
+  return {
+    success: failures.length === 0,
+    completed: true,
+    timedOut: false,
+    runId: run?.id ?? state.runId ?? runId,
+    testMode: state.testMode,
+    ...(rerunOf && { rerunOf }),
+    elapsedMs: Date.now() - startedAt,
+    summary: run?.summary ?? state.summary,
+    failures
+  };
+}
+
+async function reportProgress(context, state, reported) {
+  if (typeof context.sendProgress !== 'function') {
+    return;
+  }
+
+  const total = state.progress?.total > 0 ? state.progress.total : undefined;
+  const results = Array.isArray(state.results) ? state.results : [];
+  let sent = false;
+
+  for (const test of results) {
+    if (reported.has(test.name)) {
+      continue;
+    }
+
+    reported.add(test.name);
+    sent = true;
+    await context.sendProgress({
+      progress: reported.size,
+      ...(total && { total }),
+      message: `${test.status} ${test.name}`
+    });
+  }
+
+  if (!sent && state.isRunning) {
+    const currentTest = state.progress?.currentTest;
+    await context.sendProgress({
+      progress: reported.size,
+      ...(total && { total }),
+      message: currentTest ? `Running ${currentTest}` : 'Waiting for Unity test run'
+    });
+  }
+}
+
+/**
+ * Asks Unity to cancel the current test run, ignoring failures: the caller
+ * is already giving up on the run.
+ */
+export async function cancelTestRun(unityConnection) {
+  try {
+    if (!unityConnection.isConnected()) {
+      await unityConnection.connect();
+    }
+    await unityConnection.sendCommand('cancel_tests', {});
+  } catch {
+    // The request is already cancelled; a run Unity cannot stop is reported by get_test_results
+  }
+}
+
+function toPosixPath(filePath) {
+  return filePath.split(path.win32.sep).join('/');
+}
@@ -12,7 +12,8 @@ const READ_ONLY_TOOLS = new Set([
   'enhanced_read_logs',
   'get_editor_state',
   'get_hierarchy',
-  'get_component_types'
+  'get_component_types',
+  'subscribe_editor_events'
 ]);
 
 const MUTATING_PREFIXES = [
@@ -47,11 +48,15 @@ const DESTRUCTIVE_TOOLS = new Set([
   'delete_gameobject',
   'delete_script',
   'execute_menu_item',
-  'remove_component'
+  'redo',
+  'remove_component',
+  'undo'
 ]);
 
 const CONSERVATIVE_MULTI_ACTION_TOOLS = new Set([
+  'batch_execute',
   'manage_asset_database',
+  'manage_assembly_definitions',
   'manage_asset_import_settings',
   'manage_layers',
   'manage_selection',
@@ -0,0 +1,382 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { resolveProjectConfigPath, resolveProjectRoot } from './projectRoot.js';
+import { getBaselineWriteTarget } from './screenshotBaselines.js';
+
+export const POLICY_DENIED = 'POLICY_DENIED';
+
+const DEFAULT_DRY_RUN_TTL_SECONDS = 600;
+
+/**
+ * Project paths each writing tool creates, modifies, moves or deletes. A
+ * resolver returns null when the target cannot be known before Unity resolves
+ * it (e.g. a script looked up by name).
+ */
+const WRITE_TARGETS = {
+  create_script: (params) => [joinAssetPath(params.path || 'Assets/Scripts/', `${params.scriptName}.cs`)],
+  update_script: (params) => (params.scriptPath ? [params.scriptPath] : null),
+  delete_script: (params) => (params.scriptPath ? [params.scriptPath] : null),
+  create_scene: (params) => [joinAssetPath(params.path || 'Assets/Scenes/', `${params.sceneName}.unity`)],
+  save_scene: (params) => (params.scenePath ? [params.scenePath] : []),
+  create_material: (params) => [params.materialPath],
+  modify_material: (params) => [params.materialPath],
+  create_prefab: (params) => [params.prefabPath],
+  modify_prefab: (params) => [params.prefabPath],
+  capture_screenshot: (params) => (params.outputPath ? [params.outputPath] : []),
+  compare_screenshot: (params) => [
+    ...(params.diffPath ? [params.diffPath] : []),
+    ...(params.updateBaseline ? [getBaselineWriteTarget(params.name)] : [])
+  ],
+  capture_frame_sequence: (params) => (params.outputPath ? [params.outputPath] : []),
+  export_test_results: (params) => (params.outputPath ? [params.outputPath] : []),
+  manage_asset_import_settings: (params) => (params.action === 'get' ? [] : [params.assetPath]),
+  manage_asset_database: (params) => {
+    switch (params.action) {
+      case 'create_folder':
+        return [params.folderPath];
+      case 'delete_asset':
+        return [params.assetPath];
+      case 'move_asset':
+        return [params.fromPath, params.toPath];
+      case 'copy_asset':
+        return [params.toPath];
+      default:
+        return [];
+    }
+  },
+  manage_assembly_definitions: (params) => {
+    switch (params.action) {
+      case 'list':
+      case 'get':
+      case 'resolve':
+        return [];
+      case 'create':
+        return [joinAssetPath(params.folderPath || '', `${params.name}.asmdef`)];
+      default:
+        return params.assembly?.endsWith('.asmdef') ? [params.assembly] : null;
+    }
+  }
+};
+
+/**
+ * Resolves the project paths a tool call would write.
+ * @param {string} toolName
+ * @param {object} params - Tool params without `dryRun`
+ * @returns {string[]|null|undefined} Paths; null when Unity resolves the
+ *   target at run time; undefined for tools that do not write assets
+ */
+export function getWriteTargets(toolName, params = {}) {
+  return WRITE_TARGETS[toolName]?.(params);
+}
+
+/**
+ * A parsed `.unity-mcp/policy.json`:
+ *
+ *   {
+ *     "tools": { "allow": ["*"], "deny": ["manage_asset_database:delete_asset"] },
+ *     "paths": { "allow": ["Assets/Scripts/**"], "deny": ["Assets/Plugins/**"] },
+ *     "requireDryRun": ["delete_script"],
+ *     "dryRunTtlSeconds": 600
+ *   }
+ *
+ * Tool patterns match the tool name or `tool:action`, and `*` is a wildcard.
+ * Path globs match project-relative write targets; `*` stays within one
+ * folder and `**` spans folders.
+ */
+export class ToolPolicy {
+  constructor(definition = {}, { filePath = null, now = () => Date.now() } = {}) {
+    validatePolicyDefinition(definition);
+    this.filePath = filePath;
+    this.now = now;
+    this.allowTools = compilePatterns(definition.tools?.allow, toolPatternToRegExp);
+    this.denyTools = compilePatterns(definition.tools?.deny, toolPatternToRegExp);
+    this.allowPaths = compilePatterns(definition.paths?.allow, globToRegExp);
+    this.denyPaths = compilePatterns(definition.paths?.deny, globToRegExp);
+    this.requireDryRun = compilePatterns(definition.requireDryRun, toolPatternToRegExp);
+    this.dryRunTtlMs = (definition.dryRunTtlSeconds ?? DEFAULT_DRY_RUN_TTL_SECONDS) * 1000;
+    this.dryRuns = new Map();
+  }
+
+  /**
+   * Checks one tool call and throws a POLICY_DENIED error if it is not allowed.
+   * Dry runs of tools that require one are remembered so the matching real
+   * call (same params, within the TTL) is allowed once.
+   * @param {string} toolName - Tool being called
+   * @param {object} params - Tool params without `dryRun`
+   * @param {{ dryRun?: boolean }} [options]
+   */
+  enforce(toolName, params = {}, { dryRun = false } = {}) {
+    const toolIds = getToolIds(toolName, params);
+
+    const denied = findMatch(this.denyTools, toolIds);
+    if (denied) {
+      throw this.createDeniedError(`Tool ${toolIds.at(-1)} is denied by policy`, {
+        rule: 'tools.deny',
+        pattern: denied.pattern
+      }, toolName);
+    }
+
+    if (this.allowTools && !findMatch(this.allowTools, toolIds)) {
+      throw this.createDeniedError(`Tool ${toolIds.at(-1)} is not in the policy allow list`, {
+        rule: 'tools.allow'
+      }, toolName);
+    }
+
+    this.enforcePaths(toolName, params);
+
+    if (findMatch(this.requireDryRun, toolIds)) {
+      const key = `${toolName}:${stableStringify(params)}`;
+      const now = this.now();
+      if (dryRun) {
+        this.pruneDryRuns(now);
+        this.dryRuns.set(key, now);
+        return;
+      }
+
+      const dryRunAt = this.dryRuns.get(key);
+      this.dryRuns.delete(key);
+      if (dryRunAt === undefined || now - dryRunAt > this.dryRunTtlMs) {
+        throw this.createDeniedError(`Tool ${toolIds.at(-1)} requires a dry run first; call it with dryRun: true and the same parameters`, {
+          rule: 'requireDryRun',
+          requiredAction: 'dry_run'
+        }, toolName);
+      }
+    }
+  }
+
+  // Dry runs never followed by their real call expire here
+  pruneDryRuns(now) {
+    for (const [key, dryRunAt] of this.dryRuns) {
+      if (now - dryRunAt > this.dryRunTtlMs) {
+        this.dryRuns.delete(key);
+      }
+    }
+  }
+
+  enforcePaths(toolName, params) {
+    if (!this.allowPaths && !this.denyPaths) {
+      return;
+    }
+
+    const targets = getWriteTargets(toolName, params);
+    if (targets === undefined) {
+      return;
+    }
+    if (targets === null) {
+      throw this.createDeniedError(`Policy restricts write paths; pass an explicit path to ${toolName} so it can be checked`, {
+        rule: 'paths'
+      }, toolName);
+    }
+
+    for (const target of targets.filter((value) => typeof value === 'string' && value !== '')) {
+      const normalized = normalizeAssetPath(target);
+      if (normalized === null) {
+        throw this.createDeniedError(`Write target ${target} is outside the project`, {
+          rule: 'paths',
+          path: target
+        }, toolName);
+      }
+
+      const denied = findMatch(this.denyPaths, [normalized]);
+      if (denied) {
+        throw this.createDeniedError(`Writing ${normalized} is denied by policy`, {
+          rule: 'paths.deny',
+          pattern: denied.pattern,
+          path: normalized
+        }, toolName);
+      }
+
+      if (this.allowPaths && !findMatch(this.allowPaths, [normalized])) {
+        throw this.createDeniedError(`Writing ${normalized} is outside the policy's allowed paths`, {
+          rule: 'paths.allow',
+          path: normalized
+        }, toolName);
+      }
+    }
+  }
+
+  createDeniedError(message, details, toolName) {
+    const error = new Error(message);
+    error.code = POLICY_DENIED;
+    error.details = { policy: { ...details, tool: toolName, file: this.filePath } };
+    return error;
+  }
+}
+
+/**
+ * Resolves the policy file for the current Unity project on every call and
+ * reloads it when it changes. A missing file means no restrictions; an
+ * unreadable or invalid file denies every tool until it is fixed.
+ */
+export class ToolPolicyProvider {
+  /**
+   * @param {object} [options]
+   * @param {() => string|null} [options.getFilePath] - Resolves the policy file path
+   */
+  constructor({ getFilePath = () => null } = {}) {
+    this.getFilePath = getFilePath;
+    this.cached = null;
+  }
+
+  enforce(toolName, params, options) {
+    const policy = this.load();
+    policy?.enforce(toolName, params, options);
+  }
+
+  load() {
+    const filePath = this.getFilePath();
+    if (!filePath) {
+      return null;
+    }
+
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.cached = null;
+        return null;
+      }
+      return this.failClosed(filePath, error);
+    }
+
+    if (this.cached?.filePath === filePath && this.cached.mtimeMs === stat.mtimeMs) {
+      return this.cached.policy;
+    }
+
+    try {
+      const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      this.cached = { filePath, mtimeMs: stat.mtimeMs, policy: new ToolPolicy(definition, { filePath }) };
+      return this.cached.policy;
+    } catch (error) {
+      return this.failClosed(filePath, error);
+    }
+  }
+
+  failClosed(filePath, cause) {
+    this.cached = null;
+    return {
+      enforce: (toolName) => {
+        const error = new Error(`Policy file ${filePath} is invalid: ${cause.message}`);
+        error.code = POLICY_DENIED;
+        error.details = { policy: { rule: 'policy_file', tool: toolName, file: filePath } };
+        throw error;
+      }
+    };
+  }
+}
+
+/**
+ * Creates the policy provider for a server. The policy file is
+ * `UNITY_MCP_POLICY_FILE`, or `.unity-mcp/policy.json` in the Unity project.
+ * @param {object} unityConnection - Unity connection used to locate the project
+ * @param {object} [customConfig] - Server configuration
+ * @returns {ToolPolicyProvider}
+ */
+export function createToolPolicyProvider(unityConnection, customConfig = config) {
+  return new ToolPolicyProvider({
+    getFilePath: () => customConfig.policy?.file ||
+      resolveProjectConfigPath(resolveProjectRoot(unityConnection, customConfig), 'policy.json')
+  });
+}
+
+function validatePolicyDefinition(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('policy must be a JSON object');
+  }
+
+  const lists = {
+    'tools.allow': definition.tools?.allow,
+    'tools.deny': definition.tools?.deny,
+    'paths.allow': definition.paths?.allow,
+    'paths.deny': definition.paths?.deny,
+    requireDryRun: definition.requireDryRun
+  };
+  for (const [key, value] of Object.entries(lists)) {
+    if (value !== undefined && (!Array.isArray(value) || value.some((item) => typeof item !== 'string'))) {
+      throw new Error(`${key} must be an array of strings`);
+    }
+  }
+
+  if (definition.dryRunTtlSeconds !== undefined && !(definition.dryRunTtlSeconds > 0)) {
+    throw new Error('dryRunTtlSeconds must be a positive number');
+  }
+}
+
+function getToolIds(toolName, params) {
+  return typeof params.action === 'string' ? [toolName, `${toolName}:${params.action}`] : [toolName];
+}
+
+function compilePatterns(patterns, toRegExp) {
+  if (patterns === undefined) {
+    return null;
+  }
+  return patterns.map((pattern) => ({ pattern, regex: toRegExp(pattern) }));
+}
+
+function findMatch(patterns, values) {
+  return patterns?.find(({ regex }) => values.some((value) => regex.test(value))) || null;
+}
+
+function toolPatternToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(escapeRegExp).join('.*')}$`);
+}
+
+/**
+ * Converts a path glob to a RegExp. `**` matches across folders (and a
+ * trailing `/**` also matches the folder itself), `*` and `?` stay within one
+ * path segment.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  const normalized = glob.replace(/\\/g, '/');
+  for (let index = 0; index < normalized.length; index++) {
+    const char = normalized[index];
+    if (char === '*' && normalized[index + 1] === '*') {
+      if (normalized[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  source = source.replace(/\/\.\*$/, '(?:/.*)?');
+  return new RegExp(`^${source}$`);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function joinAssetPath(directory, fileName) {
+  return path.posix.join(String(directory).replace(/\\/g, '/'), fileName);
+}
+
+function normalizeAssetPath(assetPath) {
+  const normalized = path.posix.normalize(assetPath.replace(/\\/g, '/')).replace(/\/$/, '');
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
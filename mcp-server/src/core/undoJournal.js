@@ -0,0 +1,189 @@
+import { logger } from './config.js';
+
+// Tools whose Unity work is recorded on the Undo stack. Other mutating tools
+// (scripts, scene saves, play mode, tests) change files or editor state that
+// Undo cannot restore, so they are not journaled.
+export const UNDOABLE_TOOLS = new Set([
+  'create_gameobject',
+  'modify_gameobject',
+  'delete_gameobject',
+  'add_component',
+  'remove_component',
+  'modify_component',
+  'modify_material',
+  'instantiate_prefab',
+  'batch_execute'
+]);
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+/**
+ * Server-side journal of which MCP tool call produced which Unity Undo group.
+ * Each journaled call runs inside its own named Undo group, so "revert the last
+ * N calls" is a single revert down to the oldest of those groups.
+ *
+ * Entries are keyed by MCP session. All sessions share Unity's Undo stack, so
+ * one journal sees them all and refuses a revert that would also undo another
+ * session's calls.
+ *
+ * While an Undo group is open, anything recorded on the Undo stack lands in
+ * it. Journaled calls therefore run one at a time, and other mutating calls
+ * (through runShared) wait for the open group and hold back the next one.
+ */
+export class UndoJournal {
+  constructor(unityConnection, options = {}) {
+    this.unityConnection = unityConnection;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = [];
+    this.sequence = 0;
+    this.exclusiveTail = Promise.resolve();
+    this.sharedCalls = new Set();
+  }
+
+  shouldTrack(toolName) {
+    return UNDOABLE_TOOLS.has(toolName);
+  }
+
+  /**
+   * Runs a tool call inside a dedicated Undo group and journals it.
+   * When Unity cannot open the group the call still runs, unjournaled.
+   * @param {string} toolName - Tool being called
+   * @param {Function} run - Invokes the tool and resolves with its handler response
+   * @param {object} [options]
+   * @param {string} [options.sessionId] - MCP session making the call
+   * @returns {Promise<object>} The handler response
+   */
+  track(toolName, run, options = {}) {
+    // Calls already running finish before the group opens
+    const running = [...this.sharedCalls];
+    const turn = this.exclusiveTail
+      .then(() => Promise.allSettled(running))
+      .then(() => this.runInGroup(toolName, run, options));
+    this.exclusiveTail = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Runs a mutating call that is not journaled once no Undo group is open.
+   * Such calls may overlap each other, but not a journaled call.
+   * @param {Function} run - Invokes the tool and resolves with its handler response
+   * @returns {Promise<object>} The handler response
+   */
+  runShared(run) {
+    const turn = this.exclusiveTail.then(run);
+    const settled = turn.catch(() => {});
+    this.sharedCalls.add(settled);
+    settled.then(() => this.sharedCalls.delete(settled));
+    return turn;
+  }
+
+  async runInGroup(toolName, run, { sessionId } = {}) {
+    let group = null;
+    try {
+      if (!this.unityConnection.isConnected()) {
+        await this.unityConnection.connect();
+      }
+      group = await this.unityConnection.sendCommand('begin_undo_group', { name: `MCP: ${toolName}` });
+    } catch (error) {
+      logger.debug(`[UndoJournal] Not journaling ${toolName}: ${error.message}`);
+    }
+
+    const response = await run();
+    if (!Number.isInteger(group?.groupIndex)) {
+      return response;
+    }
+
+    try {
+      await this.unityConnection.sendCommand('end_undo_group', { groupIndex: group.groupIndex });
+    } catch (error) {
+      logger.debug(`[UndoJournal] Could not close undo group for ${toolName}: ${error.message}`);
+    }
+
+    if (response?.status === 'success') {
+      this.append({
+        sequence: ++this.sequence,
+        ...(sessionId && { sessionId }),
+        tool: toolName,
+        groupIndex: group.groupIndex,
+        groupName: group.name,
+        timestamp: new Date().toISOString(),
+        reverted: false
+      });
+    }
+
+    return response;
+  }
+
+  append(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+  }
+
+  /**
+   * Returns a session's journal entries, most recent first.
+   * @param {number} [limit] - Maximum number of entries
+   * @param {object} [options]
+   * @param {string} [options.sessionId] - MCP session whose entries to list
+   * @returns {object[]}
+   */
+  list(limit = this.entries.length, { sessionId } = {}) {
+    return this.entries
+      .filter((entry) => isSameSession(entry, sessionId))
+      .reverse()
+      .slice(0, limit)
+      .map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Reverts the Unity changes of the most recent `count` journaled calls of a
+   * session that have not already been reverted. Anything recorded on the Undo
+   * stack after the oldest of them, including manual editor edits, is reverted
+   * too, so the revert is refused while another session's calls sit above it.
+   * @param {number} count - Number of tool calls to revert
+   * @param {object} [options]
+   * @param {string} [options.sessionId] - MCP session whose calls to revert
+   * @returns {Promise<object>} Reverted entries and the target group
+   */
+  async revertCalls(count, { sessionId } = {}) {
+    const pending = this.entries.filter((entry) => !entry.reverted && isSameSession(entry, sessionId));
+    if (pending.length === 0) {
+      const error = new Error('No journaled tool calls to revert');
+      error.code = 'UNDO_JOURNAL_EMPTY';
+      throw error;
+    }
+
+    const targets = pending.slice(-count);
+    const oldest = targets[0];
+    const blocking = this.entries.filter((entry) =>
+      !entry.reverted && entry.sequence > oldest.sequence && !isSameSession(entry, sessionId));
+    if (blocking.length > 0) {
+      const error = new Error(`Reverting these calls would also undo ${blocking.length} later call(s) from another MCP session`);
+      error.code = 'UNDO_JOURNAL_CONFLICT';
+      error.details = { blockingCalls: blocking.map((entry) => ({ sequence: entry.sequence, tool: entry.tool })) };
+      throw error;
+    }
+
+    const result = await this.unityConnection.sendCommand('revert_undo_group', { groupIndex: oldest.groupIndex });
+    if (result?.error) {
+      throw new Error(result.error);
+    }
+
+    for (const entry of this.entries) {
+      if (entry.sequence >= oldest.sequence) {
+        entry.reverted = true;
+      }
+    }
+
+    return {
+      requested: count,
+      revertedCalls: targets.reverse().map((entry) => ({ ...entry })),
+      groupIndex: oldest.groupIndex
+    };
+  }
+}
+
+function isSameSession(entry, sessionId) {
+  return (entry.sessionId ?? null) === (sessionId ?? null);
+}
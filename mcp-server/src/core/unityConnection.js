@@ -2,6 +2,38 @@ import net from 'net';
 import { EventEmitter } from 'events';
 import { config, logger } from './config.js';
 import { resolveUnityEndpoint, readUnityInstances } from './unityDiscovery.js';
+import { createCassetteRecorder } from './cassette.js';
+
+const COMMAND_PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2
+};
+
+// Cheap state probes that agents use to decide what to do next. They must not
+// sit behind a long capture or test run from another session.
+const HIGH_PRIORITY_COMMANDS = new Set([
+  'ping',
+  'get_editor_state',
+  'get_compilation_state',
+  'get_test_results',
+  'cancel_tests',
+  'stop_frame_sequence'
+]);
+
+const LOW_PRIORITY_COMMANDS = new Set([
+  'capture_screenshot',
+  'analyze_scene_contents',
+  'run_tests',
+  'refresh_assets'
+]);
+
+const DEFAULT_MAX_IN_FLIGHT_COMMANDS = 4;
+const DEFAULT_MAX_RESPONSE_BYTES = 64 * 1024 * 1024;
+const RESPONSE_ID_PEEK_BYTES = 64;
+const OPEN_BRACE_BYTE = 0x7b;
+// Ids of timed-out commands whose late replies are dropped
+const MAX_TIMED_OUT_IDS = 100;
 
 /**
  * Manages TCP connection to Unity Editor
@@ -11,6 +43,9 @@ export class UnityConnection extends EventEmitter {
     super();
     this.config = options.config || config;
     this.socketFactory = options.socketFactory || (() => new net.Socket());
+    this.recorder = options.recorder || (this.config.unity?.recordCassette
+      ? createCassetteRecorder(this.config.unity.recordCassette)
+      : null);
     this.socket = null;
     this.connected = false;
     this.reconnectAttempts = 0;
@@ -18,11 +53,17 @@ export class UnityConnection extends EventEmitter {
     this.commandId = 0;
     this.pendingCommands = new Map();
     this.commandQueue = [];
-    this.commandInFlight = false;
+    this.commandsInFlight = 0;
+    this.timedOutCommandIds = new Set();
+    this.frameStreamDesynchronized = false;
     this.connectPromise = null;
+    this.endpointRecovery = null;
     this.activeConnectReject = null;
     this.isDisconnecting = false;
     this.messageBuffer = Buffer.alloc(0);
+    this.discardingFrame = null;
+    this.chunkAssemblies = new Map();
+    this.discardedChunkIds = new Set();
     this.endpoint = null;
   }
 
@@ -48,8 +89,8 @@ export class UnityConnection extends EventEmitter {
   }
 
   async connectOnce() {
-    // Skip connection in CI/test environments
-    if (process.env.NODE_ENV === 'test' || process.env.CI === 'true') {
+    // Skip connection in CI/test environments unless a test targets a fake bridge
+    if ((process.env.NODE_ENV === 'test' || process.env.CI === 'true') && this.config.unity.allowTestConnection !== true) {
       logger.info('Skipping Unity connection in test/CI environment');
       throw new Error('Unity connection disabled in test environment');
     }
@@ -134,7 +175,7 @@ export class UnityConnection extends EventEmitter {
           const closeError = createConnectionClosedError();
           this.connected = false;
           this.socket = null;
-          this.messageBuffer = Buffer.alloc(0);
+          this.resetFrameState();
           this.endpoint = null;
           this.rejectQueuedCommands(closeError);
           rejectConnect(closeError);
@@ -157,7 +198,7 @@ export class UnityConnection extends EventEmitter {
         this.endpoint = null;
         
         // Clear message buffer
-        this.messageBuffer = Buffer.alloc(0);
+        this.resetFrameState();
         
         // Clear pending commands
         const closeError = createConnectionClosedError();
@@ -302,6 +343,13 @@ export class UnityConnection extends EventEmitter {
    * @param {Buffer} data
    */
   handleData(data) {
+    if (this.discardingFrame) {
+      data = this.discardFrameBytes(data);
+      if (data.length === 0) {
+        return;
+      }
+    }
+
     // Check if this is an unframed Unity debug log
     if (data.length > 0 && !this.messageBuffer.length) {
       const dataStr = data.toString('utf8');
@@ -319,38 +367,31 @@ export class UnityConnection extends EventEmitter {
     while (this.messageBuffer.length >= 4) {
       // Read message length (first 4 bytes, big-endian)
       const messageLength = this.messageBuffer.readInt32BE(0);
+      const maxResponseBytes = this.getMaxResponseBytes();
       
+      if (messageLength > maxResponseBytes) {
+        // Wait for the start of the payload: a JSON object means Unity really sent an
+        // oversized single frame (older package without chunking), anything else is
+        // a corrupt length header.
+        if (this.messageBuffer.length < 4 + RESPONSE_ID_PEEK_BYTES) {
+          break;
+        }
+
+        if (this.messageBuffer[4] === OPEN_BRACE_BYTE) {
+          this.startDiscardingFrame(messageLength);
+          continue;
+        }
+      }
+
       // Validate message length
-      if (messageLength < 0 || messageLength > 1024 * 1024) { // Max 1MB messages
+      if (messageLength < 0 || messageLength > maxResponseBytes) {
         logger.error(`[Unity] Invalid message length: ${messageLength}`);
-        
-        // Try to recover by looking for valid framed message
-        // Look for a reasonable length value (positive, less than 10KB for typical responses)
-        let recoveryIndex = -1;
-        for (let i = 4; i < Math.min(this.messageBuffer.length - 4, 100); i++) {
-          const testLength = this.messageBuffer.readInt32BE(i);
-          if (testLength > 0 && testLength < 10240) {
-            // Check if this could be a valid JSON message
-            if (i + 4 + testLength <= this.messageBuffer.length) {
-              const testData = this.messageBuffer.slice(i + 4, i + 4 + testLength).toString('utf8');
-              if (testData.trim().startsWith('{')) {
-                recoveryIndex = i;
-                break;
-              }
-            }
-          }
-        }
-        
-        if (recoveryIndex > 0) {
-          logger.warn(`[Unity] Discarding ${recoveryIndex} bytes of invalid data`);
-          this.messageBuffer = this.messageBuffer.slice(recoveryIndex);
+        // Replies may have been lost until the next frame parses
+        this.frameStreamDesynchronized = true;
+        if (this.recoverFrameBoundary()) {
           continue;
-        } else {
-          // Can't recover, clear buffer
-          logger.error('[Unity] Unable to recover from invalid frame, clearing buffer');
-          this.messageBuffer = Buffer.alloc(0);
-          break;
         }
+        break;
       }
       
       // Check if we have the complete message
@@ -373,56 +414,12 @@ export class UnityConnection extends EventEmitter {
           
           const response = JSON.parse(message);
           logger.debug(`[Unity] Parsed response:`, response);
-          
-          // Check if this is a response to a pending command
-          if (response.id && this.pendingCommands.has(response.id)) {
-            logger.debug(`[Unity] Found pending command for ID ${response.id}`);
-            const pending = this.pendingCommands.get(response.id);
-            this.pendingCommands.delete(response.id);
-            
-            // Handle both old and new response formats
-            if (response.status === 'success' || response.success === true) {
-              logger.debug(`[Unity] Command ${response.id} succeeded`);
-              
-              let result;
-              if (Object.prototype.hasOwnProperty.call(response, 'result')) {
-                result = response.result;
-              } else if (Object.prototype.hasOwnProperty.call(response, 'data')) {
-                result = response.data;
-              } else {
-                result = {};
-              }
-              
-              // If result is a string, try to parse it as JSON
-              if (typeof result === 'string') {
-                try {
-                  result = JSON.parse(result);
-                  logger.debug(`[Unity] Parsed string result as JSON:`, result);
-                } catch (parseError) {
-                  logger.warn(`[Unity] Failed to parse result as JSON: ${parseError.message}`);
-                  // Keep the original string value
-                }
-              }
-              
-              logger.debug(`[Unity] Command ${response.id} resolved successfully`);
-              pending.resolve(result);
-            } else if (response.status === 'error' || response.success === false) {
-              logger.error(`[Unity] Command ${response.id} failed:`, response.error);
-              const error = new Error(response.error || 'Command failed');
-              error.code = response.code || response.errorCode || 'UNITY_ERROR';
-              if (response.details !== undefined) {
-                error.details = response.details;
-              }
-              pending.reject(error);
-            } else {
-              // Unknown format
-              logger.warn(`[Unity] Command ${response.id} has unknown response format`);
-              pending.resolve(response);
-            }
+          this.frameStreamDesynchronized = false;
+
+          if (response.chunk && typeof response.chunk === 'object') {
+            this.handleResponseChunk(response);
           } else {
-            // Handle unsolicited messages
-            logger.debug(`[Unity] Received unsolicited message:`, response);
-            this.emit('message', response);
+            this.handleResponse(response);
           }
         } catch (error) {
           logger.error('[Unity] Failed to parse response:', error.message);
@@ -442,10 +439,286 @@ export class UnityConnection extends EventEmitter {
     }
   }
 
+  /**
+   * Resolves or rejects the pending command a complete response belongs to,
+   * or emits it as an unsolicited message. Editor events pushed by Unity
+   * (`{ event, data, timestamp }`) are also emitted as 'unityEvent'.
+   * @param {object} response - Parsed response envelope
+   */
+  handleResponse(response) {
+    // Check if this is a response to a pending command
+    if (response.id && this.pendingCommands.has(response.id)) {
+      logger.debug(`[Unity] Found pending command for ID ${response.id}`);
+      const pending = this.pendingCommands.get(response.id);
+      this.pendingCommands.delete(response.id);
+      this.recordExchange(pending, response);
+      
+      // Handle both old and new response formats
+      if (response.status === 'success' || response.success === true) {
+        logger.debug(`[Unity] Command ${response.id} succeeded`);
+        
+        let result;
+        if (Object.prototype.hasOwnProperty.call(response, 'result')) {
+          result = response.result;
+        } else if (Object.prototype.hasOwnProperty.call(response, 'data')) {
+          result = response.data;
+        } else {
+          result = {};
+        }
+        
+        // If result is a string, try to parse it as JSON
+        if (typeof result === 'string') {
+          try {
+            result = JSON.parse(result);
+            logger.debug(`[Unity] Parsed string result as JSON:`, result);
+          } catch (parseError) {
+            logger.warn(`[Unity] Failed to parse result as JSON: ${parseError.message}`);
+            // Keep the original string value
+          }
+        }
+        
+        logger.debug(`[Unity] Command ${response.id} resolved successfully`);
+        pending.resolve(result);
+      } else if (response.status === 'error' || response.success === false) {
+        logger.error(`[Unity] Command ${response.id} failed:`, response.error);
+        const error = new Error(response.error || 'Command failed');
+        error.code = response.code || response.errorCode || 'UNITY_ERROR';
+        if (response.details !== undefined) {
+          error.details = response.details;
+        }
+        pending.reject(error);
+      } else {
+        // Unknown format
+        logger.warn(`[Unity] Command ${response.id} has unknown response format`);
+        pending.resolve(response);
+      }
+    } else if (response.id && this.timedOutCommandIds.delete(response.id)) {
+      logger.debug(`[Unity] Dropping late response to timed-out command ${response.id}`);
+    } else {
+      // Handle unsolicited messages
+      logger.debug(`[Unity] Received unsolicited message:`, response);
+      this.emit('message', response);
+      if (!response.id && typeof response.event === 'string') {
+        this.emit('unityEvent', {
+          event: response.event,
+          data: response.data ?? {},
+          timestamp: response.timestamp
+        });
+      }
+    }
+  }
+
+  /**
+   * Appends a completed exchange to the record-mode cassette. Auth failures are
+   * transport noise rather than Unity behavior, so they are not recorded.
+   * @param {object} pending - Pending command entry
+   * @param {object} response - Complete response envelope
+   */
+  recordExchange(pending, response) {
+    if (!this.recorder || response.code === 'AUTH_FAILED' || isAuthFailurePayload(response.result)) {
+      return;
+    }
+
+    try {
+      this.recorder.record({
+        type: pending.type,
+        params: pending.params,
+        response,
+        durationMs: Date.now() - pending.startedAt
+      });
+    } catch (error) {
+      logger.warn(`[Unity] Failed to record exchange for ${pending.type}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accumulates one continuation frame of a chunked response. Unity splits
+   * responses larger than its frame size into `{ id, chunk: { index, total, final }, payload }`
+   * envelopes whose base64 payloads concatenate to the original response JSON.
+   * @param {object} envelope - Parsed chunk envelope
+   */
+  handleResponseChunk(envelope) {
+    const id = envelope.id;
+    const { index, total, final } = envelope.chunk;
+
+    if (this.discardedChunkIds.has(id)) {
+      if (final) {
+        this.discardedChunkIds.delete(id);
+      }
+      return;
+    }
+
+    if (this.timedOutCommandIds.has(id)) {
+      if (final) {
+        this.timedOutCommandIds.delete(id);
+      }
+      return;
+    }
+
+    let assembly = this.chunkAssemblies.get(id);
+    if (!assembly) {
+      assembly = { chunks: [], receivedBytes: 0, total };
+      this.chunkAssemblies.set(id, assembly);
+    }
+
+    const part = Buffer.from(typeof envelope.payload === 'string' ? envelope.payload : '', 'base64');
+    assembly.receivedBytes += part.length;
+
+    const maxResponseBytes = this.getMaxResponseBytes();
+    if (assembly.receivedBytes > maxResponseBytes) {
+      this.chunkAssemblies.delete(id);
+      if (!final) {
+        this.discardedChunkIds.add(id);
+      }
+      this.rejectOversizedResponse(id, assembly.receivedBytes, { chunked: true, chunksReceived: index + 1, totalChunks: total });
+      return;
+    }
+
+    if (index !== assembly.chunks.length) {
+      this.chunkAssemblies.delete(id);
+      if (!final) {
+        this.discardedChunkIds.add(id);
+      }
+      this.rejectPendingCommand(id, createInvalidChunkError(id, `expected chunk ${assembly.chunks.length} but received ${index}`));
+      return;
+    }
+
+    assembly.chunks.push(part);
+    if (!final) {
+      return;
+    }
+
+    this.chunkAssemblies.delete(id);
+    if (Number.isInteger(total) && assembly.chunks.length !== total) {
+      this.rejectPendingCommand(id, createInvalidChunkError(id, `received ${assembly.chunks.length} of ${total} chunks`));
+      return;
+    }
+
+    let response;
+    try {
+      response = JSON.parse(Buffer.concat(assembly.chunks).toString('utf8'));
+    } catch (error) {
+      this.rejectPendingCommand(id, createInvalidChunkError(id, `reassembled payload is not valid JSON: ${error.message}`));
+      return;
+    }
+
+    logger.debug(`[Unity] Reassembled ${assembly.chunks.length} chunk(s) for command ${id} (${assembly.receivedBytes} bytes)`);
+    this.handleResponse(response);
+  }
+
+  /**
+   * Skips an oversized single frame without buffering it and fails the command
+   * it answers with RESPONSE_TOO_LARGE.
+   * @param {number} messageLength - Declared payload length
+   */
+  startDiscardingFrame(messageLength) {
+    const head = this.messageBuffer.slice(4, 4 + RESPONSE_ID_PEEK_BYTES).toString('utf8');
+    const id = extractResponseId(head);
+    logger.error(`[Unity] Response frame of ${messageLength} bytes exceeds the ${this.getMaxResponseBytes()} byte limit; discarding it`);
+
+    this.discardingFrame = { remaining: messageLength };
+    this.messageBuffer = this.discardFrameBytes(this.messageBuffer.slice(4));
+
+    if (id) {
+      this.rejectOversizedResponse(id, messageLength, { chunked: false });
+    }
+  }
+
+  /**
+   * Drops bytes belonging to the frame being discarded.
+   * @param {Buffer} data
+   * @returns {Buffer} Bytes left over after the discarded frame
+   */
+  discardFrameBytes(data) {
+    const consumed = Math.min(this.discardingFrame.remaining, data.length);
+    this.discardingFrame.remaining -= consumed;
+    if (this.discardingFrame.remaining === 0) {
+      this.discardingFrame = null;
+    }
+    return data.slice(consumed);
+  }
+
+  /**
+   * Looks for the next plausible frame header after a corrupt length prefix.
+   * @returns {boolean} true when the buffer was realigned, false when it was cleared
+   */
+  recoverFrameBoundary() {
+    // Look for a reasonable length value (positive, less than 10KB for typical responses)
+    let recoveryIndex = -1;
+    for (let i = 4; i < Math.min(this.messageBuffer.length - 4, 100); i++) {
+      const testLength = this.messageBuffer.readInt32BE(i);
+      if (testLength > 0 && testLength < 10240) {
+        // Check if this could be a valid JSON message
+        if (i + 4 + testLength <= this.messageBuffer.length) {
+          const testData = this.messageBuffer.slice(i + 4, i + 4 + testLength).toString('utf8');
+          if (testData.trim().startsWith('{')) {
+            recoveryIndex = i;
+            break;
+          }
+        }
+      }
+    }
+    
+    if (recoveryIndex > 0) {
+      logger.warn(`[Unity] Discarding ${recoveryIndex} bytes of invalid data`);
+      this.messageBuffer = this.messageBuffer.slice(recoveryIndex);
+      return true;
+    }
+
+    // Can't recover, clear buffer
+    logger.error('[Unity] Unable to recover from invalid frame, clearing buffer');
+    this.messageBuffer = Buffer.alloc(0);
+    return false;
+  }
+
+  rejectOversizedResponse(id, receivedBytes, details = {}) {
+    const pending = this.pendingCommands.get(id);
+    this.rejectPendingCommand(id, createResponseTooLargeError({
+      command: pending?.type,
+      commandId: id,
+      receivedBytes,
+      maxResponseBytes: this.getMaxResponseBytes(),
+      ...details
+    }));
+  }
+
+  rejectPendingCommand(id, error) {
+    const pending = this.pendingCommands.get(id);
+    if (!pending) {
+      logger.warn(`[Unity] ${error.code} for command ${id} with no pending caller`);
+      return;
+    }
+
+    this.pendingCommands.delete(id);
+    pending.reject(error);
+  }
+
+  getMaxResponseBytes() {
+    const value = Number(this.config.unity?.maxResponseBytes);
+    if (Number.isFinite(value) && value > 0) {
+      return Math.floor(value);
+    }
+    return DEFAULT_MAX_RESPONSE_BYTES;
+  }
+
+  resetFrameState() {
+    this.messageBuffer = Buffer.alloc(0);
+    this.discardingFrame = null;
+    this.chunkAssemblies.clear();
+    this.discardedChunkIds.clear();
+    this.timedOutCommandIds.clear();
+    this.frameStreamDesynchronized = false;
+  }
+
   /**
    * Sends a command to Unity
+   * Commands are multiplexed over the framed socket and matched back to their
+   * callers by `id`. At most `unity.maxInFlightCommands` commands are written
+   * at once; the rest wait in `commandQueue` ordered by priority class, and
+   * high-priority probes such as `ping` bypass the limit entirely.
    * @param {string} type - Command type
    * @param {object} params - Command parameters
+   * @param {object} options - `timeoutMs`, `authRetryAttempts` and `priority` ('high' | 'normal' | 'low')
    * @returns {Promise<any>} - Response from Unity
    */
   async sendCommand(type, params = {}, options = {}) {
@@ -455,32 +728,65 @@ export class UnityConnection extends EventEmitter {
       throw createConnectionClosedError('Connection is disconnecting');
     }
 
-    if (!this.commandInFlight) {
+    const priority = getCommandPriority(type, options);
+    if (this.canDispatchCommand(priority) && !this.hasQueuedCommandAhead(priority)) {
       return this.runQueuedCommand(type, params, options);
     }
 
     return new Promise((resolve, reject) => {
-      this.commandQueue.push({ type, params, options, resolve, reject });
+      this.enqueueCommand({
+        type,
+        params,
+        options,
+        priority,
+        resolve,
+        reject
+      });
     });
   }
 
+  getMaxInFlightCommands() {
+    const value = Number(this.config.unity?.maxInFlightCommands);
+    if (Number.isFinite(value) && value >= 1) {
+      return Math.floor(value);
+    }
+    return DEFAULT_MAX_IN_FLIGHT_COMMANDS;
+  }
+
+  canDispatchCommand(priority) {
+    return priority === COMMAND_PRIORITIES.high ||
+      this.commandsInFlight < this.getMaxInFlightCommands();
+  }
+
+  hasQueuedCommandAhead(priority) {
+    return this.commandQueue.some((command) => command.priority <= priority);
+  }
+
+  enqueueCommand(command) {
+    // Stable insert: after every queued command of the same or higher priority.
+    const index = this.commandQueue.findIndex((queued) => queued.priority > command.priority);
+    if (index === -1) {
+      this.commandQueue.push(command);
+    } else {
+      this.commandQueue.splice(index, 0, command);
+    }
+  }
+
   async runQueuedCommand(type, params, options = {}) {
-    this.commandInFlight = true;
+    this.commandsInFlight++;
     try {
       return await this.sendCommandWithAuthRecovery(type, params, options);
     } finally {
-      this.commandInFlight = false;
-      this.runNextQueuedCommand();
+      this.commandsInFlight--;
+      this.runNextQueuedCommands();
     }
   }
 
-  runNextQueuedCommand() {
-    if (this.commandInFlight || this.commandQueue.length === 0) {
-      return;
+  runNextQueuedCommands() {
+    while (this.commandQueue.length > 0 && this.canDispatchCommand(this.commandQueue[0].priority)) {
+      const next = this.commandQueue.shift();
+      this.runQueuedCommand(next.type, next.params, next.options).then(next.resolve, next.reject);
     }
-
-    const next = this.commandQueue.shift();
-    this.runQueuedCommand(next.type, next.params, next.options).then(next.resolve, next.reject);
   }
 
   async sendCommandWithAuthRecovery(type, params = {}, options = {}) {
@@ -506,6 +812,11 @@ export class UnityConnection extends EventEmitter {
   }
 
   async sendCommandNow(type, params = {}, options = {}) {
+    if (this.endpointRecovery) {
+      // A failed recovery leaves the connection closed, which is reported below
+      await this.endpointRecovery.catch(() => {});
+    }
+
     if (!this.connected) {
       logger.error('[Unity] Cannot send command - not connected');
       throw new Error('Not connected to Unity');
@@ -516,6 +827,9 @@ export class UnityConnection extends EventEmitter {
     // the registry before each command, otherwise every command after a reload fails with AUTH_FAILED.
     await this.refreshAuthTokenFromRegistry();
     await this.ensureAuthenticatedEndpoint();
+    if (!this.connected) {
+      throw createConnectionClosedError('Connection closed while refreshing the Unity endpoint');
+    }
 
     const id = String(++this.commandId);
     const command = {
@@ -539,11 +853,20 @@ export class UnityConnection extends EventEmitter {
         logger.error(`[Unity] Command ${id} timed out after ${timeoutMs}ms`);
         this.pendingCommands.delete(id);
         reject(timeoutError);
-        this.closeTimedOutConnection(timeoutError);
+        // A slow command leaves the other commands and the socket alone, unless
+        // the framing was lost and their replies cannot be matched any more
+        if (this.frameStreamDesynchronized) {
+          this.closeTimedOutConnection(timeoutError);
+        } else {
+          this.forgetTimedOutCommand(id);
+        }
       }, timeoutMs);
 
       // Store pending command
       this.pendingCommands.set(id, {
+        type,
+        params,
+        startedAt: Date.now(),
         resolve: (data) => {
           logger.debug(`[Unity] Command ${id} resolved successfully`);
           clearTimeout(timeout);
@@ -585,7 +908,31 @@ export class UnityConnection extends EventEmitter {
     });
   }
 
-  async recoverFromAuthFailure() {
+  recoverFromAuthFailure() {
+    return this.runEndpointRecovery(() => this.refreshEndpointAfterAuthFailure());
+  }
+
+  ensureAuthenticatedEndpoint() {
+    if (this.endpointRecovery) {
+      return this.endpointRecovery;
+    }
+    if (this.endpoint?.authToken || this.config.unity.discovery?.enabled === false) {
+      return Promise.resolve();
+    }
+    return this.runEndpointRecovery(() => this.rediscoverEndpoint());
+  }
+
+  // Commands failing together share one recovery, so the socket is replaced once
+  runEndpointRecovery(recover) {
+    if (!this.endpointRecovery) {
+      this.endpointRecovery = recover().finally(() => {
+        this.endpointRecovery = null;
+      });
+    }
+    return this.endpointRecovery;
+  }
+
+  async refreshEndpointAfterAuthFailure() {
     const previousEndpoint = this.endpoint
       ? {
           host: this.endpoint.host,
@@ -615,23 +962,11 @@ export class UnityConnection extends EventEmitter {
     }
 
     if (Number(endpoint.port) !== Number(previousEndpoint.port)) {
-      const socket = this.socket;
-      this.connected = false;
-      this.socket = null;
-      this.messageBuffer = Buffer.alloc(0);
-      if (socket) {
-        socket.removeAllListeners();
-        socket.destroy();
-      }
-      await this.connect();
+      await this.reconnectToEndpoint(endpoint);
     }
   }
 
-  async ensureAuthenticatedEndpoint() {
-    if (this.endpoint?.authToken || this.config.unity.discovery?.enabled === false) {
-      return;
-    }
-
+  async rediscoverEndpoint() {
     const previousEndpoint = this.endpoint
       ? {
           host: this.endpoint.host,
@@ -644,16 +979,45 @@ export class UnityConnection extends EventEmitter {
     }
 
     if (Number(endpoint.port) !== Number(previousEndpoint.port)) {
-      const socket = this.socket;
-      this.connected = false;
-      this.socket = null;
-      this.messageBuffer = Buffer.alloc(0);
-      if (socket) {
-        socket.removeAllListeners();
-        socket.destroy();
-      }
-      await this.connect();
+      await this.reconnectToEndpoint(endpoint);
+    }
+  }
+
+  /**
+   * Moves to the port Unity listens on now. Commands written to the old socket
+   * can no longer be answered, so they fail like on any other close.
+   * @param {object} endpoint - The rediscovered endpoint
+   */
+  async reconnectToEndpoint(endpoint) {
+    const socket = this.socket;
+    this.connected = false;
+    this.socket = null;
+    this.resetFrameState();
+
+    const closeError = createConnectionClosedError(`Connection closed: Unity moved to port ${endpoint.port}`);
+    for (const [, pending] of this.pendingCommands) {
+      pending.reject(closeError);
+    }
+    this.pendingCommands.clear();
+
+    if (socket) {
+      socket.removeAllListeners();
+      socket.destroy();
+    }
+    await this.connect();
+  }
+
+  /**
+   * Drops the late reply of a timed-out command, including any chunks of it
+   * still to come, instead of emitting it as an unsolicited message.
+   * @param {string} id - Command id
+   */
+  forgetTimedOutCommand(id) {
+    this.timedOutCommandIds.add(id);
+    if (this.timedOutCommandIds.size > MAX_TIMED_OUT_IDS) {
+      this.timedOutCommandIds.delete(this.timedOutCommandIds.values().next().value);
     }
+    this.chunkAssemblies.delete(id);
   }
 
   closeTimedOutConnection(timeoutError) {
@@ -661,7 +1025,7 @@ export class UnityConnection extends EventEmitter {
     this.connected = false;
     this.socket = null;
     this.endpoint = null;
-    this.messageBuffer = Buffer.alloc(0);
+    this.resetFrameState();
 
     const closeError = createConnectionClosedError('Connection closed after command timeout');
     if (timeoutError?.details) {
@@ -689,7 +1053,10 @@ export class UnityConnection extends EventEmitter {
     try {
       const endpoint = this.endpoint;
       if (!endpoint?.port || !endpoint?.instance?.pid) return;
-      const instances = await readUnityInstances({ includeStale: true });
+      const instances = await readUnityInstances({
+        registryDir: this.config.unity.discovery?.registryDir,
+        includeStale: true
+      });
       const fresh = instances.find(
         (i) => Number(i.port) === Number(endpoint.port) && Number(i.pid) === Number(endpoint.instance.pid)
       );
@@ -723,11 +1090,38 @@ export class UnityConnection extends EventEmitter {
   getConnectionInfo() {
     return {
       connected: this.connected,
-      endpoint: redactEndpoint(this.endpoint)
+      endpoint: redactEndpoint(this.endpoint),
+      commandsInFlight: this.commandsInFlight,
+      queuedCommands: this.commandQueue.length,
+      maxInFlightCommands: this.getMaxInFlightCommands()
     };
   }
 }
 
+/**
+ * Resolves the scheduling class for a command. An explicit `options.priority`
+ * wins; otherwise cheap state probes are high priority and long-running
+ * captures/test runs are low priority.
+ * @param {string} type - Command type
+ * @param {object} options - sendCommand options
+ * @returns {number} Priority rank (lower runs first)
+ */
+export function getCommandPriority(type, options = {}) {
+  if (typeof options.priority === 'string' && Object.prototype.hasOwnProperty.call(COMMAND_PRIORITIES, options.priority)) {
+    return COMMAND_PRIORITIES[options.priority];
+  }
+
+  if (HIGH_PRIORITY_COMMANDS.has(type)) {
+    return COMMAND_PRIORITIES.high;
+  }
+
+  if (LOW_PRIORITY_COMMANDS.has(type)) {
+    return COMMAND_PRIORITIES.low;
+  }
+
+  return COMMAND_PRIORITIES.normal;
+}
+
 function redactCommand(command) {
   return {
     ...command,
@@ -752,6 +1146,28 @@ function createCommandTimeoutError(type, id, timeoutMs) {
   return error;
 }
 
+function createResponseTooLargeError(details) {
+  const error = new Error(
+    `Unity response for ${details.command || 'command'} is ${details.receivedBytes} bytes, ` +
+    `exceeding the ${details.maxResponseBytes} byte limit (UNITY_MCP_MAX_RESPONSE_BYTES). Narrow the request or raise the limit.`
+  );
+  error.code = 'RESPONSE_TOO_LARGE';
+  error.details = details;
+  return error;
+}
+
+function createInvalidChunkError(id, reason) {
+  const error = new Error(`Invalid chunked response for command ${id}: ${reason}`);
+  error.code = 'INVALID_RESPONSE_CHUNK';
+  error.details = { commandId: id };
+  return error;
+}
+
+function extractResponseId(head) {
+  const match = /"id"\s*:\s*"([^"]+)"/.exec(head);
+  return match ? match[1] : null;
+}
+
 function createAuthFailureError(payload) {
   if (!isAuthFailurePayload(payload)) {
     return null;
@@ -0,0 +1,108 @@
+/**
+ * Helpers shared by the loops that poll Unity until a long operation ends:
+ * compilation, test runs and frame captures.
+ */
+
+/**
+ * Whether an error means the connection dropped, as it does while Unity
+ * reloads the domain, so polling should reconnect and go on.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableConnectionError(error) {
+  const message = error?.message || '';
+  const code = error?.code || '';
+  return (
+    code === 'ECONNRESET' ||
+    code === 'ECONNREFUSED' ||
+    code === 'ETIMEDOUT' ||
+    message.includes('Connection closed') ||
+    message.includes('Connection timeout') ||
+    message.includes('Command timeout') ||
+    message.includes('Not connected to Unity')
+  );
+}
+
+/**
+ * Reconnects to Unity once.
+ * @returns {Promise<Error|null>} The retryable error if Unity is still unreachable
+ * @throws Any other connection error
+ */
+export async function tryReconnect(unityConnection) {
+  try {
+    if (typeof unityConnection.disconnect === 'function') {
+      unityConnection.disconnect();
+    }
+    await unityConnection.connect();
+    return null;
+  } catch (error) {
+    if (!isRetryableConnectionError(error)) {
+      throw error;
+    }
+    return error;
+  }
+}
+
+/**
+ * @param {*} value
+ * @param {number} fallback - Used unless value is a finite number above zero
+ * @returns {number}
+ */
+export function positiveNumber(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Throws REQUEST_CANCELLED once the MCP request has been cancelled.
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfCancelled(signal) {
+  if (!signal?.aborted) {
+    return;
+  }
+
+  throw createCancelledError();
+}
+
+/**
+ * Waits between polls; rejects with REQUEST_CANCELLED as soon as the request is cancelled.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  if (ms <= 0) {
+    return Promise.resolve();
+  }
+
+  try {
+    throwIfCancelled(signal);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  return new Promise((resolve, reject) => {
+    let timeout;
+    const cleanup = () => {
+      clearTimeout(timeout);
+      signal?.removeEventListener?.('abort', onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(createCancelledError());
+    };
+    timeout = setTimeout(() => {
+      cleanup();
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+function createCancelledError() {
+  const error = new Error('Request cancelled');
+  error.code = 'REQUEST_CANCELLED';
+  return error;
+}
@@ -0,0 +1,326 @@
+import fs from 'fs';
+
+const DOCUMENT_HEADER = /^--- !u!(-?\d+) &(-?\d+)( stripped)?\s*$/;
+
+/**
+ * Parses a text-serialized Unity file (`.unity`, `.prefab`, `.asset`) into its
+ * `--- !u!<classId> &<fileID>` documents. Only the YAML subset Unity writes is
+ * supported: block mappings and sequences, flow mappings/sequences and plain
+ * or quoted scalars. FileIDs are kept as strings because they exceed the safe
+ * integer range.
+ * @param {string} text - File contents
+ * @returns {{ classId: number, fileID: string, stripped: boolean, type: string|null, data: object }[]}
+ */
+export function parseUnityYaml(text) {
+  if (!text.startsWith('%YAML')) {
+    throw new Error('Not a text-serialized Unity file (set Asset Serialization to Force Text)');
+  }
+
+  const documents = [];
+  let current = null;
+  for (const line of splitLines(text)) {
+    const header = line.match(DOCUMENT_HEADER);
+    if (header) {
+      current = { classId: Number(header[1]), fileID: header[2], stripped: Boolean(header[3]), lines: [] };
+      documents.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return documents.map(({ lines, ...document }) => {
+    const body = parseUnityYamlBlock(lines.join('\n'));
+    const [type = null] = body && typeof body === 'object' ? Object.keys(body) : [];
+    return { ...document, type, data: (type && body[type]) || {} };
+  });
+}
+
+/**
+ * Parses a YAML block without document headers, e.g. a `.meta` file or
+ * `Library/LastSceneManagerSetup.txt`.
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseUnityYamlBlock(text) {
+  const lines = splitLines(text)
+    .filter((line) => line.trim() !== '' && !line.startsWith('%') && !line.startsWith('---'))
+    .map((line) => ({ indent: line.length - line.trimStart().length, text: line.trim() }));
+  if (lines.length === 0) {
+    return null;
+  }
+  return new BlockParser(lines).parseNode(lines[0].indent);
+}
+
+/**
+ * Reads and parses a Unity YAML file.
+ * @param {string} filePath
+ */
+export function readUnityYamlFile(filePath) {
+  return parseUnityYaml(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Returns the GUID recorded in a `.meta` file's contents, or null.
+ * @param {string} metaText
+ * @returns {string|null}
+ */
+export function readMetaGuid(metaText) {
+  const match = metaText.match(/^guid:\s*([0-9a-fA-F]{32})\s*$/m);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Normalizes a `{fileID, guid?, type?}` reference; null for missing or empty references.
+ * @param {*} value
+ * @returns {{ fileID: string, guid: string|null }|null}
+ */
+export function toObjectReference(value) {
+  if (!value || typeof value !== 'object' || value.fileID === undefined) {
+    return null;
+  }
+  const fileID = String(value.fileID);
+  const guid = value.guid ? String(value.guid).toLowerCase() : null;
+  if (fileID === '0' && !guid) {
+    return null;
+  }
+  return { fileID, guid };
+}
+
+class BlockParser {
+  constructor(lines) {
+    this.lines = lines;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.lines[this.index];
+  }
+
+  parseNode(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) {
+      return '';
+    }
+    return isSequenceItem(line.text) ? this.parseSequence(line.indent) : this.parseMapping(line.indent);
+  }
+
+  parseMapping(indent) {
+    const result = {};
+    let line = this.peek();
+    while (line && line.indent === indent && !isSequenceItem(line.text)) {
+      const separator = findKeySeparator(line.text);
+      if (separator === -1) {
+        throw new Error(`Unexpected YAML line: ${line.text}`);
+      }
+      const key = unquote(line.text.slice(0, separator).trim());
+      const rest = line.text.slice(separator + 1).trim();
+      this.index++;
+
+      const next = this.peek();
+      if (rest !== '') {
+        result[key] = this.parseInlineValue(rest, indent);
+      } else if (next && next.indent > indent) {
+        result[key] = this.parseNode(next.indent);
+      } else if (next && next.indent === indent && isSequenceItem(next.text)) {
+        // Unity writes sequence items at the same indent as their key
+        result[key] = this.parseSequence(indent);
+      } else {
+        result[key] = '';
+      }
+      line = this.peek();
+    }
+    return result;
+  }
+
+  parseSequence(indent) {
+    const result = [];
+    let line = this.peek();
+    while (line && line.indent === indent && isSequenceItem(line.text)) {
+      const rest = line.text.slice(1).trim();
+      if (rest === '') {
+        this.index++;
+        const next = this.peek();
+        result.push(next && next.indent > indent ? this.parseNode(next.indent) : '');
+      } else if (!startsFlowOrQuote(rest) && findKeySeparator(rest) !== -1) {
+        // "- key: value" opens a mapping whose keys are aligned after the dash
+        const itemIndent = line.indent + (line.text.length - rest.length);
+        this.lines[this.index] = { indent: itemIndent, text: rest };
+        result.push(this.parseMapping(itemIndent));
+      } else {
+        this.index++;
+        result.push(this.parseInlineValue(rest, indent));
+      }
+      line = this.peek();
+    }
+    return result;
+  }
+
+  parseInlineValue(text, indent) {
+    let value = text;
+    if (startsFlowOrQuote(value)) {
+      while (!isBalanced(value) && this.peek() && this.peek().indent > indent) {
+        value += ` ${this.peek().text}`;
+        this.index++;
+      }
+      return parseFlow(value);
+    }
+
+    // Plain scalars continue on more-indented lines
+    while (this.peek() && this.peek().indent > indent && !isSequenceItem(this.peek().text)) {
+      value += ` ${this.peek().text}`;
+      this.index++;
+    }
+    return parseScalar(value);
+  }
+}
+
+function parseFlow(text) {
+  return parseFlowValue({ text, index: 0 });
+}
+
+function parseFlowValue(parser) {
+  skipSpaces(parser);
+  const char = parser.text[parser.index];
+  if (char === '{') {
+    parser.index++;
+    const result = {};
+    skipSpaces(parser);
+    while (parser.index < parser.text.length && parser.text[parser.index] !== '}') {
+      const key = readFlowToken(parser, ':');
+      parser.index++;
+      result[unquote(key)] = parseFlowValue(parser);
+      skipSpaces(parser);
+      if (parser.text[parser.index] === ',') {
+        parser.index++;
+        skipSpaces(parser);
+      }
+    }
+    parser.index++;
+    return result;
+  }
+  if (char === '[') {
+    parser.index++;
+    const result = [];
+    skipSpaces(parser);
+    while (parser.index < parser.text.length && parser.text[parser.index] !== ']') {
+      result.push(parseFlowValue(parser));
+      skipSpaces(parser);
+      if (parser.text[parser.index] === ',') {
+        parser.index++;
+        skipSpaces(parser);
+      }
+    }
+    parser.index++;
+    return result;
+  }
+  if (char === '"' || char === '\'') {
+    const start = parser.index;
+    parser.index = findClosingQuote(parser.text, start) + 1;
+    return unquote(parser.text.slice(start, parser.index));
+  }
+  return parseScalar(readFlowToken(parser, ',}]'));
+}
+
+function readFlowToken(parser, terminators) {
+  const start = parser.index;
+  while (parser.index < parser.text.length && !terminators.includes(parser.text[parser.index])) {
+    parser.index++;
+  }
+  return parser.text.slice(start, parser.index).trim();
+}
+
+function skipSpaces(parser) {
+  while (parser.text[parser.index] === ' ') {
+    parser.index++;
+  }
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+  if (value.startsWith('"') || value.startsWith('\'')) {
+    return unquote(value);
+  }
+  if (/^-?\d+$/.test(value)) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value;
+  }
+  if (/^-?(\d+\.\d*|\.\d+|\d+)(e[+-]?\d+)?$/i.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+function unquote(text) {
+  if (text.length >= 2 && text.startsWith('\'') && text.endsWith('\'')) {
+    return text.slice(1, -1).replace(/''/g, '\'');
+  }
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+    return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, escape) => {
+      if (escape.startsWith('u') && escape.length === 5) {
+        return String.fromCharCode(parseInt(escape.slice(1), 16));
+      }
+      return { n: '\n', t: '\t', r: '\r', 0: '\0' }[escape] ?? escape;
+    });
+  }
+  return text;
+}
+
+function findKeySeparator(text) {
+  if (startsFlowOrQuote(text)) {
+    return -1;
+  }
+  const match = text.match(/:(\s|$)/);
+  return match ? match.index : -1;
+}
+
+function findClosingQuote(text, start) {
+  const quote = text[start];
+  for (let index = start + 1; index < text.length; index++) {
+    if (quote === '"' && text[index] === '\\') {
+      index++;
+    } else if (text[index] === quote) {
+      if (quote === '\'' && text[index + 1] === '\'') {
+        index++;
+      } else {
+        return index;
+      }
+    }
+  }
+  return text.length - 1;
+}
+
+function isBalanced(text) {
+  if (text.startsWith('"') || text.startsWith('\'')) {
+    return text.length > 1 && findClosingQuote(text, 0) === text.length - 1 && text.endsWith(text[0]);
+  }
+
+  let depth = 0;
+  let quote = null;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+function startsFlowOrQuote(text) {
+  return /^["'{[]/.test(text);
+}
+
+function splitLines(text) {
+  return text.split(/\r?\n/);
+}
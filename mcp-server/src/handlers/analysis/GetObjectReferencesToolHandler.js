@@ -1,4 +1,5 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { SerializedScene, getNodePath, withDiskFallback } from '../../core/offlineProject.js';
 import { getObjectReferencesToolDefinition } from '../../tools/analysis/getObjectReferences.js';
 
 /**
@@ -15,6 +16,14 @@ export class GetObjectReferencesToolHandler extends BaseToolHandler {
   }
 
   async execute(args) {
+    return withDiskFallback(
+      this.unityConnection,
+      () => this.readFromUnity(args),
+      (project) => this.readFromDisk(project, args)
+    );
+  }
+
+  async readFromUnity(args) {
     if (!this.unityConnection.isConnected()) {
       throw new Error('Unity connection not available');
     }
@@ -28,4 +37,141 @@ export class GetObjectReferencesToolHandler extends BaseToolHandler {
 
     return result;
   }
+
+  /**
+   * Resolves serialized fileID/GUID references of a GameObject in the saved
+   * active scene (or a prefab asset with searchInPrefabs).
+   */
+  readFromDisk(project, args) {
+    const {
+      gameObjectName,
+      includeAssetReferences = true,
+      includeHierarchyReferences = true,
+      searchInPrefabs = false
+    } = args;
+
+    const scene = project.loadScene(project.getActiveScenePath());
+    let target = scene.find(gameObjectName);
+    let searchScene = scene;
+    let prefabPath = null;
+    if (!target && searchInPrefabs) {
+      for (const assetPath of project.listPrefabs()) {
+        const prefab = project.loadScene(assetPath);
+        if (prefab.roots[0]?.name === gameObjectName) {
+          target = prefab.roots[0];
+          searchScene = prefab;
+          prefabPath = assetPath;
+          break;
+        }
+      }
+    }
+    if (!target) {
+      throw new Error(`GameObject not found: ${gameObjectName}`);
+    }
+
+    const describeTarget = ({ component }) => {
+      if (!component) {
+        return 'direct';
+      }
+      return component.type === 'Transform' || component.type === 'RectTransform' ? 'transform' : 'component';
+    };
+
+    const referencesTo = [];
+    let assetReferences = 0;
+    for (const component of target.components) {
+      for (const reference of SerializedScene.collectReferences(component)) {
+        if (reference.guid) {
+          if (includeAssetReferences && reference.assetPath) {
+            referencesTo.push({
+              gameObject: reference.assetPath.split('/').pop().replace(/\.[^.]+$/, ''),
+              path: null,
+              component: component.type,
+              property: reference.property,
+              referenceType: 'asset',
+              assetPath: reference.assetPath
+            });
+            assetReferences++;
+          }
+        } else if (reference.target.node !== target) {
+          referencesTo.push({
+            gameObject: reference.target.node.name,
+            path: getNodePath(reference.target.node),
+            component: component.type,
+            property: reference.property,
+            referenceType: describeTarget(reference.target)
+          });
+        }
+      }
+    }
+
+    const referencedBy = [];
+    const searchedNodes = searchScene.allNodes();
+    for (const node of searchedNodes.filter((candidate) => candidate !== target)) {
+      for (const component of node.components) {
+        for (const reference of SerializedScene.collectReferences(component)) {
+          if (reference.target?.node === target) {
+            referencedBy.push({
+              gameObject: node.name,
+              path: getNodePath(node),
+              component: component.type,
+              property: reference.property,
+              referenceType: describeTarget(reference.target)
+            });
+          }
+        }
+      }
+    }
+
+    if (includeHierarchyReferences && !prefabPath) {
+      if (target.parent) {
+        referencesTo.push({
+          gameObject: target.parent.name,
+          path: getNodePath(target.parent),
+          component: 'Transform',
+          property: 'parent',
+          referenceType: 'hierarchy'
+        });
+      }
+      for (const child of target.children) {
+        referencedBy.push({
+          gameObject: child.name,
+          path: getNodePath(child),
+          component: 'Transform',
+          property: 'child',
+          referenceType: 'hierarchy'
+        });
+      }
+    }
+
+    const referencingNames = new Set(referencedBy.filter((entry) => entry.referenceType !== 'hierarchy').map((entry) => entry.gameObject));
+    const circularReferences = [...new Set(referencesTo
+      .filter((entry) => entry.referenceType !== 'hierarchy' && entry.referenceType !== 'asset' && referencingNames.has(entry.gameObject))
+      .map((entry) => entry.gameObject))];
+
+    const stats = {
+      totalReferencedBy: referencedBy.length,
+      totalReferencesTo: referencesTo.length,
+      componentCount: target.components.length,
+      searchedObjects: searchedNodes.length,
+      ...(assetReferences > 0 && { assetReferences }),
+      ...(circularReferences.length > 0 && { circularReferences })
+    };
+
+    const parts = [];
+    if (referencedBy.length > 0) {
+      parts.push(`referenced by ${referencedBy.length} object${referencedBy.length !== 1 ? 's' : ''}`);
+    }
+    if (referencesTo.length > 0) {
+      parts.push(`references ${referencesTo.length} object${referencesTo.length !== 1 ? 's' : ''}`);
+    }
+
+    return {
+      targetObject: gameObjectName,
+      targetPath: prefabPath || getNodePath(target),
+      ...(prefabPath && { isPrefab: true }),
+      references: { referencedBy, referencesTo },
+      stats,
+      summary: parts.length > 0 ? `${gameObjectName} is ${parts.join(' and ')}` : `${gameObjectName} has no references`
+    };
+  }
 }
@@ -1,5 +1,8 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
 
+// Actions Unity validates and describes without applying when dryRun is set
+const UNITY_PREVIEW_ACTIONS = new Set(['create_folder', 'delete_asset', 'move_asset', 'copy_asset']);
+
 /**
  * Handler for Unity Asset Database operations
  */
@@ -132,6 +135,13 @@ export class AssetDatabaseToolHandler extends BaseToolHandler {
     return result;
   }
 
+  async preview(params) {
+    if (!UNITY_PREVIEW_ACTIONS.has(params.action)) {
+      return super.preview(params);
+    }
+    return this.requestUnityPreview('manage_asset_database', params);
+  }
+
   getExamples() {
     return [
       {
@@ -1,4 +1,11 @@
+import fs from 'fs';
+import path from 'path';
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { ProjectIndex } from '../../core/projectIndex.js';
+import { resolveProjectRoot } from '../../core/projectRoot.js';
+
+// Actions answered from the local GUID index when the project is on disk
+const INDEXED_ACTIONS = ['get_dependencies', 'get_dependents', 'analyze_circular', 'find_unused'];
 
 /**
  * Handler for Unity asset dependency analysis
@@ -27,6 +34,10 @@ export class AssetDependencyToolHandler extends BaseToolHandler {
           includeBuiltIn: {
             type: 'boolean',
             description: 'Whether to include built-in assets in analysis (for find_unused)'
+          },
+          crossCheck: {
+            type: 'boolean',
+            description: 'Also ask Unity and report paths only one side found (indexed actions only)'
           }
         },
         required: ['action']
@@ -65,7 +76,21 @@ export class AssetDependencyToolHandler extends BaseToolHandler {
 
   async execute(params) {
     this.validate(params);
-    
+
+    const { crossCheck = false, ...unityParams } = params;
+    const index = INDEXED_ACTIONS.includes(params.action) ? this.getProjectIndex() : null;
+    if (!index) {
+      return this.queryUnity(unityParams);
+    }
+
+    const result = { ...this.queryIndex(index, unityParams), source: 'index' };
+    if (crossCheck) {
+      result.crossCheck = await this.crossCheck(unityParams, result);
+    }
+    return result;
+  }
+
+  async queryUnity(params) {
     if (!this.unityConnection.isConnected()) {
       await this.unityConnection.connect();
     }
@@ -74,6 +99,96 @@ export class AssetDependencyToolHandler extends BaseToolHandler {
     return result;
   }
 
+  /**
+   * The project's GUID index, or null when the project is not on this machine.
+   * @returns {ProjectIndex|null}
+   */
+  getProjectIndex() {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot || !fs.existsSync(path.join(projectRoot, 'Assets'))) {
+      return null;
+    }
+    if (this.projectIndex?.projectRoot !== projectRoot) {
+      this.projectIndex?.close();
+      this.projectIndex = new ProjectIndex(projectRoot);
+    }
+    return this.projectIndex;
+  }
+
+  queryIndex(index, { action, assetPath, recursive = false, includeBuiltIn = false }) {
+    switch (action) {
+      case 'get_dependencies': {
+        const dependencies = index.getDependencies(assetPath, recursive);
+        return {
+          success: true,
+          action,
+          assetPath,
+          recursive,
+          dependencies,
+          count: dependencies.length,
+          maxDepth: dependencies.reduce((max, dependency) => Math.max(max, dependency.depth), 0)
+        };
+      }
+      case 'get_dependents': {
+        const dependents = index.getDependents(assetPath);
+        return { success: true, action, assetPath, dependents, count: dependents.length };
+      }
+      case 'find_unused': {
+        const unusedAssets = index.findUnused(includeBuiltIn).map((asset) => ({
+          path: asset.path,
+          type: asset.type,
+          size: Math.floor(asset.size / 1024),
+          lastModified: asset.lastModified.toISOString().replace(/\.\d{3}Z$/, 'Z')
+        }));
+        return {
+          success: true,
+          action,
+          includeBuiltIn,
+          unusedAssets,
+          count: unusedAssets.length,
+          totalSizeKB: unusedAssets.reduce((total, asset) => total + asset.size, 0)
+        };
+      }
+      default: {
+        const circularDependencies = index.findCycles().map((cycle) => ({
+          cycle,
+          length: cycle.length,
+          severity: cycle.length > 5 ? 'error' : 'warning'
+        }));
+        return {
+          success: true,
+          action,
+          circularDependencies,
+          hasCircularDependencies: circularDependencies.length > 0,
+          totalCycles: circularDependencies.length
+        };
+      }
+    }
+  }
+
+  async crossCheck(params, indexResult) {
+    let unityResult;
+    try {
+      unityResult = await this.queryUnity(params);
+    } catch (error) {
+      return { performed: false, reason: error.message };
+    }
+    if (unityResult?.error) {
+      return { performed: false, reason: unityResult.error };
+    }
+
+    const indexPaths = new Set(getResultPaths(indexResult));
+    const unityPaths = new Set(getResultPaths(unityResult));
+    const onlyInIndex = [...indexPaths].filter((assetPath) => !unityPaths.has(assetPath));
+    const onlyInUnity = [...unityPaths].filter((assetPath) => !indexPaths.has(assetPath));
+    return {
+      performed: true,
+      matches: onlyInIndex.length === 0 && onlyInUnity.length === 0,
+      onlyInIndex,
+      onlyInUnity
+    };
+  }
+
   getExamples() {
     return [
       {
@@ -198,4 +313,17 @@ export class AssetDependencyToolHandler extends BaseToolHandler {
       }
     ];
   }
+}
+
+function getResultPaths(result) {
+  switch (result.action) {
+    case 'get_dependencies':
+      return (result.dependencies || []).map((dependency) => dependency.path);
+    case 'get_dependents':
+      return (result.dependents || []).map((dependent) => dependent.path);
+    case 'find_unused':
+      return (result.unusedAssets || []).map((asset) => asset.path);
+    default:
+      return (result.circularDependencies || []).flatMap((dependency) => dependency.cycle);
+  }
 }
\ No newline at end of file
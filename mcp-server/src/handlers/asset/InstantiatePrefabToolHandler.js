@@ -130,4 +130,27 @@ export class InstantiatePrefabToolHandler extends BaseToolHandler {
 
         return result;
     }
+
+    /**
+     * Describes the prefab instance that would be added to the scene
+     * @param {Object} params - Input parameters
+     * @returns {Promise<Object>} Dry-run result
+     */
+    async preview(params) {
+        const { prefabPath, position, rotation, parent, name } = params;
+        // Unity names instances after the prefab unless a name is given
+        const instanceName = name || prefabPath.split('/').pop().replace(/\.prefab$/, '');
+        return {
+            dryRun: true,
+            tool: this.name,
+            changes: [{
+                action: 'create',
+                target: 'gameObject',
+                path: parent ? `${parent.replace(/\/$/, '')}/${instanceName}` : instanceName,
+                prefabPath,
+                ...(position && { position }),
+                ...(rotation && { rotation })
+            }]
+        };
+    }
 }
\ No newline at end of file
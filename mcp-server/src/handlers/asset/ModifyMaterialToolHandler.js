@@ -14,7 +14,8 @@ export class ModifyMaterialToolHandler extends BaseToolHandler {
                     },
                     properties: {
                         type: 'object',
-                        description: 'Material properties to modify (e.g., {"_Color": [1,0,0,1], "_Metallic": 0.5})'
+                        description: 'Material properties to modify (e.g., {"_Color": [1,0,0,1], "_Metallic": 0.5})',
+                        additionalProperties: true
                     },
                     shader: {
                         type: 'string',
@@ -73,4 +74,24 @@ export class ModifyMaterialToolHandler extends BaseToolHandler {
 
         return result;
     }
+
+    /**
+     * Describes the material properties and shader that would be set
+     * @param {Object} params - Input parameters
+     * @returns {Promise<Object>} Dry-run result
+     */
+    async preview(params) {
+        const { materialPath, properties, shader } = params;
+        return {
+            dryRun: true,
+            tool: this.name,
+            changes: [{
+                action: 'modify',
+                target: 'asset',
+                path: materialPath,
+                properties,
+                ...(shader && { shader })
+            }]
+        };
+    }
 }
\ No newline at end of file
@@ -14,7 +14,8 @@ export class ModifyPrefabToolHandler extends BaseToolHandler {
                     },
                     modifications: {
                         type: 'object',
-                        description: 'Object containing properties to modify'
+                        description: 'Object containing properties to modify',
+                        additionalProperties: true
                     },
                     applyToInstances: {
                         type: 'boolean',
@@ -70,4 +71,11 @@ export class ModifyPrefabToolHandler extends BaseToolHandler {
 
         return result;
     }
+
+    async preview(params) {
+        const { prefabPath, modifications, applyToInstances = true } = params;
+
+        // Unity diffs the prefab asset and lists the instances that would be reverted
+        return this.requestUnityPreview('modify_prefab', { prefabPath, modifications, applyToInstances });
+    }
 }
\ No newline at end of file
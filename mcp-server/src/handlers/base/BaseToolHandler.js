@@ -1,5 +1,11 @@
 import { compileToolValidator, normalizeInputSchema, SchemaValidationError } from '../../core/schemaValidation.js';
 import { GENERIC_OBJECT_OUTPUT_SCHEMA, inferToolAnnotations } from '../../core/toolAnnotations.js';
+import { getWriteTargets } from '../../core/toolPolicy.js';
+
+const DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  description: 'Preview what would be created, modified, moved or deleted without changing the project (default: false)'
+};
 
 /**
  * Base class for all tool handlers.
@@ -9,9 +15,11 @@ export class BaseToolHandler {
   constructor(name, description, inputSchema = {}, options = {}) {
     this.name = name;
     this.description = description;
-    this.inputSchema = normalizeInputSchema(inputSchema);
-    this.outputSchema = options.outputSchema || GENERIC_OBJECT_OUTPUT_SCHEMA;
     this.annotations = options.annotations || inferToolAnnotations(name);
+    this.inputSchema = normalizeInputSchema(
+      this.annotations.destructiveHint ? withDryRunProperty(inputSchema) : inputSchema
+    );
+    this.outputSchema = options.outputSchema || GENERIC_OBJECT_OUTPUT_SCHEMA;
     this.validateInputSchema = compileToolValidator(name, this.inputSchema);
   }
 
@@ -44,18 +52,78 @@ export class BaseToolHandler {
   }
 
   /**
-   * Main handler method that orchestrates validation and execution
-   * @param {object} params - Input parameters
+   * Describes what execute() would change without changing anything.
+   * The default lists the asset paths the tool writes; handlers whose changes
+   * depend on editor state override this and ask Unity for a dry run.
+   * @param {object} params - Validated input parameters, without `dryRun`
    * @param {object} context - MCP request context
+   * @returns {Promise<object>} `{ dryRun: true, tool, changes }`
+   */
+  async preview(params, context) {
+    return {
+      dryRun: true,
+      tool: this.name,
+      params,
+      changes: this.annotations.readOnlyHint ? [] : describeWriteTargets(this.name, params)
+    };
+  }
+
+  /**
+   * Asks Unity to validate a command and report its changes without applying them.
+   * The preview goes through `preview_command`, never the command itself, so a
+   * Unity package that predates dry runs rejects it instead of applying the change.
+   * @param {string} command - Unity command that honors `dryRun`
+   * @param {object} params - Command params
+   * @returns {Promise<object>} Unity's preview with the tool name added
+   */
+  async requestUnityPreview(command, params) {
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    let result;
+    try {
+      result = await this.unityConnection.sendCommand('preview_command', { command, params });
+    } catch (error) {
+      if (error.code === 'UNKNOWN_COMMAND') {
+        const unsupported = new Error('The Unity Editor MCP package in this project cannot preview changes; update it to use dryRun');
+        unsupported.code = 'DRY_RUN_UNSUPPORTED';
+        throw unsupported;
+      }
+      throw error;
+    }
+
+    if (result.error) {
+      const error = new Error(result.error);
+      if (result.code) {
+        error.code = result.code;
+      }
+      throw error;
+    }
+    return { ...result, dryRun: true, tool: this.name };
+  }
+
+  /**
+   * Main handler method that orchestrates validation, policy checks and execution.
+   * `dryRun: true` is accepted by every tool and routes the call to preview()
+   * after validation and policy checks.
+   * @param {object} params - Input parameters
+   * @param {object} context - MCP request context (`context.policy` enforces the tool policy)
    * @returns {Promise<object>} Standardized response
    */
   async handle(params = {}, context = {}) {
     const safeParams = params ?? {};
     try {
-      this.validate(safeParams);
-      this.validateInputSchema(safeParams);
+      const dryRun = safeParams.dryRun === true;
+      const { dryRun: _dryRun, ...callParams } = safeParams;
+
+      this.validate(callParams);
+      this.validateInputSchema(callParams);
+      context.policy?.enforce(this.name, callParams, { dryRun });
 
-      const result = await this.execute(safeParams, context);
+      const result = dryRun
+        ? await this.preview(callParams, context)
+        : await this.execute(callParams, context);
 
       return {
         status: 'success',
@@ -150,3 +218,32 @@ export class BaseToolHandler {
     };
   }
 }
+
+function withDryRunProperty(inputSchema) {
+  if (inputSchema.properties?.dryRun) {
+    return inputSchema;
+  }
+  return {
+    ...inputSchema,
+    type: inputSchema.type || 'object',
+    properties: { ...inputSchema.properties, dryRun: DRY_RUN_PROPERTY }
+  };
+}
+
+function describeWriteTargets(toolName, params) {
+  const targets = getWriteTargets(toolName, params);
+  if (targets === undefined) {
+    return [{ action: 'execute', target: 'editor' }];
+  }
+
+  const action = toolName.startsWith('create_') || toolName.startsWith('capture_')
+    ? 'create'
+    : toolName.startsWith('delete_') ? 'delete' : 'modify';
+  if (targets === null) {
+    // Unity resolves the target by name when the call runs
+    return [{ action, target: 'asset', path: null }];
+  }
+  return targets
+    .filter((target) => typeof target === 'string' && target !== '')
+    .map((target) => ({ action, target: 'asset', path: target }));
+}
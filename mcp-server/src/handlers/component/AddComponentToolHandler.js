@@ -79,6 +79,25 @@ export class AddComponentToolHandler extends BaseToolHandler {
     };
   }
 
+  /**
+   * Describes the component that would be added and its initial values
+   * @param {Object} params - Input parameters
+   * @returns {Promise<Object>} Dry-run result
+   */
+  async preview(params) {
+    const { gameObjectPath, componentType, properties } = params;
+    return {
+      dryRun: true,
+      tool: this.name,
+      changes: [{
+        action: 'create',
+        target: 'component',
+        path: `${gameObjectPath}/${componentType}`,
+        ...(properties && { properties })
+      }]
+    };
+  }
+
   /**
    * Gets example usage for this tool
    * @returns {Object} Example usage scenarios
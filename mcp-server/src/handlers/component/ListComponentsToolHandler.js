@@ -1,4 +1,5 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { withDiskFallback } from '../../core/offlineProject.js';
 
 /**
  * Handler for listing components on GameObjects in Unity
@@ -33,6 +34,23 @@ export class ListComponentsToolHandler extends BaseToolHandler {
    * @returns {Promise<Object>} The list of components
    */
   async execute(params) {
+    const response = await withDiskFallback(
+      this.unityConnection,
+      () => this.readFromUnity(params),
+      (project) => this.readFromDisk(project, params)
+    );
+
+    // Return result
+    return {
+      gameObjectPath: response.gameObjectPath,
+      components: response.components || [],
+      componentCount: response.componentCount || 0,
+      ...(response.includesInherited !== undefined && { includesInherited: response.includesInherited }),
+      ...(response.source && { source: response.source })
+    };
+  }
+
+  async readFromUnity(params) {
     // Ensure connection to Unity
     if (!this.unityConnection.isConnected()) {
       await this.unityConnection.connect();
@@ -46,12 +64,27 @@ export class ListComponentsToolHandler extends BaseToolHandler {
       throw new Error(response.error);
     }
 
-    // Return result
+    return response;
+  }
+
+  /**
+   * Lists the components of a GameObject in the saved active scene
+   * @param {OfflineProject} project - Saved project files
+   * @param {Object} params - The validated input parameters
+   * @returns {Object} The list of components
+   */
+  readFromDisk(project, params) {
+    const scene = project.loadScene(project.getActiveScenePath());
+    const node = scene.find(params.gameObjectPath);
+    if (!node) {
+      throw new Error(`GameObject not found: ${params.gameObjectPath}`);
+    }
+
+    const components = node.components.map((component) => ({ type: component.type, enabled: component.enabled }));
     return {
-      gameObjectPath: response.gameObjectPath,
-      components: response.components || [],
-      componentCount: response.componentCount || 0,
-      ...(response.includesInherited !== undefined && { includesInherited: response.includesInherited })
+      gameObjectPath: params.gameObjectPath,
+      components,
+      componentCount: components.length
     };
   }
 
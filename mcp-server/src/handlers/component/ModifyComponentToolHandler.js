@@ -80,6 +80,15 @@ export class ModifyComponentToolHandler extends BaseToolHandler {
     };
   }
 
+  /**
+   * Reports the current and new value of each property that would be set
+   * @param {Object} params - The validated input parameters
+   * @returns {Promise<Object>} Dry-run result
+   */
+  async preview(params) {
+    return this.requestUnityPreview('modify_component', params);
+  }
+
   /**
    * Gets example usage for this tool
    * @returns {Object} Example usage scenarios
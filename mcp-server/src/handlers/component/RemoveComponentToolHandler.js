@@ -75,6 +75,20 @@ export class RemoveComponentToolHandler extends BaseToolHandler {
     };
   }
 
+  /**
+   * Describes the component that would be removed
+   * @param {Object} params - Input parameters
+   * @returns {Promise<Object>} Dry-run result
+   */
+  async preview(params) {
+    const { gameObjectPath, componentType, componentIndex = 0 } = params;
+    return {
+      dryRun: true,
+      tool: this.name,
+      changes: [{ action: 'delete', target: 'component', path: `${gameObjectPath}/${componentType}[${componentIndex}]` }]
+    };
+  }
+
   /**
    * Gets example usage for this tool
    * @returns {Object} Example usage scenarios
@@ -0,0 +1,287 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+
+const REFERENCE_PATTERN = /\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}/g;
+const WHOLE_REFERENCE_PATTERN = /^\{\{\s*([\w-]+)((?:\.[\w-]+)*)\s*\}\}$/;
+
+/**
+ * Runs an ordered list of tool invocations as one Unity Undo group.
+ * Later steps can reference earlier results with `{{stepId.path}}`, where
+ * stepId is a step's `id` or its zero-based index. The first failing step
+ * stops the batch and, unless disabled, reverts everything the batch did.
+ */
+export class BatchExecuteToolHandler extends BaseToolHandler {
+  constructor(unityConnection, { handlers } = {}) {
+    super(
+      'batch_execute',
+      'Run several tool calls in order as one Unity Undo group, referencing earlier results with {{stepId.path}}; rolls back on the first failure. File operations (scripts, saved scenes/assets) are not covered by Undo.',
+      {
+        type: 'object',
+        properties: {
+          steps: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            description: 'Tool invocations to run in order',
+            items: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  pattern: '^[A-Za-z_][\\w-]*$',
+                  description: 'Optional name later steps use to reference this result, e.g. {{player.path}}'
+                },
+                tool: {
+                  type: 'string',
+                  description: 'Tool name, e.g. create_gameobject'
+                },
+                params: {
+                  type: 'object',
+                  additionalProperties: true,
+                  description: 'Tool arguments; string values may contain {{stepId.path}} references'
+                }
+              },
+              required: ['tool']
+            }
+          },
+          name: {
+            type: 'string',
+            description: 'Undo group name shown in Unity (default: MCP Batch)'
+          },
+          rollbackOnFailure: {
+            type: 'boolean',
+            default: true,
+            description: 'Revert the Undo group when a step fails'
+          }
+        },
+        required: ['steps']
+      }
+    );
+
+    this.unityConnection = unityConnection;
+    this.handlers = handlers;
+  }
+
+  validate(params) {
+    super.validate(params);
+    if (!Array.isArray(params.steps)) {
+      return;
+    }
+
+    const seenIds = new Set();
+    params.steps.forEach((step, index) => {
+      if (step?.tool === this.name) {
+        throw new Error(`steps[${index}]: batch_execute cannot be nested`);
+      }
+      if (step?.id !== undefined) {
+        if (/^\d+$/.test(step.id) || seenIds.has(step.id)) {
+          throw new Error(`steps[${index}]: id "${step.id}" must be unique and non-numeric`);
+        }
+        seenIds.add(step.id);
+      }
+    });
+  }
+
+  async execute(params, context = {}) {
+    const { steps, name = 'MCP Batch', rollbackOnFailure = true } = params;
+    this.assertKnownTools(steps);
+
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    const group = await this.sendUndoCommand('begin_undo_group', { name });
+    const results = [];
+    const outputs = new Map();
+
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      let response;
+
+      if (context.signal?.aborted) {
+        response = { status: 'error', error: 'Batch cancelled by client', code: 'BATCH_CANCELLED' };
+      } else {
+        try {
+          const resolvedParams = resolveReferences(step.params ?? {}, outputs);
+          response = await this.handlers.get(step.tool).handle(resolvedParams, context);
+        } catch (error) {
+          response = { status: 'error', error: error.message, code: error.code || 'BATCH_REFERENCE_ERROR' };
+        }
+      }
+
+      if (response.status !== 'success') {
+        const rolledBack = rollbackOnFailure
+          ? await this.rollback(group.groupIndex)
+          : await this.collapse(group.groupIndex);
+        throw createStepFailedError(index, step, response, {
+          completedSteps: results,
+          rolledBack,
+          undoGroup: group
+        });
+      }
+
+      outputs.set(String(index), response.result);
+      if (step.id) {
+        outputs.set(step.id, response.result);
+      }
+      results.push({
+        index,
+        ...(step.id && { id: step.id }),
+        tool: step.tool,
+        result: response.result
+      });
+    }
+
+    await this.sendUndoCommand('end_undo_group', { groupIndex: group.groupIndex });
+
+    return {
+      success: true,
+      undoGroup: { name: group.name ?? name, groupIndex: group.groupIndex },
+      stepCount: results.length,
+      steps: results
+    };
+  }
+
+  /**
+   * Previews every step with `dryRun: true` without opening an Undo group.
+   * Steps that reference earlier results cannot be resolved until those steps
+   * run, so they are reported as unresolved.
+   */
+  async preview(params, context = {}) {
+    const { steps } = params;
+    this.assertKnownTools(steps);
+
+    const results = [];
+    for (let index = 0; index < steps.length; index++) {
+      const step = steps[index];
+      const entry = { index, ...(step.id && { id: step.id }), tool: step.tool };
+
+      let resolvedParams;
+      try {
+        resolvedParams = resolveReferences(step.params ?? {}, new Map());
+      } catch {
+        results.push({ ...entry, unresolved: true });
+        continue;
+      }
+
+      const response = await this.handlers.get(step.tool).handle({ ...resolvedParams, dryRun: true }, context);
+      if (response.status !== 'success') {
+        throw createStepFailedError(index, step, response, { completedSteps: results, rolledBack: false });
+      }
+      results.push({ ...entry, result: response.result });
+    }
+
+    return {
+      dryRun: true,
+      tool: this.name,
+      stepCount: results.length,
+      steps: results,
+      changes: results.flatMap((result) => result.result?.changes ?? [])
+    };
+  }
+
+  assertKnownTools(steps) {
+    const unknownTools = steps.filter((step) => !this.handlers?.has(step.tool)).map((step) => step.tool);
+    if (unknownTools.length > 0) {
+      const error = new Error(`Unknown tool(s) in batch: ${[...new Set(unknownTools)].join(', ')}`);
+      error.code = 'BATCH_UNKNOWN_TOOL';
+      throw error;
+    }
+  }
+
+  async sendUndoCommand(type, params) {
+    const result = await this.unityConnection.sendCommand(type, params);
+    if (result?.error) {
+      throw new Error(result.error);
+    }
+    return result;
+  }
+
+  async rollback(groupIndex) {
+    try {
+      await this.sendUndoCommand('revert_undo_group', { groupIndex });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Without rollback the completed steps still land as a single Undo step.
+  async collapse(groupIndex) {
+    try {
+      await this.sendUndoCommand('end_undo_group', { groupIndex });
+    } catch {
+      // The completed steps stay in place either way.
+    }
+    return false;
+  }
+}
+
+/**
+ * Substitutes `{{stepId.path}}` references in tool params with earlier step results.
+ * A string that is exactly one reference takes the referenced value as-is (objects,
+ * numbers); references embedded in longer strings are interpolated as text.
+ * @param {*} value - Params value to resolve
+ * @param {Map<string, object>} outputs - Results keyed by step id and index
+ * @returns {*} Resolved copy of value
+ */
+export function resolveReferences(value, outputs) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_REFERENCE_PATTERN);
+    if (whole) {
+      return lookupReference(whole[1], whole[2], outputs);
+    }
+    return value.replace(REFERENCE_PATTERN, (_, stepId, path) => {
+      const resolved = lookupReference(stepId, path, outputs);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, outputs));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveReferences(item, outputs)])
+    );
+  }
+
+  return value;
+}
+
+function lookupReference(stepId, path, outputs) {
+  if (!outputs.has(stepId)) {
+    throw createReferenceError(`{{${stepId}${path}}} refers to a step that has not run`);
+  }
+
+  let current = outputs.get(stepId);
+  for (const segment of path.split('.').filter(Boolean)) {
+    if (current === null || typeof current !== 'object' || !(segment in current)) {
+      throw createReferenceError(`{{${stepId}${path}}} did not resolve: "${segment}" not found`);
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+function createReferenceError(message) {
+  const error = new Error(`Invalid batch reference ${message}`);
+  error.code = 'BATCH_REFERENCE_ERROR';
+  return error;
+}
+
+function createStepFailedError(index, step, response, details) {
+  const error = new Error(`Batch step ${index} (${step.tool}) failed: ${response.error}${details.rolledBack ? '; batch rolled back' : ''}`);
+  error.code = 'BATCH_STEP_FAILED';
+  error.details = {
+    failedStep: {
+      index,
+      ...(step.id && { id: step.id }),
+      tool: step.tool,
+      code: response.code,
+      error: response.error
+    },
+    ...details
+  };
+  return error;
+}
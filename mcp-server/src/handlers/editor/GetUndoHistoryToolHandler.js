@@ -0,0 +1,48 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+
+/**
+ * Handler for inspecting Unity's Undo/Redo stacks alongside the journal of
+ * MCP tool calls that produced them.
+ */
+export class GetUndoHistoryToolHandler extends BaseToolHandler {
+  constructor(unityConnection, { undoJournal } = {}) {
+    super(
+      'get_undo_history',
+      'Get the Unity Undo/Redo stacks and which MCP tool calls produced which Undo groups',
+      {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 200,
+            default: 20,
+            description: 'Maximum entries per list, most recent first'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+    this.undoJournal = undoJournal;
+  }
+
+  async execute(params, context = {}) {
+    const limit = params.limit ?? 20;
+
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    const result = await this.unityConnection.sendCommand('get_undo_history', { limit });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return {
+      ...result,
+      toolCalls: this.undoJournal ? this.undoJournal.list(limit, { sessionId: context.sessionId }) : []
+    };
+  }
+}
@@ -0,0 +1,40 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+
+/**
+ * Handler for re-applying Unity Undo steps
+ */
+export class RedoToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'redo',
+      'Redo Unity editor changes that were undone',
+      {
+        type: 'object',
+        properties: {
+          steps: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'Number of Unity Redo steps to perform (default: 1)'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  async execute(params) {
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    const result = await this.unityConnection.sendCommand('redo', { steps: params.steps ?? 1 });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,51 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { EDITOR_EVENT_TYPES, LOGGING_LEVELS } from '../../core/editorEvents.js';
+
+/**
+ * Handler for choosing which Unity editor events this MCP session receives
+ * as notifications/message
+ */
+export class SubscribeEditorEventsToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'subscribe_editor_events',
+      'Choose which Unity editor events (console logs, compilation, play mode, scene loads) this session receives as MCP logging notifications',
+      {
+        type: 'object',
+        properties: {
+          events: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: EDITOR_EVENT_TYPES
+            },
+            uniqueItems: true,
+            description: 'Event types to receive; an empty array mutes all editor events (default: unchanged)'
+          },
+          level: {
+            type: 'string',
+            enum: LOGGING_LEVELS,
+            description: 'Minimum notification level, e.g. "error" for error logs and failed compilations only (default: unchanged)'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  async execute(params, context = {}) {
+    const subscription = context.editorEvents;
+    if (!subscription) {
+      const error = new Error('Editor event notifications are not available in this session');
+      error.code = 'EDITOR_EVENTS_UNAVAILABLE';
+      throw error;
+    }
+
+    return {
+      ...subscription.update({ events: params.events, level: params.level }),
+      delivery: 'notifications/message'
+    };
+  }
+}
@@ -98,6 +98,22 @@ export class TagManagementToolHandler extends BaseToolHandler {
     return response;
   }
 
+  /**
+   * Describes the tag that would be added or removed
+   * @param {Object} params - Input parameters
+   * @returns {Promise<Object>} Dry-run result
+   */
+  async preview(params) {
+    const { action, tagName } = params;
+    return {
+      dryRun: true,
+      tool: this.name,
+      changes: action === 'get'
+        ? []
+        : [{ action: action === 'add' ? 'create' : 'delete', target: 'tag', name: tagName }]
+    };
+  }
+
   /**
    * Gets example usage for this tool
    * @returns {Object} Example usage scenarios
@@ -0,0 +1,63 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+
+/**
+ * Handler for stepping back through Unity's Undo stack, either by Undo steps
+ * or by whole MCP tool calls recorded in the undo journal.
+ */
+export class UndoToolHandler extends BaseToolHandler {
+  constructor(unityConnection, { undoJournal } = {}) {
+    super(
+      'undo',
+      'Undo Unity editor changes: a number of Undo steps, or everything the last N journaled MCP tool calls did',
+      {
+        type: 'object',
+        properties: {
+          steps: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'Number of Unity Undo steps to perform (default: 1)'
+          },
+          calls: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 200,
+            description: 'Revert everything the last N journaled tool calls changed (see get_undo_history)'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+    this.undoJournal = undoJournal;
+  }
+
+  validate(params) {
+    super.validate(params);
+
+    if (params.steps !== undefined && params.calls !== undefined) {
+      throw new Error('Specify either steps or calls, not both');
+    }
+  }
+
+  async execute(params, context = {}) {
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    if (params.calls !== undefined) {
+      if (!this.undoJournal) {
+        throw new Error('Undo journal is not available in this server');
+      }
+      return this.undoJournal.revertCalls(params.calls, { sessionId: context.sessionId });
+    }
+
+    const result = await this.unityConnection.sendCommand('undo', { steps: params.steps ?? 1 });
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return result;
+  }
+}
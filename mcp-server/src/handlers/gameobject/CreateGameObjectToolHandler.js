@@ -119,4 +119,23 @@ export class CreateGameObjectToolHandler extends BaseToolHandler {
     
     return result;
   }
+
+  /**
+   * Describes the GameObject that would be created
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Dry-run result
+   */
+  async preview(params) {
+    const name = params.name || 'GameObject';
+    return {
+      dryRun: true,
+      tool: this.name,
+      changes: [{
+        action: 'create',
+        target: 'gameObject',
+        path: params.parentPath ? `${params.parentPath.replace(/\/$/, '')}/${name}` : name,
+        ...(params.primitiveType && { primitiveType: params.primitiveType })
+      }]
+    };
+  }
 }
@@ -109,4 +109,19 @@ export class DeleteGameObjectToolHandler extends BaseToolHandler {
     
     return result;
   }
+
+  /**
+   * Lists the GameObjects (and descendant counts) that would be deleted
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Dry-run result
+   */
+  async preview(params) {
+    const result = await this.requestUnityPreview('delete_gameobject', params);
+    const count = result.changes?.length ?? 0;
+    result.summary = `Would delete ${count} GameObject${count === 1 ? '' : 's'}`;
+    if (result.notFoundCount > 0) {
+      result.summary += ` (${result.notFoundCount} not found)`;
+    }
+    return result;
+  }
 }
@@ -1,4 +1,5 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { getLocalTransform, getNodePath, withDiskFallback } from '../../core/offlineProject.js';
 
 /**
  * Handler for the get_hierarchy tool
@@ -51,11 +52,31 @@ export class GetHierarchyToolHandler extends BaseToolHandler {
   }
 
   /**
-   * Executes the get_hierarchy command
+   * Executes the get_hierarchy command, reading the saved active scene when
+   * Unity cannot be reached
    * @param {object} params - Input parameters
    * @returns {Promise<object>} Scene hierarchy
    */
   async execute(params) {
+    const result = await withDiskFallback(
+      this.unityConnection,
+      () => this.readFromUnity(params),
+      (project) => this.readFromDisk(project, params)
+    );
+    
+    // Add helpful summary
+    if (result.hierarchy) {
+      result.totalObjects = this.countObjects(result.hierarchy);
+      result.summary = `Scene "${result.sceneName}" contains ${result.totalObjects} GameObject${result.totalObjects !== 1 ? 's' : ''} (${result.objectCount} at root level)`;
+      if (result.source === 'disk') {
+        result.summary += ' as last saved to disk';
+      }
+    }
+    
+    return result;
+  }
+
+  async readFromUnity(params) {
     // Ensure connected
     if (!this.unityConnection.isConnected()) {
       await this.unityConnection.connect();
@@ -69,15 +90,57 @@ export class GetHierarchyToolHandler extends BaseToolHandler {
       throw new Error(result.error);
     }
     
-    // Add helpful summary
-    if (result.hierarchy) {
-      result.totalObjects = this.countObjects(result.hierarchy);
-      result.summary = `Scene "${result.sceneName}" contains ${result.totalObjects} GameObject${result.totalObjects !== 1 ? 's' : ''} (${result.objectCount} at root level)`;
-    }
-    
     return result;
   }
 
+  /**
+   * Builds the hierarchy of the saved active scene. Transforms are local
+   * values from the file rather than Unity's world-space values.
+   * @param {OfflineProject} project - Saved project files
+   * @param {object} params - Input parameters
+   * @returns {object} Scene hierarchy
+   */
+  readFromDisk(project, params) {
+    const { includeInactive = true, maxDepth = -1, includeComponents = false } = params;
+    const scenePath = project.getActiveScenePath();
+    const scene = project.loadScene(scenePath);
+
+    const toHierarchyNode = (node, depth) => {
+      const entry = {
+        name: node.name,
+        path: getNodePath(node),
+        isActive: node.active,
+        tag: node.tag,
+        layer: node.layer,
+        transform: getLocalTransform(node),
+        ...(node.prefab && { prefabAssetPath: node.prefab.assetPath })
+      };
+      if (includeComponents) {
+        entry.components = node.components.map((component) => component.type);
+      }
+      if (maxDepth < 0 || depth < maxDepth) {
+        const children = node.children
+          .filter((child) => includeInactive || child.active)
+          .map((child) => toHierarchyNode(child, depth + 1));
+        if (children.length > 0) {
+          entry.children = children;
+        }
+      }
+      return entry;
+    };
+
+    const hierarchy = scene.roots
+      .filter((root) => includeInactive || root.active)
+      .map((root) => toHierarchyNode(root, 0));
+    return {
+      sceneName: scene.name,
+      scenePath,
+      objectCount: hierarchy.length,
+      transformSpace: 'local',
+      hierarchy
+    };
+  }
+
   /**
    * Counts total objects in hierarchy recursively
    * @param {Array} hierarchy - Hierarchy array
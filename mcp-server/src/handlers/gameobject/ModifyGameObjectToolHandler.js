@@ -125,4 +125,13 @@ export class ModifyGameObjectToolHandler extends BaseToolHandler {
     
     return result;
   }
+
+  /**
+   * Reports each property that would change with its current and new value
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Dry-run result
+   */
+  async preview(params) {
+    return this.requestUnityPreview('modify_gameobject', params);
+  }
 }
\ No newline at end of file
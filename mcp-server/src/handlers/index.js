@@ -64,7 +64,12 @@ export { ReadScriptToolHandler } from './scripting/ReadScriptToolHandler.js';
 export { UpdateScriptToolHandler } from './scripting/UpdateScriptToolHandler.js';
 export { DeleteScriptToolHandler } from './scripting/DeleteScriptToolHandler.js';
 export { ListScriptsToolHandler } from './scripting/ListScriptsToolHandler.js';
+export { ListScriptTemplatesToolHandler } from './scripting/ListScriptTemplatesToolHandler.js';
 export { ValidateScriptToolHandler } from './scripting/ValidateScriptToolHandler.js';
+export { GetScriptOutlineToolHandler } from './scripting/GetScriptOutlineToolHandler.js';
+export { FindSymbolToolHandler } from './scripting/FindSymbolToolHandler.js';
+export { FindSymbolReferencesToolHandler } from './scripting/FindSymbolReferencesToolHandler.js';
+export { AssemblyDefinitionToolHandler } from './scripting/AssemblyDefinitionToolHandler.js';
 
 // Menu handlers
 export { ExecuteMenuItemToolHandler } from './menu/ExecuteMenuItemToolHandler.js';
@@ -76,6 +81,8 @@ export { EnhancedReadLogsToolHandler } from './console/EnhancedReadLogsToolHandl
 // Screenshot handlers
 export { CaptureScreenshotToolHandler } from './screenshot/CaptureScreenshotToolHandler.js';
 export { AnalyzeScreenshotToolHandler } from './screenshot/AnalyzeScreenshotToolHandler.js';
+export { CompareScreenshotToolHandler } from './screenshot/CompareScreenshotToolHandler.js';
+export { CaptureFrameSequenceToolHandler } from './screenshot/CaptureFrameSequenceToolHandler.js';
 
 // Component handlers
 export { AddComponentToolHandler } from './component/AddComponentToolHandler.js';
@@ -96,12 +103,20 @@ export { LayerManagementToolHandler } from './editor/LayerManagementToolHandler.
 export { SelectionToolHandler } from './editor/SelectionToolHandler.js';
 export { WindowManagementToolHandler } from './editor/WindowManagementToolHandler.js';
 export { ToolManagementToolHandler } from './editor/ToolManagementToolHandler.js';
+export { BatchExecuteToolHandler } from './editor/BatchExecuteToolHandler.js';
+export { UndoToolHandler } from './editor/UndoToolHandler.js';
+export { RedoToolHandler } from './editor/RedoToolHandler.js';
+export { GetUndoHistoryToolHandler } from './editor/GetUndoHistoryToolHandler.js';
+export { SubscribeEditorEventsToolHandler } from './editor/SubscribeEditorEventsToolHandler.js';
 
 // Test runner handlers
 export { ListTestsToolHandler } from './test/ListTestsToolHandler.js';
 export { RunTestsToolHandler } from './test/RunTestsToolHandler.js';
 export { GetTestResultsToolHandler } from './test/GetTestResultsToolHandler.js';
 export { CancelTestsToolHandler } from './test/CancelTestsToolHandler.js';
+export { ListTestRunsToolHandler } from './test/ListTestRunsToolHandler.js';
+export { CompareTestRunsToolHandler } from './test/CompareTestRunsToolHandler.js';
+export { ExportTestResultsToolHandler } from './test/ExportTestResultsToolHandler.js';
 
 // Import all handler classes at once
 import { PingToolHandler } from './system/PingToolHandler.js';
@@ -148,12 +163,19 @@ import { ReadScriptToolHandler } from './scripting/ReadScriptToolHandler.js';
 import { UpdateScriptToolHandler } from './scripting/UpdateScriptToolHandler.js';
 import { DeleteScriptToolHandler } from './scripting/DeleteScriptToolHandler.js';
 import { ListScriptsToolHandler } from './scripting/ListScriptsToolHandler.js';
+import { ListScriptTemplatesToolHandler } from './scripting/ListScriptTemplatesToolHandler.js';
 import { ValidateScriptToolHandler } from './scripting/ValidateScriptToolHandler.js';
+import { GetScriptOutlineToolHandler } from './scripting/GetScriptOutlineToolHandler.js';
+import { FindSymbolToolHandler } from './scripting/FindSymbolToolHandler.js';
+import { FindSymbolReferencesToolHandler } from './scripting/FindSymbolReferencesToolHandler.js';
+import { AssemblyDefinitionToolHandler } from './scripting/AssemblyDefinitionToolHandler.js';
 import { ExecuteMenuItemToolHandler } from './menu/ExecuteMenuItemToolHandler.js';
 import { ClearConsoleToolHandler } from './console/ClearConsoleToolHandler.js';
 import { EnhancedReadLogsToolHandler } from './console/EnhancedReadLogsToolHandler.js';
 import { CaptureScreenshotToolHandler } from './screenshot/CaptureScreenshotToolHandler.js';
 import { AnalyzeScreenshotToolHandler } from './screenshot/AnalyzeScreenshotToolHandler.js';
+import { CompareScreenshotToolHandler } from './screenshot/CompareScreenshotToolHandler.js';
+import { CaptureFrameSequenceToolHandler } from './screenshot/CaptureFrameSequenceToolHandler.js';
 import { AddComponentToolHandler } from './component/AddComponentToolHandler.js';
 import { RemoveComponentToolHandler } from './component/RemoveComponentToolHandler.js';
 import { ModifyComponentToolHandler } from './component/ModifyComponentToolHandler.js';
@@ -168,10 +190,18 @@ import { LayerManagementToolHandler } from './editor/LayerManagementToolHandler.
 import { SelectionToolHandler } from './editor/SelectionToolHandler.js';
 import { WindowManagementToolHandler } from './editor/WindowManagementToolHandler.js';
 import { ToolManagementToolHandler } from './editor/ToolManagementToolHandler.js';
+import { BatchExecuteToolHandler } from './editor/BatchExecuteToolHandler.js';
+import { UndoToolHandler } from './editor/UndoToolHandler.js';
+import { RedoToolHandler } from './editor/RedoToolHandler.js';
+import { GetUndoHistoryToolHandler } from './editor/GetUndoHistoryToolHandler.js';
+import { SubscribeEditorEventsToolHandler } from './editor/SubscribeEditorEventsToolHandler.js';
 import { ListTestsToolHandler } from './test/ListTestsToolHandler.js';
 import { RunTestsToolHandler } from './test/RunTestsToolHandler.js';
 import { GetTestResultsToolHandler } from './test/GetTestResultsToolHandler.js';
 import { CancelTestsToolHandler } from './test/CancelTestsToolHandler.js';
+import { ListTestRunsToolHandler } from './test/ListTestRunsToolHandler.js';
+import { CompareTestRunsToolHandler } from './test/CompareTestRunsToolHandler.js';
+import { ExportTestResultsToolHandler } from './test/ExportTestResultsToolHandler.js';
 
 // Handler registry - single source of truth
 const HANDLER_CLASSES = [
@@ -234,7 +264,12 @@ const HANDLER_CLASSES = [
   UpdateScriptToolHandler,
   DeleteScriptToolHandler,
   ListScriptsToolHandler,
+  ListScriptTemplatesToolHandler,
   ValidateScriptToolHandler,
+  GetScriptOutlineToolHandler,
+  FindSymbolToolHandler,
+  FindSymbolReferencesToolHandler,
+  AssemblyDefinitionToolHandler,
   
   // Menu handlers
   ExecuteMenuItemToolHandler,
@@ -246,6 +281,8 @@ const HANDLER_CLASSES = [
   // Screenshot handlers
   CaptureScreenshotToolHandler,
   AnalyzeScreenshotToolHandler,
+  CompareScreenshotToolHandler,
+  CaptureFrameSequenceToolHandler,
   
   // Component handlers
   AddComponentToolHandler,
@@ -266,25 +303,40 @@ const HANDLER_CLASSES = [
   SelectionToolHandler,
   WindowManagementToolHandler,
   ToolManagementToolHandler,
+  BatchExecuteToolHandler,
+  UndoToolHandler,
+  RedoToolHandler,
+  GetUndoHistoryToolHandler,
+  SubscribeEditorEventsToolHandler,
   
   // Test runner handlers
   ListTestsToolHandler,
   RunTestsToolHandler,
   GetTestResultsToolHandler,
-  CancelTestsToolHandler
+  CancelTestsToolHandler,
+  ListTestRunsToolHandler,
+  CompareTestRunsToolHandler,
+  ExportTestResultsToolHandler
 ];
 
 /**
  * Creates and returns all tool handlers
  * @param {UnityConnection} unityConnection - Connection to Unity
+ * @param {object} [options]
+ * @param {UndoJournal} [options.undoJournal] - Journal shared with the MCP tool-call path
  * @returns {Map<string, BaseToolHandler>} Map of tool name to handler
  */
-export function createHandlers(unityConnection) {
+export function createHandlers(unityConnection, options = {}) {
   const handlers = new Map();
+  // Composite tools such as batch_execute dispatch through the same map
+  const services = {
+    handlers,
+    undoJournal: options.undoJournal
+  };
   
   // Instantiate all handlers from the registry
   for (const HandlerClass of HANDLER_CLASSES) {
-    const handler = new HandlerClass(unityConnection);
+    const handler = new HandlerClass(unityConnection, services);
     handlers.set(handler.name, handler);
   }
   
@@ -222,6 +222,23 @@ export class ExecuteMenuItemToolHandler extends BaseToolHandler {
     }
   }
 
+  /**
+   * Names the menu item that would run; what it changes is up to the menu item
+   * @param {Object} params - Input parameters
+   * @returns {Promise<Object>} Dry-run result
+   */
+  async preview(params) {
+    const { menuPath, action = 'execute', alias } = params;
+    const resolvedMenuPath = alias && this.menuAliases.has(alias) ? this.menuAliases.get(alias) : menuPath;
+    return {
+      dryRun: true,
+      tool: this.name,
+      changes: action === 'get_available_menus'
+        ? []
+        : [{ action: 'execute', target: 'menuItem', path: resolvedMenuPath }]
+    };
+  }
+
   /**
    * Gets a list of common menu aliases
    * @returns {Object} Map of aliases to menu paths
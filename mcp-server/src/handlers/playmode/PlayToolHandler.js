@@ -89,4 +89,24 @@ export class PlayToolHandler extends BaseToolHandler {
 
     return result;
   }
+
+  /**
+   * Describes the switch to play mode, which does nothing when already playing
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Dry-run result
+   */
+  async preview(params) {
+    if (!this.unityConnection.isConnected()) {
+      throw new Error('Unity connection not available');
+    }
+
+    const state = extractState(await this.unityConnection.sendCommand('get_editor_state', {}));
+    return {
+      dryRun: true,
+      tool: this.name,
+      changes: state.isPlaying === true
+        ? []
+        : [{ action: 'modify', target: 'editor', diff: [{ property: 'isPlaying', from: false, to: true }] }]
+    };
+  }
 }
@@ -1,4 +1,6 @@
+import fs from 'fs';
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { withDiskFallback } from '../../core/offlineProject.js';
 import { getSceneInfoToolDefinition } from '../../tools/scene/getSceneInfo.js';
 
 const inputSchema = {
@@ -37,6 +39,14 @@ export class GetSceneInfoToolHandler extends BaseToolHandler {
     }
 
     async execute(args) {
+        return withDiskFallback(
+            this.unityConnection,
+            () => this.readFromUnity(args),
+            (project) => this.readFromDisk(project, args)
+        );
+    }
+
+    async readFromUnity(args) {
         if (!this.unityConnection.isConnected()) {
             throw new Error('Unity connection not available');
         }
@@ -50,4 +60,40 @@ export class GetSceneInfoToolHandler extends BaseToolHandler {
 
         return result;
     }
+
+    /**
+     * Describes a saved scene file. Load state comes from the editor's last
+     * session; root GameObjects are read from the file.
+     */
+    readFromDisk(project, args) {
+        const scenePath = project.findScenePath(args);
+        const session = project.getLastSceneSetup().find((scene) => scene.path === scenePath);
+        // Unity numbers only the enabled build scenes
+        const buildIndex = project.getBuildScenes()
+            .filter((scene) => scene.enabled)
+            .findIndex((scene) => scene.path === scenePath);
+        const stat = fs.statSync(project.resolve(scenePath));
+        const sceneName = scenePath.split('/').pop().replace(/\.unity$/, '');
+
+        const info = {
+            sceneName,
+            scenePath,
+            isLoaded: session?.isLoaded ?? false,
+            isActive: session?.isActive ?? false,
+            buildIndex,
+            fileSize: stat.size,
+            lastModified: stat.mtime.toISOString()
+        };
+
+        if (args.includeGameObjects) {
+            const countDescendants = (node) => node.children.reduce((count, child) => count + 1 + countDescendants(child), 0);
+            const roots = project.loadScene(scenePath).roots;
+            info.rootGameObjects = roots.map((root) => ({ name: root.name, childCount: countDescendants(root) }));
+            info.rootObjectCount = roots.length;
+            info.totalObjectCount = roots.reduce((count, root) => count + 1 + countDescendants(root), 0);
+        }
+
+        info.summary = `Scene "${sceneName}" - saved file, ${buildIndex >= 0 ? `in build settings (index: ${buildIndex})` : 'not in build settings'}`;
+        return info;
+    }
 }
@@ -1,6 +1,16 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
 import fs from 'fs/promises';
 import path from 'path';
+import { decodeImage } from '../../core/imageDecoding.js';
+import { analyzeImagePixels } from '../../core/imageAnalysis.js';
+import { encodePng } from '../../core/imageEncoding.js';
+import { downscaleImage } from '../../core/imageTransform.js';
+import { resolveProjectRoot } from '../../core/projectRoot.js';
+
+// Longest side of the image sent to the client's model, to keep the sampling request small
+const SAMPLING_MAX_DIMENSION = 1024;
+const SAMPLING_MAX_TOKENS = 1024;
+const SAMPLING_SYSTEM_PROMPT = 'You are looking at a screenshot from the Unity Editor. Answer the request about it directly and concisely.';
 
 /**
  * Handler for analyzing screenshots from Unity Editor
@@ -29,7 +39,7 @@ export class AnalyzeScreenshotToolHandler extends BaseToolHandler {
           },
           prompt: {
             type: 'string',
-            description: 'Optional prompt for AI-based analysis (e.g., "Find all buttons in the UI")'
+            description: 'Question about the image (e.g., "Find all buttons in the UI"), answered by the client\'s model through MCP sampling when the client supports it'
           }
         },
         required: [],
@@ -88,14 +98,19 @@ export class AnalyzeScreenshotToolHandler extends BaseToolHandler {
   /**
    * Executes the screenshot analysis
    * @param {Object} params - The validated input parameters
+   * @param {Object} context - MCP request context (`context.createMessage` when the client supports sampling)
    * @returns {Promise<Object>} The analysis result
    */
-  async execute(params) {
+  async execute(params, context) {
     const { imagePath, base64Data, analysisType = 'basic', prompt } = params;
 
     // If we have base64 data, we can do some analysis locally
     if (base64Data) {
-      return this.analyzeBase64Image(base64Data, analysisType, prompt);
+      const result = this.analyzeBase64Image(base64Data, analysisType);
+      if (prompt) {
+        result.aiAnalysis = await this.analyzeWithPrompt(decodeBase64(base64Data), prompt, context);
+      }
+      return result;
     }
 
     // Otherwise, send to Unity for analysis
@@ -132,79 +147,129 @@ export class AnalyzeScreenshotToolHandler extends BaseToolHandler {
       result.uiElements = response.uiElements;
     }
 
-    // If prompt was provided, add AI analysis placeholder
     if (prompt) {
-      result.aiAnalysis = {
-        prompt: prompt,
-        note: 'AI analysis requires integration with vision model. This is a placeholder for future implementation.'
-      };
+      result.aiAnalysis = await this.analyzeWithPrompt(await this.readProjectImage(imagePath), prompt, context);
     }
 
     return result;
   }
 
   /**
-   * Analyzes a base64 encoded image
-   * @param {string} base64Data - The base64 encoded image
+   * Sends the image and prompt to the client's model through MCP sampling.
+   * Without sampling, or when it fails, the result says why and the pixel
+   * statistics in the rest of the analysis are the answer.
+   * @param {Buffer|null} buffer - Encoded image, or null if it could not be read
+   * @param {string} prompt - Question about the image
+   * @param {Object} context - MCP request context
+   * @returns {Promise<Object>} The aiAnalysis result
+   */
+  async analyzeWithPrompt(buffer, prompt, context) {
+    if (typeof context?.createMessage !== 'function') {
+      return {
+        prompt,
+        source: 'local',
+        note: 'The MCP client does not support sampling, so only the local pixel statistics are returned'
+      };
+    }
+
+    if (!buffer) {
+      return {
+        prompt,
+        source: 'local',
+        note: 'The image file is not readable from the MCP server, so only the pixel statistics from Unity are returned'
+      };
+    }
+
+    let image;
+    try {
+      image = toSamplingImage(buffer);
+    } catch (error) {
+      return {
+        prompt,
+        source: 'local',
+        note: 'The image could not be decoded for sampling, so only the pixel statistics from Unity are returned',
+        error: error.message
+      };
+    }
+
+    try {
+      const response = await context.createMessage({
+        messages: [
+          { role: 'user', content: { type: 'image', data: image.data, mimeType: image.mimeType } },
+          { role: 'user', content: { type: 'text', text: prompt } }
+        ],
+        systemPrompt: SAMPLING_SYSTEM_PROMPT,
+        includeContext: 'none',
+        maxTokens: SAMPLING_MAX_TOKENS
+      });
+      const blocks = Array.isArray(response.content) ? response.content : [response.content];
+
+      return {
+        prompt,
+        source: 'sampling',
+        answer: blocks.filter((block) => block?.type === 'text').map((block) => block.text).join('\n'),
+        model: response.model,
+        stopReason: response.stopReason
+      };
+    } catch (error) {
+      if (context.signal?.aborted) {
+        const cancelled = new Error('Request cancelled');
+        cancelled.code = 'REQUEST_CANCELLED';
+        throw cancelled;
+      }
+
+      return {
+        prompt,
+        source: 'local',
+        note: 'The MCP client did not answer the sampling request, so only the local pixel statistics are returned',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Reads an image from the local Unity project, if there is one
+   * @param {string} imagePath - Path relative to the project root
+   * @returns {Promise<Buffer|null>}
+   */
+  async readProjectImage(imagePath) {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot) {
+      return null;
+    }
+
+    try {
+      return await fs.readFile(path.join(projectRoot, imagePath));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Decodes a base64 PNG or JPEG and analyzes its pixels locally
+   * @param {string} base64Data - The base64 encoded image, optionally as a data URL
    * @param {string} analysisType - The type of analysis to perform
-   * @param {string} prompt - Optional AI prompt
    * @returns {Object} Analysis results
    */
-  analyzeBase64Image(base64Data, analysisType, prompt) {
-    // Decode base64 to get image size
-    const buffer = Buffer.from(base64Data, 'base64');
-    const fileSize = buffer.length;
+  analyzeBase64Image(base64Data, analysisType) {
+    const buffer = decodeBase64(base64Data);
+    const image = decodeImage(buffer);
+    // Edge density is the same heuristic Unity reports as uiElements for file analysis
+    const { edgePixelRatio, ...pixels } = analyzeImagePixels(image, { includeEdges: analysisType !== 'basic' });
 
-    // Basic analysis result
     const result = {
       source: 'base64',
-      fileSize: fileSize,
+      format: image.format,
+      width: image.width,
+      height: image.height,
+      fileSize: buffer.length,
+      hasAlpha: image.hasAlpha,
       analysisType: analysisType,
+      ...pixels,
+      ...(edgePixelRatio !== undefined && { uiElements: { edgePixelRatio } }),
       message: 'Base64 image analysis completed'
     };
 
-    // Add placeholder for different analysis types
-    switch (analysisType) {
-      case 'basic':
-        result.analysis = {
-          note: 'Basic analysis of base64 images requires image processing library integration',
-          fileSize: fileSize,
-          estimatedFormat: fileSize > 100000 ? 'Likely PNG or high-quality JPEG' : 'Likely compressed JPEG'
-        };
-        break;
-        
-      case 'ui':
-        result.uiAnalysis = {
-          note: 'UI element detection requires computer vision integration',
-          placeholder: 'This would detect buttons, text fields, panels, etc.'
-        };
-        break;
-        
-      case 'content':
-        result.contentAnalysis = {
-          note: 'Content analysis requires scene understanding models',
-          placeholder: 'This would identify GameObjects, lighting, materials, etc.'
-        };
-        break;
-        
-      case 'full':
-        result.fullAnalysis = {
-          basic: { note: 'Requires image processing library' },
-          ui: { note: 'Requires computer vision' },
-          content: { note: 'Requires scene understanding' }
-        };
-        break;
-    }
-
-    // Add AI analysis placeholder if prompt provided
-    if (prompt) {
-      result.aiAnalysis = {
-        prompt: prompt,
-        note: 'To enable AI analysis, integrate with a vision model API (e.g., GPT-4V, Claude 3 Vision)',
-        suggestion: 'You can use the base64Data with a vision API to analyze: ' + prompt
-      };
-    }
-
     return result;
   }
 
@@ -246,3 +311,17 @@ export class AnalyzeScreenshotToolHandler extends BaseToolHandler {
     };
   }
 }
+
+function decodeBase64(base64Data) {
+  return Buffer.from(base64Data.replace(/^data:[^,]*,/, ''), 'base64');
+}
+
+// Large captures are downscaled and re-encoded; smaller ones are sent as they are
+function toSamplingImage(buffer) {
+  const decoded = decodeImage(buffer);
+  const resized = downscaleImage(decoded, SAMPLING_MAX_DIMENSION);
+  if (resized.scaled) {
+    return { data: encodePng(resized).toString('base64'), mimeType: 'image/png' };
+  }
+  return { data: buffer.toString('base64'), mimeType: decoded.format === 'png' ? 'image/png' : 'image/jpeg' };
+}
@@ -0,0 +1,414 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { createProjectNotFoundError, resolvePathInProject, resolveProjectRoot } from '../../core/projectRoot.js';
+import { decodeImage } from '../../core/imageDecoding.js';
+import { createGifEncoder, encodePng } from '../../core/imageEncoding.js';
+import { createImage, downscaleImage, drawImage, fitDimensions, layoutContactSheet } from '../../core/imageTransform.js';
+import { sleep, throwIfCancelled } from '../../core/unityPolling.js';
+
+const SEQUENCES_DIR = 'Library/UnityEditorMCP/frame-sequences';
+const DEFAULT_MAX_DIMENSION = 512;
+const DEFAULT_POLL_INTERVAL_MS = 250;
+// Frames asked for per get_frame_sequence call; Unity also cuts pages at 8 MB
+const FRAMES_PER_PAGE = 10;
+// The contact sheet holds every frame at once: 120 frames of 512x512 fit, 120 of 2048x2048 do not
+const MAX_SEQUENCE_PIXELS = 32 * 1024 * 1024;
+// Time allowed on top of frameCount * intervalMs for rendering and encoding
+const CAPTURE_OVERHEAD_MS = 30000;
+const FORMATS = { gif: { extension: '.gif', mimeType: 'image/gif' }, contact_sheet: { extension: '.png', mimeType: 'image/png' } };
+
+/**
+ * Handler for capturing play mode frame sequences as a GIF or contact sheet
+ */
+export class CaptureFrameSequenceToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'capture_frame_sequence',
+      'Capture frames at an interval during play mode and assemble them into an animated GIF or a contact-sheet PNG, with per-frame timestamps',
+      {
+        type: 'object',
+        properties: {
+          captureMode: {
+            type: 'string',
+            enum: ['game', 'camera'],
+            default: 'game',
+            description: 'What to capture: game (Game View, including overlay UI) or camera (render a gameplay camera)'
+          },
+          cameraName: {
+            type: 'string',
+            description: 'Camera to render when captureMode is "camera" (defaults to Main Camera/Camera.main)'
+          },
+          frameCount: {
+            type: 'integer',
+            minimum: 2,
+            maximum: 120,
+            default: 10,
+            description: 'Number of frames to capture'
+          },
+          intervalMs: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 10000,
+            default: 100,
+            description: 'Time between frames in milliseconds (0 = every rendered frame)'
+          },
+          width: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 8192,
+            description: 'Render width for camera mode (0 = camera size)'
+          },
+          height: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 8192,
+            description: 'Render height for camera mode (0 = camera size)'
+          },
+          format: {
+            type: 'string',
+            enum: ['gif', 'contact_sheet'],
+            default: 'gif',
+            description: 'gif (animated, timed from the frame timestamps) or contact_sheet (all frames in a grid on one PNG)'
+          },
+          columns: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 20,
+            description: 'Frames per row of the contact sheet (default: a near-square grid)'
+          },
+          maxDimension: {
+            type: 'integer',
+            minimum: 64,
+            maximum: 2048,
+            default: DEFAULT_MAX_DIMENSION,
+            description: 'Longest side of each frame; larger frames are downscaled'
+          },
+          outputPath: {
+            type: 'string',
+            description: 'Where to write the .gif or .png, relative to the Unity project root; must stay inside the project (default: Library/UnityEditorMCP/frame-sequences/<captureId>)'
+          },
+          returnImage: {
+            type: 'boolean',
+            default: false,
+            description: 'Also return the GIF or contact sheet as an image the model can see'
+          },
+          timeoutMs: {
+            type: 'integer',
+            minimum: 1000,
+            description: 'How long to wait for the capture (default: frameCount * intervalMs + 30 seconds)'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Validates the input parameters
+   * @param {Object} params - The input parameters
+   * @throws {Error} If validation fails
+   */
+  validate(params) {
+    super.validate(params);
+
+    const { format = 'gif', outputPath, frameCount = 10, maxDimension = DEFAULT_MAX_DIMENSION } = params;
+    const { extension } = FORMATS[format] || FORMATS.gif;
+    if (outputPath && path.extname(outputPath).toLowerCase() !== extension) {
+      throw new Error(`outputPath must end with ${extension} for format "${format}"`);
+    }
+
+    if (frameCount * maxDimension * maxDimension > MAX_SEQUENCE_PIXELS) {
+      const error = new Error(`${frameCount} frames of up to ${maxDimension}x${maxDimension} pixels are too large to assemble; ` +
+        `lower frameCount to ${Math.floor(MAX_SEQUENCE_PIXELS / (maxDimension * maxDimension))} or reduce maxDimension`);
+      error.code = 'FRAME_SEQUENCE_TOO_LARGE';
+      error.details = { frameCount, maxDimension, maxPixels: MAX_SEQUENCE_PIXELS };
+      throw error;
+    }
+  }
+
+  /**
+   * Starts the capture in Unity, waits for it and assembles the frames
+   * @param {Object} params - The validated input parameters
+   * @param {Object} context - MCP request context
+   * @returns {Promise<Object>} The assembled sequence
+   */
+  async execute(params, context = {}) {
+    const {
+      captureMode = 'game',
+      cameraName,
+      frameCount = 10,
+      intervalMs = 100,
+      width,
+      height,
+      format = 'gif',
+      columns,
+      maxDimension = DEFAULT_MAX_DIMENSION,
+      outputPath,
+      returnImage = false
+    } = params;
+
+    // Checked before capturing so a bad path does not waste the capture
+    const requestedPath = outputPath && this.resolveOutputPath(outputPath);
+
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    const started = await this.unityConnection.sendCommand('start_frame_sequence', {
+      captureMode,
+      cameraName,
+      frameCount,
+      intervalMs,
+      width,
+      height,
+      maxDimension
+    });
+    throwIfUnityError(started);
+
+    const sequence = await this.waitForSequence(started.captureId, {
+      frameCount,
+      timeoutMs: params.timeoutMs ?? frameCount * intervalMs + CAPTURE_OVERHEAD_MS
+    }, context);
+
+    const frames = sequence.frames || [];
+    if (frames.length === 0) {
+      const error = new Error(sequence.failure || 'Unity did not capture any frames');
+      error.code = 'FRAME_CAPTURE_FAILED';
+      error.details = { captureId: started.captureId, status: sequence.status };
+      throw error;
+    }
+
+    const sizes = frames.map((frame) => fitDimensions(frame.width, frame.height, maxDimension));
+    const assembler = format === 'contact_sheet'
+      ? createContactSheetAssembler(sizes, columns)
+      : createGifAssembler(sizes, frames, intervalMs);
+    await this.fetchFrames(started.captureId, frames.length, (base64Data, index) => {
+      assembler.add(downscaleImage(decodeImage(Buffer.from(base64Data, 'base64')), maxDimension), index);
+    }, context);
+    const assembled = assembler.finish();
+
+    const filePath = requestedPath || this.getDefaultOutputPath(`${started.captureId}${FORMATS[format].extension}`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, assembled.buffer);
+
+    const complete = sequence.status === 'completed';
+    const result = {
+      captureId: started.captureId,
+      captureMode,
+      ...(sequence.cameraName && { cameraName: sequence.cameraName }),
+      format,
+      path: filePath,
+      fileSize: assembled.buffer.length,
+      width: assembled.width,
+      height: assembled.height,
+      frameCount: frames.length,
+      requestedFrameCount: frameCount,
+      durationMs: frames.at(-1).timeMs - frames[0].timeMs,
+      complete,
+      frames: frames.map((frame, index) => ({
+        index: frame.index,
+        timeMs: frame.timeMs,
+        frame: frame.frame,
+        gameTime: frame.gameTime,
+        ...(assembled.cells && { cell: assembled.cells[index] })
+      })),
+      message: `Captured ${frames.length} frames into ${format === 'gif' ? 'an animated GIF' : 'a contact sheet'}`
+    };
+
+    if (!complete) {
+      result.warning = sequence.failure || `Capture ${sequence.status} after ${frames.length} of ${frameCount} frames`;
+    }
+
+    if (returnImage) {
+      result.imageContent = [{ data: assembled.buffer.toString('base64'), mimeType: FORMATS[format].mimeType }];
+    }
+    return result;
+  }
+
+  /**
+   * Polls Unity until the capture ends, reporting progress per captured frame.
+   * Cancelling the request or timing out stops the capture in Unity.
+   * @param {string} captureId
+   * @param {{frameCount: number, timeoutMs: number}} options
+   * @param {Object} context - MCP request context
+   * @returns {Promise<Object>} The final get_frame_sequence response
+   */
+  async waitForSequence(captureId, { frameCount, timeoutMs }, context) {
+    const deadline = Date.now() + timeoutMs;
+    let reported = -1;
+
+    try {
+      while (Date.now() <= deadline) {
+        throwIfCancelled(context.signal);
+
+        const state = await this.unityConnection.sendCommand('get_frame_sequence', { captureId });
+        throwIfUnityError(state);
+
+        if (state.capturedFrames !== reported) {
+          reported = state.capturedFrames;
+          await context.sendProgress?.({
+            progress: reported,
+            total: frameCount,
+            message: `Captured ${reported} of ${frameCount} frames`
+          });
+        }
+
+        if (state.status !== 'capturing') {
+          return state;
+        }
+
+        await sleep(Math.min(DEFAULT_POLL_INTERVAL_MS, Math.max(0, deadline - Date.now())), context.signal);
+      }
+    } catch (error) {
+      if (error.code === 'REQUEST_CANCELLED') {
+        await this.stopSequence();
+      }
+      throw error;
+    }
+
+    await this.stopSequence();
+    const error = new Error(`Timed out after ${timeoutMs}ms waiting for the frame capture`);
+    error.code = 'FRAME_CAPTURE_TIMEOUT';
+    error.details = { captureId, capturedFrames: Math.max(reported, 0), frameCount };
+    throw error;
+  }
+
+  /**
+   * Fetches the captured images page by page, handing each one over as it
+   * arrives so no more than one page is held at a time
+   * @param {string} captureId
+   * @param {number} total - Number of captured frames
+   * @param {(base64Data: string, index: number) => void} onFrame
+   * @param {Object} context - MCP request context
+   */
+  async fetchFrames(captureId, total, onFrame, context) {
+    let from = 0;
+    while (from < total) {
+      throwIfCancelled(context.signal);
+
+      const page = await this.unityConnection.sendCommand('get_frame_sequence', { captureId, from, count: FRAMES_PER_PAGE });
+      throwIfUnityError(page);
+      if (!page.frames?.length) {
+        const error = new Error(`Unity returned no frames from index ${from} of ${total}`);
+        error.code = 'FRAME_CAPTURE_FAILED';
+        error.details = { captureId, from };
+        throw error;
+      }
+
+      page.frames.forEach((frame, offset) => onFrame(frame.base64Data, from + offset));
+      from = page.nextFrom ?? total;
+    }
+  }
+
+  async stopSequence() {
+    try {
+      await this.unityConnection.sendCommand('stop_frame_sequence', {});
+    } catch {
+      // The request already failed; Unity also stops the capture when play mode ends
+    }
+  }
+
+  /**
+   * Resolves the requested output path, refusing paths outside the project
+   * @param {string} outputPath - Requested path
+   * @returns {string}
+   */
+  resolveOutputPath(outputPath) {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot) {
+      throw createProjectNotFoundError();
+    }
+    return resolvePathInProject(projectRoot, outputPath);
+  }
+
+  /**
+   * Where the assembled file goes when no outputPath was requested
+   * @param {string} fileName - File name
+   * @returns {string}
+   */
+  getDefaultOutputPath(fileName) {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    return projectRoot
+      ? path.join(projectRoot, SEQUENCES_DIR, fileName)
+      : path.join(os.tmpdir(), 'unity-mcp-frame-sequences', fileName);
+  }
+
+  /**
+   * Gets example usage for this tool
+   * @returns {Object} Example usage scenarios
+   */
+  getExamples() {
+    return {
+      recordAnimation: {
+        description: 'Record one second of the Game View as a GIF',
+        params: {
+          frameCount: 20,
+          intervalMs: 50
+        }
+      },
+      contactSheet: {
+        description: 'Show a UI transition frame by frame',
+        params: {
+          frameCount: 12,
+          intervalMs: 100,
+          format: 'contact_sheet',
+          columns: 4,
+          returnImage: true
+        }
+      }
+    };
+  }
+}
+
+// Frames are drawn on a canvas of the largest frame, in case the Game View was resized.
+// Frames arrive in order and are encoded right away.
+function createGifAssembler(sizes, frames, intervalMs) {
+  const width = Math.max(...sizes.map((size) => size.width));
+  const height = Math.max(...sizes.map((size) => size.height));
+  const encoder = createGifEncoder({ width, height });
+  return {
+    add(image, index) {
+      let data = image.data;
+      if (image.width !== width || image.height !== height) {
+        const canvas = createImage(width, height, [0, 0, 0, 255]);
+        drawImage(canvas, image, 0, 0);
+        data = canvas.data;
+      }
+      // Each frame shows until the next one was captured; the last one for the requested interval
+      const next = frames[index + 1];
+      const delayMs = next ? next.timeMs - frames[index].timeMs : intervalMs;
+      encoder.addFrame({ data, delayMs });
+    },
+    finish: () => ({ buffer: encoder.finish(), width, height })
+  };
+}
+
+function createContactSheetAssembler(sizes, columns) {
+  const layout = layoutContactSheet(sizes, { columns });
+  const sheet = createImage(layout.width, layout.height, [24, 24, 24, 255]);
+  return {
+    add(image, index) {
+      drawImage(sheet, image, layout.cells[index].x, layout.cells[index].y);
+    },
+    finish: () => ({ buffer: encodePng(sheet), width: sheet.width, height: sheet.height, cells: layout.cells })
+  };
+}
+
+function throwIfUnityError(response) {
+  if (!response?.error) {
+    return;
+  }
+
+  const error = new Error(response.error);
+  if (response.code) {
+    error.code = response.code;
+  }
+  if (response.captureId) {
+    error.details = { captureId: response.captureId };
+  }
+  throw error;
+}
@@ -1,6 +1,10 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { decodeImage } from '../../core/imageDecoding.js';
+import { encodePng } from '../../core/imageEncoding.js';
+import { downscaleImage } from '../../core/imageTransform.js';
 
 const SCREENSHOT_COMMAND_TIMEOUT_MS = 90000;
+const DEFAULT_MAX_DIMENSION = 1024;
 
 /**
  * Handler for capturing screenshots from Unity Editor
@@ -48,6 +52,18 @@ export class CaptureScreenshotToolHandler extends BaseToolHandler {
             type: 'boolean',
             default: false,
             description: 'Return the screenshot data as base64 encoded string'
+          },
+          returnImage: {
+            type: 'boolean',
+            default: false,
+            description: 'Return the screenshot as an image the model can see. Without outputPath nothing is saved to the project'
+          },
+          maxDimension: {
+            type: 'integer',
+            minimum: 64,
+            maximum: 8192,
+            default: DEFAULT_MAX_DIMENSION,
+            description: 'Longest side of the returned image; larger captures are downscaled (returnImage only)'
           }
         },
         required: []
@@ -119,8 +135,16 @@ export class CaptureScreenshotToolHandler extends BaseToolHandler {
       message: 'Requesting Unity screenshot'
     });
 
+    const { returnImage = false, maxDimension = DEFAULT_MAX_DIMENSION, ...captureParams } = params;
+    if (returnImage) {
+      captureParams.encodeAsBase64 = true;
+      if (!captureParams.outputPath) {
+        captureParams.saveFile = false;
+      }
+    }
+
     // Send capture command to Unity
-    const response = await this.unityConnection.sendCommand('capture_screenshot', params, {
+    const response = await this.unityConnection.sendCommand('capture_screenshot', captureParams, {
       timeoutMs: SCREENSHOT_COMMAND_TIMEOUT_MS
     });
 
@@ -170,10 +194,19 @@ export class CaptureScreenshotToolHandler extends BaseToolHandler {
       result.diagnostics = response.diagnostics;
     }
 
-    if (response.base64Data) {
+    if (response.base64Data && (!returnImage || params.encodeAsBase64)) {
       result.base64Data = response.base64Data;
     }
 
+    if (returnImage) {
+      if (!response.base64Data) {
+        throw new Error('Unity did not return image data for the screenshot');
+      }
+      const { image, imageContent } = toImageContent(response.base64Data, maxDimension);
+      result.image = image;
+      result.imageContent = [imageContent];
+    }
+
     await context?.sendProgress?.({
       progress: 1,
       total: 1,
@@ -205,6 +238,14 @@ export class CaptureScreenshotToolHandler extends BaseToolHandler {
           outputPath: 'Assets/Screenshots/scene_capture.png'
         }
       },
+      captureForModel: {
+        description: 'Show the Game View to the model without saving a file',
+        params: {
+          captureMode: 'game',
+          returnImage: true,
+          maxDimension: 768
+        }
+      },
       captureWithBase64: {
         description: 'Capture and return as base64 for immediate analysis',
         params: {
@@ -230,3 +271,23 @@ export class CaptureScreenshotToolHandler extends BaseToolHandler {
     };
   }
 }
+
+// Sends the PNG from Unity as is when it fits, otherwise a downscaled PNG
+function toImageContent(base64Data, maxDimension) {
+  const decoded = decodeImage(Buffer.from(base64Data, 'base64'));
+  const resized = downscaleImage(decoded, maxDimension);
+  const mimeType = resized.scaled || decoded.format === 'png' ? 'image/png' : 'image/jpeg';
+  return {
+    image: {
+      width: resized.width,
+      height: resized.height,
+      mimeType,
+      scaled: resized.scaled,
+      ...(resized.scaled && { originalWidth: decoded.width, originalHeight: decoded.height })
+    },
+    imageContent: {
+      data: resized.scaled ? encodePng(resized).toString('base64') : base64Data,
+      mimeType
+    }
+  };
+}
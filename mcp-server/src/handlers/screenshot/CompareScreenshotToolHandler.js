@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { createProjectNotFoundError, resolvePathInProject, resolveProjectRoot } from '../../core/projectRoot.js';
+import { decodeImage } from '../../core/imageDecoding.js';
+import { encodePng } from '../../core/imageEncoding.js';
+import { compareImages } from '../../core/imageDiff.js';
+import {
+  getScreenshotBaselinesDirectory,
+  getScreenshotDiffsDirectory,
+  listScreenshotBaselines,
+  resolveBaselinePath
+} from '../../core/screenshotBaselines.js';
+
+/**
+ * Handler for comparing a screenshot with a stored baseline
+ */
+export class CompareScreenshotToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'compare_screenshot',
+      'Compare a screenshot with a named baseline: per-pixel diff with tolerance, a highlighted diff image, mismatch percentage and changed regions',
+      {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Baseline name, e.g. main-menu or ui/settings'
+          },
+          imagePath: {
+            type: 'string',
+            description: 'Screenshot to compare: the path returned by capture_screenshot (relative to the Unity project root); must stay inside the project'
+          },
+          base64Data: {
+            type: 'string',
+            description: 'Base64 encoded PNG or JPEG to compare (alternative to imagePath)'
+          },
+          threshold: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            default: 0.1,
+            description: 'Per-pixel color tolerance from 0 (exact) to 1'
+          },
+          antiAliasing: {
+            type: 'boolean',
+            default: true,
+            description: 'Ignore pixels that only differ by anti-aliasing'
+          },
+          maxMismatchPercent: {
+            type: 'number',
+            minimum: 0,
+            maximum: 100,
+            default: 0,
+            description: 'Largest mismatch percentage that still passes'
+          },
+          maxRegions: {
+            type: 'integer',
+            minimum: 1,
+            default: 20,
+            description: 'Changed regions to return, largest first'
+          },
+          diffPath: {
+            type: 'string',
+            description: 'Where to write the diff image inside the project (default: Library/UnityEditorMCP/screenshot-diffs/<name>.png)'
+          },
+          updateBaseline: {
+            type: 'boolean',
+            default: false,
+            description: 'Store the screenshot as the baseline, creating it if missing; a change from the old baseline is still reported'
+          }
+        },
+        required: ['name']
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Validates that exactly one screenshot source is given
+   * @param {object} params - Input parameters
+   */
+  validate(params) {
+    super.validate(params);
+
+    if (!params.imagePath && !params.base64Data) {
+      throw new Error('Either imagePath or base64Data must be provided');
+    }
+    if (params.imagePath && params.base64Data) {
+      throw new Error('Provide either imagePath or base64Data, not both');
+    }
+  }
+
+  /**
+   * Compares the screenshot with the baseline and optionally replaces the baseline
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Comparison result
+   */
+  async execute(params) {
+    const {
+      name,
+      threshold = 0.1,
+      antiAliasing = true,
+      maxMismatchPercent = 0,
+      maxRegions = 20,
+      updateBaseline = false
+    } = params;
+
+    const directory = getScreenshotBaselinesDirectory(this.unityConnection);
+    if (!directory) {
+      throw createProjectNotFoundError();
+    }
+    const baselinePath = resolveBaselinePath(directory, name);
+    const captureBuffer = await this.readScreenshot(params);
+    const capture = decodeImage(captureBuffer);
+    const baselineBuffer = await readOptionalFile(baselinePath);
+
+    if (!baselineBuffer) {
+      if (!updateBaseline) {
+        const error = new Error(`No baseline named "${name}"; call compare_screenshot with updateBaseline: true to create it`);
+        error.code = 'BASELINE_NOT_FOUND';
+        error.details = { name, baselinePath, available: listScreenshotBaselines(directory) };
+        throw error;
+      }
+
+      await writeFile(baselinePath, toPng(capture, captureBuffer));
+      return {
+        name,
+        baselinePath,
+        width: capture.width,
+        height: capture.height,
+        passed: true,
+        baselineCreated: true,
+        message: `Baseline "${name}" created`
+      };
+    }
+
+    const baseline = decodeImage(baselineBuffer);
+    let result;
+    if (baseline.width !== capture.width || baseline.height !== capture.height) {
+      result = {
+        name,
+        baselinePath,
+        passed: false,
+        dimensionsMatch: false,
+        baselineSize: { width: baseline.width, height: baseline.height },
+        captureSize: { width: capture.width, height: capture.height },
+        mismatchPercentage: 100,
+        message: `Screenshot is ${capture.width}x${capture.height} but baseline "${name}" is ${baseline.width}x${baseline.height}`
+      };
+    } else {
+      const { diff, ...comparison } = compareImages(baseline, capture, { threshold, antiAliasing, maxRegions });
+      const passed = comparison.mismatchPercentage <= maxMismatchPercent;
+      result = {
+        name,
+        baselinePath,
+        passed,
+        dimensionsMatch: true,
+        ...comparison
+      };
+
+      if (comparison.mismatchedPixels > 0) {
+        result.diffPath = this.resolveDiffPath(params.diffPath, name);
+        await writeFile(result.diffPath, encodePng(diff));
+      }
+      result.message = comparison.mismatchedPixels === 0
+        ? `Screenshot matches baseline "${name}"`
+        : `${comparison.mismatchPercentage}% of pixels differ from baseline "${name}" in ${comparison.regionCount} region(s)`;
+    }
+
+    if (updateBaseline) {
+      await writeFile(baselinePath, toPng(capture, captureBuffer));
+      result.baselineUpdated = true;
+    }
+    return result;
+  }
+
+  /**
+   * Reads the screenshot from base64 data or a file
+   * @param {object} params - Input parameters
+   * @returns {Promise<Buffer>}
+   */
+  async readScreenshot({ imagePath, base64Data }) {
+    if (base64Data) {
+      return Buffer.from(base64Data.replace(/^data:[^,]*,/, ''), 'base64');
+    }
+
+    const filePath = this.resolveProjectPath(imagePath);
+    const buffer = await readOptionalFile(filePath);
+    if (!buffer) {
+      const error = new Error(`Screenshot not found: ${imagePath}`);
+      error.code = 'NOT_FOUND';
+      throw error;
+    }
+    return buffer;
+  }
+
+  /**
+   * Resolves where the diff image goes
+   * @param {string|undefined} diffPath - Requested path
+   * @param {string} name - Baseline name
+   * @returns {string}
+   */
+  resolveDiffPath(diffPath, name) {
+    if (diffPath) {
+      return this.resolveProjectPath(diffPath);
+    }
+    return path.join(getScreenshotDiffsDirectory(this.unityConnection), `${name.replace(/\.png$/i, '')}.png`);
+  }
+
+  /**
+   * Resolves a path relative to the Unity project root, refusing paths outside it
+   * @param {string} filePath
+   * @returns {string}
+   */
+  resolveProjectPath(filePath) {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot) {
+      throw createProjectNotFoundError();
+    }
+    return resolvePathInProject(projectRoot, filePath);
+  }
+}
+
+// Baselines are always PNG so JPEG captures do not lose more detail on every update
+function toPng(image, buffer) {
+  return image.format === 'png' ? buffer : encodePng(image);
+}
+
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, data);
+}
@@ -0,0 +1,239 @@
+import fs from 'fs';
+import path from 'path';
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { AssemblyDefinitions } from '../../core/assemblyDefinitions.js';
+import { createProjectNotFoundError, isAssetOrPackagePath, resolvePathInProject, resolveProjectRoot } from '../../core/projectRoot.js';
+
+const READ_ACTIONS = ['list', 'get', 'resolve'];
+const EDIT_ACTIONS = ['add_reference', 'remove_reference', 'set_platforms', 'set_defines'];
+const ACTIONS = [...READ_ACTIONS, 'create', ...EDIT_ACTIONS];
+
+/**
+ * Handler for inspecting and editing assembly definition files
+ */
+export class AssemblyDefinitionToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'manage_assembly_definitions',
+      'Inspect and edit assembly definitions (.asmdef/.asmref): list, get, resolve which assembly a script compiles into, create, add/remove references, set platforms or define constraints',
+      {
+        type: 'object',
+        properties: {
+          action: {
+            type: 'string',
+            enum: ACTIONS,
+            description: 'The operation to perform'
+          },
+          assembly: {
+            type: 'string',
+            description: 'Assembly name or .asmdef path (get, add_reference, remove_reference, set_platforms, set_defines)'
+          },
+          scriptPath: {
+            type: 'string',
+            description: 'Script to place into its assembly (resolve)'
+          },
+          name: {
+            type: 'string',
+            description: 'Name of the new assembly (create)'
+          },
+          folderPath: {
+            type: 'string',
+            description: 'Folder for the new .asmdef; scripts in it and its subfolders join the assembly (create)'
+          },
+          rootNamespace: {
+            type: 'string',
+            description: 'Root namespace of the new assembly (create)'
+          },
+          references: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Assembly names the new assembly references (create)'
+          },
+          reference: {
+            type: 'string',
+            description: 'Assembly name to add or remove (add_reference, remove_reference)'
+          },
+          includePlatforms: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Only compile for these platforms, e.g. ["Editor"] (create, set_platforms)'
+          },
+          excludePlatforms: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Compile for every platform except these (create, set_platforms)'
+          },
+          defineConstraints: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Scripting symbols that must be defined for the assembly to compile, e.g. ["UNITY_INCLUDE_TESTS"] (create, set_defines)'
+          },
+          allowUnsafeCode: {
+            type: 'boolean',
+            description: 'Allow unsafe code (create)'
+          },
+          autoReferenced: {
+            type: 'boolean',
+            description: 'Whether predefined assemblies reference this assembly automatically (create, default: true)'
+          },
+          includePackages: {
+            type: 'boolean',
+            default: false,
+            description: 'Also list assemblies from Library/PackageCache (list)'
+          }
+        },
+        required: ['action']
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Validates the input parameters
+   * @param {Object} params - The input parameters
+   * @throws {Error} If validation fails
+   */
+  validate(params) {
+    const { action } = params;
+
+    if (!action) {
+      throw new Error('action is required');
+    }
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    const required = {
+      get: ['assembly'],
+      resolve: ['scriptPath'],
+      create: ['name', 'folderPath'],
+      add_reference: ['assembly', 'reference'],
+      remove_reference: ['assembly', 'reference'],
+      set_platforms: ['assembly'],
+      set_defines: ['assembly', 'defineConstraints']
+    }[action] || [];
+    for (const field of required) {
+      if (params[field] === undefined || params[field] === null || params[field] === '') {
+        throw new Error(`${field} is required for ${action} action`);
+      }
+    }
+
+    if (action === 'create' && !isAssetOrPackagePath(params.folderPath)) {
+      throw new Error('folderPath must start with Assets/ or Packages/');
+    }
+
+    super.validate(params);
+  }
+
+  /**
+   * Reads or edits assembly definitions on disk, then asks Unity to import edits
+   * @param {Object} params - The validated input parameters
+   * @returns {Promise<Object>} The result of the operation
+   */
+  async execute(params) {
+    const definitions = this.loadDefinitions();
+
+    switch (params.action) {
+      case 'list': {
+        const assemblies = definitions.list({ includePackages: params.includePackages });
+        return { action: 'list', assemblies, count: assemblies.length };
+      }
+      case 'get':
+        return { action: 'get', ...definitions.get(params.assembly) };
+      case 'resolve':
+        return { action: 'resolve', scriptPath: params.scriptPath, ...definitions.resolveScript(params.scriptPath) };
+      default: {
+        const plan = planChange(definitions, params);
+        if (plan.changed === false) {
+          return { action: params.action, path: plan.path, changed: false, definition: plan.definition };
+        }
+        const filePath = resolvePathInProject(definitions.projectRoot, plan.path);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, plan.content);
+        return {
+          action: params.action,
+          path: plan.path,
+          changed: true,
+          definition: plan.definition,
+          refreshed: await this.refreshAssets()
+        };
+      }
+    }
+  }
+
+  /**
+   * Shows the file that would be written without writing it
+   * @param {Object} params - The validated input parameters
+   * @returns {Promise<Object>} The planned change
+   */
+  async preview(params) {
+    if (READ_ACTIONS.includes(params.action)) {
+      return super.preview(params);
+    }
+
+    const plan = planChange(this.loadDefinitions(), params);
+    return {
+      dryRun: true,
+      tool: this.name,
+      params,
+      changes: plan.changed === false ? [] : [{ action: params.action === 'create' ? 'create' : 'modify', target: 'asset', path: plan.path }],
+      content: plan.content
+    };
+  }
+
+  loadDefinitions() {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot || !fs.existsSync(path.join(projectRoot, 'Assets'))) {
+      throw createProjectNotFoundError();
+    }
+    return new AssemblyDefinitions(projectRoot);
+  }
+
+  // Unity imports the edited file on refresh; without a connection it does so when focused
+  async refreshAssets() {
+    try {
+      if (!this.unityConnection.isConnected()) {
+        await this.unityConnection.connect();
+      }
+      await this.unityConnection.sendCommand('refresh_assets', {});
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Gets example usage for this tool
+   * @returns {Object} Example usage scenarios
+   */
+  getExamples() {
+    return {
+      resolveScript: {
+        description: 'Find the assembly a script compiles into',
+        params: { action: 'resolve', scriptPath: 'Assets/Scripts/Player/PlayerHealth.cs' }
+      },
+      createEditorAssembly: {
+        description: 'Create an editor-only assembly that references the game assembly',
+        params: {
+          action: 'create',
+          name: 'Game.Editor',
+          folderPath: 'Assets/Scripts/Editor',
+          references: ['Game'],
+          includePlatforms: ['Editor']
+        }
+      },
+      addReference: {
+        description: 'Let an assembly use types from another assembly',
+        params: { action: 'add_reference', assembly: 'Game', reference: 'Unity.TextMeshPro' }
+      }
+    };
+  }
+}
+
+function planChange(definitions, params) {
+  if (params.action === 'create') {
+    return definitions.planCreate(params);
+  }
+  return definitions.planUpdate(params.assembly, params.action, params);
+}
@@ -1,4 +1,14 @@
+import fs from 'fs';
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { AssemblyDefinitions } from '../../core/assemblyDefinitions.js';
+import { resolveProjectRoot } from '../../core/projectRoot.js';
+import {
+  BUILTIN_SCRIPT_TYPES,
+  deriveNamespace,
+  getScriptTemplatesDirectory,
+  loadScriptTemplates,
+  renderScriptTemplate
+} from '../../core/scriptTemplates.js';
 
 /**
  * Handler for creating C# scripts in Unity
@@ -17,10 +27,19 @@ export class CreateScriptToolHandler extends BaseToolHandler {
           },
           scriptType: {
             type: 'string',
-            enum: ['MonoBehaviour', 'ScriptableObject', 'Editor', 'StaticClass', 'Interface'],
+            enum: BUILTIN_SCRIPT_TYPES,
             default: 'MonoBehaviour',
             description: 'Type of script to create'
           },
+          template: {
+            type: 'string',
+            description: 'Project template to create the script from instead of scriptType (see list_script_templates)'
+          },
+          variables: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            description: 'Values for the template\'s own variables'
+          },
           path: {
             type: 'string',
             default: 'Assets/Scripts/',
@@ -29,7 +48,7 @@ export class CreateScriptToolHandler extends BaseToolHandler {
           namespace: {
             type: 'string',
             default: '',
-            description: 'Namespace for the script'
+            description: 'Namespace for the script; templates derive it from the assembly root namespace and folder when omitted'
           }
         },
         required: ['scriptName']
@@ -45,7 +64,7 @@ export class CreateScriptToolHandler extends BaseToolHandler {
    * @throws {Error} If validation fails
    */
   validate(params) {
-    const { scriptName, scriptType, path, namespace } = params;
+    const { scriptName, scriptType, template, variables, path, namespace } = params;
 
     // Validate script name
     if (!scriptName || scriptName.trim() === '') {
@@ -59,8 +78,20 @@ export class CreateScriptToolHandler extends BaseToolHandler {
     }
 
     // Validate script type
-    if (scriptType && !['MonoBehaviour', 'ScriptableObject', 'Editor', 'StaticClass', 'Interface'].includes(scriptType)) {
-      throw new Error('scriptType must be one of: MonoBehaviour, ScriptableObject, Editor, StaticClass, Interface');
+    if (scriptType && !BUILTIN_SCRIPT_TYPES.includes(scriptType)) {
+      throw new Error(`scriptType must be one of: ${BUILTIN_SCRIPT_TYPES.join(', ')}`);
+    }
+
+    // Validate template
+    if (template !== undefined) {
+      if (scriptType) {
+        throw new Error('Pass either scriptType or template, not both');
+      }
+      if (typeof template !== 'string' || template.trim() === '') {
+        throw new Error('template cannot be empty');
+      }
+    } else if (variables !== undefined) {
+      throw new Error('variables can only be used with template');
     }
 
     // Validate path
@@ -86,8 +117,8 @@ export class CreateScriptToolHandler extends BaseToolHandler {
     const {
       scriptName,
       scriptType = 'MonoBehaviour',
-      path = 'Assets/Scripts/',
-      namespace = ''
+      template,
+      path = 'Assets/Scripts/'
     } = params;
 
     // Ensure connection to Unity
@@ -96,7 +127,9 @@ export class CreateScriptToolHandler extends BaseToolHandler {
     }
 
     // Generate script content
-    const scriptContent = this.generateScriptContent(scriptName, scriptType, namespace);
+    const { scriptContent, namespace } = template
+      ? await this.renderTemplate(params)
+      : { scriptContent: this.generateScriptContent(scriptName, scriptType, params.namespace || ''), namespace: params.namespace || '' };
     
     // Prepare command parameters
     const commandParams = {
@@ -119,10 +152,85 @@ export class CreateScriptToolHandler extends BaseToolHandler {
     // Handle nested data structure from Unity
     const data = response.data || response;
     
-    return {
+    const result = {
       scriptPath: data.scriptPath,
       message: data.message || 'Script created successfully'
     };
+
+    if (template) {
+      result.template = template;
+      result.namespace = namespace;
+    }
+
+    const assembly = data.scriptPath ? this.resolveAssembly(data.scriptPath, template ? null : scriptType) : null;
+    if (assembly) {
+      result.assembly = assembly;
+    }
+    return result;
+  }
+
+  /**
+   * Renders a project template. The namespace, when not passed, comes from
+   * the root namespace of the assembly the folder belongs to.
+   * @param {Object} params - The input parameters
+   * @returns {Promise<{scriptContent: string, namespace: string}>}
+   */
+  async renderTemplate(params) {
+    const { scriptName, template: name, variables = {}, path = 'Assets/Scripts/' } = params;
+    const folder = path.replace(/\/+$/, '');
+
+    const templates = await loadScriptTemplates(getScriptTemplatesDirectory(this.unityConnection));
+    const template = templates.find((candidate) => candidate.name === name);
+    if (!template) {
+      const error = new Error(`Script template not found: ${name}`);
+      error.code = 'TEMPLATE_NOT_FOUND';
+      error.details = { available: templates.map((candidate) => candidate.name) };
+      throw error;
+    }
+
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    const local = projectRoot && fs.existsSync(`${projectRoot}/Assets`);
+    const namespace = params.namespace ?? (local ? deriveNamespace(projectRoot, folder) : '');
+    const assembly = local ? new AssemblyDefinitions(projectRoot).resolveScript(`${folder}/${scriptName}.cs`).assembly : null;
+
+    return {
+      scriptContent: renderScriptTemplate(template, {
+        ...variables,
+        className: scriptName,
+        namespace,
+        folder,
+        assembly: assembly || ''
+      }),
+      namespace
+    };
+  }
+
+  /**
+   * Reports the assembly the new script compiles into and warns when the
+   * script type does not fit it. Null without a local project.
+   * @param {string} scriptPath - Project-relative path of the new script
+   * @param {string} scriptType - Type of script
+   * @returns {Object|null} Assembly info from the asmdef resolver
+   */
+  resolveAssembly(scriptPath, scriptType) {
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot || !fs.existsSync(`${projectRoot}/Assets`)) {
+      return null;
+    }
+
+    let assembly;
+    try {
+      assembly = new AssemblyDefinitions(projectRoot).resolveScript(scriptPath);
+    } catch {
+      return null;
+    }
+
+    if (scriptType === 'Editor' && assembly.assembly && !assembly.isEditorOnly) {
+      assembly.warning = `${assembly.assembly} is also built into players, where UnityEditor is unavailable; move the script into an Editor folder or an editor-only assembly`;
+    } else if ((scriptType === 'MonoBehaviour' || scriptType === 'ScriptableObject') && assembly.isEditorOnly) {
+      assembly.warning = `${assembly.assembly} is editor-only, so this ${scriptType} cannot be used in player builds`;
+    }
+    return assembly;
   }
 
   /**
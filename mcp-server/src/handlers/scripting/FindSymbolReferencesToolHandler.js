@@ -0,0 +1,79 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { requireProjectSymbolIndex } from '../../core/symbolIndex.js';
+
+/**
+ * Handler for finding where a C# symbol is used
+ */
+export class FindSymbolReferencesToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'find_symbol_references',
+      'Find whole-word uses of a C# type or member name across project scripts, ignoring comments and strings',
+      {
+        type: 'object',
+        properties: {
+          symbol: {
+            type: 'string',
+            description: 'Symbol name, optionally qualified (e.g., TakeDamage or PlayerController.TakeDamage); the last segment is searched'
+          },
+          includeDeclarations: {
+            type: 'boolean',
+            default: true,
+            description: 'Include the lines that declare the symbol'
+          },
+          includePackages: {
+            type: 'boolean',
+            default: false,
+            description: 'Also search registry packages in Library/PackageCache (Assets/ and Packages/ are always searched)'
+          },
+          maxResults: {
+            type: 'number',
+            minimum: 1,
+            maximum: 1000,
+            default: 200,
+            description: 'Maximum number of references to return'
+          }
+        },
+        required: ['symbol']
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Validates the input parameters
+   * @param {Object} params - The input parameters
+   * @throws {Error} If validation fails
+   */
+  validate(params) {
+    const { symbol } = params;
+
+    if (!symbol) {
+      throw new Error('symbol is required');
+    }
+    if (!/^@?[A-Za-z_][A-Za-z0-9_]*(\.@?[A-Za-z_][A-Za-z0-9_]*)*$/.test(symbol)) {
+      throw new Error('symbol must be a C# identifier or dotted name');
+    }
+  }
+
+  /**
+   * Searches the project's scripts
+   * @param {Object} params - The input parameters
+   * @returns {Promise<Object>} References in Assets/ first
+   */
+  async execute(params) {
+    const { symbol, includeDeclarations = true, includePackages = false, maxResults = 200 } = params;
+
+    const index = requireProjectSymbolIndex(this.unityConnection);
+    const { references, totalReferences, filesSearched } = index.findReferences(symbol, { includeDeclarations, includePackages, limit: maxResults });
+
+    return {
+      symbol,
+      references,
+      totalReferences,
+      truncated: totalReferences > references.length,
+      filesSearched
+    };
+  }
+}
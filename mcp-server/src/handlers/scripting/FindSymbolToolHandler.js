@@ -0,0 +1,80 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { SYMBOL_KINDS, requireProjectSymbolIndex } from '../../core/symbolIndex.js';
+
+/**
+ * Handler for searching C# types and members across the project
+ */
+export class FindSymbolToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'find_symbol',
+      'Find C# types and members by name words, containing type or doc comment (e.g. "player damage"), optionally only types deriving from a base type such as MonoBehaviour',
+      {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Words or a name to match; camelCase names are split into words'
+          },
+          kind: {
+            type: 'string',
+            enum: SYMBOL_KINDS,
+            description: 'Only return symbols of this kind ("type" matches every type kind)'
+          },
+          baseType: {
+            type: 'string',
+            description: 'Only return types deriving from this type, directly or through project types, and their members'
+          },
+          includePackages: {
+            type: 'boolean',
+            default: false,
+            description: 'Also search registry packages in Library/PackageCache (Assets/ and Packages/ are always searched)'
+          },
+          maxResults: {
+            type: 'number',
+            minimum: 1,
+            maximum: 500,
+            default: 50,
+            description: 'Maximum number of matches to return'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Validates the input parameters
+   * @param {Object} params - The input parameters
+   * @throws {Error} If validation fails
+   */
+  validate(params) {
+    const { query, baseType } = params;
+
+    if (!query?.trim() && !baseType?.trim()) {
+      throw new Error('Either query or baseType must be provided');
+    }
+  }
+
+  /**
+   * Searches the project's scripts
+   * @param {Object} params - The input parameters
+   * @returns {Promise<Object>} Matching symbols, best first
+   */
+  async execute(params) {
+    const { query = '', kind, baseType, includePackages = false, maxResults = 50 } = params;
+
+    const index = requireProjectSymbolIndex(this.unityConnection);
+    const { matches, totalMatches, filesSearched } = index.findSymbols(query, { kind, baseType, includePackages, limit: maxResults });
+
+    return {
+      query,
+      matches,
+      totalMatches,
+      truncated: totalMatches > matches.length,
+      filesSearched
+    };
+  }
+}
@@ -0,0 +1,95 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { parseCSharpOutline } from '../../core/csharpOutline.js';
+import { formatMemberSignature, formatTypeSignature, getProjectSymbolIndex } from '../../core/symbolIndex.js';
+import { isAssetOrPackagePath } from '../../core/projectRoot.js';
+
+/**
+ * Handler for listing the declarations in a C# script
+ */
+export class GetScriptOutlineToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'get_script_outline',
+      'Outline a C# script: namespaces, types with base types and attributes, methods, properties and serialized fields, with line numbers',
+      {
+        type: 'object',
+        properties: {
+          scriptPath: {
+            type: 'string',
+            description: 'Path to the script (e.g., Assets/Scripts/PlayerController.cs or Packages/com.company.tools/Runtime/Tool.cs)'
+          },
+          includeMembers: {
+            type: 'boolean',
+            default: true,
+            description: 'Include the members of each type'
+          }
+        },
+        required: ['scriptPath']
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Validates the input parameters
+   * @param {Object} params - The input parameters
+   * @throws {Error} If validation fails
+   */
+  validate(params) {
+    const { scriptPath } = params;
+
+    if (!scriptPath) {
+      throw new Error('scriptPath is required');
+    }
+    if (!isAssetOrPackagePath(scriptPath)) {
+      throw new Error('scriptPath must start with Assets/ or Packages/');
+    }
+    if (!scriptPath.endsWith('.cs')) {
+      throw new Error('scriptPath must end with .cs');
+    }
+  }
+
+  /**
+   * Parses the script from disk, or from Unity when the project is remote
+   * @param {Object} params - The input parameters
+   * @returns {Promise<Object>} The script outline
+   */
+  async execute(params) {
+    const { scriptPath, includeMembers = true } = params;
+
+    const index = getProjectSymbolIndex(this.unityConnection);
+    const outline = index
+      ? index.getOutline(scriptPath)
+      : parseCSharpOutline(await this.readFromUnity(scriptPath));
+
+    return {
+      scriptPath,
+      source: index ? 'disk' : 'unity',
+      usings: outline.usings,
+      namespaces: outline.namespaces,
+      types: outline.types.map((type) => {
+        const { members, ...declaration } = type;
+        return {
+          ...declaration,
+          signature: formatTypeSignature(type),
+          ...(includeMembers
+            ? { members: members.map((member) => ({ ...member, signature: formatMemberSignature(member) })) }
+            : { memberCount: members.length })
+        };
+      })
+    };
+  }
+
+  async readFromUnity(scriptPath) {
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+
+    const response = await this.unityConnection.sendCommand('read_script', { scriptPath, includeMetadata: false });
+    if (response.success === false || response.status === 'error') {
+      throw new Error(response.error || 'Failed to read script');
+    }
+    return (response.data || response).scriptContent ?? '';
+  }
+}
@@ -0,0 +1,51 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import {
+  BUILTIN_SCRIPT_TYPES,
+  BUILTIN_TEMPLATE_VARIABLES,
+  getScriptTemplatesDirectory,
+  loadScriptTemplates
+} from '../../core/scriptTemplates.js';
+
+/**
+ * Handler for listing the script templates create_script can use
+ */
+export class ListScriptTemplatesToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'list_script_templates',
+      'List project script templates (.unity-mcp/templates/*.cs.tmpl) and the variables each needs, for use with create_script',
+      {
+        type: 'object',
+        properties: {
+          includeContent: {
+            type: 'boolean',
+            default: false,
+            description: 'Include the template source'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Reads the template directory
+   * @param {Object} params - The input parameters
+   * @returns {Promise<Object>} Project templates and built-in script types
+   */
+  async execute(params) {
+    const { includeContent = false } = params;
+
+    const directory = getScriptTemplatesDirectory(this.unityConnection);
+    const templates = await loadScriptTemplates(directory);
+
+    return {
+      directory,
+      templates: templates.map(({ body, ...template }) => (includeContent ? { ...template, content: body } : template)),
+      builtInVariables: BUILTIN_TEMPLATE_VARIABLES,
+      builtInScriptTypes: BUILTIN_SCRIPT_TYPES
+    };
+  }
+}
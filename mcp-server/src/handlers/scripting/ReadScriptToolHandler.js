@@ -1,4 +1,5 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { rememberScriptContent } from '../../core/scriptPatch.js';
 
 /**
  * Handler for reading C# script contents in Unity
@@ -119,7 +120,9 @@ export class ReadScriptToolHandler extends BaseToolHandler {
     // Build result object
     const result = {
       scriptContent: data.scriptContent,
-      scriptPath: data.scriptPath
+      scriptPath: data.scriptPath,
+      // Pass back as update_script's expectedHash to detect concurrent edits
+      contentHash: rememberScriptContent(data.scriptContent ?? '')
     };
 
     // Include metadata if requested and available
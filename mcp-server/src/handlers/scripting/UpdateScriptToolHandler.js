@@ -1,4 +1,16 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { recordCompilationCursor } from '../../core/compilationMessages.js';
+import {
+  SCRIPT_CONFLICT,
+  applyScriptPatch,
+  createScriptConflictError,
+  createUnifiedDiff,
+  rememberScriptContent
+} from '../../core/scriptPatch.js';
+
+const UPDATE_MODES = ['replace', 'append', 'prepend', 'patch'];
+// Enough messages that errors which already existed are not mistaken for new ones
+const COMPILATION_SNAPSHOT_MESSAGES = 1000;
 
 /**
  * Handler for updating C# scripts in Unity
@@ -26,21 +38,47 @@ export class UpdateScriptToolHandler extends BaseToolHandler {
           },
           scriptContent: {
             type: 'string',
-            description: 'New content for the script'
+            description: 'New content for the script (required unless updateMode is patch)'
           },
           updateMode: {
             type: 'string',
-            enum: ['replace', 'append', 'prepend'],
+            enum: UPDATE_MODES,
             default: 'replace',
             description: 'How to update the script content'
           },
+          patch: {
+            oneOf: [
+              {
+                type: 'string',
+                description: 'Unified diff against the current script'
+              },
+              {
+                type: 'array',
+                description: 'Exact search/replace hunks, applied in order',
+                items: {
+                  type: 'object',
+                  properties: {
+                    search: { type: 'string', description: 'Text that must occur exactly once' },
+                    replace: { type: 'string', description: 'Replacement text' },
+                    replaceAll: { type: 'boolean', description: 'Replace every occurrence instead' }
+                  },
+                  required: ['search', 'replace']
+                }
+              }
+            ],
+            description: 'Changes to apply when updateMode is patch'
+          },
+          expectedHash: {
+            type: 'string',
+            description: 'contentHash from read_script; the update fails with SCRIPT_CONFLICT if the script changed since'
+          },
           createBackup: {
             type: 'boolean',
             default: false,
             description: 'Whether to create a backup before updating'
           }
         },
-        required: ['scriptContent']
+        required: []
       }
     );
     
@@ -53,13 +91,24 @@ export class UpdateScriptToolHandler extends BaseToolHandler {
    * @throws {Error} If validation fails
    */
   validate(params) {
-    const { scriptPath, scriptName, searchPath, scriptContent, updateMode } = params;
+    const { scriptPath, scriptName, searchPath, scriptContent, updateMode, patch, expectedHash } = params;
 
-    // scriptContent is required
-    if (!scriptContent) {
+    // Patches carry their own changes; every other mode needs scriptContent
+    if (updateMode === 'patch') {
+      const validPatch = typeof patch === 'string'
+        ? patch.trim() !== ''
+        : Array.isArray(patch) && patch.length > 0 && patch.every((hunk) => typeof hunk?.search === 'string' && hunk.search !== '' && typeof hunk.replace === 'string');
+      if (!validPatch) {
+        throw new Error('patch must be a unified diff or a non-empty array of { search, replace } hunks');
+      }
+    } else if (!scriptContent) {
       throw new Error('scriptContent is required');
     }
 
+    if (expectedHash !== undefined && !/^[0-9a-fA-F]{64}$/.test(expectedHash)) {
+      throw new Error('expectedHash must be the contentHash returned by read_script');
+    }
+
     // Either scriptPath or scriptName must be provided
     if (!scriptPath && !scriptName) {
       throw new Error('Either scriptPath or scriptName must be provided');
@@ -89,8 +138,8 @@ export class UpdateScriptToolHandler extends BaseToolHandler {
     }
 
     // Validate updateMode if provided
-    if (updateMode && !['replace', 'append', 'prepend'].includes(updateMode)) {
-      throw new Error('updateMode must be one of: replace, append, prepend');
+    if (updateMode && !UPDATE_MODES.includes(updateMode)) {
+      throw new Error(`updateMode must be one of: ${UPDATE_MODES.join(', ')}`);
     }
   }
 
@@ -101,12 +150,10 @@ export class UpdateScriptToolHandler extends BaseToolHandler {
    */
   async execute(params) {
     const {
-      scriptPath,
-      scriptName,
-      searchPath = 'Assets/',
       scriptContent,
       updateMode = 'replace',
-      createBackup = false
+      createBackup = false,
+      expectedHash
     } = params;
 
     // Ensure connection to Unity
@@ -115,23 +162,46 @@ export class UpdateScriptToolHandler extends BaseToolHandler {
     }
 
     // Prepare command parameters
-    const commandParams = {
+    let commandParams = {
+      ...getScriptTarget(params),
       scriptContent,
       updateMode,
       createBackup
     };
+    let newContent = updateMode === 'replace' ? scriptContent : null;
+    let hunksApplied;
 
-    // Set either scriptPath or scriptName/searchPath
-    if (scriptPath) {
-      commandParams.scriptPath = scriptPath;
-    } else {
-      commandParams.scriptName = scriptName;
-      commandParams.searchPath = searchPath.endsWith('/') ? searchPath : searchPath + '/';
+    // Patches and preconditions work on the current content; Unity re-checks
+    // its hash right before writing so an edit in between is not clobbered
+    if (updateMode === 'patch' || expectedHash) {
+      const current = await this.readCurrentScript(commandParams, expectedHash);
+      commandParams = {
+        scriptPath: current.scriptPath,
+        scriptContent,
+        updateMode,
+        createBackup,
+        expectedHash: current.hash
+      };
+      if (updateMode === 'patch') {
+        const patched = applyScriptPatch(current.content, params.patch);
+        commandParams.scriptContent = newContent = patched.content;
+        commandParams.updateMode = 'replace';
+        hunksApplied = patched.hunksApplied;
+      }
     }
 
+    // Snapshot the messages before writing so `since` covers exactly this edit
+    const compilationCursor = await this.captureCompilationCursor();
+
     // Send command to Unity
     const response = await this.unityConnection.sendCommand('update_script', commandParams);
 
+    // Unity reports a write-time conflict as an error payload, not a failed command
+    if (response.status === 'error' && response.code === SCRIPT_CONFLICT) {
+      const latest = await this.readCurrentScript({ scriptPath: commandParams.scriptPath });
+      throw createScriptConflictError(commandParams.scriptPath, expectedHash || commandParams.expectedHash, latest.content);
+    }
+
     // Handle Unity response
     if (response.success === false || response.status === 'error') {
       throw new Error(response.error || 'Failed to update script');
@@ -159,7 +229,104 @@ export class UpdateScriptToolHandler extends BaseToolHandler {
     if (data.newSize !== undefined) {
       result.newSize = data.newSize;
     }
+    if (hunksApplied !== undefined) {
+      result.hunksApplied = hunksApplied;
+    }
+    if (newContent !== null && newContent !== undefined) {
+      result.contentHash = rememberScriptContent(newContent);
+    } else if (data.contentHash) {
+      result.contentHash = data.contentHash;
+    }
+
+    // Pass to wait_for_compilation as `since` to see only errors this edit introduced
+    if (compilationCursor) {
+      result.compilationCursor = compilationCursor;
+    }
 
     return result;
   }
+
+  /**
+   * Records the compilation messages Unity reports right now as a cursor.
+   * The snapshot is best effort; without it the result has no cursor.
+   * @returns {Promise<string|null>}
+   */
+  async captureCompilationCursor() {
+    try {
+      const state = await this.unityConnection.sendCommand('get_compilation_state', {
+        includeMessages: true,
+        maxMessages: COMPILATION_SNAPSHOT_MESSAGES
+      });
+      return Array.isArray(state?.messages) ? recordCompilationCursor(state.messages) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Previews patches and hash preconditions against the current script
+   * @param {Object} params - The input parameters
+   * @returns {Promise<Object>} The dry-run preview
+   */
+  async preview(params, context) {
+    const base = await super.preview(params, context);
+    if (params.updateMode !== 'patch' && !params.expectedHash) {
+      return base;
+    }
+
+    if (!this.unityConnection.isConnected()) {
+      await this.unityConnection.connect();
+    }
+    const current = await this.readCurrentScript(getScriptTarget(params), params.expectedHash);
+    const preview = {
+      ...base,
+      changes: [{ action: 'modify', target: 'asset', path: current.scriptPath }],
+      contentHash: current.hash
+    };
+    if (params.updateMode === 'patch') {
+      const patched = applyScriptPatch(current.content, params.patch);
+      preview.hunksApplied = patched.hunksApplied;
+      const diff = createUnifiedDiff(current.content, patched.content, current.scriptPath);
+      // Too many changed lines to diff: show the content that would be written
+      if (diff === null) {
+        preview.content = patched.content;
+      } else {
+        preview.diff = diff;
+      }
+    }
+    return preview;
+  }
+
+  /**
+   * Reads the script as Unity sees it and checks it against expectedHash
+   * @param {Object} target - scriptPath or scriptName/searchPath
+   * @param {string} [expectedHash] - Hash the caller based its edit on
+   * @returns {Promise<{ scriptPath: string, content: string, hash: string }>}
+   */
+  async readCurrentScript(target, expectedHash) {
+    const { scriptPath, scriptName, searchPath } = target;
+    const response = await this.unityConnection.sendCommand('read_script', {
+      ...(scriptPath ? { scriptPath } : { scriptName, searchPath }),
+      includeMetadata: false
+    });
+    if (response.success === false || response.status === 'error') {
+      throw new Error(response.error || 'Failed to read script');
+    }
+
+    const data = response.data || response;
+    const content = data.scriptContent ?? '';
+    const hash = rememberScriptContent(content);
+    if (expectedHash && hash !== expectedHash.toLowerCase()) {
+      throw createScriptConflictError(data.scriptPath, expectedHash, content);
+    }
+    return { scriptPath: data.scriptPath, content, hash };
+  }
+}
+
+function getScriptTarget({ scriptPath, scriptName, searchPath = 'Assets/' }) {
+  // Set either scriptPath or scriptName/searchPath
+  if (scriptPath) {
+    return { scriptPath };
+  }
+  return { scriptName, searchPath: searchPath.endsWith('/') ? searchPath : searchPath + '/' };
 }
\ No newline at end of file
@@ -36,6 +36,14 @@ export class RefreshAssetsToolHandler extends BaseToolHandler {
           maxMessages: {
             type: 'number',
             description: 'Maximum number of detailed messages to return'
+          },
+          contextLines: {
+            type: 'number',
+            description: 'Source lines shown before and after each message when the project is on this machine (default: 2, 0 disables)'
+          },
+          since: {
+            type: 'string',
+            description: 'Cursor from update_script or an earlier result; only messages introduced since then are returned'
           }
         },
         required: []
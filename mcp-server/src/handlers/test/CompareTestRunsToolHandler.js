@@ -0,0 +1,57 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { compareTestRuns, getTestRunHistory } from '../../core/testRunHistory.js';
+
+/**
+ * Handler for comparing stored test runs
+ */
+export class CompareTestRunsToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'compare_test_runs',
+      'Compare two stored test runs: newly failing, fixed, still failing, added and removed tests, plus tests that flip between passing and failing across recent runs',
+      {
+        type: 'object',
+        properties: {
+          baseRunId: {
+            type: 'string',
+            default: 'previous',
+            description: 'Earlier run: a run id from list_test_runs, "latest" or "previous"'
+          },
+          headRunId: {
+            type: 'string',
+            default: 'latest',
+            description: 'Later run: a run id from list_test_runs, "latest" or "previous"'
+          },
+          flakyWindow: {
+            type: 'number',
+            minimum: 2,
+            maximum: 100,
+            default: 10,
+            description: 'Number of runs, ending with the head run, to look at for flaky tests'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Compares the runs
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Test changes between the runs
+   */
+  async execute(params) {
+    const { baseRunId = 'previous', headRunId = 'latest', flakyWindow = 10 } = params;
+
+    const history = getTestRunHistory(this.unityConnection);
+    const base = history.require(baseRunId);
+    const head = history.require(headRunId);
+    if (base.id === head.id) {
+      throw new Error('baseRunId and headRunId refer to the same run');
+    }
+
+    return compareTestRuns(base, head, history.list(), { flakyWindow });
+  }
+}
@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { createProjectNotFoundError, resolvePathInProject, resolveProjectRoot } from '../../core/projectRoot.js';
+import { getTestRunHistory } from '../../core/testRunHistory.js';
+import { TEST_REPORT_FORMATS, formatTestReport } from '../../core/testReports.js';
+
+/**
+ * Handler for exporting a stored test run as a CI report
+ */
+export class ExportTestResultsToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'export_test_results',
+      'Export a stored test run as JUnit XML, NUnit 3 XML or Visual Studio TRX, returned inline or written to a file',
+      {
+        type: 'object',
+        properties: {
+          format: {
+            type: 'string',
+            enum: TEST_REPORT_FORMATS,
+            description: 'Report format'
+          },
+          runId: {
+            type: 'string',
+            default: 'latest',
+            description: 'Run to export: a run id from list_test_runs, "latest" or "previous"'
+          },
+          outputPath: {
+            type: 'string',
+            description: 'Write the report here (relative to the Unity project root, e.g. TestResults/junit.xml; must stay inside the project) instead of returning it'
+          }
+        },
+        required: ['format']
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Formats the run
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} The report, or where it was written
+   */
+  async execute(params) {
+    const { format, runId = 'latest', outputPath } = params;
+
+    const run = getTestRunHistory(this.unityConnection).require(runId);
+    const report = formatTestReport(run, format);
+
+    if (!outputPath) {
+      return { runId: run.id, format, report };
+    }
+
+    const projectRoot = resolveProjectRoot(this.unityConnection);
+    if (!projectRoot) {
+      throw createProjectNotFoundError();
+    }
+    const filePath = resolvePathInProject(projectRoot, outputPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, report);
+
+    return { runId: run.id, format, path: filePath, bytes: Buffer.byteLength(report) };
+  }
+}
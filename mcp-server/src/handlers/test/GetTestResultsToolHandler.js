@@ -1,4 +1,5 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { getTestRunHistory } from '../../core/testRunHistory.js';
 
 /**
  * Handler for getting test results from Unity
@@ -7,7 +8,7 @@ export class GetTestResultsToolHandler extends BaseToolHandler {
   constructor(unityConnection) {
     super(
       'get_test_results',
-      'Get results from the last test run in Unity',
+      'Get results from the last test run in Unity, or a stored earlier run. Finished runs are kept so compare_test_runs and export_test_results can use them',
       {
         type: 'object',
         properties: {
@@ -20,12 +21,16 @@ export class GetTestResultsToolHandler extends BaseToolHandler {
             type: 'string',
             description: 'Filter results by status (Passed, Failed, Skipped, Inconclusive)',
             enum: ['Passed', 'Failed', 'Skipped', 'Inconclusive']
+          },
+          runId: {
+            type: 'string',
+            description: 'Read a stored run instead of asking Unity: a run id from list_test_runs, "latest" or "previous"'
           }
         },
         required: []
       }
     );
-    
+
     this.unityConnection = unityConnection;
   }
 
@@ -35,17 +40,67 @@ export class GetTestResultsToolHandler extends BaseToolHandler {
    * @returns {Promise<object>} Test results
    */
   async execute(params) {
+    const { includeDetails = true, filterStatus, runId } = params;
+    const history = getTestRunHistory(this.unityConnection);
+
+    if (runId) {
+      const run = history.require(runId);
+      return formatResults(run.id, run.testMode, run.tests, { includeDetails, filterStatus, isRunning: false, stored: true });
+    }
+
     // Ensure connected
     if (!this.unityConnection.isConnected()) {
       await this.unityConnection.connect();
     }
-    
-    // Send get test results command
+
+    // Fetch the whole run so it can be stored, then filter here
     const result = await this.unityConnection.sendCommand('get_test_results', {
-      includeDetails: params.includeDetails,
-      filterStatus: params.filterStatus
+      includeDetails: true
     });
-    
-    return result;
+
+    const run = history.record(result);
+    if (!Array.isArray(result?.results)) {
+      return result;
+    }
+    return {
+      ...result,
+      ...formatResults(run?.id ?? result.runId, result.testMode, result.results, { includeDetails, filterStatus, isRunning: result.isRunning })
+    };
   }
-}
\ No newline at end of file
+}
+
+const DETAIL_FIELDS = ['message', 'stackTrace', 'output'];
+
+function formatResults(runId, testMode, tests, { includeDetails, filterStatus, isRunning, stored = false }) {
+  const results = tests
+    .filter((test) => !filterStatus || test.status?.toLowerCase() === filterStatus.toLowerCase())
+    .map((test) => {
+      const { className, methodName, ...result } = test;
+      if (!includeDetails) {
+        for (const field of DETAIL_FIELDS) {
+          delete result[field];
+        }
+      }
+      return result;
+    });
+
+  const count = (status) => tests.filter((test) => test.status === status).length;
+  const duration = tests.reduce((total, test) => total + (Number(test.duration) || 0), 0);
+  return {
+    ...(runId ? { runId } : {}),
+    ...(testMode ? { testMode } : {}),
+    results,
+    summary: {
+      total: tests.length,
+      passed: count('Passed'),
+      failed: count('Failed'),
+      skipped: count('Skipped'),
+      inconclusive: count('Inconclusive'),
+      duration,
+      successRate: tests.length > 0 ? (count('Passed') / tests.length) * 100 : 0
+    },
+    isRunning,
+    totalTests: tests.length,
+    ...(stored ? { stored: true, message: 'Stored test results retrieved successfully' } : {})
+  };
+}
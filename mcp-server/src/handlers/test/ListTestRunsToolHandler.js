@@ -0,0 +1,47 @@
+import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { getTestRunHistory, summarizeRun } from '../../core/testRunHistory.js';
+
+/**
+ * Handler for listing stored test runs
+ */
+export class ListTestRunsToolHandler extends BaseToolHandler {
+  constructor(unityConnection) {
+    super(
+      'list_test_runs',
+      'List stored test runs, newest first, with their summaries',
+      {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'number',
+            minimum: 1,
+            maximum: 500,
+            default: 20,
+            description: 'Maximum number of runs to return'
+          }
+        },
+        required: []
+      }
+    );
+
+    this.unityConnection = unityConnection;
+  }
+
+  /**
+   * Reads the test run history
+   * @param {object} params - Input parameters
+   * @returns {Promise<object>} Run summaries
+   */
+  async execute(params) {
+    const { limit = 20 } = params;
+
+    const history = getTestRunHistory(this.unityConnection);
+    const runs = history.list().reverse();
+
+    return {
+      runs: runs.slice(0, limit).map(summarizeRun),
+      totalRuns: runs.length,
+      directory: history.directory
+    };
+  }
+}
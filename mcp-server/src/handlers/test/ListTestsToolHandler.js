@@ -1,4 +1,5 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { getTestRunHistory } from '../../core/testRunHistory.js';
 
 /**
  * Handler for listing available tests in Unity
@@ -41,7 +42,7 @@ export class ListTestsToolHandler extends BaseToolHandler {
   /**
    * Executes the list tests command
    * @param {object} params - Input parameters
-   * @returns {Promise<object>} List of available tests
+   * @returns {Promise<object>} List of available tests, with known-flaky tests marked
    */
   async execute(params) {
     // Ensure connected
@@ -56,7 +57,34 @@ export class ListTestsToolHandler extends BaseToolHandler {
       includeCategories: params.includeCategories,
       excludeCategories: params.excludeCategories
     });
-    
-    return result;
+
+    if (!Array.isArray(result?.tests)) {
+      return result;
+    }
+
+    // Tests a run_tests rerun has classified as flaky at least once
+    const classifications = getTestRunHistory(this.unityConnection).getClassifications();
+    const tests = result.tests.map((test) => {
+      const known = classifications[test.name];
+      if (!(known?.flakyCount > 0)) {
+        return test;
+      }
+      return {
+        ...test,
+        knownFlaky: true,
+        flakiness: {
+          flakyCount: known.flakyCount,
+          consistentCount: known.consistentCount,
+          lastClassification: known.classification,
+          classifiedAt: known.classifiedAt
+        }
+      };
+    });
+
+    return {
+      ...result,
+      tests,
+      knownFlakyCount: tests.filter((test) => test.knownFlaky).length
+    };
   }
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
 import { BaseToolHandler } from '../base/BaseToolHandler.js';
+import { getTestRunHistory } from '../../core/testRunHistory.js';
+import { cancelTestRun, waitForTestRun } from '../../core/testRunWait.js';
 
 /**
  * Handler for running tests in Unity
@@ -35,6 +37,30 @@ export class RunTestsToolHandler extends BaseToolHandler {
             type: 'array',
             items: { type: 'string' },
             description: 'Exclude tests with these categories'
+          },
+          await: {
+            type: 'boolean',
+            description: 'Wait for the run to finish, streaming per-test progress, and return the failures (default: false)',
+            default: false
+          },
+          timeoutMs: {
+            type: 'number',
+            description: 'Maximum time to wait when await is true, in milliseconds (default: 600000)'
+          },
+          pollIntervalMs: {
+            type: 'number',
+            description: 'Polling interval when await is true, in milliseconds (default: 1000)'
+          },
+          rerunFailed: {
+            type: 'boolean',
+            description: 'Wait for the run, rerun the failed tests once and classify each failure as flaky or consistent',
+            default: false
+          },
+          repeat: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10,
+            description: 'Rerun failed tests up to this many times; implies rerunFailed'
           }
         },
         required: []
@@ -44,10 +70,22 @@ export class RunTestsToolHandler extends BaseToolHandler {
     this.unityConnection = unityConnection;
   }
 
+  /**
+   * Validates that reruns are not combined with await: false
+   * @param {object} params - Input parameters
+   */
+  validate(params) {
+    super.validate(params);
+
+    if (params.await === false && (params.rerunFailed || params.repeat !== undefined)) {
+      throw new Error('rerunFailed and repeat wait for the run to finish; omit await or set it to true');
+    }
+  }
+
   /**
    * Executes the run tests command
    * @param {object} params - Input parameters
-   * @returns {Promise<object>} Test execution status
+   * @returns {Promise<object>} Test execution status, or the finished run when awaited
    */
   async execute(params, context) {
     // Ensure connected
@@ -76,18 +114,132 @@ export class RunTestsToolHandler extends BaseToolHandler {
       excludeCategories: params.excludeCategories
     });
 
+    // The run has started; stop it instead of leaving it running unobserved
     if (context?.signal?.aborted) {
+      await cancelTestRun(this.unityConnection);
       const error = new Error('Request cancelled');
       error.code = 'REQUEST_CANCELLED';
       throw error;
     }
 
+    const reruns = params.repeat ?? (params.rerunFailed ? 1 : 0);
+    const wait = params.await || reruns > 0;
+    if (wait && result?.runId) {
+      const run = await waitForTestRun(this.unityConnection, {
+        runId: result.runId,
+        timeoutMs: params.timeoutMs,
+        pollIntervalMs: params.pollIntervalMs
+      }, context);
+
+      return reruns > 0 && run.completed && run.failures.length > 0
+        ? this.rerunFailures(params, run, reruns, context)
+        : run;
+    }
+
     await context?.sendProgress?.({
       progress: 1,
       total: 1,
       message: 'Unity test run request complete'
     });
-    
+
+    // Unity packages from before run ids give nothing to tell this run from the next one
+    if (wait) {
+      return {
+        ...result,
+        warning: `Unity did not return a runId, so the run was not awaited${reruns > 0 ? ' and failed tests were not rerun' : ''}; ` +
+          'update the Unity package or poll get_test_results until isRunning is false'
+      };
+    }
     return result;
   }
+
+  /**
+   * Reruns the failed tests of a finished run, each until it passes or has
+   * failed every attempt, and records whether it is flaky or consistent.
+   * @param {object} params - Input parameters
+   * @param {object} run - Result of the awaited run
+   * @param {number} reruns - Maximum reruns per test
+   * @param {object} [context] - Request context
+   * @returns {Promise<object>} The run with classified failures
+   */
+  async rerunFailures(params, run, reruns, context) {
+    const history = getTestRunHistory(this.unityConnection);
+    const stats = new Map(run.failures.map((failure) => [failure.name, { attempts: 1, passes: 0 }]));
+    const attempts = [];
+    let pending = [...stats.keys()];
+    // Reruns count their tests from zero; continue after the tests already reported
+    let reported = run.summary?.total ?? 0;
+
+    for (let attempt = 1; attempt <= reruns && pending.length > 0; attempt++) {
+      const offset = reported;
+      const rerunContext = {
+        ...context,
+        sendProgress: context?.sendProgress && ((update) => context.sendProgress({
+          progress: offset + update.progress,
+          message: `Rerun ${attempt}/${reruns}: ${update.message}`
+        }))
+      };
+      reported += pending.length;
+
+      const started = await this.unityConnection.sendCommand('run_tests', {
+        testMode: params.testMode,
+        testNames: pending
+      });
+      if (!started?.runId) {
+        break;
+      }
+
+      const rerun = await waitForTestRun(this.unityConnection, {
+        runId: started.runId,
+        rerunOf: run.runId,
+        timeoutMs: params.timeoutMs,
+        pollIntervalMs: params.pollIntervalMs
+      }, rerunContext);
+      attempts.push({
+        attempt,
+        runId: rerun.runId,
+        tests: pending.length,
+        failed: rerun.failures?.length ?? 0,
+        ...(rerun.timedOut && { timedOut: true })
+      });
+      if (!rerun.completed) {
+        break;
+      }
+
+      // Tests missing from the rerun are left unverified rather than counted as passing
+      const statuses = new Map((history.get(rerun.runId)?.tests ?? []).map((test) => [test.name, test.status]));
+      for (const name of pending) {
+        const status = statuses.get(name);
+        if (status === 'Passed' || status === 'Failed') {
+          stats.get(name).attempts++;
+          if (status === 'Passed') {
+            stats.get(name).passes++;
+          }
+        }
+      }
+      pending = pending.filter((name) => statuses.get(name) === 'Failed');
+    }
+
+    const failures = run.failures.map((failure) => {
+      const { attempts: runs, passes } = stats.get(failure.name);
+      const classification = passes > 0 ? 'flaky' : runs > 1 ? 'consistent' : 'unverified';
+      return { ...failure, classification, attempts: runs, passes };
+    });
+    history.recordClassifications(failures
+      .filter((failure) => failure.classification !== 'unverified')
+      .map(({ name, classification, attempts: runs, passes }) => ({ name, classification, attempts: runs, passes, runId: run.runId })));
+
+    const namesOf = (classification) => failures
+      .filter((failure) => failure.classification === classification)
+      .map((failure) => failure.name);
+    return {
+      ...run,
+      // Failures that passed on a rerun do not fail the run
+      success: failures.every((failure) => failure.classification === 'flaky'),
+      failures,
+      flaky: namesOf('flaky'),
+      consistentFailures: namesOf('consistent'),
+      reruns: attempts
+    };
+  }
 }
@@ -0,0 +1,110 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AssemblyDefinitions } from '../../../src/core/assemblyDefinitions.js';
+
+const GAME_GUID = '0123456789abcdef0123456789abcdef';
+
+function writeAsset(projectRoot, assetPath, content, guid) {
+  const filePath = path.join(projectRoot, assetPath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 4));
+  if (guid) {
+    fs.writeFileSync(`${filePath}.meta`, `fileFormatVersion: 2\nguid: ${guid}\n`);
+  }
+}
+
+describe('AssemblyDefinitions', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-asmdef-'));
+    writeAsset(projectRoot, 'Assets/Scripts/Game.asmdef', { name: 'Game', rootNamespace: 'Game', references: [] }, GAME_GUID);
+    writeAsset(projectRoot, 'Assets/Scripts/Editor/Game.Editor.asmdef', {
+      name: 'Game.Editor',
+      references: [`GUID:${GAME_GUID}`],
+      includePlatforms: ['Editor']
+    });
+    writeAsset(projectRoot, 'Assets/Addons/Combat/Combat.asmref', { reference: `GUID:${GAME_GUID}` });
+    writeAsset(projectRoot, 'Library/PackageCache/com.unity.textmeshpro@3.0.6/Scripts/Runtime/Unity.TextMeshPro.asmdef', '\uFEFF{ "name": "Unity.TextMeshPro" }');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('lists and describes assemblies with resolved references', () => {
+    const definitions = new AssemblyDefinitions(projectRoot);
+
+    assert.deepEqual(definitions.list().map((assembly) => assembly.name).sort(), ['Game', 'Game.Editor']);
+    assert.equal(definitions.list({ includePackages: true }).length, 3);
+
+    const game = definitions.get('Game');
+    assert.equal(game.guid, GAME_GUID);
+    assert.deepEqual(game.referencedBy, ['Game.Editor']);
+    assert.deepEqual(game.asmrefs, ['Assets/Addons/Combat/Combat.asmref']);
+    assert.deepEqual(definitions.get('Assets/Scripts/Editor/Game.Editor.asmdef').references, [
+      { reference: `GUID:${GAME_GUID}`, name: 'Game', path: 'Assets/Scripts/Game.asmdef' }
+    ]);
+    assert.throws(() => definitions.get('Missing'), (error) => error.code === 'NOT_FOUND' && error.details.available.includes('Game'));
+  });
+
+  it('resolves scripts through asmdefs, asmrefs and predefined assemblies', () => {
+    const definitions = new AssemblyDefinitions(projectRoot);
+
+    assert.equal(definitions.resolveScript('Assets/Scripts/Player/Player.cs').assembly, 'Game');
+    assert.deepEqual(definitions.resolveScript('Assets/Scripts/Editor/Tools/PlayerEditor.cs'), {
+      assembly: 'Game.Editor',
+      asmdefPath: 'Assets/Scripts/Editor/Game.Editor.asmdef',
+      isEditorOnly: true,
+      predefined: false
+    });
+    assert.equal(definitions.resolveScript('Assets/Addons/Combat/Sword.cs').asmrefPath, 'Assets/Addons/Combat/Combat.asmref');
+    assert.equal(definitions.resolveScript('Assets/Other/Editor/Menu.cs').assembly, 'Assembly-CSharp-Editor');
+    assert.equal(definitions.resolveScript('Assets/Plugins/Native.cs').assembly, 'Assembly-CSharp-firstpass');
+    assert.equal(definitions.resolveScript('Assets/Other/Loose.cs').predefined, true);
+    assert.equal(definitions.resolveScript('Packages/com.example.tool/Runtime/Tool.cs').assembly, null);
+  });
+
+  it('plans new assembly definitions', () => {
+    const definitions = new AssemblyDefinitions(projectRoot);
+
+    const plan = definitions.planCreate({ name: 'Game.Tests', folderPath: 'Assets/Tests/', references: ['Game'], defineConstraints: ['UNITY_INCLUDE_TESTS'] });
+    assert.equal(plan.path, 'Assets/Tests/Game.Tests.asmdef');
+    assert.deepEqual(plan.definition.references, ['Game']);
+    assert.deepEqual(JSON.parse(plan.content).defineConstraints, ['UNITY_INCLUDE_TESTS']);
+
+    assert.throws(() => definitions.planCreate({ name: 'Game', folderPath: 'Assets/Other' }), { code: 'ASSEMBLY_EXISTS' });
+    assert.throws(() => definitions.planCreate({ name: 'Other', folderPath: 'Assets/Scripts' }), { code: 'ASSEMBLY_EXISTS' });
+    assert.throws(() => definitions.planCreate({ name: 'Bad Name', folderPath: 'Assets/Other' }), /valid assembly name/);
+    assert.throws(() => definitions.planCreate({ name: 'X', folderPath: 'Assets/X', includePlatforms: ['Editor'], excludePlatforms: ['iOS'] }), /not both/);
+  });
+
+  it('plans reference, platform and define edits', () => {
+    const definitions = new AssemblyDefinitions(projectRoot);
+
+    const added = definitions.planUpdate('Game', 'add_reference', { reference: 'Unity.TextMeshPro' });
+    assert.deepEqual(added.definition.references, ['Unity.TextMeshPro']);
+    assert.equal(added.changed, true);
+
+    // Already referenced by GUID, so nothing changes
+    assert.equal(definitions.planUpdate('Game.Editor', 'add_reference', { reference: 'Game' }).changed, false);
+    assert.throws(() => definitions.planUpdate('Game', 'add_reference', { reference: 'Game.Editor' }), { code: 'ASSEMBLY_CYCLE' });
+
+    assert.deepEqual(definitions.planUpdate('Game.Editor', 'remove_reference', { reference: 'Game' }).definition.references, []);
+    assert.throws(() => definitions.planUpdate('Game', 'remove_reference', { reference: 'Game.Editor' }), { code: 'NOT_FOUND' });
+
+    const platforms = definitions.planUpdate('Game.Editor', 'set_platforms', { excludePlatforms: ['WebGL'] });
+    assert.deepEqual([platforms.definition.includePlatforms, platforms.definition.excludePlatforms], [[], ['WebGL']]);
+    assert.deepEqual(definitions.planUpdate('Game', 'set_defines', { defineConstraints: ['ENABLE_CHEATS'] }).definition.defineConstraints, ['ENABLE_CHEATS']);
+  });
+
+  it('refuses to edit assemblies of immutable packages', () => {
+    const definitions = new AssemblyDefinitions(projectRoot);
+
+    assert.throws(() => definitions.planUpdate('Unity.TextMeshPro', 'set_defines', { defineConstraints: ['X'] }), { code: 'ASSEMBLY_READ_ONLY' });
+    assert.throws(() => definitions.planUpdate('Unity.TextMeshPro', 'add_reference', { reference: 'Game' }), { code: 'ASSEMBLY_READ_ONLY' });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  formatSourceContext,
+  parseCompilerMessage,
+  processCompilationMessages,
+  recordCompilationCursor
+} from '../../../src/core/compilationMessages.js';
+import { SymbolIndex } from '../../../src/core/symbolIndex.js';
+
+const UNKNOWN_NAME = {
+  type: 'Error',
+  message: "Assets/Scripts/Player.cs(4,9): error CS0103: The name 'sped' does not exist in the current context",
+  file: 'Assets/Scripts/Player.cs',
+  line: 4,
+  column: 9,
+  assembly: 'Assembly-CSharp'
+};
+
+describe('compilationMessages', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-compilation-'));
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Scripts'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/Player.cs'), [
+      'public class Player : UnityEngine.MonoBehaviour',
+      '{',
+      '    void Update() {',
+      '        sped = 1;',
+      '    }',
+      '}',
+      ''
+    ].join('\r\n'));
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/Health.cs'), 'namespace Game.Combat { public class Health { } }\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('parses compiler and console formats', () => {
+    assert.deepEqual(parseCompilerMessage({ message: 'Assets\\Scripts\\Enemy.cs:12:3: warning CS0414: The field is assigned but its value is never used [C:\\Game\\Assembly-CSharp.csproj]' }), {
+      type: 'Warning',
+      code: 'CS0414',
+      file: 'Assets/Scripts/Enemy.cs',
+      line: 12,
+      column: 3,
+      message: 'The field is assigned but its value is never used',
+      assemblies: []
+    });
+    assert.deepEqual(parseCompilerMessage({ type: 'Error', message: 'CS0103' }).code, 'CS0103');
+  });
+
+  it('deduplicates across assemblies and log sources and annotates source context', () => {
+    const result = processCompilationMessages([
+      UNKNOWN_NAME,
+      { ...UNKNOWN_NAME, assembly: 'Game.Editor' },
+      { ...UNKNOWN_NAME, message: "The name 'sped' does not exist in the current context", assembly: undefined }
+    ], { projectRoot });
+
+    assert.equal(result.messageCount, 1);
+    assert.equal(result.errorCount, 1);
+    assert.deepEqual(result.messages[0].assemblies, ['Assembly-CSharp', 'Game.Editor']);
+    assert.match(result.messages[0].hint, /not declared in this scope/);
+    assert.equal(result.messages[0].context, [
+      '  2 | {',
+      '  3 |     void Update() {',
+      '> 4 |         sped = 1;',
+      '    |         ^',
+      '  5 |     }',
+      '  6 | }'
+    ].join('\n'));
+    assert.deepEqual(result.files, [{ file: 'Assets/Scripts/Player.cs', errorCount: 1, warningCount: 0, lines: [4] }]);
+  });
+
+  it('returns only messages introduced since a cursor', () => {
+    const before = processCompilationMessages([UNKNOWN_NAME]);
+
+    const shifted = { ...UNKNOWN_NAME, line: 6, message: UNKNOWN_NAME.message.replace('(4,9)', '(6,9)') };
+    const added = { type: 'Error', message: 'Assets/Scripts/Enemy.cs(3,1): error CS1002: ; expected' };
+    const after = processCompilationMessages([shifted, added], { since: before.cursor, contextLines: 0 });
+
+    assert.deepEqual(after.messages.map((message) => message.file), ['Assets/Scripts/Enemy.cs']);
+    assert.equal(after.newErrorCount, 1);
+    assert.equal(after.resolvedCount, 0);
+    assert.equal(after.errorCount, 2);
+    assert.equal(processCompilationMessages([], { since: after.cursor }).resolvedCount, 2);
+    assert.equal(processCompilationMessages([added], { since: 'c0' }).sinceExpired, true);
+  });
+
+  it('records a cursor for messages that were not reported', () => {
+    const cursor = recordCompilationCursor([UNKNOWN_NAME, { ...UNKNOWN_NAME, assembly: 'Game.Editor' }]);
+    const added = { type: 'Error', message: 'Assets/Scripts/Enemy.cs(3,1): error CS1002: ; expected' };
+
+    const after = processCompilationMessages([UNKNOWN_NAME, added], { since: cursor, contextLines: 0 });
+
+    assert.equal(after.sinceExpired, undefined);
+    assert.deepEqual(after.messages.map((message) => message.file), ['Assets/Scripts/Enemy.cs']);
+  });
+
+  it('suggests using directives for types declared in the project', () => {
+    const result = processCompilationMessages([{
+      type: 'Error',
+      message: "Assets/Scripts/Player.cs(8,5): error CS0246: The type or namespace name 'Health' could not be found (are you missing a using directive or an assembly reference?)"
+    }], { projectRoot, symbolIndex: new SymbolIndex(projectRoot) });
+
+    assert.equal(result.messages[0].hint, 'Health is declared in "Game.Combat"; add using Game.Combat;');
+    assert.equal(result.messages[0].context, undefined);
+  });
+
+  it('formats context at file boundaries', () => {
+    assert.equal(formatSourceContext(['a', 'b'], 1, 0, 3), '> 1 | a\n  2 | b');
+    assert.equal(formatSourceContext(['a'], 5, 1), null);
+  });
+});
@@ -154,6 +154,37 @@ describe('waitForCompilation', () => {
     assert.equal(result.timedOut, true);
     assert.equal(result.isCompiling, true);
   });
+
+  it('parses final messages and filters them by a since cursor', async () => {
+    let messages = [{ type: 'Error', message: "Assets/A.cs(3,5): error CS0103: The name 'x' does not exist in the current context" }];
+    const connection = createConnection(async (command, params) => ({
+      success: true,
+      isCompiling: false,
+      isUpdating: false,
+      errorCount: params.includeMessages ? messages.length : 0,
+      warningCount: 0,
+      ...(params.includeMessages && { messages })
+    }));
+    const options = { timeoutMs: 100, pollIntervalMs: 1, settleMs: 0 };
+
+    const first = await waitForCompilation(connection, options);
+    messages = [...messages, { type: 'Error', message: 'Assets/B.cs(1,1): error CS1002: ; expected' }];
+    const second = await waitForCompilation(connection, { ...options, since: first.cursor });
+
+    assert.deepEqual(first.messages[0], {
+      type: 'Error',
+      code: 'CS0103',
+      file: 'Assets/A.cs',
+      line: 3,
+      column: 5,
+      message: "The name 'x' does not exist in the current context",
+      hint: 'The name is not declared in this scope; check the spelling, declare it, or add the missing using directive.'
+    });
+    assert.deepEqual(second.messages.map((message) => message.code), ['CS1002']);
+    assert.equal(second.errorCount, 2);
+    assert.equal(second.newErrorCount, 1);
+    assert.deepEqual(second.files, [{ file: 'Assets/B.cs', errorCount: 1, warningCount: 0, lines: [1] }]);
+  });
 });
 
 function createConnection(sendCommand) {
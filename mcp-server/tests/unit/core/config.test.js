@@ -11,6 +11,8 @@ describe('Config', () => {
       assert.equal(config.unity.maxReconnectDelay, 30000);
       assert.equal(config.unity.reconnectBackoffMultiplier, 2);
       assert.equal(config.unity.commandTimeout, 30000);
+      assert.equal(config.unity.maxInFlightCommands, 4);
+      assert.equal(config.unity.maxResponseBytes, 64 * 1024 * 1024);
     });
 
     it('should have correct server settings', () => {
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskNonCode, parseCSharpOutline } from '../../../src/core/csharpOutline.js';
+
+const PLAYER = `using UnityEngine;
+using System.Collections.Generic;
+
+namespace Game.Player
+{
+    /// <summary>
+    /// Applies damage to the player and tracks lives.
+    /// </summary>
+    [RequireComponent(typeof(Rigidbody)), DisallowMultipleComponent]
+    public class PlayerHealth : MonoBehaviour, IDamageable
+    {
+        [SerializeField] private float invulnerableTime = 0.5f;
+        public int lives = 3, shields;
+        [System.NonSerialized] public int hitsThisFrame;
+        private static readonly string Tag = "Player { not a scope";
+        public const int MaxLives = 9;
+        [field: SerializeField] public Vector3 Spawn { get; private set; }
+        public List<int> History { get; } = new List<int> { 1, 2 };
+        public event System.Action<int> Damaged;
+        public bool IsDead => lives <= 0;
+
+        public void TakeDamage(int amount, ref bool killed)
+        {
+            if (amount > 0) { lives--; }
+            var message = $"{amount} damage }}";
+        }
+
+        public enum State { Alive, Dead = 2 }
+    }
+
+    public interface IDamageable { void TakeDamage(int amount, ref bool killed); }
+}
+`;
+
+describe('csharpOutline', () => {
+  it('masks comments, strings and preprocessor lines without moving offsets', () => {
+    const source = '#if UNITY_EDITOR\nvar a = "x { y"; // }\n/* { */ char c = \'{\';\nvar b = @"a ""{"" b";\n#endif';
+    const masked = maskNonCode(source);
+
+    assert.equal(masked.length, source.length);
+    assert.equal(masked.split('\n').length, source.split('\n').length);
+    assert.doesNotMatch(masked, /[{}#"']/);
+    assert.match(masked, /var a =/);
+  });
+
+  it('outlines namespaces, types, base types, attributes and doc summaries', () => {
+    const outline = parseCSharpOutline(PLAYER);
+
+    assert.deepEqual(outline.usings, ['UnityEngine', 'System.Collections.Generic']);
+    assert.deepEqual(outline.namespaces, ['Game.Player']);
+    assert.deepEqual(outline.types.map((type) => [type.kind, type.fullName, type.line, type.endLine]), [
+      ['class', 'Game.Player.PlayerHealth', 10, 29],
+      ['enum', 'Game.Player.PlayerHealth.State', 28, 28],
+      ['interface', 'Game.Player.IDamageable', 31, 31]
+    ]);
+
+    const [player, state] = outline.types;
+    assert.deepEqual(player.baseTypes, ['MonoBehaviour', 'IDamageable']);
+    assert.deepEqual(player.attributes, [
+      { name: 'RequireComponent', arguments: 'typeof(Rigidbody)' },
+      { name: 'DisallowMultipleComponent' }
+    ]);
+    assert.equal(player.summary, 'Applies damage to the player and tracks lives.');
+    assert.equal(state.containerName, 'Game.Player.PlayerHealth');
+    assert.deepEqual(state.members.map((member) => member.name), ['Alive', 'Dead']);
+  });
+
+  it('applies Unity serialization rules to fields and auto-properties', () => {
+    const members = parseCSharpOutline(PLAYER).types[0].members;
+    const serialized = Object.fromEntries(members.filter((member) => 'serialized' in member).map((member) => [member.name, member.serialized]));
+
+    assert.deepEqual(serialized, {
+      invulnerableTime: true,
+      lives: true,
+      shields: true,
+      hitsThisFrame: false,
+      Tag: false,
+      MaxLives: false,
+      Spawn: true,
+      History: false,
+      IsDead: false
+    });
+  });
+
+  it('parses methods, events and property kinds with line numbers', () => {
+    const members = parseCSharpOutline(PLAYER).types[0].members;
+    const takeDamage = members.find((member) => member.name === 'TakeDamage');
+
+    assert.deepEqual(members.map((member) => `${member.kind}:${member.name}`), [
+      'field:invulnerableTime', 'field:lives', 'field:shields', 'field:hitsThisFrame', 'field:Tag', 'field:MaxLives',
+      'property:Spawn', 'property:History', 'event:Damaged', 'property:IsDead', 'method:TakeDamage'
+    ]);
+    assert.equal(takeDamage.line, 22);
+    assert.equal(takeDamage.returnType, 'void');
+    assert.deepEqual(takeDamage.parameters, [{ name: 'amount', type: 'int' }, { name: 'killed', type: 'bool' }]);
+  });
+
+  it('handles file-scoped namespaces, records, generics, delegates and constructors', () => {
+    const outline = parseCSharpOutline(`namespace Game.Data;
+
+public record Score(string Player, int Points);
+public delegate void ScoreChanged(Score score);
+public sealed class Repository<T> : ScriptableObject where T : class
+{
+    public Repository() { }
+    public T this[int index] => default;
+    private System.Func<int, int> scale = value => value * 2;
+    protected virtual IEnumerator<T> Load<TKey>(TKey key) where TKey : struct { yield break; }
+    public static Repository<T> operator +(Repository<T> a, Repository<T> b) => a;
+}
+`);
+
+    assert.deepEqual(outline.types.map((type) => [type.kind, type.fullName, type.baseTypes]), [
+      ['record', 'Game.Data.Score', []],
+      ['delegate', 'Game.Data.ScoreChanged', []],
+      ['class', 'Game.Data.Repository', ['ScriptableObject']]
+    ]);
+    assert.deepEqual(outline.types[0].members.map((member) => [member.kind, member.name, member.type]), [
+      ['property', 'Player', 'string'],
+      ['property', 'Points', 'int']
+    ]);
+    assert.deepEqual(outline.types[2].members.map((member) => `${member.kind}:${member.name}`), [
+      'constructor:Repository', 'indexer:this[]', 'field:scale', 'method:Load', 'operator:operator +'
+    ]);
+    assert.equal(outline.types[2].members.find((member) => member.name === 'Load').returnType, 'IEnumerator<T>');
+  });
+});
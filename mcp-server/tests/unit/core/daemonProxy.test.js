@@ -1,6 +1,17 @@
 import { describe, it, mock } from 'node:test';
 import assert from 'node:assert/strict';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  CreateMessageRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListToolsRequestSchema,
+  LoggingMessageNotificationSchema,
+  ReadResourceRequestSchema,
+  ResourceUpdatedNotificationSchema,
+  SetLevelRequestSchema,
+  SubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { registerDaemonProxyHandlers } from '../../../src/core/daemonProxy.js';
 
 describe('daemon proxy handlers', () => {
@@ -90,4 +101,158 @@ describe('daemon proxy handlers', () => {
     assert.equal(onClientError.mock.calls.length, 1);
     assert.equal(getClient.mock.calls[1].arguments[0].forceRefresh, true);
   });
+
+  it('forwards resource reads and subscriptions, re-subscribing refreshed clients', async () => {
+    const requestHandlers = new Map();
+    const server = {
+      setRequestHandler: mock.fn((schema, handler) => {
+        requestHandlers.set(schema, handler);
+      }),
+      sendResourceUpdated: mock.fn(async () => {})
+    };
+    const createClient = () => {
+      const client = {
+        notificationHandlers: new Map(),
+        setNotificationHandler: mock.fn((schema, handler) => {
+          client.notificationHandlers.set(schema, handler);
+        }),
+        readResource: mock.fn(async ({ uri }) => ({ contents: [{ uri, text: '{}' }] })),
+        subscribeResource: mock.fn(async () => ({}))
+      };
+      return client;
+    };
+    const staleClient = createClient();
+    const refreshedClient = createClient();
+    staleClient.readResource = mock.fn(async () => {
+      throw new Error('transport closed');
+    });
+
+    registerDaemonProxyHandlers(server, {
+      getClient: async ({ forceRefresh } = {}) => (forceRefresh ? refreshedClient : staleClient),
+      onClientError: async () => {}
+    });
+
+    const uri = 'unity://scene/active/hierarchy';
+    await requestHandlers.get(SubscribeRequestSchema)({ params: { uri } });
+    assert.deepEqual(staleClient.subscribeResource.mock.calls[0].arguments[0], { uri });
+
+    await staleClient.notificationHandlers.get(ResourceUpdatedNotificationSchema)({
+      method: 'notifications/resources/updated',
+      params: { uri }
+    });
+    assert.deepEqual(server.sendResourceUpdated.mock.calls[0].arguments[0], { uri });
+
+    const read = await requestHandlers.get(ReadResourceRequestSchema)({ params: { uri } });
+    assert.equal(read.contents[0].uri, uri);
+    assert.deepEqual(refreshedClient.subscribeResource.mock.calls[0].arguments[0], { uri });
+    assert.ok(refreshedClient.notificationHandlers.has(ResourceUpdatedNotificationSchema));
+  });
+
+  it('forwards prompt listing and rendering to the daemon MCP client', async () => {
+    const requestHandlers = new Map();
+    const server = {
+      setRequestHandler: mock.fn((schema, handler) => {
+        requestHandlers.set(schema, handler);
+      })
+    };
+    const daemonClient = {
+      listPrompts: mock.fn(async () => ({ prompts: [{ name: 'smoke_test_scene' }] })),
+      getPrompt: mock.fn(async () => ({ messages: [] }))
+    };
+
+    registerDaemonProxyHandlers(server, {
+      getClient: async () => daemonClient
+    });
+
+    const list = await requestHandlers.get(ListPromptsRequestSchema)({ params: {} });
+    assert.equal(list.prompts[0].name, 'smoke_test_scene');
+
+    const params = { name: 'smoke_test_scene', arguments: { scenePath: 'Assets/Scenes/Main.unity' } };
+    await requestHandlers.get(GetPromptRequestSchema)({ params });
+    assert.deepEqual(daemonClient.getPrompt.mock.calls[0].arguments[0], params);
+  });
+
+  it('forwards editor event notifications and restores filters on refreshed clients', async () => {
+    const requestHandlers = new Map();
+    const server = {
+      setRequestHandler: mock.fn((schema, handler) => {
+        requestHandlers.set(schema, handler);
+      }),
+      sendLoggingMessage: mock.fn(async () => {})
+    };
+    const createClient = () => {
+      const client = {
+        notificationHandlers: new Map(),
+        setNotificationHandler: (schema, handler) => client.notificationHandlers.set(schema, handler),
+        setLoggingLevel: mock.fn(async () => ({})),
+        callTool: mock.fn(async () => ({ content: [] }))
+      };
+      return client;
+    };
+    const staleClient = createClient();
+    const refreshedClient = createClient();
+    let useRefreshed = false;
+
+    registerDaemonProxyHandlers(server, {
+      getClient: async () => (useRefreshed ? refreshedClient : staleClient)
+    });
+
+    await requestHandlers.get(CallToolRequestSchema)({
+      params: { name: 'subscribe_editor_events', arguments: { events: ['console_log'], level: 'warning' } }
+    });
+    await requestHandlers.get(SetLevelRequestSchema)({ params: { level: 'error' } });
+    assert.equal(staleClient.setLoggingLevel.mock.calls[0].arguments[0], 'error');
+
+    const params = { level: 'error', logger: 'unity', data: { event: 'console_log' } };
+    await staleClient.notificationHandlers.get(LoggingMessageNotificationSchema)({ method: 'notifications/message', params });
+    assert.deepEqual(server.sendLoggingMessage.mock.calls[0].arguments[0], params);
+
+    useRefreshed = true;
+    await requestHandlers.get(CallToolRequestSchema)({ params: { name: 'ping', arguments: {} } });
+    assert.equal(refreshedClient.setLoggingLevel.mock.calls[0].arguments[0], 'error');
+    assert.deepEqual(refreshedClient.callTool.mock.calls[0].arguments[0], {
+      name: 'subscribe_editor_events',
+      arguments: { events: ['console_log'], level: 'error' }
+    });
+  });
+
+  it('forwards sampling requests from the daemon only when the client supports sampling', async () => {
+    const requestHandlers = new Map();
+    let clientCapabilities = { sampling: {} };
+    const samplingResult = { role: 'assistant', content: { type: 'text', text: 'Looks fine' }, model: 'client-model' };
+    const server = {
+      setRequestHandler: mock.fn((schema, handler) => {
+        requestHandlers.set(schema, handler);
+      }),
+      getClientCapabilities: () => clientCapabilities,
+      createMessage: mock.fn(async () => samplingResult)
+    };
+    const createClient = () => {
+      const client = {
+        requestHandlers: new Map(),
+        setRequestHandler: (schema, handler) => client.requestHandlers.set(schema, handler),
+        listTools: mock.fn(async () => ({ tools: [] }))
+      };
+      return client;
+    };
+    const samplingClient = createClient();
+    const plainClient = createClient();
+    let client = samplingClient;
+
+    registerDaemonProxyHandlers(server, {
+      getClient: async () => client
+    });
+
+    await requestHandlers.get(ListToolsRequestSchema)({}, {});
+    const params = { messages: [{ role: 'user', content: { type: 'text', text: 'Check this' } }], maxTokens: 100 };
+    const result = await samplingClient.requestHandlers.get(CreateMessageRequestSchema)({ method: 'sampling/createMessage', params }, {});
+
+    assert.deepEqual(result, samplingResult);
+    assert.deepEqual(server.createMessage.mock.calls[0].arguments[0], params);
+
+    clientCapabilities = {};
+    client = plainClient;
+    await requestHandlers.get(ListToolsRequestSchema)({}, {});
+    assert.equal(plainClient.requestHandlers.has(CreateMessageRequestSchema), false);
+  });
 });
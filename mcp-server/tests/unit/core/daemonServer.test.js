@@ -4,7 +4,9 @@ import fsp from 'fs/promises';
 import http from 'http';
 import os from 'os';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
 import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
 import { startDaemonServer } from '../../../src/core/daemonServer.js';
 import { readDaemonRegistry } from '../../../src/core/daemonRegistry.js';
@@ -97,6 +99,48 @@ describe('daemon server', () => {
     }
   });
 
+  it('serves MCP resources and pushes updates to subscribed sessions', async () => {
+    const registryDir = await makeTempDir();
+    const unityConnection = Object.assign(new EventEmitter(), {
+      isConnected: () => true,
+      connect: async () => {},
+      disconnect: () => {},
+      getConnectionInfo: () => ({ connected: true, endpoint: { port: 6400 } }),
+      sendCommand: async (type) => (type === 'read_logs' ? { logs: [] } : {})
+    });
+    const daemon = await startDaemonServer({
+      host: '127.0.0.1',
+      port: 0,
+      registryDir,
+      unityConnection,
+      connectToUnity: false
+    });
+    servers.push(daemon);
+
+    const client = new Client(
+      { name: 'daemon-server-test', version: '1.0.0' },
+      { capabilities: {} }
+    );
+    const transport = new StreamableHTTPClientTransport(new URL(daemon.url));
+    try {
+      await client.connect(transport);
+      const updated = new Promise((resolve) => {
+        client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => resolve(notification.params.uri));
+      });
+
+      const resources = await client.listResources();
+      const read = await client.readResource({ uri: 'unity://console/latest' });
+      await client.subscribeResource({ uri: 'unity://console/latest' });
+      unityConnection.emit('unityEvent', { event: 'log_messages', data: { entries: [] } });
+
+      assert.ok(resources.resources.some((resource) => resource.uri === 'unity://scene/active/hierarchy'));
+      assert.deepEqual(JSON.parse(read.contents[0].text), { logs: [] });
+      assert.equal(await updated, 'unity://console/latest');
+    } finally {
+      await client.close();
+    }
+  });
+
   it('accepts a fresh Streamable HTTP client after the previous client closes', async () => {
     const registryDir = await makeTempDir();
     const unityConnection = createMockUnityConnection();
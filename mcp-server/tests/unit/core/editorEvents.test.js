@@ -0,0 +1,118 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import {
+  EditorEventHub,
+  EditorEventSubscription,
+  toEditorNotifications
+} from '../../../src/core/editorEvents.js';
+import { createServer } from '../../../src/core/server.js';
+
+function createConnection() {
+  const connection = new EventEmitter();
+  connection.isConnected = () => true;
+  connection.sendCommand = mock.fn(async () => ({}));
+  return connection;
+}
+
+describe('toEditorNotifications', () => {
+  it('maps console entries to notification levels by log type', () => {
+    const notifications = toEditorNotifications({
+      event: 'log_messages',
+      data: {
+        entries: [
+          { type: 'Log', message: 'hello' },
+          { type: 'Warning', message: 'careful' },
+          { type: 'Exception', message: 'NullReferenceException', stackTrace: 'at Player.Update()' }
+        ]
+      }
+    });
+
+    assert.deepEqual(notifications.map((notification) => notification.level), ['debug', 'warning', 'error']);
+    assert.equal(notifications[2].event, 'console_log');
+    assert.equal(notifications[2].data.stackTrace, 'at Player.Update()');
+  });
+
+  it('raises failed compilations to error level and ignores unrelated events', () => {
+    assert.equal(toEditorNotifications({ event: 'compilation_finished', data: { errorCount: 2 } })[0].level, 'error');
+    assert.equal(toEditorNotifications({ event: 'compilation_finished', data: { errorCount: 0 } })[0].level, 'info');
+    assert.equal(toEditorNotifications({ event: 'play_mode_changed', data: { state: 'EnteredPlayMode' } })[0].level, 'info');
+    assert.deepEqual(toEditorNotifications({ event: 'hierarchy_changed', data: {} }), []);
+  });
+});
+
+describe('EditorEventSubscription', () => {
+  it('filters by event type and minimum level', () => {
+    const subscription = new EditorEventSubscription();
+    assert.equal(subscription.accepts({ event: 'console_log', level: 'debug' }), false);
+    assert.equal(subscription.accepts({ event: 'scene_loaded', level: 'info' }), true);
+
+    subscription.update({ events: ['console_log'], level: 'error' });
+    assert.equal(subscription.accepts({ event: 'console_log', level: 'warning' }), false);
+    assert.equal(subscription.accepts({ event: 'console_log', level: 'error' }), true);
+    assert.equal(subscription.accepts({ event: 'scene_loaded', level: 'error' }), false);
+  });
+});
+
+describe('EditorEventHub', () => {
+  it('registers with Unity for the first session and after reconnecting', async () => {
+    const connection = createConnection();
+    const hub = new EditorEventHub(connection);
+    const received = [];
+
+    const detach = hub.attach((notification) => received.push(notification));
+    hub.attach(() => {});
+    connection.emit('connected');
+    await new Promise((resolve) => setImmediate(resolve));
+    connection.emit('unityEvent', { event: 'scene_loaded', data: { scenePath: 'Assets/Scenes/Main.unity' } });
+    detach();
+    connection.emit('unityEvent', { event: 'scene_loaded', data: {} });
+
+    assert.equal(connection.sendCommand.mock.calls.filter((call) => call.arguments[0] === 'ping').length, 2);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].data.scenePath, 'Assets/Scenes/Main.unity');
+  });
+});
+
+describe('MCP editor event notifications', () => {
+  it('sends filtered notifications and honors logging/setLevel and subscribe_editor_events', async () => {
+    const { server, unityConnection } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' }
+    });
+    server.sendLoggingMessage = mock.fn(async () => {});
+    const request = (method, params) => server._requestHandlers.get(method)({ method, params }, {});
+    const emitLogs = (...types) => unityConnection.emit('unityEvent', {
+      event: 'log_messages',
+      data: { entries: types.map((type) => ({ type, message: `${type} message` })) }
+    });
+
+    emitLogs('Log', 'Error');
+    unityConnection.emit('unityEvent', { event: 'compilation_started', data: {} });
+    assert.deepEqual(
+      server.sendLoggingMessage.mock.calls.map((call) => call.arguments[0].data.event),
+      ['console_log', 'compilation_started']
+    );
+    assert.deepEqual(server.sendLoggingMessage.mock.calls[0].arguments[0], {
+      level: 'error',
+      logger: 'unity',
+      data: { event: 'console_log', type: 'Error', message: 'Error message' }
+    });
+
+    await request('logging/setLevel', { level: 'debug' });
+    emitLogs('Log');
+    assert.equal(server.sendLoggingMessage.mock.calls.length, 3);
+
+    const result = await request('tools/call', {
+      name: 'subscribe_editor_events',
+      arguments: { events: ['compilation_finished'], level: 'error' }
+    });
+    assert.deepEqual(result.structuredContent.events, ['compilation_finished']);
+    emitLogs('Error');
+    unityConnection.emit('unityEvent', { event: 'compilation_finished', data: { errorCount: 0 } });
+    unityConnection.emit('unityEvent', { event: 'compilation_finished', data: { errorCount: 3 } });
+    assert.equal(server.sendLoggingMessage.mock.calls.length, 4);
+    assert.equal(server.sendLoggingMessage.mock.calls[3].arguments[0].data.errorCount, 3);
+
+    await server.close();
+  });
+});
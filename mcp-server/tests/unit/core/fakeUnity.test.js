@@ -0,0 +1,172 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { UnityConnection } from '../../../src/core/unityConnection.js';
+import { startFakeUnityServer } from '../../../src/core/fakeUnity.js';
+import {
+  createCassettePlayer,
+  createCassetteRecorder,
+  loadCassette
+} from '../../../src/core/cassette.js';
+
+describe('cassette', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'unity-mcp-cassette-'));
+  });
+
+  afterEach(async () => {
+    await fsp.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('records exchanges without command ids and loads them back in order', async () => {
+    const cassettePath = path.join(tempDir, 'nested', 'session.jsonl');
+    const recorder = createCassetteRecorder(cassettePath);
+
+    recorder.record({ type: 'ping', params: {}, response: { id: '1', status: 'success', result: { message: 'pong' } }, durationMs: 3 });
+    recorder.record({ type: 'get_hierarchy', params: { maxDepth: 1 }, response: { id: '2', status: 'success', result: { objects: [] } } });
+
+    const entries = await loadCassette(cassettePath);
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].type, 'ping');
+    assert.equal(entries[0].durationMs, 3);
+    assert.deepEqual(entries[0].response, { status: 'success', result: { message: 'pong' } });
+    assert.deepEqual(entries[1].params, { maxDepth: 1 });
+  });
+
+  it('reports the offending line of a malformed cassette', async () => {
+    const cassettePath = path.join(tempDir, 'broken.jsonl');
+    await fsp.writeFile(cassettePath, '{"type":"ping","response":{"status":"success"}}\nnot json\n');
+
+    await assert.rejects(loadCassette(cassettePath), (error) => {
+      assert.equal(error.code, 'CASSETTE_INVALID');
+      assert.match(error.message, /line 2/);
+      return true;
+    });
+    await assert.rejects(loadCassette(path.join(tempDir, 'missing.jsonl')), { code: 'CASSETTE_NOT_FOUND' });
+  });
+
+  it('prefers exact params, falls back to type and repeats the last recorded state', () => {
+    const player = createCassettePlayer([
+      { type: 'get_compilation_state', params: {}, response: { status: 'success', result: { isCompiling: true } } },
+      { type: 'get_compilation_state', params: {}, response: { status: 'success', result: { isCompiling: false } } },
+      { type: 'find_gameobject', params: { name: 'Player' }, response: { status: 'success', result: { name: 'Player' } } },
+      { type: 'find_gameobject', params: { name: 'Enemy' }, response: { status: 'success', result: { name: 'Enemy' } } }
+    ]);
+
+    assert.equal(player.next('find_gameobject', { name: 'Enemy' }).result.name, 'Enemy');
+    assert.equal(player.next('find_gameobject', { name: 'Camera' }).result.name, 'Player');
+    assert.equal(player.next('get_compilation_state').result.isCompiling, true);
+    assert.equal(player.next('get_compilation_state').result.isCompiling, false);
+    assert.equal(player.next('get_compilation_state').result.isCompiling, false);
+    assert.equal(player.next('run_tests'), null);
+  });
+});
+
+describe('fake Unity bridge', () => {
+  let tempDir;
+  let registryDir;
+  let fake;
+  let connection;
+
+  beforeEach(async () => {
+    tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'unity-mcp-fake-'));
+    registryDir = path.join(tempDir, 'instances');
+  });
+
+  afterEach(async () => {
+    if (connection) {
+      connection.disconnect();
+      connection = null;
+    }
+    if (fake) {
+      await fake.close();
+      fake = null;
+    }
+    await fsp.rm(tempDir, { recursive: true, force: true });
+  });
+
+  async function startFake(entries) {
+    const cassettePath = path.join(tempDir, 'session.jsonl');
+    await fsp.writeFile(cassettePath, entries.map((entry) => JSON.stringify(entry)).join('\n'));
+    fake = await startFakeUnityServer({ cassettePath, registryDir, projectPath: tempDir });
+    return fake;
+  }
+
+  function connect(extraUnityConfig = {}) {
+    connection = new UnityConnection({
+      config: {
+        unity: {
+          host: fake.host,
+          port: fake.port,
+          hasExplicitPort: true,
+          autoReconnect: false,
+          commandTimeout: 2000,
+          allowTestConnection: true,
+          discovery: { enabled: true, registryDir },
+          ...extraUnityConfig
+        }
+      }
+    });
+    return connection.connect();
+  }
+
+  it('registers itself and replays recorded responses over the framed protocol', async () => {
+    await startFake([
+      { type: 'ping', params: {}, response: { status: 'success', result: { message: 'pong', unityVersion: '6000.0.1f1' } } },
+      { type: 'get_editor_state', params: {}, response: { status: 'success', result: { isPlaying: false } } }
+    ]);
+
+    const instance = JSON.parse(await fsp.readFile(fake.registryPath, 'utf8'));
+    assert.equal(instance.fake, true);
+    assert.equal(instance.port, fake.port);
+    assert.equal(instance.unityVersion, '6000.0.1f1');
+
+    await connect();
+    assert.equal((await connection.sendCommand('ping', {})).message, 'pong');
+    assert.deepEqual(await connection.sendCommand('get_editor_state', {}), { isPlaying: false });
+  });
+
+  it('fails unrecorded commands with CASSETTE_MISS', async () => {
+    await startFake([
+      { type: 'ping', params: {}, response: { status: 'success', result: { message: 'pong' } } }
+    ]);
+
+    await connect();
+    await assert.rejects(connection.sendCommand('run_tests', { testMode: 'EditMode' }), (error) => {
+      assert.equal(error.code, 'CASSETTE_MISS');
+      assert.equal(error.details.commandType, 'run_tests');
+      return true;
+    });
+  });
+
+  it('records a session that the fake bridge can replay', async () => {
+    await startFake([
+      { type: 'get_scene_info', params: {}, response: { status: 'success', result: { sceneName: 'Main' } } }
+    ]);
+    const recordingPath = path.join(tempDir, 'recorded.jsonl');
+
+    await connect({ recordCassette: recordingPath });
+    await connection.sendCommand('get_scene_info', {});
+
+    const recorded = await loadCassette(recordingPath);
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].type, 'get_scene_info');
+    assert.deepEqual(recorded[0].response, { status: 'success', result: { sceneName: 'Main' } });
+  });
+
+  it('removes its registry entry on close', async () => {
+    await startFake([
+      { type: 'ping', params: {}, response: { status: 'success', result: { message: 'pong' } } }
+    ]);
+    const registryPath = fake.registryPath;
+
+    await fake.close();
+    fake = null;
+
+    await assert.rejects(fsp.access(registryPath), { code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { decodeImage, detectImageFormat } from '../../../src/core/imageDecoding.js';
+import { analyzeImagePixels } from '../../../src/core/imageAnalysis.js';
+
+// 16x8 baseline JPEG with 4:2:0 chroma: left half rgb(220,30,30), right half rgb(20,40,200)
+const RED_BLUE_JPEG = '/9j/2wCEAAMCAgMCAgMDAwMEAwMEBQgFBQQEBQoHBwYIDAoMDAsKCwsNDhIQDQ4RDgsLEBYQERMUFRUVDA8XGBYUGBIUFRQBAwQEBQQFCQUFCRQNCw0UFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFP/AABEIAAgAEAMBIgACEQEDEQH/xAGiAAABBQEBAQEBAQAAAAAAAAAAAQIDBAUGBwgJCgsQAAIBAwMCBAMFBQQEAAABfQECAwAEEQUSITFBBhNRYQcicRQygZGhCCNCscEVUtHwJDNicoIJChYXGBkaJSYnKCkqNDU2Nzg5OkNERUZHSElKU1RVVldYWVpjZGVmZ2hpanN0dXZ3eHl6g4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2drh4uPk5ebn6Onq8fLz9PX29/j5+gEAAwEBAQEBAQEBAQAAAAAAAAECAwQFBgcICQoLEQACAQIEBAMEBwUEBAABAncAAQIDEQQFITEGEkFRB2FxEyIygQgUQpGhscEJIzNS8BVictEKFiQ04SXxFxgZGiYnKCkqNTY3ODk6Q0RFRkdISUpTVFVWV1hZWmNkZWZnaGlqc3R1dnd4eXqCg4SFhoeIiYqSk5SVlpeYmZqio6Slpqeoqaqys7S1tre4ubrCw8TFxsfIycrS09TV1tfY2dri4+Tl5ufo6ery8/T19vf4+fr/2gAMAwEAAhEDEQA/APEq8hr16vIa/RPBf/mYf9wv/ch+weNf/Mu/7i/+4z//2Q==';
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, data, Buffer.alloc(4)]);
+}
+
+// Builds a PNG, filtering row i with filters[i % filters.length]
+function png(width, height, colorType, bitDepth, rows, { filters = [0], extra = [] } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  const bpp = Math.max(1, ({ 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType] * bitDepth) >> 3);
+  let previous = Buffer.alloc(rows[0].length);
+  const lines = rows.map((row, index) => {
+    const filter = filters[index % filters.length];
+    const line = Buffer.alloc(row.length);
+    for (let i = 0; i < row.length; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const upperLeft = i >= bpp ? previous[i - bpp] : 0;
+      const predictor = [0, left, previous[i], (left + previous[i]) >> 1, paeth(left, previous[i], upperLeft)][filter];
+      line[i] = (row[i] - predictor) & 0xff;
+    }
+    previous = Buffer.from(row);
+    return Buffer.concat([Buffer.from([filter]), line]);
+  });
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...extra,
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(lines))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function pixel(image, x, y) {
+  const o = (y * image.width + x) * 4;
+  return [...image.data.subarray(o, o + 4)];
+}
+
+describe('imageDecoding', () => {
+  it('decodes RGBA PNGs through every filter type', () => {
+    const rows = Array.from({ length: 5 }, (_, y) => Buffer.from(Array.from({ length: 3 }, (_, x) => [x * 80, y * 50, 255 - x * 40, 255 - y * 10]).flat()));
+    const image = decodeImage(png(3, 5, 6, 8, rows, { filters: [0, 1, 2, 3, 4] }));
+
+    assert.equal(image.format, 'png');
+    assert.deepEqual([image.width, image.height, image.hasAlpha], [3, 5, true]);
+    assert.deepEqual(pixel(image, 2, 4), [160, 200, 175, 215]);
+    assert.deepEqual(pixel(image, 1, 3), [80, 150, 215, 225]);
+  });
+
+  it('expands palettes, transparency and low bit depths', () => {
+    const palette = chunk('PLTE', Buffer.from([255, 0, 0, 0, 255, 0]));
+    const transparency = chunk('tRNS', Buffer.from([0]));
+    const indexed = decodeImage(png(4, 1, 3, 1, [Buffer.from([0b01010000])], { extra: [palette, transparency] }));
+    assert.deepEqual([pixel(indexed, 0, 0), pixel(indexed, 1, 0)], [[255, 0, 0, 0], [0, 255, 0, 255]]);
+
+    const gray = decodeImage(png(2, 1, 0, 2, [Buffer.from([0b11010000])]));
+    assert.deepEqual([pixel(gray, 0, 0), pixel(gray, 1, 0)], [[255, 255, 255, 255], [85, 85, 85, 255]]);
+    assert.equal(gray.hasAlpha, false);
+  });
+
+  it('decodes baseline JPEGs with subsampled chroma', () => {
+    const image = decodeImage(Buffer.from(RED_BLUE_JPEG, 'base64'));
+
+    assert.deepEqual([image.format, image.width, image.height, image.components], ['jpeg', 16, 8, 3]);
+    const near = (actual, expected) => actual.slice(0, 3).every((value, index) => Math.abs(value - expected[index]) <= 4);
+    assert.ok(near(pixel(image, 2, 3), [220, 30, 30]), `left pixel ${pixel(image, 2, 3)}`);
+    assert.ok(near(pixel(image, 13, 5), [20, 40, 200]), `right pixel ${pixel(image, 13, 5)}`);
+  });
+
+  it('reports unsupported and corrupt data with error codes', () => {
+    const progressive = Buffer.from([0xff, 0xd8, 0xff, 0xc2, 0x00, 0x0b, 8, 0, 1, 0, 1, 1, 1, 0x11, 0, 0xff, 0xd9]);
+    assert.equal(detectImageFormat(progressive), 'jpeg');
+    assert.throws(() => decodeImage(progressive), (error) => error.code === 'UNSUPPORTED_IMAGE_FORMAT' && /Progressive/.test(error.message));
+    assert.throws(() => decodeImage(Buffer.from('GIF89a')), (error) => error.code === 'UNSUPPORTED_IMAGE_FORMAT');
+
+    const truncated = png(2, 2, 2, 8, [Buffer.alloc(6), Buffer.alloc(6)]).subarray(0, 40);
+    assert.throws(() => decodeImage(truncated), (error) => error.code === 'IMAGE_DECODE_FAILED');
+  });
+
+  it('rejects oversized images before allocating their pixels', () => {
+    const hugePng = png(100000, 100000, 6, 8, [Buffer.alloc(4)]);
+    assert.throws(() => decodeImage(hugePng), (error) => error.code === 'IMAGE_TOO_LARGE');
+
+    const hugeJpeg = Buffer.from([0xff, 0xd8, 0xff, 0xc0, 0x00, 0x0b, 8, 0xff, 0xff, 0xff, 0xff, 1, 1, 0x11, 0, 0xff, 0xd9]);
+    assert.throws(() => decodeImage(hugeJpeg), (error) => error.code === 'IMAGE_TOO_LARGE');
+  });
+
+  it('bounds the inflated PNG data by the declared dimensions', () => {
+    const rows = (count) => Array.from({ length: count }, () => Buffer.alloc(6));
+    const overlong = png(2, 2, 2, 8, rows(4));
+    const short = png(2, 4, 2, 8, rows(1));
+
+    assert.throws(() => decodeImage(overlong), (error) => error.code === 'IMAGE_DECODE_FAILED' && /larger than/.test(error.message));
+    assert.throws(() => decodeImage(short), (error) => error.code === 'IMAGE_DECODE_FAILED' && /truncated/.test(error.message));
+  });
+});
+
+describe('imageAnalysis', () => {
+  const solid = (width, height, rgba, hasAlpha = true) => ({
+    width,
+    height,
+    hasAlpha,
+    data: Uint8Array.from({ length: width * height * 4 }, (_, index) => rgba[index % 4])
+  });
+
+  it('flags all-black and all-clear frames', () => {
+    const black = analyzeImagePixels(solid(4, 4, [3, 2, 5, 255], false));
+    assert.deepEqual([black.isAllBlack, black.isAllClear, black.isBlank, black.isUniform], [true, false, true, true]);
+    assert.match(black.warning, /black/);
+
+    const clear = analyzeImagePixels(solid(4, 4, [200, 200, 200, 0]));
+    assert.deepEqual([clear.isAllBlack, clear.isAllClear, clear.averageAlpha, clear.dominantColors], [false, true, 0, []]);
+  });
+
+  it('reports dominant colors and luminance', () => {
+    const image = solid(2, 2, [255, 255, 255, 255], false);
+    image.data.set([0, 0, 0, 255], 0);
+
+    const result = analyzeImagePixels(image, { includeEdges: true });
+    assert.deepEqual(result.dominantColors.map((color) => [color.hex, color.percentage]), [['E0E0E0', 75], ['000000', 25]]);
+    assert.equal(result.averageLuminance, 0.75);
+    assert.deepEqual([result.isBlank, result.isUniform, result.edgePixelRatio], [false, false, 0]);
+  });
+});
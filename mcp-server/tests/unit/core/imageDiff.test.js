@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareImages, findChangedRegions } from '../../../src/core/imageDiff.js';
+import { encodePng } from '../../../src/core/imageEncoding.js';
+import { decodePng } from '../../../src/core/imageDecoding.js';
+
+function solidImage(width, height, rgba) {
+  const data = new Uint8Array(width * height * 4);
+  for (let o = 0; o < data.length; o += 4) {
+    data.set(rgba, o);
+  }
+  return { width, height, data };
+}
+
+function fillRect(image, x, y, width, height, rgba) {
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      image.data.set(rgba, (row * image.width + column) * 4);
+    }
+  }
+  return image;
+}
+
+describe('compareImages', () => {
+  it('reports no mismatch for identical images', () => {
+    const result = compareImages(solidImage(16, 16, [10, 20, 30, 255]), solidImage(16, 16, [10, 20, 30, 255]));
+
+    assert.equal(result.mismatchedPixels, 0);
+    assert.equal(result.mismatchPercentage, 0);
+    assert.deepEqual(result.regions, []);
+  });
+
+  it('finds changed pixels beyond the threshold and highlights them in red', () => {
+    const baseline = solidImage(40, 20, [255, 255, 255, 255]);
+    const capture = fillRect(solidImage(40, 20, [255, 255, 255, 255]), 4, 2, 6, 5, [0, 0, 0, 255]);
+    fillRect(capture, 30, 12, 4, 4, [0, 0, 255, 255]);
+
+    const result = compareImages(baseline, capture, { antiAliasing: false });
+
+    assert.equal(result.mismatchedPixels, 46);
+    assert.equal(result.mismatchPercentage, 5.75);
+    assert.equal(result.regionCount, 2);
+    assert.deepEqual(result.regions, [
+      { x: 4, y: 2, width: 6, height: 5, pixels: 30 },
+      { x: 30, y: 12, width: 4, height: 4, pixels: 16 }
+    ]);
+    assert.deepEqual([...result.diff.data.subarray((2 * 40 + 4) * 4, (2 * 40 + 4) * 4 + 4)], [255, 0, 0, 255]);
+    assert.deepEqual([...result.diff.data.subarray(0, 4)], [255, 255, 255, 255]);
+  });
+
+  it('tolerates small color changes within the threshold', () => {
+    const baseline = solidImage(8, 8, [100, 100, 100, 255]);
+    const capture = solidImage(8, 8, [104, 100, 100, 255]);
+
+    assert.equal(compareImages(baseline, capture).mismatchedPixels, 0);
+    assert.equal(compareImages(baseline, capture, { threshold: 0 }).mismatchedPixels, 64);
+  });
+
+  it('ignores pixels that only differ by anti-aliasing', () => {
+    // A black square on white whose left edge shifts to a gray half-covered column
+    const baseline = fillRect(solidImage(12, 12, [255, 255, 255, 255]), 4, 4, 4, 4, [0, 0, 0, 255]);
+    const capture = fillRect(solidImage(12, 12, [255, 255, 255, 255]), 4, 4, 4, 4, [0, 0, 0, 255]);
+    fillRect(capture, 3, 4, 1, 4, [128, 128, 128, 255]);
+
+    const strict = compareImages(baseline, capture, { antiAliasing: false });
+    const tolerant = compareImages(baseline, capture);
+
+    assert.equal(strict.mismatchedPixels, 4);
+    assert.equal(tolerant.mismatchedPixels, 0);
+    assert.equal(tolerant.antiAliasedPixels, 4);
+  });
+
+  it('rejects images of different sizes', () => {
+    assert.throws(
+      () => compareImages(solidImage(4, 4, [0, 0, 0, 255]), solidImage(4, 5, [0, 0, 0, 255])),
+      (error) => error.code === 'IMAGE_SIZE_MISMATCH'
+    );
+  });
+});
+
+describe('findChangedRegions', () => {
+  it('merges nearby changes and limits the regions returned', () => {
+    const mask = new Uint8Array(64 * 16);
+    mask[0] = 1;
+    mask[10] = 1;
+    mask[5 * 64 + 40] = 1;
+    mask[5 * 64 + 60] = 1;
+
+    const { regions, regionCount } = findChangedRegions(mask, 64, 16, { maxRegions: 1 });
+
+    assert.equal(regionCount, 3);
+    assert.deepEqual(regions, [{ x: 0, y: 0, width: 11, height: 1, pixels: 2 }]);
+  });
+});
+
+describe('encodePng', () => {
+  it('round-trips through the PNG decoder', () => {
+    const image = fillRect(solidImage(9, 5, [12, 34, 56, 255]), 2, 1, 3, 2, [200, 100, 0, 128]);
+
+    const decoded = decodePng(encodePng(image));
+
+    assert.deepEqual([decoded.width, decoded.height], [9, 5]);
+    assert.deepEqual([...decoded.data], [...image.data]);
+  });
+});
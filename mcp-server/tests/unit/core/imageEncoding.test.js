@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGif } from '../../../src/core/imageEncoding.js';
+
+// Minimal decoder for what encodeGif writes: one local palette per frame
+function decodeGif(buffer) {
+  const width = buffer.readUInt16LE(6);
+  const height = buffer.readUInt16LE(8);
+  const frames = [];
+  let offset = 13;
+  let delayMs = 0;
+  let loops = false;
+
+  while (buffer[offset] !== 0x3b) {
+    if (buffer[offset] === 0x21) {
+      const label = buffer[offset + 1];
+      if (label === 0xf9) {
+        delayMs = buffer.readUInt16LE(offset + 4) * 10;
+      }
+      if (label === 0xff && buffer.toString('latin1', offset + 3, offset + 14) === 'NETSCAPE2.0') {
+        loops = true;
+      }
+      offset += 2;
+      while (buffer[offset] !== 0) {
+        offset += buffer[offset] + 1;
+      }
+      offset++;
+      continue;
+    }
+
+    assert.equal(buffer[offset], 0x2c);
+    const palette = buffer.subarray(offset + 10, offset + 10 + 768);
+    offset += 10 + 768;
+    const minCodeSize = buffer[offset++];
+    const blocks = [];
+    while (buffer[offset] !== 0) {
+      blocks.push(buffer.subarray(offset + 1, offset + 1 + buffer[offset]));
+      offset += buffer[offset] + 1;
+    }
+    offset++;
+
+    const indices = lzwDecode(Buffer.concat(blocks), minCodeSize);
+    const data = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+      data.set([palette[indices[i] * 3], palette[indices[i] * 3 + 1], palette[indices[i] * 3 + 2], 255], i * 4);
+    }
+    frames.push({ data, delayMs });
+  }
+  return { width, height, loops, frames };
+}
+
+function lzwDecode(bytes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const output = [];
+  let table;
+  let codeSize;
+  let previous = null;
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  let bits = 0;
+  let bitCount = 0;
+  for (const byte of bytes) {
+    bits |= byte << bitCount;
+    bitCount += 8;
+    while (bitCount >= codeSize) {
+      const code = bits & ((1 << codeSize) - 1);
+      bits >>>= codeSize;
+      bitCount -= codeSize;
+      if (code === clearCode) {
+        reset();
+        continue;
+      }
+      if (code === clearCode + 1) {
+        return output;
+      }
+      const entry = code < table.length ? table[code] : [...previous, previous[0]];
+      output.push(...entry);
+      if (previous && table.length < 4096) {
+        table.push([...previous, entry[0]]);
+      }
+      previous = entry;
+      if (table.length === 1 << codeSize && codeSize < 12) {
+        codeSize++;
+      }
+    }
+  }
+  return output;
+}
+
+function solidFrame(width, height, rgb) {
+  const data = new Uint8Array(width * height * 4);
+  for (let o = 0; o < data.length; o += 4) {
+    data.set([...rgb, 255], o);
+  }
+  return data;
+}
+
+describe('encodeGif', () => {
+  it('writes a looping animation with one timed frame per input', () => {
+    const gif = encodeGif({
+      width: 3,
+      height: 2,
+      frames: [
+        { data: solidFrame(3, 2, [255, 0, 0]), delayMs: 100 },
+        { data: solidFrame(3, 2, [0, 0, 255]), delayMs: 5 }
+      ]
+    });
+
+    assert.equal(gif.toString('latin1', 0, 6), 'GIF89a');
+    const decoded = decodeGif(gif);
+    assert.deepEqual([decoded.width, decoded.height, decoded.loops], [3, 2, true]);
+    assert.deepEqual(decoded.frames.map((frame) => frame.delayMs), [100, 20]);
+    assert.deepEqual([...decoded.frames[0].data], [...solidFrame(3, 2, [255, 0, 0])]);
+    assert.deepEqual([...decoded.frames[1].data], [...solidFrame(3, 2, [0, 0, 255])]);
+  });
+
+  it('keeps every color of frames with at most 256 colors', () => {
+    // Pseudo-random pixels compress badly enough to fill the LZW table and force clear codes
+    const width = 128;
+    const height = 64;
+    const data = new Uint8Array(width * height * 4);
+    let seed = 1;
+    for (let i = 0; i < width * height; i++) {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      const color = seed >>> 24;
+      data.set([(color & 15) * 16, (color >> 4) * 16, 128, 255], i * 4);
+    }
+
+    const decoded = decodeGif(encodeGif({ width, height, frames: [{ data, delayMs: 50 }] }));
+
+    assert.deepEqual([...decoded.frames[0].data], [...data]);
+  });
+});
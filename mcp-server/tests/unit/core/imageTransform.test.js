@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { composeContactSheet, downscaleImage } from '../../../src/core/imageTransform.js';
+
+describe('downscaleImage', () => {
+  it('returns images that already fit unchanged', () => {
+    const image = { width: 4, height: 2, data: new Uint8Array(32) };
+
+    const result = downscaleImage(image, 4);
+
+    assert.equal(result.scaled, false);
+    assert.equal(result.data, image.data);
+  });
+
+  it('averages the pixels each target pixel covers', () => {
+    // Black and white columns average to gray
+    const data = new Uint8Array(4 * 2 * 4);
+    for (let o = 0; o < data.length; o += 4) {
+      const value = (o / 4) % 2 === 0 ? 0 : 255;
+      data.set([value, value, value, 255], o);
+    }
+
+    const result = downscaleImage({ width: 4, height: 2, data }, 2);
+
+    assert.deepEqual([result.width, result.height, result.scaled], [2, 1, true]);
+    assert.deepEqual([...result.data], [128, 128, 128, 255, 128, 128, 128, 255]);
+  });
+
+  it('keeps transparent pixels from darkening their neighbours', () => {
+    const data = new Uint8Array([255, 0, 0, 255, 0, 0, 0, 0]);
+
+    const result = downscaleImage({ width: 2, height: 1, data }, 1);
+
+    assert.deepEqual([...result.data], [255, 0, 0, 128]);
+  });
+});
+
+describe('composeContactSheet', () => {
+  const solid = (width, height, value) => ({ width, height, data: new Uint8Array(width * height * 4).fill(value) });
+
+  it('lays frames out in rows of the largest frame size', () => {
+    const { image, cells } = composeContactSheet(
+      [solid(4, 2, 255), solid(3, 2, 200), solid(4, 2, 100)],
+      { columns: 2, spacing: 1, background: [0, 0, 0, 255] }
+    );
+
+    assert.deepEqual([image.width, image.height], [11, 7]);
+    assert.deepEqual(cells, [
+      { x: 1, y: 1, width: 4, height: 2 },
+      { x: 6, y: 1, width: 3, height: 2 },
+      { x: 1, y: 4, width: 4, height: 2 }
+    ]);
+    const pixel = (x, y) => [...image.data.subarray((y * image.width + x) * 4, (y * image.width + x) * 4 + 4)];
+    assert.deepEqual(pixel(6, 1), [200, 200, 200, 200]);
+    assert.deepEqual(pixel(9, 1), [0, 0, 0, 255]);
+    assert.deepEqual(pixel(1, 4), [100, 100, 100, 100]);
+  });
+
+  it('defaults to a near-square grid', () => {
+    const frames = Array.from({ length: 5 }, () => solid(2, 2, 255));
+
+    const { image } = composeContactSheet(frames, { spacing: 0 });
+
+    assert.deepEqual([image.width, image.height], [6, 4]);
+  });
+});
@@ -9,6 +9,8 @@ import { DeleteGameObjectToolHandler } from '../../../src/handlers/gameobject/De
 import { LoadSceneToolHandler } from '../../../src/handlers/scene/LoadSceneToolHandler.js';
 import { GetGameObjectDetailsToolHandler } from '../../../src/handlers/analysis/GetGameObjectDetailsToolHandler.js';
 import { ReadLogsToolHandler } from '../../../src/handlers/system/ReadLogsToolHandler.js';
+import { encodePng } from '../../../src/core/imageEncoding.js';
+import { createToolContext } from '../../../src/core/mcpRegistration.js';
 
 describe('MCP modernization contracts', () => {
   it('returns structuredContent for successful MCP tool calls', async () => {
@@ -64,6 +66,54 @@ describe('MCP modernization contracts', () => {
     await server.close();
   });
 
+  it('returns screenshots as image content without repeating the pixels in structuredContent', async () => {
+    const { server, unityConnection } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' }
+    });
+    const png = encodePng({ width: 2, height: 2, data: new Uint8Array(16).fill(255) }).toString('base64');
+    unityConnection.isConnected = mock.fn(() => true);
+    unityConnection.sendCommand = mock.fn(async () => ({
+      path: null,
+      width: 2,
+      height: 2,
+      captureMode: 'game',
+      message: 'Game View screenshot captured successfully',
+      base64Data: png
+    }));
+
+    const callTool = server._requestHandlers.get('tools/call');
+    const result = await callTool({
+      method: 'tools/call',
+      params: {
+        name: 'capture_screenshot',
+        arguments: { returnImage: true }
+      }
+    }, {});
+
+    assert.deepEqual(result.content.map((item) => item.type), ['text', 'image']);
+    assert.deepEqual(result.content[1], { type: 'image', data: png, mimeType: 'image/png' });
+    assert.equal(result.structuredContent.imageContent, undefined);
+    assert.equal(result.structuredContent.base64Data, undefined);
+    assert.deepEqual(result.structuredContent.image, { width: 2, height: 2, mimeType: 'image/png', scaled: false });
+
+    await server.close();
+  });
+
+  it('offers createMessage to handlers only when the client supports sampling', async () => {
+    const sendRequest = mock.fn(async () => ({ role: 'assistant', content: { type: 'text', text: 'ok' }, model: 'm' }));
+    const signal = new AbortController().signal;
+
+    assert.equal(createToolContext({ sendRequest }, { sampling: false }).createMessage, undefined);
+
+    const context = createToolContext({ sendRequest, signal }, { sampling: true });
+    await context.createMessage({ messages: [], maxTokens: 10 });
+
+    const [request, , options] = sendRequest.mock.calls[0].arguments;
+    assert.deepEqual(request, { method: 'sampling/createMessage', params: { messages: [], maxTokens: 10 } });
+    assert.equal(options.signal, signal);
+    assert.equal('sampling' in context, false);
+  });
+
   it('rejects schema-invalid types, enum values, ranges, unknown properties, and either-or inputs', async () => {
     const connection = createConnection();
     const runTests = new RunTestsToolHandler(connection);
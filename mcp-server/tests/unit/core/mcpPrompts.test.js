@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PromptLibrary, parsePromptDefinition } from '../../../src/core/mcpPrompts.js';
+import { createServer } from '../../../src/core/server.js';
+
+describe('PromptLibrary', () => {
+  let promptsDir;
+
+  beforeEach(async () => {
+    promptsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'unity-mcp-prompts-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(promptsDir, { recursive: true, force: true });
+  });
+
+  it('lists the built-in workflow prompts', async () => {
+    const library = new PromptLibrary();
+    const { prompts } = await library.listPrompts();
+
+    assert.deepEqual(
+      prompts.map((prompt) => prompt.name),
+      ['scaffold_monobehaviour', 'diagnose_compile_errors', 'smoke_test_scene']
+    );
+    assert.equal(prompts[0].arguments.find((argument) => argument.name === 'className').required, true);
+    assert.equal(prompts[0].render, undefined);
+  });
+
+  it('renders built-in prompts with their arguments', async () => {
+    const library = new PromptLibrary();
+    const result = await library.getPrompt('scaffold_monobehaviour', {
+      className: 'PlayerController',
+      gameObjectPath: '/Player'
+    });
+
+    const text = result.messages[0].content.text;
+    assert.equal(result.messages[0].role, 'user');
+    assert.match(text, /`create_script` with scriptName "PlayerController", scriptType "MonoBehaviour", path "Assets\/Scripts\/"/);
+    assert.match(text, /`wait_for_compilation`/);
+    assert.match(text, /`add_component` with gameObjectPath "\/Player" and componentType "PlayerController"/);
+    assert.doesNotMatch(text, /implement the behaviour/);
+  });
+
+  it('rejects unknown prompts and missing required arguments', async () => {
+    const library = new PromptLibrary();
+
+    await assert.rejects(library.getPrompt('nope'), /Unknown prompt: nope/);
+    await assert.rejects(library.getPrompt('smoke_test_scene', {}), /Missing required argument\(s\) for prompt smoke_test_scene: scenePath/);
+  });
+
+  it('loads project prompts, overriding built-ins and skipping invalid files', async () => {
+    await fs.writeFile(path.join(promptsDir, 'spawn_enemies.json'), JSON.stringify({
+      description: 'Spawn enemies around the player',
+      arguments: [{ name: 'count', required: true }],
+      template: ['Instantiate {{ count }} enemies.', 'Then call `read_logs`.']
+    }));
+    await fs.writeFile(path.join(promptsDir, 'smoke.json'), JSON.stringify({
+      name: 'smoke_test_scene',
+      arguments: [{ name: 'scenePath', required: true }],
+      template: 'Team smoke test for {{scenePath}}'
+    }));
+    await fs.writeFile(path.join(promptsDir, 'broken.json'), '{ not json');
+    await fs.writeFile(path.join(promptsDir, 'notes.md'), '# ignored');
+    const library = new PromptLibrary({ getDirectory: () => promptsDir });
+
+    const names = (await library.listPrompts()).prompts.map((prompt) => prompt.name);
+    assert.deepEqual(names, ['scaffold_monobehaviour', 'diagnose_compile_errors', 'smoke_test_scene', 'spawn_enemies']);
+
+    const spawn = await library.getPrompt('spawn_enemies', { count: '3' });
+    assert.equal(spawn.messages[0].content.text, 'Instantiate 3 enemies.\nThen call `read_logs`.');
+
+    const smoke = await library.getPrompt('smoke_test_scene', { scenePath: 'Assets/Scenes/Main.unity' });
+    assert.equal(smoke.messages[0].content.text, 'Team smoke test for Assets/Scenes/Main.unity');
+  });
+
+  it('validates project prompt definitions', () => {
+    assert.throws(() => parsePromptDefinition({ template: 'x' }, 'bad name'), /invalid prompt name/);
+    assert.throws(() => parsePromptDefinition({ template: '' }, 'empty'), /template must be/);
+    assert.throws(() => parsePromptDefinition({ template: 'x', arguments: [{}] }, 'args'), /arguments must be/);
+  });
+});
+
+describe('MCP prompt registration', () => {
+  it('serves prompts/list and prompts/get', async () => {
+    const { server } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' },
+      prompts: { directory: path.join(os.tmpdir(), 'unity-mcp-missing-prompts') }
+    });
+    const request = (method, params) => server._requestHandlers.get(method)({ method, params }, {});
+
+    const list = await request('prompts/list', {});
+    assert.ok(list.prompts.some((prompt) => prompt.name === 'diagnose_compile_errors'));
+
+    const prompt = await request('prompts/get', {
+      name: 'smoke_test_scene',
+      arguments: { scenePath: 'Assets/Scenes/Main.unity' }
+    });
+    assert.match(prompt.messages[0].content.text, /`load_scene` with scenePath "Assets\/Scenes\/Main.unity"/);
+    assert.match(prompt.messages[0].content.text, /`enhanced_read_logs`/);
+
+    await server.close();
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import {
+  COMPILATION_URI,
+  CONSOLE_URI,
+  EDITOR_STATE_URI,
+  HIERARCHY_URI,
+  PROJECT_SETTINGS_URI,
+  UnityResourceProvider,
+  getUpdatedResourceUris
+} from '../../../src/core/mcpResources.js';
+import { createServer } from '../../../src/core/server.js';
+
+function createConnection(responses = {}) {
+  const connection = new EventEmitter();
+  connection.isConnected = () => true;
+  connection.connect = async () => {};
+  connection.sendCommand = mock.fn(async (type) => responses[type] ?? {});
+  return connection;
+}
+
+describe('UnityResourceProvider', () => {
+  let connection;
+  let provider;
+
+  beforeEach(() => {
+    connection = createConnection({
+      get_hierarchy: { objects: [{ name: 'Main Camera' }] },
+      read_script: { scriptContent: 'public class Player {}' },
+      get_project_settings: { player: { productName: 'Demo' } }
+    });
+    provider = new UnityResourceProvider(connection);
+  });
+
+  it('lists static resources and the script template', () => {
+    assert.deepEqual(
+      provider.listResources().resources.map((resource) => resource.uri),
+      [HIERARCHY_URI, CONSOLE_URI, PROJECT_SETTINGS_URI, EDITOR_STATE_URI, COMPILATION_URI]
+    );
+    assert.equal(provider.listResourceTemplates().resourceTemplates[0].uriTemplate, 'unity://script/{path}');
+  });
+
+  it('reads JSON resources and scripts from Unity', async () => {
+    const hierarchy = await provider.readResource(HIERARCHY_URI);
+    assert.equal(hierarchy.contents[0].mimeType, 'application/json');
+    assert.equal(JSON.parse(hierarchy.contents[0].text).objects[0].name, 'Main Camera');
+
+    const script = await provider.readResource('unity://script/Assets/Scripts/Player.cs');
+    assert.equal(script.contents[0].mimeType, 'text/x-csharp');
+    assert.equal(script.contents[0].text, 'public class Player {}');
+    assert.deepEqual(connection.sendCommand.mock.calls[1].arguments, [
+      'read_script',
+      { scriptPath: 'Assets/Scripts/Player.cs', includeMetadata: false }
+    ]);
+
+    const settings = await provider.readResource(PROJECT_SETTINGS_URI);
+    assert.equal(JSON.parse(settings.contents[0].text).player.productName, 'Demo');
+  });
+
+  it('rejects unknown resources and script paths outside the project', async () => {
+    await assert.rejects(provider.readResource('unity://nope'), /Unknown resource/);
+    await assert.rejects(provider.readResource('unity://script/Assets/../secrets.cs'), /project-relative/);
+    await assert.rejects(provider.watch('unity://script/Library/Foo.txt'), /project-relative/);
+    await assert.rejects(provider.readResource('unity://script/%E0'), (error) => error.code === ErrorCode.InvalidParams && /percent-encoded/.test(error.message));
+  });
+
+  it('registers for Unity events when watched and again after reconnecting', async () => {
+    await provider.watch(HIERARCHY_URI);
+    connection.emit('connected');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const pings = connection.sendCommand.mock.calls.filter((call) => call.arguments[0] === 'ping');
+    assert.equal(pings.length, 2);
+  });
+
+  it('maps Unity editor events to resource URIs', () => {
+    assert.deepEqual(getUpdatedResourceUris({ event: 'hierarchy_changed' }), [HIERARCHY_URI]);
+    assert.deepEqual(getUpdatedResourceUris({ event: 'log_messages', data: { entries: [] } }), [CONSOLE_URI]);
+    assert.deepEqual(
+      getUpdatedResourceUris({
+        event: 'assets_changed',
+        data: {
+          imported: ['Assets/Scripts/Player.cs', 'Assets/Art/Hero.png'],
+          deleted: [],
+          moved: [{ from: 'Assets/Old.cs', to: 'Assets/New.cs' }]
+        }
+      }),
+      ['unity://script/Assets/Scripts/Player.cs', 'unity://script/Assets/Old.cs', 'unity://script/Assets/New.cs']
+    );
+    assert.deepEqual(getUpdatedResourceUris({ event: 'scene_loaded' }), [HIERARCHY_URI]);
+    assert.deepEqual(getUpdatedResourceUris({ event: 'compilation_finished' }), [EDITOR_STATE_URI, COMPILATION_URI]);
+    assert.deepEqual(getUpdatedResourceUris({ event: 'play_mode_changed' }), [EDITOR_STATE_URI]);
+    assert.deepEqual(getUpdatedResourceUris({ event: 'unknown_event' }), []);
+  });
+});
+
+describe('MCP resource registration', () => {
+  it('serves resources and notifies subscribed sessions of Unity changes', async () => {
+    const { server, unityConnection } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' }
+    });
+    unityConnection.isConnected = () => true;
+    unityConnection.sendCommand = mock.fn(async (type) => (
+      type === 'read_logs' ? { logs: [{ message: 'hello' }] } : {}
+    ));
+    server.sendResourceUpdated = mock.fn(async () => {});
+    const request = (method, params) => server._requestHandlers.get(method)({ method, params }, {});
+
+    const list = await request('resources/list', {});
+    assert.ok(list.resources.some((resource) => resource.uri === CONSOLE_URI));
+
+    const read = await request('resources/read', { uri: CONSOLE_URI });
+    assert.equal(JSON.parse(read.contents[0].text).logs[0].message, 'hello');
+
+    await request('resources/subscribe', { uri: CONSOLE_URI });
+    unityConnection.emit('unityEvent', { event: 'hierarchy_changed', data: {} });
+    unityConnection.emit('unityEvent', { event: 'log_messages', data: { entries: [] } });
+    assert.equal(server.sendResourceUpdated.mock.calls.length, 1);
+    assert.deepEqual(server.sendResourceUpdated.mock.calls[0].arguments[0], { uri: CONSOLE_URI });
+
+    await request('resources/unsubscribe', { uri: CONSOLE_URI });
+    unityConnection.emit('unityEvent', { event: 'log_messages', data: { entries: [] } });
+    assert.equal(server.sendResourceUpdated.mock.calls.length, 1);
+
+    await server.close();
+  });
+});
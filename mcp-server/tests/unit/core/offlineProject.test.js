@@ -0,0 +1,241 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OfflineProject, getLocalTransform, getNodePath, isUnityUnavailableError } from '../../../src/core/offlineProject.js';
+import { GetHierarchyToolHandler } from '../../../src/handlers/gameobject/GetHierarchyToolHandler.js';
+import { GetSceneInfoToolHandler } from '../../../src/handlers/scene/GetSceneInfoToolHandler.js';
+import { ListComponentsToolHandler } from '../../../src/handlers/component/ListComponentsToolHandler.js';
+import { GetObjectReferencesToolHandler } from '../../../src/handlers/analysis/GetObjectReferencesToolHandler.js';
+
+const HEADER = '%YAML 1.1\n%TAG !u! tag:unity3d.com,2011:\n';
+const SCRIPT_GUID = '11111111111111111111111111111111';
+const MATERIAL_GUID = '22222222222222222222222222222222';
+const PREFAB_GUID = '33333333333333333333333333333333';
+
+const ENEMY_PREFAB = `${HEADER}--- !u!1 &500
+GameObject:
+  m_Component:
+  - component: {fileID: 501}
+  m_Layer: 0
+  m_Name: Enemy
+  m_TagString: Enemy
+  m_IsActive: 1
+--- !u!4 &501
+Transform:
+  m_GameObject: {fileID: 500}
+  m_LocalRotation: {x: 0, y: 0, z: 0, w: 1}
+  m_LocalPosition: {x: 0, y: 0, z: 0}
+  m_LocalScale: {x: 1, y: 1, z: 1}
+  m_Children: []
+  m_Father: {fileID: 0}
+`;
+
+const MAIN_SCENE = `${HEADER}--- !u!1 &100
+GameObject:
+  m_Component:
+  - component: {fileID: 101}
+  m_Layer: 0
+  m_Name: Main Camera
+  m_TagString: MainCamera
+  m_IsActive: 1
+--- !u!4 &101
+Transform:
+  m_GameObject: {fileID: 100}
+  m_LocalRotation: {x: 0, y: 0.7071068, z: 0, w: 0.7071068}
+  m_LocalPosition: {x: 0, y: 1, z: -10}
+  m_LocalScale: {x: 1, y: 1, z: 1}
+  m_Children: []
+  m_Father: {fileID: 0}
+--- !u!1 &200
+GameObject:
+  m_Component:
+  - component: {fileID: 201}
+  - component: {fileID: 202}
+  m_Layer: 0
+  m_Name: Player
+  m_TagString: Player
+  m_IsActive: 1
+--- !u!4 &201
+Transform:
+  m_GameObject: {fileID: 200}
+  m_LocalRotation: {x: 0, y: 0, z: 0, w: 1}
+  m_LocalPosition: {x: 2, y: 0, z: 0}
+  m_LocalScale: {x: 1, y: 1, z: 1}
+  m_Children:
+  - {fileID: 211}
+  m_Father: {fileID: 0}
+--- !u!114 &202
+MonoBehaviour:
+  m_GameObject: {fileID: 200}
+  m_Enabled: 0
+  m_Script: {fileID: 11500000, guid: ${SCRIPT_GUID}, type: 3}
+  target: {fileID: 401}
+  skin: {fileID: 2100000, guid: ${MATERIAL_GUID}, type: 2}
+--- !u!1 &210
+GameObject:
+  m_Component:
+  - component: {fileID: 211}
+  - component: {fileID: 212}
+  m_Layer: 0
+  m_Name: Gun
+  m_TagString: Untagged
+  m_IsActive: 0
+--- !u!4 &211
+Transform:
+  m_GameObject: {fileID: 210}
+  m_LocalRotation: {x: 0, y: 0, z: 0, w: 1}
+  m_LocalPosition: {x: 0, y: 1, z: 0}
+  m_LocalScale: {x: 1, y: 1, z: 1}
+  m_Children: []
+  m_Father: {fileID: 201}
+--- !u!114 &212
+MonoBehaviour:
+  m_GameObject: {fileID: 210}
+  m_Enabled: 1
+  m_Script: {fileID: 11500000, guid: 44444444444444444444444444444444, type: 3}
+  owner: {fileID: 200}
+--- !u!1001 &400
+PrefabInstance:
+  m_Modification:
+    m_TransformParent: {fileID: 0}
+    m_Modifications:
+    - target: {fileID: 500, guid: ${PREFAB_GUID}, type: 3}
+      propertyPath: m_Name
+      value: Boss
+      objectReference: {fileID: 0}
+    - target: {fileID: 501, guid: ${PREFAB_GUID}, type: 3}
+      propertyPath: m_LocalPosition.x
+      value: 5
+      objectReference: {fileID: 0}
+    m_RemovedComponents: []
+  m_SourcePrefab: {fileID: 100100000, guid: ${PREFAB_GUID}, type: 3}
+--- !u!4 &401 stripped
+Transform:
+  m_CorrespondingSourceObject: {fileID: 501, guid: ${PREFAB_GUID}, type: 3}
+  m_PrefabInstance: {fileID: 400}
+--- !u!1660057539 &9223372036854775807
+SceneRoots:
+  m_Roots:
+  - {fileID: 201}
+  - {fileID: 101}
+  - {fileID: 401}
+`;
+
+function writeProjectFile(root, relativePath, contents) {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents);
+}
+
+function writeMeta(root, assetPath, guid) {
+  writeProjectFile(root, `${assetPath}.meta`, `fileFormatVersion: 2\nguid: ${guid}\n`);
+}
+
+function createOfflineConnection(projectRoot) {
+  const error = new Error('connect ECONNREFUSED 127.0.0.1:6400');
+  error.code = 'ECONNREFUSED';
+  return {
+    endpoint: { projectPath: projectRoot },
+    isConnected: () => false,
+    connect: mock.fn(async () => { throw error; }),
+    sendCommand: mock.fn(async () => { throw new Error('Not connected to Unity'); })
+  };
+}
+
+describe('OfflineProject', () => {
+  let projectRoot;
+
+  before(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-offline-'));
+    writeProjectFile(projectRoot, 'Assets/Scenes/Main.unity', MAIN_SCENE);
+    writeMeta(projectRoot, 'Assets/Scenes/Main.unity', '55555555555555555555555555555555');
+    writeProjectFile(projectRoot, 'Assets/Prefabs/Enemy.prefab', ENEMY_PREFAB);
+    writeMeta(projectRoot, 'Assets/Prefabs/Enemy.prefab', PREFAB_GUID);
+    writeProjectFile(projectRoot, 'Assets/Scripts/PlayerController.cs', 'public class PlayerController {}');
+    writeMeta(projectRoot, 'Assets/Scripts/PlayerController.cs', SCRIPT_GUID);
+    writeProjectFile(projectRoot, 'Assets/Materials/Red.mat', HEADER);
+    writeMeta(projectRoot, 'Assets/Materials/Red.mat', MATERIAL_GUID);
+    writeProjectFile(projectRoot, 'Library/LastSceneManagerSetup.txt', 'sceneSetups:\n- path: Assets/Scenes/Main.unity\n  isLoaded: 1\n  isActive: 1\n');
+    writeProjectFile(projectRoot, 'ProjectSettings/EditorBuildSettings.asset', `${HEADER}--- !u!1045 &1\nEditorBuildSettings:\n  m_Scenes:\n  - enabled: 0\n    path: Assets/Scenes/Old.unity\n  - enabled: 1\n    path: Assets/Scenes/Main.unity\n`);
+  });
+
+  after(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('builds the saved hierarchy with prefab instances and their overrides', () => {
+    const project = new OfflineProject(projectRoot);
+    const scene = project.loadScene(project.getActiveScenePath());
+
+    assert.deepEqual(scene.roots.map((root) => root.name), ['Player', 'Main Camera', 'Boss']);
+    const boss = scene.find('/Boss');
+    assert.deepEqual(boss.prefab, { assetPath: 'Assets/Prefabs/Enemy.prefab', guid: PREFAB_GUID });
+    assert.deepEqual(getLocalTransform(boss).position, { x: 5, y: 0, z: 0 });
+    assert.deepEqual(getLocalTransform(scene.find('Main Camera')).rotation, { x: 0, y: 90, z: 0 });
+    assert.equal(getNodePath(scene.find('Gun')), '/Player/Gun');
+    assert.deepEqual(scene.find('/Player').components.map((component) => component.type), ['Transform', 'PlayerController']);
+  });
+
+  it('only treats transport failures as Unity being unavailable', () => {
+    assert.equal(isUnityUnavailableError(Object.assign(new Error('closed'), { code: 'CONNECTION_CLOSED' })), true);
+    assert.equal(isUnityUnavailableError(new Error('Not connected to Unity')), true);
+    assert.equal(isUnityUnavailableError(new Error('GameObject not found: /Player')), false);
+  });
+
+  it('answers read tools from disk when Unity cannot be reached', async () => {
+    const connection = createOfflineConnection(projectRoot);
+
+    const hierarchy = await new GetHierarchyToolHandler(connection).handle({ includeInactive: false, includeComponents: true });
+    assert.equal(hierarchy.status, 'success');
+    assert.equal(hierarchy.result.source, 'disk');
+    assert.equal(hierarchy.result.totalObjects, 3);
+    assert.deepEqual(hierarchy.result.hierarchy[0].components, ['Transform', 'PlayerController']);
+    assert.equal(hierarchy.result.hierarchy[2].prefabAssetPath, 'Assets/Prefabs/Enemy.prefab');
+
+    const sceneInfo = await new GetSceneInfoToolHandler(connection).handle({ includeGameObjects: true });
+    assert.equal(sceneInfo.result.source, 'disk');
+    assert.equal(sceneInfo.result.buildIndex, 0);
+    assert.equal(sceneInfo.result.isActive, true);
+    assert.equal(sceneInfo.result.totalObjectCount, 4);
+
+    const components = await new ListComponentsToolHandler(connection).handle({ gameObjectPath: '/Player' });
+    assert.deepEqual(components.result, {
+      gameObjectPath: '/Player',
+      components: [{ type: 'Transform', enabled: true }, { type: 'PlayerController', enabled: false }],
+      componentCount: 2,
+      source: 'disk'
+    });
+  });
+
+  it('resolves fileID and GUID references from disk', async () => {
+    const connection = createOfflineConnection(projectRoot);
+
+    const result = await new GetObjectReferencesToolHandler(connection).handle({ gameObjectName: 'Player' });
+
+    assert.equal(result.result.source, 'disk');
+    assert.deepEqual(result.result.references.referencesTo, [
+      { gameObject: 'Boss', path: '/Boss', component: 'PlayerController', property: 'target', referenceType: 'transform' },
+      { gameObject: 'Red', path: null, component: 'PlayerController', property: 'skin', referenceType: 'asset', assetPath: 'Assets/Materials/Red.mat' }
+    ]);
+    assert.deepEqual(result.result.references.referencedBy.map((entry) => [entry.gameObject, entry.property, entry.referenceType]), [
+      ['Gun', 'owner', 'direct'],
+      ['Gun', 'child', 'hierarchy']
+    ]);
+  });
+
+  it('keeps Unity errors and unknown projects as errors', async () => {
+    const connection = {
+      isConnected: () => true,
+      connect: async () => {},
+      sendCommand: async () => ({ error: 'GameObject not found: /Ghost' })
+    };
+    const answered = await new ListComponentsToolHandler(connection).handle({ gameObjectPath: '/Ghost' });
+    assert.equal(answered.error, 'GameObject not found: /Ghost');
+
+    const missing = await new GetHierarchyToolHandler(createOfflineConnection(path.join(projectRoot, 'Missing'))).handle({});
+    assert.equal(missing.status, 'error');
+    assert.equal(missing.details.source, 'disk');
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProjectIndex } from '../../../src/core/projectIndex.js';
+
+const HEADER = '%YAML 1.1\n%TAG !u! tag:unity3d.com,2011:\n';
+const GUIDS = {
+  script: 'a0000000000000000000000000000001',
+  material: 'a0000000000000000000000000000002',
+  texture: 'a0000000000000000000000000000003',
+  prefab: 'a0000000000000000000000000000004',
+  scene: 'a0000000000000000000000000000005',
+  unused: 'a0000000000000000000000000000006',
+  dataA: 'a0000000000000000000000000000007',
+  dataB: 'a0000000000000000000000000000008'
+};
+
+function createFixtureProject() {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-index-'));
+  const write = (assetPath, contents, guid) => {
+    const filePath = path.join(projectRoot, assetPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+    if (guid) {
+      fs.writeFileSync(`${filePath}.meta`, `fileFormatVersion: 2\nguid: ${guid}\n`);
+    }
+  };
+
+  write('Assets/Scripts/Player.cs', 'public class Player {}', GUIDS.script);
+  write('Assets/Textures/red.png', Buffer.alloc(2048), GUIDS.texture);
+  write('Assets/Textures/old.png', Buffer.alloc(1024), GUIDS.unused);
+  write('Assets/Textures.meta', 'fileFormatVersion: 2\nguid: a00000000000000000000000000000ff\nfolderAsset: yes\n');
+  write('Assets/Ignored~/hidden.png', 'x', 'a00000000000000000000000000000fe');
+  write('Assets/Materials/Red.mat', `${HEADER}--- !u!21 &2100000
+Material:
+  m_Name: Red
+  m_Shader: {fileID: 46, guid: 0000000000000000f000000000000000, type: 0}
+  m_SavedProperties:
+    m_TexEnvs:
+    - _MainTex:
+        m_Texture: {fileID: 2800000, guid: ${GUIDS.texture}, type: 3}
+`, GUIDS.material);
+  write('Assets/Prefabs/Player.prefab', `${HEADER}--- !u!1 &100
+GameObject:
+  m_Name: Player
+--- !u!23 &101
+MeshRenderer:
+  m_Materials:
+  - {fileID: 2100000, guid: ${GUIDS.material}, type: 2}
+--- !u!114 &102
+MonoBehaviour:
+  m_Script: {fileID: 11500000, guid: ${GUIDS.script}, type: 3}
+`, GUIDS.prefab);
+  write('Assets/Scenes/Main.unity', `${HEADER}--- !u!1001 &400
+PrefabInstance:
+  m_SourcePrefab: {fileID: 100100000, guid: ${GUIDS.prefab}, type: 3}
+`, GUIDS.scene);
+  write('Assets/Data/A.asset', `${HEADER}--- !u!114 &11400000
+MonoBehaviour:
+  next: {fileID: 11400000, guid: ${GUIDS.dataB}, type: 2}
+`, GUIDS.dataA);
+  write('Assets/Data/B.asset', `${HEADER}--- !u!114 &11400000
+MonoBehaviour:
+  next: {fileID: 11400000, guid: ${GUIDS.dataA}, type: 2}
+`, GUIDS.dataB);
+  return projectRoot;
+}
+
+describe('ProjectIndex', () => {
+  let projectRoot;
+  let index;
+
+  beforeEach(() => {
+    projectRoot = createFixtureProject();
+    index = new ProjectIndex(projectRoot, { watch: false });
+  });
+
+  afterEach(() => {
+    index.close();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('indexes assets from .meta files and skips folders and ignored paths', () => {
+    index.refresh();
+
+    assert.deepEqual([...index.assets.keys()].sort(), [
+      'Assets/Data/A.asset',
+      'Assets/Data/B.asset',
+      'Assets/Materials/Red.mat',
+      'Assets/Prefabs/Player.prefab',
+      'Assets/Scenes/Main.unity',
+      'Assets/Scripts/Player.cs',
+      'Assets/Textures/old.png',
+      'Assets/Textures/red.png'
+    ]);
+    assert.equal(index.assets.get('Assets/Data/A.asset').type, 'MonoBehaviour');
+  });
+
+  it('walks dependencies breadth first and ignores built-in GUIDs', () => {
+    assert.deepEqual(index.getDependencies('Assets/Prefabs/Player.prefab'), [
+      { path: 'Assets/Materials/Red.mat', type: 'Material', isDirectDependency: true, depth: 1 },
+      { path: 'Assets/Scripts/Player.cs', type: 'MonoScript', isDirectDependency: true, depth: 1 }
+    ]);
+    assert.deepEqual(index.getDependencies('Assets/Scenes/Main.unity', true).map(({ path: assetPath, depth }) => [assetPath, depth]), [
+      ['Assets/Prefabs/Player.prefab', 1],
+      ['Assets/Materials/Red.mat', 2],
+      ['Assets/Scripts/Player.cs', 2],
+      ['Assets/Textures/red.png', 3]
+    ]);
+    assert.throws(() => index.getDependencies('Assets/Missing.prefab'), { code: 'NOT_FOUND' });
+  });
+
+  it('reports dependents with the properties that reference them', () => {
+    assert.deepEqual(index.getDependents('Assets/Materials/Red.mat'), [
+      { path: 'Assets/Prefabs/Player.prefab', type: 'GameObject', usage: 'MeshRenderer.m_Materials' }
+    ]);
+    assert.deepEqual(index.getDependents('Assets/Textures/red.png')[0].usage, 'Material.m_Texture');
+  });
+
+  it('finds unreferenced assets and reference cycles', () => {
+    assert.deepEqual(index.findUnused().map((asset) => asset.path), ['Assets/Textures/old.png']);
+    assert.deepEqual(index.findCycles(), [['Assets/Data/A.asset', 'Assets/Data/B.asset', 'Assets/Data/A.asset']]);
+  });
+
+  it('re-reads invalidated paths before the next query', () => {
+    index.refresh();
+    fs.renameSync(path.join(projectRoot, 'Assets/Textures/red.png'), path.join(projectRoot, 'Assets/Textures/blue.png'));
+    fs.renameSync(path.join(projectRoot, 'Assets/Textures/red.png.meta'), path.join(projectRoot, 'Assets/Textures/blue.png.meta'));
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Data/B.asset'), `${HEADER}--- !u!114 &11400000\nMonoBehaviour:\n  next: {fileID: 0}\n`);
+    index.invalidate('Assets/Textures/red.png');
+    index.invalidate('Assets/Textures/blue.png.meta');
+    index.invalidate('Assets/Data/B.asset');
+
+    assert.deepEqual(index.getDependencies('Assets/Materials/Red.mat').map((dependency) => dependency.path), ['Assets/Textures/blue.png']);
+    assert.deepEqual(index.findCycles(), []);
+    assert.deepEqual(index.findUnused().map((asset) => asset.path), ['Assets/Data/A.asset', 'Assets/Textures/old.png']);
+  });
+
+  it('compares modification times when recursive watching is unavailable', () => {
+    mock.method(fs, 'watch', () => {
+      throw Object.assign(new Error('recursive watch unavailable'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+    });
+    index = new ProjectIndex(projectRoot);
+    index.refresh();
+    const rebuild = mock.method(index, 'rebuild');
+
+    fs.rmSync(path.join(projectRoot, 'Assets/Textures/old.png'));
+    fs.rmSync(path.join(projectRoot, 'Assets/Textures/old.png.meta'));
+    const bPath = path.join(projectRoot, 'Assets/Data/B.asset');
+    fs.writeFileSync(bPath, `${HEADER}--- !u!114 &11400000\nMonoBehaviour:\n  next: {fileID: 0}\n`);
+    fs.utimesSync(bPath, new Date(2030, 0, 1), new Date(2030, 0, 1));
+
+    assert.deepEqual(index.findCycles(), []);
+    assert.deepEqual(index.findUnused().map((asset) => asset.path), ['Assets/Data/A.asset']);
+    assert.equal(rebuild.mock.calls.length, 0);
+    mock.restoreAll();
+  });
+});
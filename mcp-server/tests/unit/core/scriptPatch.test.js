@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PATCH_FAILED,
+  SCRIPT_CONFLICT,
+  applyScriptPatch,
+  createScriptConflictError,
+  createUnifiedDiff,
+  hashScriptContent,
+  rememberScriptContent
+} from '../../../src/core/scriptPatch.js';
+
+const SCRIPT = [
+  'using UnityEngine;',
+  '',
+  'public class Player : MonoBehaviour',
+  '{',
+  '    public float speed = 1f;',
+  '',
+  '    void Update()',
+  '    {',
+  '        transform.Translate(Vector3.forward * speed);',
+  '    }',
+  '}',
+  ''
+].join('\n');
+
+describe('scriptPatch', () => {
+  it('round-trips unified diffs it creates', () => {
+    const edited = SCRIPT.replace('speed = 1f', 'speed = 5f').replace('using UnityEngine;', 'using System;\nusing UnityEngine;');
+    const diff = createUnifiedDiff(SCRIPT, edited, 'Assets/Player.cs');
+
+    assert.match(diff, /^--- a\/Assets\/Player.cs\n\+\+\+ b\/Assets\/Player.cs\n@@ -1,8 \+1,9 @@\n\+using System;\n/);
+    assert.equal(applyScriptPatch(SCRIPT, diff).content, edited);
+    assert.equal(createUnifiedDiff(SCRIPT, SCRIPT), '');
+  });
+
+  it('applies hunks at shifted positions and keeps CRLF line endings', () => {
+    const crlf = `// header\r\n${SCRIPT.replace(/\n/g, '\r\n')}`;
+    const patch = [
+      '@@ -5,3 +5,3 @@',
+      ' {',
+      '-    public float speed = 1f;',
+      '+    public float speed = 2f;',
+      ''
+    ].join('\n');
+
+    const { content, hunksApplied } = applyScriptPatch(crlf, patch);
+
+    assert.equal(hunksApplied, 1);
+    assert.equal(content, crlf.replace('speed = 1f', 'speed = 2f'));
+  });
+
+  it('applies exact search/replace hunks in order', () => {
+    const { content } = applyScriptPatch(SCRIPT, [
+      { search: 'speed = 1f', replace: 'speed = 3f' },
+      { search: 'speed', replace: 'velocity', replaceAll: true }
+    ]);
+
+    assert.match(content, /public float velocity = 3f;/);
+    assert.match(content, /Vector3.forward \* velocity/);
+  });
+
+  it('rejects hunks that do not match exactly once', () => {
+    assert.throws(() => applyScriptPatch(SCRIPT, [{ search: 'speed', replace: 'velocity' }]), {
+      code: PATCH_FAILED,
+      message: /found 2 times/
+    });
+    assert.throws(() => applyScriptPatch(SCRIPT, '@@ -5,1 +5,1 @@\n-    public int lives;\n+    public int hearts;\n'), {
+      code: PATCH_FAILED,
+      message: /Hunk 1 \(@@ -5,1 \+5,1 @@\) does not match/
+    });
+    assert.throws(() => applyScriptPatch(SCRIPT, 'not a diff'), { code: PATCH_FAILED });
+  });
+
+  it('reports conflicts as a diff from the version the caller saw', () => {
+    const expectedHash = rememberScriptContent(SCRIPT);
+    const current = SCRIPT.replace('speed = 1f', 'speed = 9f');
+
+    const conflict = createScriptConflictError('Assets/Player.cs', expectedHash, current);
+
+    assert.equal(conflict.code, SCRIPT_CONFLICT);
+    assert.equal(conflict.details.currentHash, hashScriptContent(current));
+    assert.match(conflict.details.diff, /-    public float speed = 1f;\n\+    public float speed = 9f;/);
+
+    const unknown = createScriptConflictError('Assets/Player.cs', 'f'.repeat(64), current);
+    assert.equal(unknown.details.currentContent, current);
+  });
+
+  it('diffs large scripts with few edits and gives up on rewrites', () => {
+    const lines = Array.from({ length: 5000 }, (_, index) => `    int field${index};`);
+    const edited = lines.map((line, index) => (index % 100 === 0 ? `${line} // changed` : line));
+    const rewritten = lines.map((line) => line.replace('int', 'long'));
+
+    const diff = createUnifiedDiff(`${lines.join('\n')}\n`, `${edited.join('\n')}\n`, 'Big.cs');
+    assert.equal(diff.split('\n').filter((line) => line.startsWith('+    int')).length, 50);
+    assert.equal(applyScriptPatch(`${lines.join('\n')}\n`, diff).content, `${edited.join('\n')}\n`);
+    assert.equal(createUnifiedDiff(lines.join('\n'), rewritten.join('\n')), null);
+
+    const expectedHash = rememberScriptContent(lines.join('\n'));
+    const conflict = createScriptConflictError('Assets/Big.cs', expectedHash, rewritten.join('\n'));
+    assert.deepEqual([conflict.details.diff, conflict.details.currentContent], [undefined, rewritten.join('\n')]);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  deriveNamespace,
+  loadScriptTemplates,
+  parseScriptTemplate,
+  renderScriptTemplate
+} from '../../../src/core/scriptTemplates.js';
+
+const POOLED_BEHAVIOUR = [
+  '// @description MonoBehaviour returned to a pool instead of destroyed',
+  '// @var poolName Name of the pool the object belongs to',
+  'using UnityEngine;',
+  '',
+  '#ROOTNAMESPACEBEGIN#',
+  'public class {{className}} : PooledBehaviour',
+  '{',
+  '    public override string PoolName => "{{poolName}}";',
+  '',
+  '    public override void OnSpawned() { #NOTRIM#',
+  '    }',
+  '}',
+  '#ROOTNAMESPACEEND#',
+  ''
+].join('\r\n');
+
+describe('scriptTemplates', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-templates-'));
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Game/AI'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Game/Game.asmdef'), JSON.stringify({ name: 'Game', rootNamespace: 'Studio.Game' }));
+    fs.mkdirSync(path.join(projectRoot, 'ProjectSettings'));
+    fs.writeFileSync(path.join(projectRoot, 'ProjectSettings/EditorSettings.asset'), 'EditorSettings:\n  m_ProjectGenerationRootNamespace: Studio\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('parses header comments and custom variables', () => {
+    const template = parseScriptTemplate(POOLED_BEHAVIOUR, 'PooledBehaviour');
+
+    assert.equal(template.description, 'MonoBehaviour returned to a pool instead of destroyed');
+    assert.deepEqual(template.variables, [{ name: 'poolName', description: 'Name of the pool the object belongs to' }]);
+    assert.match(template.body, /^using UnityEngine;/);
+    assert.throws(() => parseScriptTemplate('// @description Empty\n', 'Empty'), /no content/);
+  });
+
+  it('renders placeholders and Unity template markers', () => {
+    const template = parseScriptTemplate(POOLED_BEHAVIOUR, 'PooledBehaviour');
+
+    const wrapped = renderScriptTemplate(template, { className: 'Bullet', namespace: 'Studio.Game', poolName: 'Bullets' });
+    assert.equal(wrapped, [
+      'using UnityEngine;',
+      '',
+      'namespace Studio.Game',
+      '{',
+      '    public class Bullet : PooledBehaviour',
+      '    {',
+      '        public override string PoolName => "Bullets";',
+      '',
+      '        public override void OnSpawned() { ',
+      '        }',
+      '    }',
+      '}',
+      ''
+    ].join('\n'));
+
+    const bare = renderScriptTemplate(template, { className: 'Bullet', namespace: '', poolName: 'Bullets' });
+    assert.match(bare, /^public class Bullet : PooledBehaviour$/m);
+    assert.doesNotMatch(bare, /namespace|#ROOTNAMESPACE/);
+
+    assert.throws(() => renderScriptTemplate(template, { className: 'Bullet' }), (error) =>
+      error.code === 'TEMPLATE_VARIABLES_MISSING' && error.details.missing[0] === 'poolName');
+  });
+
+  it('derives namespaces from assembly root namespaces and folders', () => {
+    assert.equal(deriveNamespace(projectRoot, 'Assets/Game'), 'Studio.Game');
+    assert.equal(deriveNamespace(projectRoot, 'Assets/Game/AI/2D States/'), 'Studio.Game.AI._2DStates');
+    assert.equal(deriveNamespace(projectRoot, 'Assets/Scripts'), 'Studio');
+  });
+
+  it('loads templates from a directory and skips invalid files', async () => {
+    const directory = path.join(projectRoot, '.unity-mcp/templates');
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(path.join(directory, 'PooledBehaviour.cs.tmpl'), POOLED_BEHAVIOUR);
+    fs.writeFileSync(path.join(directory, 'Blank.cs.tmpl'), '   \n');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'not a template');
+
+    const templates = await loadScriptTemplates(directory);
+
+    assert.deepEqual(templates.map((template) => template.name), ['PooledBehaviour']);
+    assert.equal(templates[0].path, path.join(directory, 'PooledBehaviour.cs.tmpl'));
+    assert.deepEqual(await loadScriptTemplates(path.join(projectRoot, 'missing')), []);
+  });
+});
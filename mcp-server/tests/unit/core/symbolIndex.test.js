@@ -0,0 +1,127 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SymbolIndex } from '../../../src/core/symbolIndex.js';
+
+function createScriptProject() {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-symbols-'));
+  const write = (scriptPath, contents) => {
+    const filePath = path.join(projectRoot, scriptPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, contents);
+  };
+
+  write('Assets/Scripts/Actor.cs', `using UnityEngine;
+
+public abstract class Actor : MonoBehaviour
+{
+    public int health = 10;
+}
+`);
+  write('Assets/Scripts/Player/PlayerHealth.cs', `using UnityEngine;
+
+namespace Game
+{
+    /// <summary>Handles damage taken by the player.</summary>
+    public class PlayerHealth : Actor
+    {
+        [SerializeField] private float armor;
+
+        public void TakeDamage(int amount)
+        {
+            // TakeDamage is logged elsewhere
+            health -= amount;
+        }
+    }
+}
+`);
+  write('Assets/Scripts/Enemy.cs', `using UnityEngine;
+
+public class Enemy : MonoBehaviour
+{
+    public Game.PlayerHealth target;
+
+    void Attack()
+    {
+        target.TakeDamage(2);
+        Debug.Log("TakeDamage");
+    }
+}
+`);
+  write('Packages/com.game.tools/Runtime/DamageLog.cs', `public static class DamageLog
+{
+    public static void Record(int amount) { }
+}
+`);
+  write('Library/PackageCache/com.vendor.ai@1.0.0/Runtime/DamageSolver.cs', `public class DamageSolver { }
+`);
+  return projectRoot;
+}
+
+describe('SymbolIndex', () => {
+  let projectRoot;
+  let index;
+
+  beforeEach(() => {
+    projectRoot = createScriptProject();
+    index = new SymbolIndex(projectRoot);
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('ranks symbols by name words, containing type and doc summary', () => {
+    const { matches, totalMatches, filesSearched } = index.findSymbols('player damage');
+
+    assert.equal(filesSearched, 4);
+    assert.deepEqual(matches.map((match) => [match.kind, match.fullName]), [
+      ['class', 'Game.PlayerHealth'],
+      ['method', 'Game.PlayerHealth.TakeDamage']
+    ]);
+    assert.equal(totalMatches, 2);
+    assert.equal(matches[0].signature, 'public class PlayerHealth : Actor');
+    assert.deepEqual(matches[0].serializedFields, ['armor']);
+    assert.equal(matches[1].signature, 'public void TakeDamage(int amount)');
+    assert.equal(matches[1].scriptPath, 'Assets/Scripts/Player/PlayerHealth.cs');
+  });
+
+  it('filters by kind, transitive base type and package scope', () => {
+    assert.deepEqual(index.findSymbols('', { baseType: 'MonoBehaviour', kind: 'class' }).matches.map((match) => match.name), [
+      'Actor', 'Enemy', 'PlayerHealth'
+    ]);
+    assert.deepEqual(index.findSymbols('damage', { kind: 'type' }).matches.map((match) => match.scriptPath), [
+      'Assets/Scripts/Player/PlayerHealth.cs',
+      'Packages/com.game.tools/Runtime/DamageLog.cs'
+    ]);
+    assert.deepEqual(index.findSymbols('damage', { kind: 'type', includePackages: true }).matches.map((match) => match.name), [
+      'PlayerHealth', 'DamageLog', 'DamageSolver'
+    ]);
+  });
+
+  it('finds references in code but not in comments or strings', () => {
+    const { references, totalReferences } = index.findReferences('PlayerHealth.TakeDamage');
+
+    assert.equal(totalReferences, 2);
+    assert.deepEqual(references.map(({ scriptPath, line, column, isDeclaration }) => [scriptPath, line, column, isDeclaration]), [
+      ['Assets/Scripts/Enemy.cs', 9, 16, false],
+      ['Assets/Scripts/Player/PlayerHealth.cs', 10, 21, true]
+    ]);
+    assert.equal(references[0].text, 'target.TakeDamage(2);');
+    assert.equal(index.findReferences('TakeDamage', { includeDeclarations: false }).totalReferences, 1);
+  });
+
+  it('re-parses changed scripts and forgets deleted ones', () => {
+    index.findSymbols('enemy');
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/Enemy.cs'), 'public class Boss : Actor { public void Enrage() { } }\n');
+    fs.rmSync(path.join(projectRoot, 'Assets/Scripts/Actor.cs'));
+
+    assert.equal(index.findSymbols('enemy').totalMatches, 0);
+    assert.deepEqual(index.findSymbols('enrage').matches.map((match) => match.fullName), ['Boss.Enrage', 'Boss']);
+    assert.equal(index.findSymbols('actor', { kind: 'class' }).totalMatches, 0);
+    assert.throws(() => index.getOutline('Assets/Scripts/Actor.cs'), { code: 'NOT_FOUND' });
+    assert.throws(() => index.getOutline('Assets/../../outside.cs'), { code: 'PATH_OUTSIDE_PROJECT' });
+  });
+});
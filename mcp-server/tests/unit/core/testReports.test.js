@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTestReport } from '../../../src/core/testReports.js';
+
+const RUN = {
+  id: 'f3a1',
+  recordedAt: '2026-10-19T10:00:05.000Z',
+  startedAt: '2026-10-19T10:00:00.000Z',
+  finishedAt: '2026-10-19T10:00:01.250Z',
+  testMode: 'EditMode',
+  summary: { total: 3, passed: 1, failed: 1, skipped: 1, inconclusive: 0, duration: 1.25 },
+  tests: [
+    { name: 'Game.Tests.MathTests.Add', className: 'Game.Tests.MathTests', methodName: 'Add', status: 'Passed', duration: 0.25, output: 'log <1>' },
+    {
+      name: 'Game.Tests.MathTests.Divide(1,0)',
+      className: 'Game.Tests.MathTests',
+      methodName: 'Divide(1,0)',
+      status: 'Failed',
+      duration: 1,
+      message: 'Expected: "a" & <b>',
+      stackTrace: 'at MathTests.Divide ()\nat ]]> end'
+    },
+    { name: 'Game.Tests.UiTests.Click', className: 'Game.Tests.UiTests', methodName: 'Click', status: 'Skipped', duration: 0, message: 'Ignored' }
+  ]
+};
+
+describe('testReports', () => {
+  it('formats JUnit XML with one suite per class', () => {
+    const xml = formatTestReport(RUN, 'junit');
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="Unity EditMode" tests="3" failures="1" errors="0" skipped="1" time="1.250">/);
+    assert.match(xml, /<testsuite name="Game.Tests.MathTests" tests="2" failures="1" errors="0" skipped="0" time="1.250"/);
+    assert.match(xml, /<testcase name="Divide\(1,0\)" classname="Game.Tests.MathTests" time="1.000">/);
+    assert.match(xml, /<failure message="Expected: &quot;a&quot; &amp; &lt;b&gt;" type="AssertionException">at MathTests.Divide \(\)\nat \]\]&gt; end<\/failure>/);
+    assert.match(xml, /<skipped message="Ignored" \/>/);
+    assert.match(xml, /<system-out>log &lt;1&gt;<\/system-out>/);
+  });
+
+  it('formats NUnit 3 XML with CDATA details', () => {
+    const xml = formatTestReport(RUN, 'nunit');
+
+    assert.match(xml, /<test-run id="2" testcasecount="3" result="Failed" total="3" passed="1" failed="1" inconclusive="0" skipped="1"/);
+    assert.match(xml, /<test-case id="\d+" name="Divide\(1,0\)" fullname="Game.Tests.MathTests.Divide\(1,0\)" methodname="Divide" classname="Game.Tests.MathTests" runstate="Runnable" result="Failed"/);
+    assert.match(xml, /<stack-trace><!\[CDATA\[at MathTests.Divide \(\)\nat \]\]\]\]><!\[CDATA\[> end\]\]><\/stack-trace>/);
+    assert.match(xml, /<reason>\s*<message><!\[CDATA\[Ignored\]\]><\/message>/);
+  });
+
+  it('formats TRX with stable ids', () => {
+    const xml = formatTestReport(RUN, 'trx');
+
+    assert.match(xml, /<TestRun id="[0-9a-f-]{36}" name="Unity EditMode f3a1" xmlns="http:\/\/microsoft.com\/schemas\/VisualStudio\/TeamTest\/2010">/);
+    assert.match(xml, /<Counters total="3" executed="2" passed="1" failed="1" inconclusive="0" notExecuted="1" \/>/);
+    assert.match(xml, /testName="Game.Tests.UiTests.Click" computerName="[^"]*" duration="00:00:00.0000000"/);
+    assert.match(xml, /outcome="NotExecuted"/);
+    assert.match(xml, /duration="00:00:01.0000000"/);
+    assert.equal(xml, formatTestReport(RUN, 'trx'));
+    assert.throws(() => formatTestReport(RUN, 'html'), /format must be one of/);
+  });
+});
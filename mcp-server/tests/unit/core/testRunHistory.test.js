@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  TestRunHistory,
+  compareTestRuns,
+  findFlakyTests,
+  splitTestName
+} from '../../../src/core/testRunHistory.js';
+
+function unityResults(runId, statuses) {
+  return {
+    runId,
+    testMode: 'EditMode',
+    isRunning: false,
+    results: Object.entries(statuses).map(([name, status]) => ({
+      name,
+      status,
+      duration: 0.5,
+      startTime: '2026-10-19T10:00:00.0000000Z',
+      endTime: '2026-10-19T10:00:00.5000000Z',
+      message: status === 'Failed' ? 'Expected: 3 But was: 2' : null
+    }))
+  };
+}
+
+describe('testRunHistory', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-test-runs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores each finished run once and prunes old runs', () => {
+    const history = new TestRunHistory({ directory, maxRuns: 2 });
+
+    const first = history.record(unityResults('a', { 'Game.Tests.MathTests.Add': 'Passed' }));
+    assert.equal(first.summary.passed, 1);
+    assert.equal(first.tests[0].className, 'Game.Tests.MathTests');
+    assert.equal(history.record(unityResults('a', { 'Game.Tests.MathTests.Add': 'Passed' })).recordedAt, first.recordedAt);
+    assert.equal(history.record({ isRunning: true, results: [] }), null);
+
+    history.record(unityResults('b', { 'Game.Tests.MathTests.Add': 'Failed' }));
+    history.record(unityResults('c', { 'Game.Tests.MathTests.Add': 'Passed' }));
+
+    assert.deepEqual(history.list().map((run) => run.id), ['b', 'c']);
+    assert.equal(history.get('latest').id, 'c');
+    assert.equal(history.get('previous').id, 'b');
+    assert.deepEqual(fs.readdirSync(directory).sort(), ['b.json', 'c.json']);
+    assert.throws(() => history.require('a'), (error) => error.code === 'TEST_RUN_NOT_FOUND' && error.details.available.length === 2);
+  });
+
+  it('identifies runs without a Unity run id by their results', () => {
+    const history = new TestRunHistory();
+    const { runId, ...legacy } = unityResults(undefined, { 'Game.Tests.A': 'Passed' });
+
+    const run = history.record(legacy);
+    assert.match(run.id, /^run-[0-9a-f]{16}$/);
+    history.record(legacy);
+    assert.equal(history.list().length, 1);
+  });
+
+  it('compares runs and flags tests that keep flipping as flaky', () => {
+    const history = new TestRunHistory();
+    history.record(unityResults('1', { 'T.Flaky': 'Passed', 'T.Broken': 'Passed', 'T.Fixed': 'Failed', 'T.Old': 'Passed' }));
+    history.record(unityResults('2', { 'T.Flaky': 'Failed', 'T.Broken': 'Passed', 'T.Fixed': 'Failed', 'T.Old': 'Passed' }));
+    history.record(unityResults('3', { 'T.Flaky': 'Passed', 'T.Broken': 'Passed', 'T.Fixed': 'Failed', 'T.Old': 'Passed' }));
+    history.record(unityResults('4', { 'T.Flaky': 'Failed', 'T.Broken': 'Failed', 'T.Fixed': 'Passed', 'T.New': 'Passed' }));
+
+    const comparison = compareTestRuns(history.get('previous'), history.get('latest'), history.list());
+
+    assert.deepEqual(comparison.newlyFailing.map((test) => [test.name, test.flaky === true]), [['T.Flaky', true], ['T.Broken', false]]);
+    assert.deepEqual(comparison.fixed.map((test) => test.name), ['T.Fixed']);
+    assert.deepEqual(comparison.added.map((test) => test.name), ['T.New']);
+    assert.deepEqual(comparison.removed, [{ name: 'T.Old', previousStatus: 'Passed' }]);
+    assert.deepEqual(comparison.flaky, [{ name: 'T.Flaky', runs: 4, failures: 2, flips: 3, failureRate: 0.5, lastStatus: 'Failed' }]);
+    assert.equal(comparison.head.id, '4');
+    assert.equal(comparison.head.tests, undefined);
+  });
+
+  it('limits flaky detection to the window ending at the head run', () => {
+    const runs = ['Passed', 'Failed', 'Passed', 'Passed', 'Passed'].map((status, index) => ({ id: String(index), tests: [{ name: 'T.A', status }] }));
+
+    assert.equal(findFlakyTests(runs).length, 1);
+    assert.equal(compareTestRuns(runs[3], runs[4], runs, { flakyWindow: 3 }).flaky.length, 0);
+  });
+
+  it('splits parameterized test names', () => {
+    assert.deepEqual(splitTestName('Game.Tests.MathTests.Add(1,2.5)'), { className: 'Game.Tests.MathTests', methodName: 'Add(1,2.5)' });
+    assert.deepEqual(splitTestName('Standalone'), { className: '', methodName: 'Standalone' });
+  });
+});
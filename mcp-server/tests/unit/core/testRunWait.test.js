@@ -0,0 +1,131 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { waitForTestRun, findSourceLocation } from '../../../src/core/testRunWait.js';
+
+const FAILURE = {
+  name: 'Game.Tests.MathTests.Divide',
+  status: 'Failed',
+  duration: 0.2,
+  message: 'Expected: 2 But was: 0',
+  stackTrace: 'at NUnit.Framework.Assert.AreEqual (System.Object expected, System.Object actual) [0x00000] in <filename unknown>:0\n'
+    + 'at Game.Tests.MathTests.Divide () [0x00001] in {root}/Assets/Tests/MathTests.cs:23'
+};
+
+describe('waitForTestRun', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-test-wait-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('streams one progress notification per test and returns located failures', async () => {
+    const failure = { ...FAILURE, stackTrace: FAILURE.stackTrace.replace('{root}', projectRoot) };
+    const states = [
+      { runId: 'r1', isRunning: true, results: [], progress: { completed: 0, total: 2, currentTest: 'Game.Tests.MathTests.Add' } },
+      { runId: 'r1', isRunning: true, results: [{ name: 'Game.Tests.MathTests.Add', status: 'Passed' }], progress: { completed: 1, total: 2 } },
+      { runId: 'r1', isRunning: false, results: [{ name: 'Game.Tests.MathTests.Add', status: 'Passed' }, { name: failure.name, status: 'Failed' }], progress: { completed: 2, total: 2 } }
+    ];
+    const connection = createConnection(projectRoot, async (command, params) => {
+      if (params.includeDetails) {
+        return { runId: 'r1', testMode: 'EditMode', isRunning: false, results: [{ name: 'Game.Tests.MathTests.Add', status: 'Passed', duration: 0.1 }, failure] };
+      }
+      return states.shift();
+    });
+    const progress = [];
+
+    const result = await waitForTestRun(connection, { runId: 'r1', pollIntervalMs: 1 }, {
+      sendProgress: async (update) => progress.push(update)
+    });
+
+    assert.deepEqual(progress.map((update) => update.message), [
+      'Running Game.Tests.MathTests.Add',
+      'Passed Game.Tests.MathTests.Add',
+      'Failed Game.Tests.MathTests.Divide'
+    ]);
+    assert.deepEqual(progress.map((update) => [update.progress, update.total]), [[0, 2], [1, 2], [2, 2]]);
+    assert.equal(result.success, false);
+    assert.equal(result.runId, 'r1');
+    assert.equal(result.summary.failed, 1);
+    assert.deepEqual(result.failures, [{
+      name: failure.name,
+      message: failure.message,
+      stackTrace: failure.stackTrace,
+      file: 'Assets/Tests/MathTests.cs',
+      line: 23,
+      duration: 0.2
+    }]);
+    assert.ok(fs.existsSync(path.join(projectRoot, 'Library/UnityEditorMCP/test-runs/r1.json')));
+  });
+
+  it('reconnects through the domain reload PlayMode tests trigger', async () => {
+    let polls = 0;
+    const connection = createConnection(projectRoot, async (command, params) => {
+      polls++;
+      if (polls === 1) {
+        throw new Error('Connection closed');
+      }
+      return { runId: 'r2', testMode: 'PlayMode', isRunning: false, results: [{ name: 'Game.Tests.PlayerTests.Jumps', status: 'Passed', duration: 1 }] };
+    });
+
+    const result = await waitForTestRun(connection, { runId: 'r2', pollIntervalMs: 1 });
+
+    assert.equal(result.completed, true);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.failures, []);
+    assert.equal(connection.connectCount, 1);
+  });
+
+  it('cancels the Unity run when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const commands = [];
+    const connection = createConnection(projectRoot, async (command) => {
+      commands.push(command);
+      if (command === 'get_test_results') {
+        controller.abort();
+        return { runId: 'r3', isRunning: true, results: [] };
+      }
+      return { wasCancelled: true };
+    });
+
+    await assert.rejects(
+      waitForTestRun(connection, { runId: 'r3', pollIntervalMs: 1000 }, { signal: controller.signal }),
+      (error) => error.code === 'REQUEST_CANCELLED'
+    );
+    assert.deepEqual(commands, ['get_test_results', 'cancel_tests']);
+  });
+
+  it('prefers project frames when locating failures', () => {
+    const trace = 'Game.Core.Math:Divide (int,int) (at ./Library/PackageCache/com.example/Math.cs:8)\n'
+      + 'Game.Tests.MathTests:Divide () (at Assets/Tests/MathTests.cs:23)';
+
+    assert.deepEqual(findSourceLocation(trace), { file: 'Assets/Tests/MathTests.cs', line: 23 });
+    assert.deepEqual(findSourceLocation('at X () in C:\\Game\\Assets\\X.cs:4', 'C:\\Game'), { file: 'Assets/X.cs', line: 4 });
+    assert.equal(findSourceLocation('at X () in <filename unknown>:0'), null);
+  });
+});
+
+function createConnection(projectRoot, sendCommand) {
+  return {
+    connectCount: 0,
+    connected: true,
+    endpoint: { projectPath: projectRoot },
+    isConnected() {
+      return this.connected;
+    },
+    async connect() {
+      this.connectCount++;
+      this.connected = true;
+    },
+    disconnect() {
+      this.connected = false;
+    },
+    sendCommand
+  };
+}
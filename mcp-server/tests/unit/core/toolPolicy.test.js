@@ -0,0 +1,249 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  POLICY_DENIED,
+  ToolPolicy,
+  ToolPolicyProvider,
+  globToRegExp
+} from '../../../src/core/toolPolicy.js';
+import { DeleteScriptToolHandler } from '../../../src/handlers/scripting/DeleteScriptToolHandler.js';
+import { ExecuteMenuItemToolHandler } from '../../../src/handlers/menu/ExecuteMenuItemToolHandler.js';
+import { createServer } from '../../../src/core/server.js';
+
+function getDenial(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  assert.fail('expected the policy to deny the call');
+}
+
+describe('ToolPolicy', () => {
+  it('denies tools and tool actions by pattern', () => {
+    const policy = new ToolPolicy({
+      tools: { deny: ['delete_*', 'manage_asset_database:delete_asset'] }
+    }, { filePath: '/project/.unity-mcp/policy.json' });
+
+    const error = getDenial(() => policy.enforce('delete_script', { scriptPath: 'Assets/A.cs' }));
+    assert.equal(error.code, POLICY_DENIED);
+    assert.deepEqual(error.details.policy, {
+      rule: 'tools.deny',
+      pattern: 'delete_*',
+      tool: 'delete_script',
+      file: '/project/.unity-mcp/policy.json'
+    });
+
+    assert.equal(getDenial(() => policy.enforce('manage_asset_database', { action: 'delete_asset', assetPath: 'Assets/A.mat' })).details.policy.pattern,
+      'manage_asset_database:delete_asset');
+    policy.enforce('manage_asset_database', { action: 'find_assets', filter: 't:Material' });
+  });
+
+  it('only allows listed tools when an allow list is set', () => {
+    const policy = new ToolPolicy({ tools: { allow: ['get_*', 'ping'] } });
+
+    policy.enforce('get_hierarchy', {});
+    policy.enforce('ping', {});
+    assert.equal(getDenial(() => policy.enforce('create_gameobject', { name: 'Cube' })).details.policy.rule, 'tools.allow');
+  });
+
+  it('restricts asset and script write targets with path globs', () => {
+    const policy = new ToolPolicy({
+      paths: { allow: ['Assets/Scripts/**', 'Assets/Materials/*.mat'], deny: ['Assets/Scripts/Generated/**'] }
+    });
+
+    policy.enforce('create_script', { scriptName: 'Player', path: 'Assets/Scripts/Gameplay' });
+    policy.enforce('modify_material', { materialPath: 'Assets/Materials/Red.mat' });
+    policy.enforce('read_script', { scriptPath: 'Assets/Plugins/Vendor.cs' });
+
+    const outside = getDenial(() => policy.enforce('update_script', { scriptPath: 'Assets/Plugins/Vendor.cs', scriptContent: '' }));
+    assert.deepEqual([outside.details.policy.rule, outside.details.policy.path], ['paths.allow', 'Assets/Plugins/Vendor.cs']);
+    assert.equal(getDenial(() => policy.enforce('delete_script', { scriptPath: 'Assets/Scripts/Generated/Api.cs' })).details.policy.rule, 'paths.deny');
+    assert.equal(getDenial(() => policy.enforce('manage_asset_database', {
+      action: 'move_asset',
+      fromPath: 'Assets/Scripts/A.cs',
+      toPath: 'Assets/Other/A.cs'
+    })).details.policy.path, 'Assets/Other/A.cs');
+    assert.match(getDenial(() => policy.enforce('update_script', { scriptName: 'Player', scriptContent: '' })).message, /explicit path/);
+    assert.match(getDenial(() => policy.enforce('delete_script', { scriptPath: 'Assets/../../secrets.cs' })).message, /outside the project/);
+  });
+
+  it('checks the baseline compare_screenshot would replace', () => {
+    const policy = new ToolPolicy({ paths: { deny: ['.unity-mcp/**'] } });
+
+    policy.enforce('compare_screenshot', { name: 'ui/menu', imagePath: 'Assets/Screenshots/capture.png' });
+    const denial = getDenial(() => policy.enforce('compare_screenshot', { name: 'ui/menu', imagePath: 'Assets/Screenshots/capture.png', updateBaseline: true }));
+    assert.deepEqual([denial.details.policy.rule, denial.details.policy.path], ['paths.deny', '.unity-mcp/baselines/ui/menu.png']);
+  });
+
+  it('requires a matching dry run before destructive calls', () => {
+    let now = 0;
+    const policy = new ToolPolicy({ requireDryRun: ['delete_script'], dryRunTtlSeconds: 60 }, { now: () => now });
+    const params = { scriptPath: 'Assets/Scripts/Old.cs' };
+
+    const error = getDenial(() => policy.enforce('delete_script', params));
+    assert.equal(error.details.policy.requiredAction, 'dry_run');
+
+    policy.enforce('delete_script', params, { dryRun: true });
+    assert.equal(getDenial(() => policy.enforce('delete_script', { scriptPath: 'Assets/Scripts/Other.cs' })).details.policy.rule, 'requireDryRun');
+    policy.enforce('delete_script', params);
+    assert.equal(getDenial(() => policy.enforce('delete_script', params)).details.policy.rule, 'requireDryRun');
+
+    policy.enforce('delete_script', params, { dryRun: true });
+    now = 61000;
+    assert.equal(getDenial(() => policy.enforce('delete_script', params)).details.policy.rule, 'requireDryRun');
+  });
+
+  it('forgets dry runs that expired without a real call', () => {
+    let now = 0;
+    const policy = new ToolPolicy({ requireDryRun: ['delete_script'], dryRunTtlSeconds: 60 }, { now: () => now });
+    policy.enforce('delete_script', { scriptPath: 'Assets/Scripts/A.cs' }, { dryRun: true });
+    policy.enforce('delete_script', { scriptPath: 'Assets/Scripts/B.cs' }, { dryRun: true });
+
+    now = 61000;
+    policy.enforce('delete_script', { scriptPath: 'Assets/Scripts/C.cs' }, { dryRun: true });
+
+    assert.deepEqual([...policy.dryRuns.values()], [61000]);
+  });
+
+  it('rejects malformed policy definitions', () => {
+    assert.throws(() => new ToolPolicy({ tools: { deny: 'delete_script' } }), /tools.deny must be an array of strings/);
+    assert.throws(() => new ToolPolicy({ dryRunTtlSeconds: 0 }), /dryRunTtlSeconds/);
+  });
+
+  it('matches globs within and across folders', () => {
+    assert.equal(globToRegExp('Assets/Scripts/**').test('Assets/Scripts'), true);
+    assert.equal(globToRegExp('Assets/**/*.cs').test('Assets/A/B/C.cs'), true);
+    assert.equal(globToRegExp('Assets/*.cs').test('Assets/A/C.cs'), false);
+    assert.equal(globToRegExp('Assets/Scripts/**').test('Assets/ScriptsOld/C.cs'), false);
+  });
+});
+
+describe('ToolPolicyProvider', () => {
+  let tempDir;
+  let policyPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-policy-'));
+    policyPath = path.join(tempDir, 'policy.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('allows everything without a policy file and reloads it when it changes', () => {
+    const provider = new ToolPolicyProvider({ getFilePath: () => policyPath });
+    provider.enforce('delete_script', { scriptPath: 'Assets/A.cs' });
+
+    fs.writeFileSync(policyPath, JSON.stringify({ tools: { deny: ['delete_script'] } }));
+    assert.equal(getDenial(() => provider.enforce('delete_script', { scriptPath: 'Assets/A.cs' })).code, POLICY_DENIED);
+
+    fs.writeFileSync(policyPath, JSON.stringify({ tools: { deny: ['create_script'] } }));
+    fs.utimesSync(policyPath, new Date(), new Date(Date.now() + 5000));
+    provider.enforce('delete_script', { scriptPath: 'Assets/A.cs' });
+  });
+
+  it('denies every tool while the policy file is invalid', () => {
+    fs.writeFileSync(policyPath, '{ "tools": ');
+    const provider = new ToolPolicyProvider({ getFilePath: () => policyPath });
+
+    const error = getDenial(() => provider.enforce('ping', {}));
+    assert.equal(error.code, POLICY_DENIED);
+    assert.equal(error.details.policy.rule, 'policy_file');
+  });
+});
+
+describe('policy enforcement in tool handlers', () => {
+  let mockConnection;
+
+  beforeEach(() => {
+    mockConnection = {
+      isConnected: () => true,
+      connect: async () => {},
+      sendCommand: mock.fn(async () => ({ success: true }))
+    };
+  });
+
+  it('reports denials as POLICY_DENIED without calling Unity', async () => {
+    const handler = new DeleteScriptToolHandler(mockConnection);
+    const policy = new ToolPolicy({ tools: { deny: ['delete_script'] } });
+
+    const result = await handler.handle({ scriptPath: 'Assets/Scripts/Old.cs' }, { policy });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.code, POLICY_DENIED);
+    assert.equal(result.details.policy.rule, 'tools.deny');
+    assert.equal(mockConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('checks the menu blacklist and the policy independently', async () => {
+    const handler = new ExecuteMenuItemToolHandler(mockConnection);
+    const original = process.env.UNITY_MCP_ALLOW_UNSAFE_MENU;
+    process.env.UNITY_MCP_ALLOW_UNSAFE_MENU = '1';
+    try {
+      // Allowing the tool does not unlock blacklisted items
+      const blacklisted = await handler.handle({ menuPath: 'File/Quit' }, { policy: new ToolPolicy({ tools: { allow: ['execute_menu_item'] } }) });
+      assert.match(blacklisted.error, /blacklisted/);
+
+      // The unsafe override lifts the blacklist but not a policy denial
+      const denied = await handler.handle(
+        { menuPath: 'File/Quit', safetyCheck: false },
+        { policy: new ToolPolicy({ tools: { deny: ['execute_menu_item'] } }) }
+      );
+      assert.equal(denied.code, POLICY_DENIED);
+      assert.equal(mockConnection.sendCommand.mock.calls.length, 0);
+    } finally {
+      if (original === undefined) {
+        delete process.env.UNITY_MCP_ALLOW_UNSAFE_MENU;
+      } else {
+        process.env.UNITY_MCP_ALLOW_UNSAFE_MENU = original;
+      }
+    }
+  });
+
+  it('answers dry runs without calling Unity and then allows the call', async () => {
+    const handler = new DeleteScriptToolHandler(mockConnection);
+    const policy = new ToolPolicy({ requireDryRun: ['delete_script'] });
+    const params = { scriptPath: 'Assets/Scripts/Old.cs' };
+
+    const preview = await handler.handle({ ...params, dryRun: true }, { policy });
+    assert.deepEqual(preview.result, {
+      dryRun: true,
+      tool: 'delete_script',
+      params,
+      changes: [{ action: 'delete', target: 'asset', path: 'Assets/Scripts/Old.cs' }]
+    });
+    assert.equal(mockConnection.sendCommand.mock.calls.length, 0);
+
+    const result = await handler.handle(params, { policy });
+    assert.equal(result.status, 'success');
+    assert.equal(mockConnection.sendCommand.mock.calls.length, 1);
+  });
+
+  it('enforces the project policy file on MCP tool calls', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-policy-'));
+    const policyFile = path.join(tempDir, 'policy.json');
+    fs.writeFileSync(policyFile, JSON.stringify({ tools: { deny: ['create_gameobject'] } }));
+    const { server } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' },
+      policy: { file: policyFile }
+    });
+
+    try {
+      const result = await server._requestHandlers.get('tools/call')({
+        method: 'tools/call',
+        params: { name: 'create_gameobject', arguments: { name: 'Cube' } }
+      }, {});
+
+      assert.equal(result.isError, true);
+      assert.equal(result.structuredContent.code, POLICY_DENIED);
+    } finally {
+      await server.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,217 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { UndoJournal } from '../../../src/core/undoJournal.js';
+import { createServer } from '../../../src/core/server.js';
+
+function createConnection() {
+  let nextGroup = 10;
+  const connection = {
+    commands: [],
+    isConnected: () => true,
+    connect: async () => {},
+    sendCommand: mock.fn(async (type, params) => {
+      connection.commands.push({ type, params });
+      switch (type) {
+        case 'begin_undo_group':
+          return { groupIndex: nextGroup++, name: params.name };
+        case 'end_undo_group':
+          return { groupIndex: params.groupIndex };
+        case 'revert_undo_group':
+          return { groupIndex: params.groupIndex, reverted: true };
+        default:
+          return { success: true };
+      }
+    })
+  };
+  return connection;
+}
+
+describe('UndoJournal', () => {
+  let connection;
+  let journal;
+
+  beforeEach(() => {
+    connection = createConnection();
+    journal = new UndoJournal(connection);
+  });
+
+  it('wraps each tracked call in its own named undo group', async () => {
+    const response = await journal.track('create_gameobject', async () => ({ status: 'success', result: {} }));
+
+    assert.equal(response.status, 'success');
+    assert.deepEqual(connection.commands.map((entry) => entry.type), ['begin_undo_group', 'end_undo_group']);
+    assert.equal(connection.commands[0].params.name, 'MCP: create_gameobject');
+
+    const [entry] = journal.list();
+    assert.equal(entry.tool, 'create_gameobject');
+    assert.equal(entry.groupIndex, 10);
+    assert.equal(entry.reverted, false);
+  });
+
+  it('does not journal failed calls', async () => {
+    await journal.track('modify_component', async () => ({ status: 'error', error: 'nope' }));
+    assert.equal(journal.list().length, 0);
+  });
+
+  it('still runs the call when Unity cannot open an undo group', async () => {
+    connection.sendCommand = mock.fn(async () => {
+      throw new Error('Unity busy');
+    });
+    const run = mock.fn(async () => ({ status: 'success', result: {} }));
+
+    const response = await journal.track('delete_gameobject', run);
+
+    assert.equal(response.status, 'success');
+    assert.equal(run.mock.calls.length, 1);
+    assert.equal(journal.list().length, 0);
+  });
+
+  it('reverts the last N calls down to the oldest of their groups', async () => {
+    for (const tool of ['create_gameobject', 'add_component', 'modify_component', 'delete_gameobject']) {
+      await journal.track(tool, async () => ({ status: 'success', result: {} }));
+    }
+
+    const result = await journal.revertCalls(3);
+
+    assert.equal(result.groupIndex, 11);
+    assert.deepEqual(result.revertedCalls.map((entry) => entry.tool), ['delete_gameobject', 'modify_component', 'add_component']);
+    assert.deepEqual(connection.commands.at(-1), { type: 'revert_undo_group', params: { groupIndex: 11 } });
+    assert.deepEqual(journal.list().map((entry) => entry.reverted), [true, true, true, false]);
+
+    const next = await journal.revertCalls(5);
+    assert.equal(next.groupIndex, 10);
+    assert.equal(next.revertedCalls.length, 1);
+    await assert.rejects(journal.revertCalls(1), { code: 'UNDO_JOURNAL_EMPTY' });
+  });
+
+  it('keeps each session to its own calls and refuses to revert under another session', async () => {
+    const succeed = async () => ({ status: 'success', result: {} });
+    await journal.track('create_gameobject', succeed, { sessionId: 'a' });
+    await journal.track('add_component', succeed, { sessionId: 'b' });
+
+    assert.deepEqual(journal.list(10, { sessionId: 'a' }).map((entry) => entry.tool), ['create_gameobject']);
+    assert.deepEqual(journal.list(10, { sessionId: 'b' }).map((entry) => entry.tool), ['add_component']);
+    assert.equal(journal.list().length, 0);
+
+    await assert.rejects(journal.revertCalls(1, { sessionId: 'a' }), (error) =>
+      error.code === 'UNDO_JOURNAL_CONFLICT' && error.details.blockingCalls[0].tool === 'add_component');
+    assert.equal(connection.commands.some((entry) => entry.type === 'revert_undo_group'), false);
+
+    // Once the later session reverts its own call, the earlier one can revert
+    await journal.revertCalls(1, { sessionId: 'b' });
+    const result = await journal.revertCalls(1, { sessionId: 'a' });
+    assert.equal(result.groupIndex, 10);
+  });
+
+  it('keeps other mutating calls out of an open undo group', async () => {
+    const order = [];
+    let finishBatch;
+    const batch = journal.track('batch_execute', () => new Promise((resolve) => {
+      order.push('batch started');
+      finishBatch = () => resolve({ status: 'success', result: {} });
+    }));
+    const other = journal.runShared(async () => {
+      order.push('other ran');
+      return { status: 'success', result: {} };
+    });
+    const next = journal.track('create_gameobject', async () => {
+      order.push('next ran');
+      return { status: 'success', result: {} };
+    });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(order, ['batch started']);
+    finishBatch();
+    await Promise.all([batch, other, next]);
+
+    assert.deepEqual(order, ['batch started', 'other ran', 'next ran']);
+    // Each group closes before the next one opens
+    assert.deepEqual(connection.commands.map((entry) => entry.type),
+      ['begin_undo_group', 'end_undo_group', 'begin_undo_group', 'end_undo_group']);
+  });
+
+  it('opens an undo group only after running mutating calls finish', async () => {
+    const order = [];
+    let finishShared;
+    const shared = journal.runShared(() => new Promise((resolve) => {
+      finishShared = () => {
+        order.push('shared finished');
+        resolve({ status: 'success', result: {} });
+      };
+    }));
+    const tracked = journal.track('modify_component', async () => {
+      order.push('tracked ran');
+      return { status: 'success', result: {} };
+    });
+
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(connection.commands.length, 0);
+    finishShared();
+    await Promise.all([shared, tracked]);
+
+    assert.deepEqual(order, ['shared finished', 'tracked ran']);
+  });
+
+  it('keeps only the most recent entries', async () => {
+    journal = new UndoJournal(connection, { maxEntries: 2 });
+    for (let index = 0; index < 3; index++) {
+      await journal.track('create_gameobject', async () => ({ status: 'success', result: {} }));
+    }
+
+    assert.deepEqual(journal.list().map((entry) => entry.sequence), [3, 2]);
+  });
+
+  it('journals undoable MCP tool calls and exposes them through undo tools', async () => {
+    const { server, unityConnection } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' }
+    });
+    const fake = createConnection();
+    unityConnection.isConnected = () => true;
+    unityConnection.sendCommand = async (type, params) => {
+      if (type === 'get_undo_history') {
+        return { currentGroup: 12, undo: ['MCP: create_gameobject'], redo: [] };
+      }
+      return fake.sendCommand(type, params);
+    };
+    const callTool = server._requestHandlers.get('tools/call');
+    const call = (name, args) => callTool({ method: 'tools/call', params: { name, arguments: args } }, {});
+
+    await call('create_gameobject', { name: 'Player' });
+    await call('get_hierarchy', {});
+    await call('create_gameobject', { name: 'Ghost', dryRun: true });
+    await call('modify_gameobject', { path: '/Player', name: 'Hero' });
+
+    const history = await call('get_undo_history', { limit: 5 });
+    assert.equal(history.structuredContent.currentGroup, 12);
+    assert.deepEqual(history.structuredContent.toolCalls.map((entry) => entry.tool), ['modify_gameobject', 'create_gameobject']);
+
+    const undo = await call('undo', { calls: 2 });
+    assert.equal(undo.isError, undefined);
+    assert.equal(undo.structuredContent.groupIndex, 10);
+    assert.deepEqual(fake.commands.at(-1), { type: 'revert_undo_group', params: { groupIndex: 10 } });
+
+    await server.close();
+  });
+
+  it('journals MCP tool calls under the session that made them', async () => {
+    const { server, unityConnection } = await createServer({
+      server: { name: 'test-unity-mcp', version: '1.0.0' }
+    });
+    const fake = createConnection();
+    unityConnection.isConnected = () => true;
+    unityConnection.sendCommand = async (type, params) => (type === 'get_undo_history' ? { undo: [], redo: [] } : fake.sendCommand(type, params));
+    const callTool = server._requestHandlers.get('tools/call');
+    const call = (name, args, sessionId) => callTool({ method: 'tools/call', params: { name, arguments: args } }, { sessionId });
+
+    await call('create_gameobject', { name: 'Player' }, 'first');
+    await call('create_gameobject', { name: 'Enemy' }, 'second');
+
+    const history = await call('get_undo_history', {}, 'first');
+    assert.deepEqual(history.structuredContent.toolCalls.map((entry) => entry.sessionId), ['first']);
+    const undo = await call('undo', { calls: 1 }, 'first');
+    assert.equal(undo.isError, true);
+    assert.match(undo.content[0].text, /another MCP session/);
+
+    await server.close();
+  });
+});
@@ -287,7 +287,7 @@ describe('UnityConnection', () => {
       );
 
       assert.equal(connection.pendingCommands.size, 0);
-      assert.equal(connection.connected, false);
+      assert.equal(connection.connected, true);
     });
 
     it('should honor per-command timeout overrides', async () => {
@@ -307,34 +307,28 @@ describe('UnityConnection', () => {
       assert.equal(thrown?.details?.timeoutMs, 5);
     });
 
-    it('should reject queued commands without writing them when the active command times out or closes', async () => {
-      mockSocket.destroy = createSpy(() => {
-        mockSocket.destroyed = true;
-      });
+    it('should fail only the timed-out command and dispatch the queued ones', async () => {
+      testConfig.unity.maxInFlightCommands = 2;
+      const otherPromise = connection.sendCommand('get_hierarchy', {});
       const firstPromise = connection.sendCommand('capture_screenshot', {}, { timeoutMs: 5 });
       const secondPromise = connection.sendCommand('list_components', { gameObjectPath: '/Player' });
-      await waitForSocketWrites(mockSocket, 1);
+      await waitForSocketWrites(mockSocket, 2);
 
-      await assert.rejects(firstPromise, /Command timeout|Connection closed/);
-      await assert.rejects(
-        Promise.race([
-          secondPromise,
-          new Promise((_, reject) => setTimeout(() => reject(new Error('queued command remained pending')), 30))
-        ]),
-        /Connection closed/
-      );
+      await assert.rejects(firstPromise, /Command timeout/);
+      await waitForSocketWrites(mockSocket, 3);
+      const written = mockSocket.write.mock.calls.map((call) => parseFramedMessage(call.arguments[0]));
+      assert.deepEqual(written.map((command) => command.type), ['get_hierarchy', 'capture_screenshot', 'list_components']);
 
-      assert.equal(mockSocket.write.mock.calls.length, 1, 'queued command should not be written on a timed-out socket');
-      assert.equal(connection.connected, false);
-      assert.equal(connection.socket, null);
-      assert.equal(connection.commandQueue.length, 0);
+      mockSocket.emit('data', frameMessage({ id: written[0].id, status: 'success', result: { objects: [] } }));
+      mockSocket.emit('data', frameMessage({ id: written[2].id, status: 'success', result: { components: [] } }));
+
+      assert.deepEqual(await otherPromise, { objects: [] });
+      assert.deepEqual(await secondPromise, { components: [] });
+      assert.equal(connection.connected, true);
+      assert.equal(connection.socket, mockSocket);
     });
 
-    it('should detach the timed-out socket so late responses cannot poison framing state', async () => {
-      mockSocket.destroy = createSpy(() => {
-        mockSocket.destroyed = true;
-      });
-      const timedOutSocket = mockSocket;
+    it('should drop the late response of a timed-out command', async () => {
       let unsolicitedMessage;
       connection.on('message', (message) => {
         unsolicitedMessage = message;
@@ -345,8 +339,7 @@ describe('UnityConnection', () => {
         /Command timeout/
       );
 
-      assert.equal(timedOutSocket.listenerCount('data'), 0);
-      timedOutSocket.emit('data', frameMessage({
+      mockSocket.emit('data', frameMessage({
         id: '1',
         status: 'success',
         result: { path: 'Assets/late-response.png' }
@@ -355,7 +348,46 @@ describe('UnityConnection', () => {
       assert.equal(unsolicitedMessage, undefined);
       assert.equal(connection.messageBuffer.length, 0);
       assert.equal(connection.pendingCommands.size, 0);
+      assert.equal(connection.socket, mockSocket);
+    });
+
+    it('should drop the late chunks of a timed-out command', async () => {
+      let unsolicitedMessage;
+      connection.on('message', (message) => {
+        unsolicitedMessage = message;
+      });
+
+      await assert.rejects(
+        connection.sendCommand('capture_screenshot', {}, { timeoutMs: 5 }),
+        /Command timeout/
+      );
+
+      const payload = Buffer.from(JSON.stringify({ id: '1', status: 'success', result: {} })).toString('base64');
+      mockSocket.emit('data', frameMessage({ id: '1', chunk: { index: 0, total: 2, final: false }, payload: payload.slice(0, 8) }));
+      mockSocket.emit('data', frameMessage({ id: '1', chunk: { index: 1, total: 2, final: true }, payload: payload.slice(8) }));
+
+      assert.equal(unsolicitedMessage, undefined);
+      assert.equal(connection.chunkAssemblies.size, 0);
+      assert.equal(connection.timedOutCommandIds.size, 0);
+    });
+
+    it('should close the connection when a command times out after the framing was lost', async () => {
+      mockSocket.destroy = createSpy(() => {
+        mockSocket.destroyed = true;
+      });
+      const slowPromise = connection.sendCommand('capture_screenshot', {}, { timeoutMs: 5 });
+      const otherPromise = connection.sendCommand('list_components', { gameObjectPath: '/Player' });
+      await waitForSocketWrites(mockSocket, 2);
+
+      const corrupt = Buffer.alloc(8);
+      corrupt.writeInt32BE(-1, 0);
+      mockSocket.emit('data', corrupt);
+
+      await assert.rejects(slowPromise, /Command timeout/);
+      await assert.rejects(otherPromise, /Connection closed/);
+      assert.equal(connection.connected, false);
       assert.equal(connection.socket, null);
+      assert.equal(mockSocket.listenerCount('data'), 0);
     });
 
     it('should handle error responses', async () => {
@@ -376,6 +408,41 @@ describe('UnityConnection', () => {
       );
     });
 
+    it('should fail commands left on the old socket when rediscovery moves to another port', async () => {
+      const pendingPromise = connection.sendCommand('get_hierarchy', {});
+      await waitForSocketWrites(mockSocket, 1);
+
+      testConfig.unity.hasExplicitPort = false;
+      testConfig.unity.discovery = { enabled: true };
+      connection.endpoint = { host: 'localhost', port: 6400, source: 'default-port' };
+      connection.resolveEndpoint = createSpy(async () => {
+        connection.endpoint = { host: '127.0.0.1', port: 6401, source: 'discovery', authToken: 'fresh-token' };
+        return connection.endpoint;
+      });
+      const newSocket = new EventEmitter();
+      newSocket.write = createSpy((data, callback) => callback?.());
+      newSocket.destroy = createSpy();
+      newSocket.connect = createSpy(() => process.nextTick(() => newSocket.emit('connect')));
+      connection.socketFactory = () => newSocket;
+
+      const first = connection.sendCommand('ping', { echo: 'a' });
+      const second = connection.sendCommand('ping', { echo: 'b' });
+
+      await assert.rejects(pendingPromise, (error) => error.code === 'CONNECTION_CLOSED' && /moved to port 6401/.test(error.message));
+      for (let i = 0; i < 10 && newSocket.write.mock.calls.length < 2; i++) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      assert.equal(newSocket.write.mock.calls.length, 2);
+      assert.equal(mockSocket.destroy.mock.calls.length, 1);
+      assert.equal(newSocket.connect.mock.calls.length, 1, 'concurrent commands should share one reconnect');
+      for (const call of newSocket.write.mock.calls) {
+        const command = parseFramedMessage(call.arguments[0]);
+        newSocket.emit('data', frameMessage({ id: command.id, status: 'success', result: { echo: command.params.echo } }));
+      }
+      assert.deepEqual([await first, await second], [{ echo: 'a' }, { echo: 'b' }]);
+      newSocket.removeAllListeners();
+    });
+
     it('should refresh the token and retry when Unity returns AUTH_FAILED as a result payload', async () => {
       connection.endpoint = {
         host: 'localhost',
@@ -428,7 +495,8 @@ describe('UnityConnection', () => {
       assert.equal(connection.refreshAuthTokenFromRegistry.mock.calls.length, 3);
     });
 
-    it('should serialize concurrent commands on a single Unity connection', async () => {
+    it('should serialize concurrent commands when maxInFlightCommands is 1', async () => {
+      testConfig.unity.maxInFlightCommands = 1;
       const firstPromise = connection.sendCommand('list_components', { path: '/Player' });
       const secondPromise = connection.sendCommand('get_component_values', { path: '/Player' });
       await waitForSocketWrites(mockSocket, 1);
@@ -457,6 +525,7 @@ describe('UnityConnection', () => {
     });
 
     it('should reject queued commands when the active connection closes', async () => {
+      testConfig.unity.maxInFlightCommands = 1;
       const firstPromise = connection.sendCommand('list_components', { path: '/Player' });
       const secondPromise = connection.sendCommand('get_component_values', { path: '/Player' });
       connection.endpoint = {
@@ -484,6 +553,100 @@ describe('UnityConnection', () => {
       assert.equal(connection.commandQueue.length, 0);
       assert.equal(connection.endpoint, null);
     });
+    it('should multiplex concurrent commands and match out-of-order responses by id', async () => {
+      const screenshotPromise = connection.sendCommand('capture_screenshot', {});
+      const componentsPromise = connection.sendCommand('list_components', { path: '/Player' });
+      await waitForSocketWrites(mockSocket, 2);
+
+      assert.equal(connection.commandsInFlight, 2);
+      assert.equal(parseFramedMessage(mockSocket.write.mock.calls[0].arguments[0]).type, 'capture_screenshot');
+      assert.equal(parseFramedMessage(mockSocket.write.mock.calls[1].arguments[0]).type, 'list_components');
+
+      mockSocket.emit('data', frameMessage({
+        id: '2',
+        status: 'success',
+        result: { components: [] }
+      }));
+      assert.deepEqual(await componentsPromise, { components: [] });
+      assert.equal(connection.commandsInFlight, 1);
+
+      mockSocket.emit('data', frameMessage({
+        id: '1',
+        status: 'success',
+        result: { path: 'Assets/shot.png' }
+      }));
+      assert.deepEqual(await screenshotPromise, { path: 'Assets/shot.png' });
+      assert.equal(connection.commandsInFlight, 0);
+    });
+
+    it('should order queued commands by priority and let high-priority probes bypass the limit', async () => {
+      testConfig.unity.maxInFlightCommands = 1;
+      const runPromise = connection.sendCommand('run_tests', {});
+      await waitForSocketWrites(mockSocket, 1);
+
+      const screenshotPromise = connection.sendCommand('capture_screenshot', {});
+      const componentsPromise = connection.sendCommand('list_components', { path: '/Player' });
+      const pingPromise = connection.sendCommand('ping', {});
+      await waitForSocketWrites(mockSocket, 2);
+
+      assert.equal(parseFramedMessage(mockSocket.write.mock.calls[1].arguments[0]).type, 'ping');
+      assert.deepEqual(connection.commandQueue.map((command) => command.type), ['list_components', 'capture_screenshot']);
+
+      mockSocket.emit('data', frameMessage({ id: '2', status: 'success', result: { message: 'pong' } }));
+      assert.deepEqual(await pingPromise, { message: 'pong' });
+
+      mockSocket.emit('data', frameMessage({ id: '1', status: 'success', result: { started: true } }));
+      await runPromise;
+      await waitForSocketWrites(mockSocket, 3);
+      assert.equal(parseFramedMessage(mockSocket.write.mock.calls[2].arguments[0]).type, 'list_components');
+
+      mockSocket.emit('data', frameMessage({ id: '3', status: 'success', result: { components: [] } }));
+      await componentsPromise;
+      await waitForSocketWrites(mockSocket, 4);
+      assert.equal(parseFramedMessage(mockSocket.write.mock.calls[3].arguments[0]).type, 'capture_screenshot');
+
+      mockSocket.emit('data', frameMessage({ id: '4', status: 'success', result: {} }));
+      await screenshotPromise;
+      assert.equal(connection.commandQueue.length, 0);
+    });
+
+    it('should honor an explicit priority option', async () => {
+      testConfig.unity.maxInFlightCommands = 1;
+      const firstPromise = connection.sendCommand('list_components', {});
+      await waitForSocketWrites(mockSocket, 1);
+
+      const normalPromise = connection.sendCommand('get_component_values', {});
+      const urgentPromise = connection.sendCommand('find_gameobject', {}, { priority: 'high' });
+      await waitForSocketWrites(mockSocket, 2);
+
+      assert.equal(parseFramedMessage(mockSocket.write.mock.calls[1].arguments[0]).type, 'find_gameobject');
+      assert.equal(connection.commandQueue.length, 1);
+
+      mockSocket.emit('data', frameMessage({ id: '1', status: 'success', result: {} }));
+      mockSocket.emit('data', frameMessage({ id: '2', status: 'success', result: {} }));
+      await Promise.all([firstPromise, urgentPromise]);
+      await waitForSocketWrites(mockSocket, 3);
+      mockSocket.emit('data', frameMessage({ id: '3', status: 'success', result: {} }));
+      await normalPromise;
+    });
+
+    it('should report pipeline state in connection info', async () => {
+      testConfig.unity.maxInFlightCommands = 1;
+      const firstPromise = connection.sendCommand('list_components', {});
+      const secondPromise = connection.sendCommand('get_component_values', {});
+      await waitForSocketWrites(mockSocket, 1);
+
+      const info = connection.getConnectionInfo();
+      assert.equal(info.commandsInFlight, 1);
+      assert.equal(info.queuedCommands, 1);
+      assert.equal(info.maxInFlightCommands, 1);
+
+      mockSocket.emit('data', frameMessage({ id: '1', status: 'success', result: {} }));
+      await firstPromise;
+      await waitForSocketWrites(mockSocket, 2);
+      mockSocket.emit('data', frameMessage({ id: '2', status: 'success', result: {} }));
+      await secondPromise;
+    });
   });
 
   describe('ping', () => {
@@ -678,6 +841,89 @@ describe('UnityConnection', () => {
         connection.handleData(combinedData);
       });
     });
+
+    it('should reassemble chunked responses for a pending command', async () => {
+      const sendPromise = connection.sendCommand('get_hierarchy', {});
+      await waitForSocketWrites(mockSocket, 1);
+
+      const payload = Buffer.from(JSON.stringify({
+        id: '1',
+        status: 'success',
+        result: { objects: ['Main Camera', 'Directional Light', 'Player'] }
+      }), 'utf8');
+      const frames = chunkResponse('1', payload, 16);
+      assert.ok(frames.length > 2);
+
+      // Deliver the continuation frames in awkward TCP-sized slices.
+      const stream = Buffer.concat(frames);
+      for (let offset = 0; offset < stream.length; offset += 7) {
+        connection.handleData(stream.slice(offset, offset + 7));
+      }
+
+      assert.deepEqual(await sendPromise, { objects: ['Main Camera', 'Directional Light', 'Player'] });
+      assert.equal(connection.chunkAssemblies.size, 0);
+    });
+
+    it('should reject with RESPONSE_TOO_LARGE once chunks exceed the size limit and ignore the rest', async () => {
+      testConfig.unity.maxResponseBytes = 96;
+      const bigPromise = connection.sendCommand('analyze_scene_contents', {});
+      const smallPromise = connection.sendCommand('list_components', {});
+      await waitForSocketWrites(mockSocket, 2);
+
+      const payload = Buffer.from(JSON.stringify({
+        id: '1',
+        status: 'success',
+        result: { text: 'x'.repeat(100) }
+      }), 'utf8');
+      for (const frame of chunkResponse('1', payload, 16)) {
+        connection.handleData(frame);
+      }
+      connection.handleData(frameMessage({ id: '2', status: 'success', result: { components: [] } }));
+
+      await assert.rejects(bigPromise, (error) => {
+        assert.equal(error.code, 'RESPONSE_TOO_LARGE');
+        assert.equal(error.details.command, 'analyze_scene_contents');
+        assert.equal(error.details.maxResponseBytes, 96);
+        assert.equal(error.details.chunked, true);
+        return true;
+      });
+      assert.deepEqual(await smallPromise, { components: [] });
+      assert.equal(connection.chunkAssemblies.size, 0);
+      assert.equal(connection.discardedChunkIds.size, 0);
+    });
+
+    it('should skip an oversized single frame and keep framing aligned', async () => {
+      testConfig.unity.maxResponseBytes = 128;
+      const bigPromise = connection.sendCommand('capture_screenshot', {});
+      const smallPromise = connection.sendCommand('list_components', {});
+      await waitForSocketWrites(mockSocket, 2);
+
+      const oversized = frameMessage({ id: '1', status: 'success', result: { base64: 'A'.repeat(400) } });
+      const stream = Buffer.concat([oversized, frameMessage({ id: '2', status: 'success', result: { components: [] } })]);
+      connection.handleData(stream.slice(0, 100));
+      connection.handleData(stream.slice(100, 300));
+      connection.handleData(stream.slice(300));
+
+      await assert.rejects(bigPromise, (error) => {
+        assert.equal(error.code, 'RESPONSE_TOO_LARGE');
+        assert.equal(error.details.chunked, false);
+        assert.equal(error.details.receivedBytes, oversized.length - 4);
+        return true;
+      });
+      assert.deepEqual(await smallPromise, { components: [] });
+      assert.equal(connection.discardingFrame, null);
+      assert.equal(connection.messageBuffer.length, 0);
+    });
+
+    it('should reject chunked responses that arrive out of order', async () => {
+      const sendPromise = connection.sendCommand('get_hierarchy', {});
+      await waitForSocketWrites(mockSocket, 1);
+
+      const frames = chunkResponse('1', Buffer.from(JSON.stringify({ id: '1', status: 'success', result: {} })), 8);
+      connection.handleData(frames[1]);
+
+      await assert.rejects(sendPromise, (error) => error.code === 'INVALID_RESPONSE_CHUNK');
+    });
   });
 
   describe('scheduleReconnect', () => {
@@ -718,6 +964,19 @@ function frameMessage(message) {
   return Buffer.concat([header, payload]);
 }
 
+function chunkResponse(id, payload, chunkSize) {
+  const total = Math.ceil(payload.length / chunkSize);
+  const frames = [];
+  for (let index = 0; index < total; index++) {
+    frames.push(frameMessage({
+      id,
+      chunk: { index, total, final: index === total - 1 },
+      payload: payload.slice(index * chunkSize, (index + 1) * chunkSize).toString('base64')
+    }));
+  }
+  return frames;
+}
+
 function parseFramedMessage(buffer) {
   const messageLength = buffer.readInt32BE(0);
   return JSON.parse(buffer.slice(4, 4 + messageLength).toString('utf8'));
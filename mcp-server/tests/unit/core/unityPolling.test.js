@@ -0,0 +1,34 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableConnectionError, positiveNumber, sleep, tryReconnect } from '../../../src/core/unityPolling.js';
+
+describe('unityPolling', () => {
+  it('retries dropped connections but not other errors', () => {
+    assert.equal(isRetryableConnectionError(Object.assign(new Error('socket'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryableConnectionError(new Error('Connection closed')), true);
+    assert.equal(isRetryableConnectionError(new Error('Unknown command')), false);
+  });
+
+  it('returns a retryable reconnect failure and throws any other', async () => {
+    const refused = Object.assign(new Error('refused'), { code: 'ECONNREFUSED' });
+    const connection = { disconnect: mock.fn(), connect: mock.fn(async () => { throw refused; }) };
+    assert.equal(await tryReconnect(connection), refused);
+    assert.equal(connection.disconnect.mock.calls.length, 1);
+
+    connection.connect = mock.fn(async () => { throw new Error('Authentication failed'); });
+    await assert.rejects(tryReconnect(connection), /Authentication failed/);
+  });
+
+  it('falls back for missing or non-positive numbers', () => {
+    assert.deepEqual([positiveNumber(5, 1), positiveNumber(0, 1), positiveNumber('5', 1), positiveNumber(Infinity, 1)], [5, 1, 1, 1]);
+  });
+
+  it('stops sleeping when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const pending = sleep(10000, controller.signal);
+    controller.abort();
+
+    await assert.rejects(pending, { code: 'REQUEST_CANCELLED' });
+    await assert.rejects(sleep(10, controller.signal), { code: 'REQUEST_CANCELLED' });
+  });
+});
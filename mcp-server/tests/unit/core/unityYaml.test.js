@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUnityYaml, parseUnityYamlBlock, readMetaGuid, toObjectReference } from '../../../src/core/unityYaml.js';
+
+const SCENE = `%YAML 1.1
+%TAG !u! tag:unity3d.com,2011:
+--- !u!1 &100
+GameObject:
+  m_Component:
+  - component: {fileID: 101}
+  m_Name: 'Player''s Rig'
+  m_IsActive: 1
+--- !u!114 &102
+MonoBehaviour:
+  m_Script: {fileID: 11500000, guid: 0123456789ABCDEF0123456789abcdef, type: 3}
+  speed: 3.5
+  title: "Line one\\nLine two"
+  notes: a long note that Unity
+    wrapped onto a second line
+  waypoints:
+  - {x: 1, y: 2, z: 3}
+  - {x: 4, y: 5, z: 6}
+  m_Curve:
+  - serializedVersion: 3
+    time: 0
+  m_Empty:
+--- !u!4 &8925375024561385172 stripped
+Transform:
+  m_CorrespondingSourceObject: {fileID: 400000, guid: fedcba9876543210fedcba9876543210, type: 3}
+  m_PrefabInstance: {fileID: 8925375024561385171}
+`;
+
+describe('parseUnityYaml', () => {
+  it('splits documents and keeps large fileIDs as strings', () => {
+    const documents = parseUnityYaml(SCENE);
+
+    assert.deepEqual(documents.map(({ classId, fileID, stripped, type }) => ({ classId, fileID, stripped, type })), [
+      { classId: 1, fileID: '100', stripped: false, type: 'GameObject' },
+      { classId: 114, fileID: '102', stripped: false, type: 'MonoBehaviour' },
+      { classId: 4, fileID: '8925375024561385172', stripped: true, type: 'Transform' }
+    ]);
+    assert.equal(documents[2].data.m_PrefabInstance.fileID, '8925375024561385171');
+  });
+
+  it('parses the YAML subset Unity writes', () => {
+    const [gameObject, behaviour] = parseUnityYaml(SCENE);
+
+    assert.deepEqual(gameObject.data.m_Component, [{ component: { fileID: 101 } }]);
+    assert.equal(gameObject.data.m_Name, 'Player\'s Rig');
+    assert.equal(behaviour.data.speed, 3.5);
+    assert.equal(behaviour.data.title, 'Line one\nLine two');
+    assert.equal(behaviour.data.notes, 'a long note that Unity wrapped onto a second line');
+    assert.deepEqual(behaviour.data.waypoints[1], { x: 4, y: 5, z: 6 });
+    assert.deepEqual(behaviour.data.m_Curve, [{ serializedVersion: 3, time: 0 }]);
+    assert.equal(behaviour.data.m_Empty, '');
+  });
+
+  it('rejects binary-serialized files', () => {
+    assert.throws(() => parseUnityYaml('UnityFS\u0000'), /Force Text/);
+  });
+});
+
+describe('Unity YAML helpers', () => {
+  it('reads .meta GUIDs and blocks without document headers', () => {
+    assert.equal(readMetaGuid('fileFormatVersion: 2\nguid: 0123456789ABCDEF0123456789abcdef\n'), '0123456789abcdef0123456789abcdef');
+    assert.equal(readMetaGuid('fileFormatVersion: 2\n'), null);
+    assert.deepEqual(parseUnityYamlBlock('sceneSetups:\n- path: Assets/Main.unity\n  isActive: 1\n'), {
+      sceneSetups: [{ path: 'Assets/Main.unity', isActive: 1 }]
+    });
+  });
+
+  it('normalizes object references and drops empty ones', () => {
+    assert.deepEqual(toObjectReference({ fileID: 2100000, guid: 'ABC', type: 2 }), { fileID: '2100000', guid: 'abc' });
+    assert.equal(toObjectReference({ fileID: 0 }), null);
+    assert.equal(toObjectReference('plain'), null);
+  });
+});
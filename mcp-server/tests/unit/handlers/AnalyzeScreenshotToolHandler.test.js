@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { AnalyzeScreenshotToolHandler } from '../../../src/handlers/screenshot/AnalyzeScreenshotToolHandler.js';
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, data, Buffer.alloc(4)]);
+}
+
+// Unfiltered 8-bit RGBA PNG filled with one color
+function solidPng(width, height, rgba) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+  const row = Buffer.concat([Buffer.from([0]), ...Array.from({ length: width }, () => Buffer.from(rgba))]);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(Array.from({ length: height }, () => row)))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+describe('AnalyzeScreenshotToolHandler', () => {
+  let unityConnection;
+  let handler;
+
+  beforeEach(() => {
+    unityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({}))
+    };
+    handler = new AnalyzeScreenshotToolHandler(unityConnection);
+  });
+
+  it('decodes base64 images locally and reports their real dimensions', async () => {
+    const base64Data = solidPng(64, 36, [40, 90, 200, 255]).toString('base64');
+
+    const result = await handler.execute({ base64Data, analysisType: 'ui' });
+
+    assert.equal(unityConnection.sendCommand.mock.calls.length, 0);
+    assert.deepEqual([result.format, result.width, result.height, result.hasAlpha], ['png', 64, 36, true]);
+    assert.deepEqual(result.dominantColors, [{ r: 32, g: 64, b: 192, hex: '2040C0', percentage: 100 }]);
+    assert.equal(result.isBlank, false);
+    assert.deepEqual(result.uiElements, { edgePixelRatio: 0 });
+  });
+
+  it('flags the empty Game View capture', async () => {
+    const black = await handler.execute({ base64Data: `data:image/png;base64,${solidPng(8, 8, [0, 0, 0, 255]).toString('base64')}` });
+    assert.equal(black.isAllBlack, true);
+    assert.match(black.warning, /had not rendered/);
+
+    const clear = await handler.execute({ base64Data: solidPng(8, 8, [0, 0, 0, 0]).toString('base64') });
+    assert.equal(clear.isAllClear, true);
+    assert.equal(clear.visiblePixelRatio, 0);
+  });
+
+  it('rejects data that is not a PNG or JPEG', async () => {
+    const response = await handler.handle({ base64Data: Buffer.from('not an image').toString('base64') });
+
+    assert.equal(response.status, 'error');
+    assert.equal(response.code, 'UNSUPPORTED_IMAGE_FORMAT');
+  });
+
+  it('answers the prompt with the client model through sampling', async () => {
+    const base64Data = solidPng(8, 8, [200, 0, 0, 255]).toString('base64');
+    const createMessage = mock.fn(async () => ({
+      role: 'assistant',
+      content: { type: 'text', text: 'A solid red frame with no UI.' },
+      model: 'client-model',
+      stopReason: 'endTurn'
+    }));
+
+    const result = await handler.execute({ base64Data, prompt: 'Is there any UI?' }, { createMessage });
+
+    const request = createMessage.mock.calls[0].arguments[0];
+    assert.deepEqual(request.messages, [
+      { role: 'user', content: { type: 'image', data: base64Data, mimeType: 'image/png' } },
+      { role: 'user', content: { type: 'text', text: 'Is there any UI?' } }
+    ]);
+    assert.equal(request.includeContext, 'none');
+    assert.deepEqual(result.aiAnalysis, {
+      prompt: 'Is there any UI?',
+      source: 'sampling',
+      answer: 'A solid red frame with no UI.',
+      model: 'client-model',
+      stopReason: 'endTurn'
+    });
+    assert.equal(result.dominantColors[0].hex, 'C00000');
+  });
+
+  it('falls back to the pixel statistics without sampling or when it fails', async () => {
+    const base64Data = solidPng(8, 8, [0, 0, 0, 255]).toString('base64');
+
+    const unsupported = await handler.execute({ base64Data, prompt: 'What is shown?' }, {});
+    assert.equal(unsupported.aiAnalysis.source, 'local');
+    assert.match(unsupported.aiAnalysis.note, /does not support sampling/);
+    assert.equal(unsupported.isAllBlack, true);
+
+    const createMessage = mock.fn(async () => {
+      throw new Error('User rejected sampling request');
+    });
+    const rejected = await handler.execute({ base64Data, prompt: 'What is shown?' }, { createMessage });
+    assert.equal(rejected.aiAnalysis.source, 'local');
+    assert.equal(rejected.aiAnalysis.error, 'User rejected sampling request');
+  });
+
+  it('reads project screenshots for sampling next to the Unity analysis', async () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-analyze-screenshot-'));
+    try {
+      fs.mkdirSync(path.join(projectRoot, 'Assets/Screenshots'), { recursive: true });
+      fs.writeFileSync(path.join(projectRoot, 'Assets/Screenshots/menu.png'), solidPng(4, 4, [0, 0, 255, 255]));
+      unityConnection.endpoint = { projectPath: projectRoot };
+      unityConnection.sendCommand = mock.fn(async () => ({ imagePath: 'Assets/Screenshots/menu.png', width: 4, height: 4 }));
+      const createMessage = mock.fn(async () => ({ role: 'assistant', content: { type: 'text', text: 'Blue.' }, model: 'm' }));
+
+      const result = await handler.execute({ imagePath: 'Assets/Screenshots/menu.png', prompt: 'Which color?' }, { createMessage });
+
+      assert.deepEqual(unityConnection.sendCommand.mock.calls[0].arguments[1], { imagePath: 'Assets/Screenshots/menu.png', analysisType: 'basic' });
+      assert.equal(createMessage.mock.calls[0].arguments[0].messages[0].content.type, 'image');
+      assert.equal(result.aiAnalysis.answer, 'Blue.');
+    } finally {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps the Unity analysis when the image cannot be decoded for sampling', async () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-analyze-screenshot-'));
+    try {
+      fs.mkdirSync(path.join(projectRoot, 'Assets/Screenshots'), { recursive: true });
+      // Progressive JPEG (SOF2), which only Unity can read
+      fs.writeFileSync(path.join(projectRoot, 'Assets/Screenshots/menu.jpg'), Buffer.from([0xff, 0xd8, 0xff, 0xc2, 0x00, 0x0b, 0x08, 0x00, 0x04, 0x00, 0x04, 0x01, 0x01, 0x11, 0x00]));
+      unityConnection.endpoint = { projectPath: projectRoot };
+      unityConnection.sendCommand = mock.fn(async () => ({ imagePath: 'Assets/Screenshots/menu.jpg', width: 4, height: 4 }));
+      const createMessage = mock.fn(async () => ({ role: 'assistant', content: { type: 'text', text: 'Blue.' }, model: 'm' }));
+
+      const result = await handler.execute({ imagePath: 'Assets/Screenshots/menu.jpg', prompt: 'Which color?' }, { createMessage });
+
+      assert.equal(result.width, 4);
+      assert.equal(result.aiAnalysis.source, 'local');
+      assert.match(result.aiAnalysis.note, /could not be decoded/);
+      assert.ok(result.aiAnalysis.error);
+      assert.equal(createMessage.mock.calls.length, 0);
+    } finally {
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    }
+  });
+});
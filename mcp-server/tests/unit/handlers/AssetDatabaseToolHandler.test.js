@@ -451,6 +451,42 @@ describe('AssetDatabaseToolHandler', () => {
     });
   });
 
+  describe('dry run', () => {
+    it('asks Unity to validate file operations without applying them', async () => {
+      const calls = [];
+      mockUnityConnection.sendCommand = async (command, params) => {
+        calls.push({ command, params });
+        return {
+          dryRun: true,
+          action: 'move_asset',
+          changes: [{ action: 'move', target: 'asset', from: params.params.fromPath, to: params.params.toPath }]
+        };
+      };
+
+      const result = await handler.handle({
+        action: 'move_asset',
+        fromPath: 'Assets/icon.png',
+        toPath: 'Assets/Textures/icon.png',
+        dryRun: true
+      });
+
+      assert.equal(result.status, 'success');
+      assert.equal(calls[0].command, 'preview_command');
+      assert.equal(calls[0].params.command, 'manage_asset_database');
+      assert.deepEqual(result.result.changes, [
+        { action: 'move', target: 'asset', from: 'Assets/icon.png', to: 'Assets/Textures/icon.png' }
+      ]);
+    });
+
+    it('reports no changes for read actions without calling Unity', async () => {
+      mockUnityConnection.sendCommand = async () => assert.fail('Unity should not be called');
+
+      const result = await handler.handle({ action: 'find_assets', filter: 't:Texture2D', dryRun: true });
+
+      assert.deepEqual(result.result.changes, []);
+    });
+  });
+
   describe('getExamples', () => {
     it('should return array of examples', () => {
       const examples = handler.getExamples();
@@ -1,5 +1,8 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { AssetDependencyToolHandler } from '../../../src/handlers/asset/AssetDependencyToolHandler.js';
 
 describe('AssetDependencyToolHandler', () => {
@@ -421,4 +424,80 @@ describe('AssetDependencyToolHandler', () => {
       assert.ok(actions.includes('analyze_size_impact'));
     });
   });
+
+  describe('project index', () => {
+    let projectRoot;
+    let indexedHandler;
+    let unityCalls;
+
+    beforeEach(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-deps-'));
+      const write = (assetPath, contents, guid) => {
+        fs.mkdirSync(path.dirname(path.join(projectRoot, assetPath)), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, assetPath), contents);
+        fs.writeFileSync(path.join(projectRoot, `${assetPath}.meta`), `fileFormatVersion: 2\nguid: ${guid}\n`);
+      };
+      write('Assets/Materials/PlayerMaterial.mat', '%YAML 1.1\n--- !u!21 &2100000\nMaterial:\n  m_Name: PlayerMaterial\n', 'b0000000000000000000000000000001');
+      write('Assets/Prefabs/Player.prefab', '%YAML 1.1\n--- !u!23 &1\nMeshRenderer:\n  m_Materials:\n  - {fileID: 2100000, guid: b0000000000000000000000000000001, type: 2}\n', 'b0000000000000000000000000000002');
+
+      unityCalls = [];
+      const connection = {
+        ...mockUnityConnection,
+        endpoint: { projectPath: projectRoot },
+        sendCommand: async (command, params) => {
+          unityCalls.push(params);
+          return mockUnityConnection.sendCommand(command, params);
+        }
+      };
+      indexedHandler = new AssetDependencyToolHandler(connection);
+    });
+
+    afterEach(() => {
+      indexedHandler.projectIndex?.close();
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+    });
+
+    it('answers dependency queries from the project files', async () => {
+      const result = await indexedHandler.execute({ action: 'get_dependents', assetPath: 'Assets/Materials/PlayerMaterial.mat' });
+
+      assert.deepEqual(result, {
+        success: true,
+        action: 'get_dependents',
+        assetPath: 'Assets/Materials/PlayerMaterial.mat',
+        dependents: [{ path: 'Assets/Prefabs/Player.prefab', type: 'GameObject', usage: 'MeshRenderer.m_Materials' }],
+        count: 1,
+        source: 'index'
+      });
+      assert.equal(unityCalls.length, 0);
+    });
+
+    it('reports differences from Unity when cross-checking', async () => {
+      const result = await indexedHandler.execute({ action: 'get_dependents', assetPath: 'Assets/Materials/PlayerMaterial.mat', crossCheck: true });
+
+      assert.deepEqual(unityCalls, [{ action: 'get_dependents', assetPath: 'Assets/Materials/PlayerMaterial.mat' }]);
+      assert.deepEqual(result.crossCheck, {
+        performed: true,
+        matches: false,
+        onlyInIndex: [],
+        onlyInUnity: ['Assets/Prefabs/Enemy.prefab']
+      });
+    });
+
+    it('skips the cross-check when Unity cannot answer', async () => {
+      indexedHandler.unityConnection.isConnected = () => false;
+      indexedHandler.unityConnection.connect = async () => { throw new Error('Connection timeout'); };
+
+      const result = await indexedHandler.execute({ action: 'find_unused', crossCheck: true });
+
+      assert.deepEqual(result.unusedAssets.map((asset) => asset.path), ['Assets/Prefabs/Player.prefab']);
+      assert.deepEqual(result.crossCheck, { performed: false, reason: 'Connection timeout' });
+    });
+
+    it('still sends other actions to Unity', async () => {
+      const result = await indexedHandler.execute({ action: 'validate_references' });
+
+      assert.equal(result.validation.totalAssets, 150);
+      assert.equal(unityCalls.length, 1);
+    });
+  });
 });
\ No newline at end of file
@@ -203,6 +203,43 @@ describe('BaseToolHandler', () => {
     });
   });
 
+  describe('dry run', () => {
+    it('previews instead of executing and strips dryRun before validation', async () => {
+      const result = await handler.handle({ requiredParam: 'test', dryRun: true });
+
+      assert.equal(result.status, 'success');
+      assert.deepEqual(result.result, {
+        dryRun: true,
+        tool: 'test_tool',
+        params: { requiredParam: 'test' },
+        changes: [{ action: 'execute', target: 'editor' }]
+      });
+      assert.equal(mockExecute.mock.calls.length, 0);
+    });
+
+    it('adds dryRun to the schema of mutating tools only', () => {
+      const mutating = new BaseToolHandler('delete_thing', 'Deletes', { type: 'object', properties: {} });
+
+      assert.equal(mutating.inputSchema.properties.dryRun.type, 'boolean');
+      assert.equal(handler.inputSchema.properties.dryRun, undefined);
+    });
+
+    it('refuses Unity previews when the package cannot run them', async () => {
+      const unknownCommand = Object.assign(new Error('Unknown command type: preview_command'), { code: 'UNKNOWN_COMMAND' });
+      handler.unityConnection = {
+        isConnected: () => true,
+        sendCommand: mock.fn(async () => { throw unknownCommand; })
+      };
+
+      await assert.rejects(
+        handler.requestUnityPreview('delete_gameobject', { path: '/Enemy' }),
+        { code: 'DRY_RUN_UNSUPPORTED' }
+      );
+      // The mutating command itself is never sent
+      assert.deepEqual(handler.unityConnection.sendCommand.mock.calls.map((call) => call.arguments[0]), ['preview_command']);
+    });
+  });
+
   describe('summarizeParams', () => {
     it('should handle null params', () => {
       assert.equal(handler.summarizeParams(null), 'No parameters');
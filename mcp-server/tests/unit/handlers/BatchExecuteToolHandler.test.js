@@ -0,0 +1,184 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchExecuteToolHandler, resolveReferences } from '../../../src/handlers/editor/BatchExecuteToolHandler.js';
+import { createHandlers } from '../../../src/handlers/index.js';
+
+// Mock Unity connection that records every command it receives
+class MockUnityConnection {
+  constructor() {
+    this.connected = true;
+    this.commands = [];
+    this.mockResponses = new Map([
+      ['begin_undo_group', (params) => ({ groupIndex: 42, name: params.name })],
+      ['end_undo_group', (params) => ({ groupIndex: params.groupIndex })],
+      ['revert_undo_group', (params) => ({ groupIndex: params.groupIndex, reverted: true })]
+    ]);
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  async connect() {
+    this.connected = true;
+  }
+
+  setMockResponse(command, response) {
+    this.mockResponses.set(command, response);
+  }
+
+  async sendCommand(command, params) {
+    this.commands.push({ command, params });
+    const response = this.mockResponses.get(command);
+    if (response) {
+      return typeof response === 'function' ? response(params) : response;
+    }
+    throw new Error(`No mock response for command: ${command}`);
+  }
+}
+
+describe('BatchExecuteToolHandler', () => {
+  let handler;
+  let mockConnection;
+
+  beforeEach(() => {
+    mockConnection = new MockUnityConnection();
+    handler = createHandlers(mockConnection).get('batch_execute');
+  });
+
+  it('is registered with access to the handler map', () => {
+    assert.ok(handler instanceof BatchExecuteToolHandler);
+    assert.ok(handler.handlers.has('create_gameobject'));
+    assert.equal(handler.annotations.readOnlyHint, false);
+    assert.equal(handler.annotations.destructiveHint, true);
+  });
+
+  it('runs steps in order inside one undo group and resolves references', async () => {
+    mockConnection.setMockResponse('create_gameobject', (params) => ({
+      name: params.name,
+      path: `/${params.name}`,
+      id: 7
+    }));
+    mockConnection.setMockResponse('add_component', (params) => ({
+      success: true,
+      componentType: params.componentType,
+      gameObjectPath: params.gameObjectPath
+    }));
+
+    const result = await handler.handle({
+      name: 'Build player',
+      steps: [
+        { id: 'player', tool: 'create_gameobject', params: { name: 'Player' } },
+        { tool: 'add_component', params: { gameObjectPath: '{{player.path}}', componentType: 'Rigidbody' } },
+        { tool: 'create_gameobject', params: { name: 'Weapon', parentPath: '{{0.path}}' } }
+      ]
+    });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.result.stepCount, 3);
+    assert.deepEqual(result.result.undoGroup, { name: 'Build player', groupIndex: 42 });
+    assert.equal(result.result.steps[0].id, 'player');
+    assert.equal(result.result.steps[1].result.gameObjectPath, '/Player');
+    assert.deepEqual(
+      mockConnection.commands.map((entry) => entry.command),
+      ['begin_undo_group', 'create_gameobject', 'add_component', 'create_gameobject', 'end_undo_group']
+    );
+    assert.equal(mockConnection.commands[3].params.parentPath, '/Player');
+    assert.deepEqual(mockConnection.commands[4].params, { groupIndex: 42 });
+  });
+
+  it('rolls back the undo group on the first failing step', async () => {
+    mockConnection.setMockResponse('create_gameobject', { name: 'Player', path: '/Player' });
+    mockConnection.setMockResponse('add_component', { error: 'Component type not found: Rigidbdy' });
+
+    const result = await handler.handle({
+      steps: [
+        { id: 'player', tool: 'create_gameobject', params: { name: 'Player' } },
+        { tool: 'add_component', params: { gameObjectPath: '{{player.path}}', componentType: 'Rigidbdy' } },
+        { tool: 'create_gameobject', params: { name: 'Never' } }
+      ]
+    });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.code, 'BATCH_STEP_FAILED');
+    assert.equal(result.details.failedStep.index, 1);
+    assert.equal(result.details.failedStep.tool, 'add_component');
+    assert.match(result.details.failedStep.error, /Rigidbdy/);
+    assert.equal(result.details.completedSteps.length, 1);
+    assert.equal(result.details.rolledBack, true);
+    assert.deepEqual(
+      mockConnection.commands.map((entry) => entry.command),
+      ['begin_undo_group', 'create_gameobject', 'add_component', 'revert_undo_group']
+    );
+  });
+
+  it('keeps completed steps as one undo entry when rollback is disabled', async () => {
+    mockConnection.setMockResponse('create_gameobject', { name: 'Player', path: '/Player' });
+
+    const result = await handler.handle({
+      rollbackOnFailure: false,
+      steps: [
+        { tool: 'create_gameobject', params: { name: 'Player' } },
+        { tool: 'modify_gameobject', params: { path: '{{missing.path}}', name: 'Renamed' } }
+      ]
+    });
+
+    assert.equal(result.code, 'BATCH_STEP_FAILED');
+    assert.equal(result.details.failedStep.code, 'BATCH_REFERENCE_ERROR');
+    assert.equal(result.details.rolledBack, false);
+    assert.equal(mockConnection.commands.at(-1).command, 'end_undo_group');
+  });
+
+  it('rejects unknown and nested tools before touching Unity', async () => {
+    const unknown = await handler.handle({ steps: [{ tool: 'make_coffee' }] });
+    assert.equal(unknown.code, 'BATCH_UNKNOWN_TOOL');
+
+    const nested = await handler.handle({ steps: [{ tool: 'batch_execute', params: { steps: [] } }] });
+    assert.equal(nested.status, 'error');
+    assert.match(nested.error, /cannot be nested/);
+
+    assert.equal(mockConnection.commands.length, 0);
+  });
+
+  it('previews each step with dryRun without opening an undo group', async () => {
+    mockConnection.setMockResponse('preview_command', ({ params }) => ({
+      dryRun: true,
+      changes: [{ action: 'delete', target: 'gameObject', path: params.path, descendants: 0 }]
+    }));
+
+    const result = await handler.handle({
+      dryRun: true,
+      steps: [
+        { id: 'player', tool: 'create_gameobject', params: { name: 'Player' } },
+        { tool: 'add_component', params: { gameObjectPath: '{{player.path}}', componentType: 'Rigidbody' } },
+        { tool: 'delete_gameobject', params: { path: '/Old' } }
+      ]
+    });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(mockConnection.commands, [
+      { command: 'preview_command', params: { command: 'delete_gameobject', params: { path: '/Old' } } }
+    ]);
+    assert.equal(result.result.steps[1].unresolved, true);
+    assert.deepEqual(result.result.changes, [
+      { action: 'create', target: 'gameObject', path: 'Player' },
+      { action: 'delete', target: 'gameObject', path: '/Old', descendants: 0 }
+    ]);
+  });
+
+  it('fails a step that references a step that has not run', () => {
+    assert.throws(
+      () => resolveReferences({ path: '{{later.path}}' }, new Map()),
+      { code: 'BATCH_REFERENCE_ERROR' }
+    );
+  });
+
+  it('keeps whole-reference types and interpolates embedded references', () => {
+    const outputs = new Map([['spawn', { position: { x: 1, y: 2, z: 3 }, path: '/Spawn' }]]);
+
+    assert.deepEqual(
+      resolveReferences({ position: '{{spawn.position}}', parentPath: '{{spawn.path}}/Child', tags: ['{{ spawn.path }}'] }, outputs),
+      { position: { x: 1, y: 2, z: 3 }, parentPath: '/Spawn/Child', tags: ['/Spawn'] }
+    );
+  });
+});
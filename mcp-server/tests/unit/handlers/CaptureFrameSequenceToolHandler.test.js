@@ -0,0 +1,211 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CaptureFrameSequenceToolHandler } from '../../../src/handlers/screenshot/CaptureFrameSequenceToolHandler.js';
+import { encodePng } from '../../../src/core/imageEncoding.js';
+import { decodePng } from '../../../src/core/imageDecoding.js';
+
+function frame(index, timeMs, value, size = 4) {
+  const data = new Uint8Array(size * size * 4).fill(value);
+  return {
+    index,
+    timeMs,
+    frame: 100 + index,
+    gameTime: timeMs / 1000,
+    width: size,
+    height: size,
+    base64Data: encodePng({ width: size, height: size, data }).toString('base64')
+  };
+}
+
+describe('CaptureFrameSequenceToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+  let polls;
+
+  // Like Unity, the status lists the frames without their images, which come in pages of at most two here
+  const respond = (sequence) => {
+    mockUnityConnection.sendCommand = mock.fn(async (command, params) => {
+      if (command === 'start_frame_sequence') {
+        return { success: true, captureId: 'abc123', captureMode: 'game', frameCount: 3, intervalMs: 100 };
+      }
+      if (command === 'get_frame_sequence' && params.count) {
+        const frames = sequence.frames.slice(params.from, params.from + Math.min(params.count, 2));
+        const next = params.from + frames.length;
+        return { captureId: 'abc123', from: params.from, nextFrom: next < sequence.frames.length ? next : null, frames };
+      }
+      if (command === 'get_frame_sequence') {
+        const state = polls.shift() || sequence;
+        return { ...state, frames: state.frames && state.frames.map(({ base64Data, ...frame }) => frame) };
+      }
+      return { wasStopped: true };
+    });
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-frame-sequence-'));
+    polls = [];
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new CaptureFrameSequenceToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'capture_frame_sequence');
+    assert.equal(handler.inputSchema.properties.format.default, 'gif');
+    assert.deepEqual(handler.inputSchema.required, []);
+  });
+
+  it('requires the outputPath extension to match the format', () => {
+    assert.throws(() => handler.validate({ outputPath: 'Captures/run.png' }), /must end with \.gif/);
+    assert.throws(() => handler.validate({ format: 'contact_sheet', outputPath: 'Captures/run.gif' }), /must end with \.png/);
+    handler.validate({ format: 'contact_sheet', outputPath: 'Captures/run.png' });
+  });
+
+  it('rejects frame counts and sizes too large to assemble', () => {
+    handler.validate({ frameCount: 120, maxDimension: 512 });
+    assert.throws(
+      () => handler.validate({ frameCount: 120, maxDimension: 2048 }),
+      (error) => error.code === 'FRAME_SEQUENCE_TOO_LARGE' && /lower frameCount to 8/.test(error.message)
+    );
+  });
+
+  it('polls until the capture completes and writes an animated GIF', async () => {
+    polls = [{ captureId: 'abc123', status: 'capturing', capturedFrames: 1, frames: null }];
+    respond({
+      captureId: 'abc123',
+      status: 'completed',
+      capturedFrames: 3,
+      frames: [frame(0, 0, 0), frame(1, 120, 128), frame(2, 210, 255)]
+    });
+    const progress = [];
+
+    const result = await handler.execute(
+      { frameCount: 3, intervalMs: 100 },
+      { sendProgress: async (update) => progress.push(update.progress) }
+    );
+
+    const commands = mockUnityConnection.sendCommand.mock.calls.map((call) => call.arguments[0]);
+    assert.deepEqual(commands, ['start_frame_sequence', 'get_frame_sequence', 'get_frame_sequence', 'get_frame_sequence', 'get_frame_sequence']);
+    const pages = mockUnityConnection.sendCommand.mock.calls.slice(3).map((call) => call.arguments[1].from);
+    assert.deepEqual(pages, [0, 2]);
+    assert.deepEqual(progress, [1, 3]);
+    assert.equal(result.path, path.join(projectRoot, 'Library/UnityEditorMCP/frame-sequences/abc123.gif'));
+    assert.equal(result.complete, true);
+    assert.equal(result.frameCount, 3);
+    assert.equal(result.durationMs, 210);
+    assert.deepEqual(result.frames.map((f) => f.timeMs), [0, 120, 210]);
+    assert.deepEqual(result.frames[1], { index: 1, timeMs: 120, frame: 101, gameTime: 0.12 });
+
+    const gif = fs.readFileSync(result.path);
+    assert.equal(gif.toString('latin1', 0, 6), 'GIF89a');
+    assert.equal(result.fileSize, gif.length);
+    // Frame delays follow the timestamps; the last frame uses the requested interval
+    const delays = [];
+    for (let o = gif.indexOf(Buffer.from([0x21, 0xf9])); o >= 0; o = gif.indexOf(Buffer.from([0x21, 0xf9]), o + 1)) {
+      delays.push(gif.readUInt16LE(o + 4));
+    }
+    assert.deepEqual(delays, [12, 9, 10]);
+    assert.equal(result.imageContent, undefined);
+  });
+
+  it('assembles a contact sheet and returns it as an image', async () => {
+    respond({
+      captureId: 'abc123',
+      status: 'completed',
+      capturedFrames: 3,
+      frames: [frame(0, 0, 0, 8), frame(1, 100, 128, 8), frame(2, 200, 255, 8)]
+    });
+
+    const result = await handler.execute({
+      frameCount: 3,
+      format: 'contact_sheet',
+      columns: 3,
+      maxDimension: 64,
+      outputPath: 'Captures/sheet.png',
+      returnImage: true
+    });
+
+    assert.equal(result.path, path.join(projectRoot, 'Captures/sheet.png'));
+    assert.deepEqual([result.width, result.height], [3 * 12 + 4, 16]);
+    assert.deepEqual(result.frames.map((f) => f.cell.x), [4, 16, 28]);
+    const sheet = decodePng(fs.readFileSync(result.path));
+    assert.equal(sheet.width, result.width);
+    assert.equal(result.imageContent[0].mimeType, 'image/png');
+    assert.deepEqual(Buffer.from(result.imageContent[0].data, 'base64'), fs.readFileSync(result.path));
+  });
+
+  it('refuses output paths outside the project before capturing', async () => {
+    respond({ captureId: 'abc123', status: 'completed', capturedFrames: 2, frames: [frame(0, 0, 0), frame(1, 100, 255)] });
+
+    const escaped = await handler.handle({ outputPath: '../run.gif' });
+    const absolute = await handler.handle({ outputPath: path.join(os.tmpdir(), 'unity-mcp-run.gif') });
+
+    assert.deepEqual([escaped.code, absolute.code], ['PATH_OUTSIDE_PROJECT', 'PATH_OUTSIDE_PROJECT']);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('keeps the frames of a capture that ended early and warns about it', async () => {
+    respond({
+      captureId: 'abc123',
+      status: 'failed',
+      capturedFrames: 2,
+      failure: 'Play mode ended before all frames were captured',
+      frames: [frame(0, 0, 0), frame(1, 100, 255)]
+    });
+
+    const result = await handler.execute({ frameCount: 5 });
+
+    assert.equal(result.complete, false);
+    assert.equal(result.frameCount, 2);
+    assert.equal(result.requestedFrameCount, 5);
+    assert.equal(result.warning, 'Play mode ended before all frames were captured');
+  });
+
+  it('fails when no frame was captured', async () => {
+    respond({ captureId: 'abc123', status: 'failed', capturedFrames: 0, failure: 'Failed to capture frame 0: boom', frames: [] });
+
+    const result = await handler.handle({ frameCount: 3 });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.code, 'FRAME_CAPTURE_FAILED');
+    assert.match(result.error, /boom/);
+  });
+
+  it('passes Unity errors through with their code', async () => {
+    mockUnityConnection.sendCommand = mock.fn(async () => ({
+      error: 'Frame sequences can only be captured in play mode. Start play mode with play_game first.',
+      code: 'NOT_IN_PLAY_MODE'
+    }));
+
+    const result = await handler.handle({});
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.code, 'NOT_IN_PLAY_MODE');
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 1);
+  });
+
+  it('stops the capture in Unity when the request is cancelled', async () => {
+    respond({ captureId: 'abc123', status: 'capturing', capturedFrames: 0, frames: null });
+    const controller = new AbortController();
+
+    const pending = handler.execute({ frameCount: 3 }, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(pending, { code: 'REQUEST_CANCELLED' });
+    const commands = mockUnityConnection.sendCommand.mock.calls.map((call) => call.arguments[0]);
+    assert.equal(commands.at(-1), 'stop_frame_sequence');
+  });
+});
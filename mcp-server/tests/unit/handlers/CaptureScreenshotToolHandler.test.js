@@ -1,6 +1,8 @@
 import { describe, it, beforeEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { CaptureScreenshotToolHandler } from '../../../src/handlers/screenshot/CaptureScreenshotToolHandler.js';
+import { encodePng } from '../../../src/core/imageEncoding.js';
+import { decodePng } from '../../../src/core/imageDecoding.js';
 
 describe('CaptureScreenshotToolHandler', () => {
   let unityConnection;
@@ -66,4 +68,44 @@ describe('CaptureScreenshotToolHandler', () => {
       }
     ]);
   });
+
+  it('returns a downscaled image without saving a file when returnImage is set', async () => {
+    const base64Data = encodePng({ width: 400, height: 200, data: new Uint8Array(400 * 200 * 4).fill(200) }).toString('base64');
+    unityConnection.sendCommand = mock.fn(async () => ({
+      success: true,
+      path: null,
+      width: 400,
+      height: 200,
+      captureMode: 'game',
+      fileSize: 1234,
+      base64Data
+    }));
+
+    const result = await handler.execute({ returnImage: true, maxDimension: 100 });
+
+    assert.deepEqual(unityConnection.sendCommand.mock.calls[0].arguments[1], { encodeAsBase64: true, saveFile: false });
+    assert.equal(result.base64Data, undefined);
+    assert.deepEqual(result.image, { width: 100, height: 50, mimeType: 'image/png', scaled: true, originalWidth: 400, originalHeight: 200 });
+    const returned = decodePng(Buffer.from(result.imageContent[0].data, 'base64'));
+    assert.deepEqual([returned.width, returned.height], [100, 50]);
+    assert.deepEqual([...returned.data.subarray(0, 4)], [200, 200, 200, 200]);
+  });
+
+  it('still saves the file when returnImage is combined with outputPath', async () => {
+    unityConnection.sendCommand = mock.fn(async () => ({
+      success: true,
+      path: 'Assets/Screenshots/game.png',
+      width: 2,
+      height: 2,
+      captureMode: 'game',
+      base64Data: encodePng({ width: 2, height: 2, data: new Uint8Array(16) }).toString('base64')
+    }));
+
+    const result = await handler.execute({ returnImage: true, outputPath: 'Assets/Screenshots/game.png', encodeAsBase64: true });
+
+    assert.deepEqual(unityConnection.sendCommand.mock.calls[0].arguments[1], { outputPath: 'Assets/Screenshots/game.png', encodeAsBase64: true });
+    assert.equal(result.path, 'Assets/Screenshots/game.png');
+    assert.ok(result.base64Data);
+    assert.equal(result.image.scaled, false);
+  });
 });
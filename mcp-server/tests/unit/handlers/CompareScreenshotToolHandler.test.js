@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CompareScreenshotToolHandler } from '../../../src/handlers/screenshot/CompareScreenshotToolHandler.js';
+import { encodePng } from '../../../src/core/imageEncoding.js';
+import { decodePng } from '../../../src/core/imageDecoding.js';
+
+function screenshot(width, height, changed = []) {
+  const data = new Uint8Array(width * height * 4).fill(255);
+  for (const [x, y] of changed) {
+    data.set([0, 0, 0, 255], (y * width + x) * 4);
+  }
+  return encodePng({ width, height, data });
+}
+
+describe('CompareScreenshotToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  const baselinePath = (name) => path.join(projectRoot, '.unity-mcp/baselines', `${name}.png`);
+  const writeCapture = (png) => {
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Screenshots'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Screenshots/capture.png'), png);
+    return 'Assets/Screenshots/capture.png';
+  };
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-compare-screenshot-'));
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new CompareScreenshotToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'compare_screenshot');
+    assert.deepEqual(handler.inputSchema.required, ['name']);
+  });
+
+  it('requires exactly one screenshot source', () => {
+    assert.throws(() => handler.validate({ name: 'menu' }), /Either imagePath or base64Data/);
+    assert.throws(() => handler.validate({ name: 'menu', imagePath: 'a.png', base64Data: 'AA==' }), /not both/);
+  });
+
+  it('reports a missing baseline with the available names', async () => {
+    fs.mkdirSync(path.dirname(baselinePath('ui/settings')), { recursive: true });
+    fs.writeFileSync(baselinePath('ui/settings'), screenshot(4, 4));
+
+    const result = await handler.handle({ name: 'menu', imagePath: writeCapture(screenshot(4, 4)) });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.code, 'BASELINE_NOT_FOUND');
+    assert.deepEqual(result.details.available, ['ui/settings']);
+  });
+
+  it('creates the baseline when updateBaseline is set', async () => {
+    const png = screenshot(4, 4);
+
+    const result = await handler.execute({ name: 'ui/menu', base64Data: png.toString('base64'), updateBaseline: true });
+
+    assert.equal(result.baselineCreated, true);
+    assert.equal(result.passed, true);
+    assert.deepEqual(fs.readFileSync(baselinePath('ui/menu')), png);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('compares against the baseline and writes a diff image', async () => {
+    fs.mkdirSync(path.dirname(baselinePath('menu')), { recursive: true });
+    fs.writeFileSync(baselinePath('menu'), screenshot(20, 10));
+    const imagePath = writeCapture(screenshot(20, 10, [[2, 3], [3, 3], [18, 8]]));
+
+    const result = await handler.execute({ name: 'menu', imagePath, antiAliasing: false });
+
+    assert.equal(result.passed, false);
+    assert.equal(result.mismatchedPixels, 3);
+    assert.equal(result.mismatchPercentage, 1.5);
+    assert.deepEqual(result.regions, [
+      { x: 2, y: 3, width: 2, height: 1, pixels: 2 },
+      { x: 18, y: 8, width: 1, height: 1, pixels: 1 }
+    ]);
+    assert.equal(result.diffPath, path.join(projectRoot, 'Library/UnityEditorMCP/screenshot-diffs/menu.png'));
+    const diff = decodePng(fs.readFileSync(result.diffPath));
+    assert.deepEqual([...diff.data.subarray((3 * 20 + 2) * 4, (3 * 20 + 2) * 4 + 4)], [255, 0, 0, 255]);
+
+    const tolerated = await handler.execute({ name: 'menu', imagePath, antiAliasing: false, maxMismatchPercent: 2 });
+    assert.equal(tolerated.passed, true);
+  });
+
+  it('reports a size change and replaces the baseline on request', async () => {
+    fs.mkdirSync(path.dirname(baselinePath('menu')), { recursive: true });
+    fs.writeFileSync(baselinePath('menu'), screenshot(20, 10));
+    const capture = screenshot(16, 10);
+
+    const result = await handler.execute({ name: 'menu', base64Data: capture.toString('base64'), updateBaseline: true });
+
+    assert.equal(result.passed, false);
+    assert.equal(result.dimensionsMatch, false);
+    assert.deepEqual(result.baselineSize, { width: 20, height: 10 });
+    assert.equal(result.baselineUpdated, true);
+    assert.deepEqual(fs.readFileSync(baselinePath('menu')), capture);
+  });
+
+  it('rejects baseline names that leave the baselines folder', async () => {
+    const result = await handler.handle({ name: '../secrets', base64Data: screenshot(2, 2).toString('base64') });
+
+    assert.equal(result.status, 'error');
+    assert.equal(result.code, 'INVALID_BASELINE_NAME');
+  });
+
+  it('refuses screenshot and diff paths outside the project', async () => {
+    fs.mkdirSync(path.dirname(baselinePath('menu')), { recursive: true });
+    fs.writeFileSync(baselinePath('menu'), screenshot(2, 2));
+    const outside = path.join(os.tmpdir(), 'unity-mcp-outside.png');
+
+    const escaped = await handler.handle({ name: 'menu', imagePath: '../capture.png' });
+    const absolute = await handler.handle({ name: 'menu', imagePath: outside });
+    const diff = await handler.handle({ name: 'menu', imagePath: writeCapture(screenshot(2, 2, [[0, 0]])), diffPath: '../diff.png' });
+
+    assert.deepEqual([escaped.code, absolute.code, diff.code], ['PATH_OUTSIDE_PROJECT', 'PATH_OUTSIDE_PROJECT', 'PATH_OUTSIDE_PROJECT']);
+    assert.equal(fs.existsSync(path.join(projectRoot, '..', 'diff.png')), false);
+  });
+});
@@ -67,6 +67,25 @@ describe('DeleteGameObjectToolHandler', () => {
       assert.ok(result.result);
     });
 
+    it('should ask Unity for a dry run instead of deleting', async () => {
+      mockConnection.sendCommand = mock.fn(async () => ({
+        dryRun: true,
+        changes: [{ action: 'delete', target: 'gameObject', path: '/Enemy', descendants: 2 }],
+        notFound: ['/Missing'],
+        notFoundCount: 1
+      }));
+
+      const result = await handler.handle({ paths: ['/Enemy', '/Missing'], dryRun: true });
+
+      assert.equal(result.status, 'success');
+      assert.deepEqual(mockConnection.sendCommand.mock.calls[0].arguments, [
+        'preview_command',
+        { command: 'delete_gameobject', params: { paths: ['/Enemy', '/Missing'] } }
+      ]);
+      assert.equal(result.result.tool, 'delete_gameobject');
+      assert.equal(result.result.summary, 'Would delete 1 GameObject (1 not found)');
+    });
+
     it('should return error for validation failure', async () => {
       const result = await handler.handle({});
       
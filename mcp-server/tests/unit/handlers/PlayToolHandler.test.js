@@ -476,4 +476,20 @@ describe('PlayToolHandler', () => {
       assert.match(result.error, /Compilation errors prevent play mode/);
     });
   });
+
+  describe('preview', () => {
+    it('should describe entering play mode only when the editor is stopped', async () => {
+      mockConnection.sendCommand = mock.fn(async () => ({ state: { isPlaying: false } }));
+      const stopped = await handler.handle({ dryRun: true });
+
+      assert.deepEqual(mockConnection.sendCommand.mock.calls.map((call) => call.arguments[0]), ['get_editor_state']);
+      assert.deepEqual(stopped.result.changes, [
+        { action: 'modify', target: 'editor', diff: [{ property: 'isPlaying', from: false, to: true }] }
+      ]);
+
+      mockConnection.sendCommand = mock.fn(async () => ({ state: { isPlaying: true } }));
+      const playing = await handler.handle({ dryRun: true });
+      assert.deepEqual(playing.result.changes, []);
+    });
+  });
 });
@@ -260,4 +260,16 @@ describe('TagManagementToolHandler', () => {
       assert.equal(examples.removeTag.params.action, 'remove');
     });
   });
+
+  describe('preview', () => {
+    it('should describe added and removed tags and nothing for get', async () => {
+      const added = await handler.handle({ action: 'add', tagName: 'Enemy', dryRun: true });
+      const removed = await handler.handle({ action: 'remove', tagName: 'Enemy', dryRun: true });
+      const listed = await handler.handle({ action: 'get', dryRun: true });
+
+      assert.deepEqual(added.result.changes, [{ action: 'create', target: 'tag', name: 'Enemy' }]);
+      assert.deepEqual(removed.result.changes, [{ action: 'delete', target: 'tag', name: 'Enemy' }]);
+      assert.deepEqual(listed.result.changes, []);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { UndoToolHandler } from '../../../src/handlers/editor/UndoToolHandler.js';
+import { RedoToolHandler } from '../../../src/handlers/editor/RedoToolHandler.js';
+
+describe('UndoToolHandler', () => {
+  let mockConnection;
+
+  beforeEach(() => {
+    mockConnection = {
+      isConnected: () => true,
+      connect: async () => {},
+      sendCommand: mock.fn(async (type, params) => ({
+        operation: type,
+        performed: params.steps,
+        currentGroup: 3
+      }))
+    };
+  });
+
+  it('performs Unity undo steps', async () => {
+    const handler = new UndoToolHandler(mockConnection);
+    const result = await handler.handle({ steps: 2 });
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.result.performed, 2);
+    assert.deepEqual(mockConnection.sendCommand.mock.calls[0].arguments, ['undo', { steps: 2 }]);
+  });
+
+  it('reverts journaled calls through the undo journal', async () => {
+    const undoJournal = {
+      revertCalls: mock.fn(async (count) => ({ requested: count, revertedCalls: [], groupIndex: 7 }))
+    };
+    const handler = new UndoToolHandler(mockConnection, { undoJournal });
+
+    const result = await handler.handle({ calls: 5 });
+
+    assert.equal(result.result.groupIndex, 7);
+    assert.equal(undoJournal.revertCalls.mock.calls[0].arguments[0], 5);
+    assert.equal(mockConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('rejects steps and calls together', async () => {
+    const handler = new UndoToolHandler(mockConnection);
+    const result = await handler.handle({ steps: 1, calls: 1 });
+
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /either steps or calls/);
+  });
+
+  it('surfaces Unity errors', async () => {
+    mockConnection.sendCommand = mock.fn(async () => ({ error: 'steps must be between 1 and 50' }));
+    const handler = new UndoToolHandler(mockConnection);
+
+    const result = await handler.handle({});
+    assert.equal(result.status, 'error');
+    assert.match(result.error, /between 1 and 50/);
+  });
+});
+
+describe('RedoToolHandler', () => {
+  it('performs one redo step by default', async () => {
+    const sendCommand = mock.fn(async () => ({ operation: 'redo', performed: 1 }));
+    const handler = new RedoToolHandler({ isConnected: () => true, sendCommand });
+
+    const result = await handler.handle({});
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(sendCommand.mock.calls[0].arguments, ['redo', { steps: 1 }]);
+    assert.equal(handler.annotations.destructiveHint, true);
+  });
+});
@@ -262,4 +262,25 @@ describe('InstantiatePrefabToolHandler', () => {
             assert.strictEqual(result.error, 'position must have x, y, and z properties');
         });
     });
+
+    describe('preview', () => {
+        it('should describe the instance without instantiating it', async () => {
+            const result = await handler.handle({
+                prefabPath: 'Assets/Prefabs/Enemy.prefab',
+                parent: 'Level/Enemies',
+                position: { x: 1, y: 0, z: 2 },
+                dryRun: true
+            });
+
+            assert.strictEqual(result.status, 'success');
+            assert.strictEqual(mockUnityConnection.sendCommand.mock.calls.length, 0);
+            assert.deepStrictEqual(result.result.changes, [{
+                action: 'create',
+                target: 'gameObject',
+                path: 'Level/Enemies/Enemy',
+                prefabPath: 'Assets/Prefabs/Enemy.prefab',
+                position: { x: 1, y: 0, z: 2 }
+            }]);
+        });
+    });
 });
\ No newline at end of file
@@ -265,4 +265,24 @@ describe('ModifyMaterialToolHandler', () => {
             assert.ok(response.error.includes('properties cannot be empty'));
         });
     });
+
+    describe('preview', () => {
+        it('should list the properties and shader that would be set', async () => {
+            const result = await handler.handle({
+                materialPath: 'Assets/Materials/Red.mat',
+                properties: { _Color: [1, 0, 0, 1] },
+                shader: 'Unlit/Color',
+                dryRun: true
+            });
+
+            assert.equal(result.status, 'success');
+            assert.deepEqual(result.result.changes, [{
+                action: 'modify',
+                target: 'asset',
+                path: 'Assets/Materials/Red.mat',
+                properties: { _Color: [1, 0, 0, 1] },
+                shader: 'Unlit/Color'
+            }]);
+        });
+    });
 });
\ No newline at end of file
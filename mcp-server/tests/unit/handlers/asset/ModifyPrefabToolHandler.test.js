@@ -231,6 +231,36 @@ describe('ModifyPrefabToolHandler', () => {
             assert.deepStrictEqual(result.result, mockResponse);
         });
 
+        it('should preview modifications and affected instances with dryRun', async () => {
+            const preview = {
+                dryRun: true,
+                prefabPath: 'Assets/Test.prefab',
+                changes: [
+                    { action: 'modify', target: 'asset', path: 'Assets/Test.prefab', diff: [{ property: 'name', from: 'Old', to: 'NewName' }] },
+                    { action: 'revert', target: 'gameObject', path: 'Level/Test' }
+                ],
+                affectedInstances: 1
+            };
+            mockUnityConnection.sendCommand.mock.mockImplementationOnce(() => Promise.resolve(preview));
+
+            const result = await handler.handle({
+                prefabPath: 'Assets/Test.prefab',
+                modifications: { name: 'NewName' },
+                dryRun: true
+            });
+
+            assert.strictEqual(result.status, 'success');
+            assert.deepStrictEqual(mockUnityConnection.sendCommand.mock.calls[0].arguments, ['preview_command', {
+                command: 'modify_prefab',
+                params: {
+                    prefabPath: 'Assets/Test.prefab',
+                    modifications: { name: 'NewName' },
+                    applyToInstances: true
+                }
+            }]);
+            assert.deepStrictEqual(result.result, { ...preview, tool: 'modify_prefab' });
+        });
+
         it('should return error response for invalid parameters', async () => {
             const result = await handler.handle({
                 modifications: { name: 'Test' }
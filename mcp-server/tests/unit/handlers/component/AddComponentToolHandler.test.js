@@ -183,4 +183,20 @@ describe('AddComponentToolHandler', () => {
       assert.equal(result.error, 'Missing required parameter: gameObjectPath');
     });
   });
+
+  describe('preview', () => {
+    it('should describe the component without adding it', async () => {
+      const result = await handler.handle({
+        gameObjectPath: '/Player',
+        componentType: 'Rigidbody',
+        properties: { mass: 2 },
+        dryRun: true
+      });
+
+      assert.equal(result.status, 'success');
+      assert.deepEqual(result.result.changes, [
+        { action: 'create', target: 'component', path: '/Player/Rigidbody', properties: { mass: 2 } }
+      ]);
+    });
+  });
 });
\ No newline at end of file
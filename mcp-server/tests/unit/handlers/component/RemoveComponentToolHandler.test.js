@@ -146,4 +146,20 @@ describe('RemoveComponentToolHandler', () => {
       assert.equal(result.componentIndex, 1);
     });
   });
+
+  describe('preview', () => {
+    it('should name the component instance without removing it', async () => {
+      const result = await handler.handle({
+        gameObjectPath: '/Player',
+        componentType: 'BoxCollider',
+        componentIndex: 1,
+        dryRun: true
+      });
+
+      assert.equal(result.status, 'success');
+      assert.deepEqual(result.result.changes, [
+        { action: 'delete', target: 'component', path: '/Player/BoxCollider[1]' }
+      ]);
+    });
+  });
 });
\ No newline at end of file
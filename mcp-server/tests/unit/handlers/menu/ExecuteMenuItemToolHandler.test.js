@@ -371,4 +371,14 @@ describe('ExecuteMenuItemToolHandler', () => {
       assert.ok(result.error.includes('menuPath'));
     });
   });
+
+  describe('preview', () => {
+    it('should name the resolved menu item without executing it', async () => {
+      const result = await handler.handle({ menuPath: 'Assets/Refresh', dryRun: true });
+
+      assert.equal(result.status, 'success');
+      assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+      assert.deepEqual(result.result.changes, [{ action: 'execute', target: 'menuItem', path: 'Assets/Refresh' }]);
+    });
+  });
 });
@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AssemblyDefinitionToolHandler } from '../../../../src/handlers/scripting/AssemblyDefinitionToolHandler.js';
+
+describe('AssemblyDefinitionToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-asmdef-handler-'));
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Scripts'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/Game.asmdef'), JSON.stringify({ name: 'Game', references: [] }, null, 4));
+
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({ success: true })),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new AssemblyDefinitionToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'manage_assembly_definitions');
+    assert.ok(handler.inputSchema.properties.action.enum.includes('resolve'));
+    assert.deepEqual(handler.inputSchema.required, ['action']);
+  });
+
+  it('should require the fields of each action', () => {
+    assert.throws(() => handler.validate({ action: 'get' }), /assembly is required for get action/);
+    assert.throws(() => handler.validate({ action: 'create', name: 'Game.Tests' }), /folderPath is required/);
+    assert.throws(() => handler.validate({ action: 'create', name: 'Game.Tests', folderPath: 'Tests' }), /must start with Assets\//);
+    assert.throws(() => handler.validate({ action: 'create', name: 'Game.Tests', folderPath: 'Assets/../..' }), /must start with Assets\//);
+    assert.throws(() => handler.validate({ action: 'add_reference', assembly: 'Game' }), /reference is required/);
+    assert.doesNotThrow(() => handler.validate({ action: 'list' }));
+  });
+
+  it('should resolve which assembly a script belongs to', async () => {
+    const result = await handler.execute({ action: 'resolve', scriptPath: 'Assets/Scripts/AI/Enemy.cs' });
+
+    assert.equal(result.assembly, 'Game');
+    assert.equal(result.asmdefPath, 'Assets/Scripts/Game.asmdef');
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('should write new assembly definitions and refresh Unity', async () => {
+    const result = await handler.execute({
+      action: 'create',
+      name: 'Game.Editor',
+      folderPath: 'Assets/Scripts/Editor',
+      references: ['Game'],
+      includePlatforms: ['Editor']
+    });
+
+    assert.equal(result.path, 'Assets/Scripts/Editor/Game.Editor.asmdef');
+    assert.equal(result.refreshed, true);
+    const written = JSON.parse(fs.readFileSync(path.join(projectRoot, result.path), 'utf8'));
+    assert.deepEqual(written.references, ['Game']);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls[0].arguments[0], 'refresh_assets');
+
+    const edited = await handler.execute({ action: 'set_defines', assembly: 'Game.Editor', defineConstraints: ['UNITY_EDITOR'] });
+    assert.equal(edited.changed, true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(projectRoot, result.path), 'utf8')).defineConstraints, ['UNITY_EDITOR']);
+  });
+
+  it('should keep the edit when Unity cannot be reached', async () => {
+    mockUnityConnection.sendCommand = mock.fn(async () => {
+      throw new Error('Not connected');
+    });
+
+    const result = await handler.execute({ action: 'set_platforms', assembly: 'Game', excludePlatforms: ['WebGL'] });
+
+    assert.equal(result.refreshed, false);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(projectRoot, 'Assets/Scripts/Game.asmdef'), 'utf8')).excludePlatforms, ['WebGL']);
+  });
+
+  it('should preview edits without writing', async () => {
+    const response = await handler.handle({ action: 'create', name: 'Game.Tests', folderPath: 'Assets/Tests', dryRun: true });
+
+    assert.equal(response.status, 'success');
+    assert.deepEqual(response.result.changes, [{ action: 'create', target: 'asset', path: 'Assets/Tests/Game.Tests.asmdef' }]);
+    assert.match(response.result.content, /"name": "Game.Tests"/);
+    assert.equal(fs.existsSync(path.join(projectRoot, 'Assets/Tests')), false);
+  });
+
+  it('should report unknown assemblies and missing projects', async () => {
+    const missing = await handler.handle({ action: 'get', assembly: 'Missing' });
+    assert.equal(missing.status, 'error');
+    assert.equal(missing.code, 'NOT_FOUND');
+    assert.deepEqual(missing.details.available, ['Game']);
+
+    delete mockUnityConnection.endpoint;
+    const noProject = await handler.handle({ action: 'list' });
+    assert.equal(noProject.code, 'PROJECT_NOT_FOUND');
+  });
+});
@@ -1,5 +1,8 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { CreateScriptToolHandler } from '../../../../src/handlers/scripting/CreateScriptToolHandler.js';
 
 describe('CreateScriptToolHandler', () => {
@@ -96,6 +99,12 @@ describe('CreateScriptToolHandler', () => {
       );
     });
 
+    it('should accept either a script type or a template', () => {
+      assert.doesNotThrow(() => handler.validate({ scriptName: 'Bullet', template: 'PooledBehaviour', variables: { pool: 'Bullets' } }));
+      assert.throws(() => handler.validate({ scriptName: 'Bullet', scriptType: 'MonoBehaviour', template: 'PooledBehaviour' }), /either scriptType or template/);
+      assert.throws(() => handler.validate({ scriptName: 'Bullet', variables: { pool: 'Bullets' } }), /only be used with template/);
+    });
+
     it('should validate path format', () => {
       assert.throws(
         () => handler.validate({ 
@@ -244,6 +253,64 @@ describe('CreateScriptToolHandler', () => {
       assert.equal(params.path, 'Assets/Scripts/Controllers/');
       assert.equal(params.fileName, 'PlayerController.cs');
     });
+    it('should report the assembly the script compiles into when the project is local', async () => {
+      const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-create-script-'));
+      try {
+        fs.mkdirSync(path.join(projectRoot, 'Assets/Tools'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, 'Assets/Tools/Game.Tools.asmdef'), JSON.stringify({ name: 'Game.Tools', includePlatforms: ['Editor'] }));
+        mockUnityConnection.endpoint = { projectPath: projectRoot };
+        mockUnityConnection.sendCommand = mock.fn(async () => ({ success: true, scriptPath: 'Assets/Tools/Spawner.cs' }));
+
+        const result = await handler.execute({ scriptName: 'Spawner', path: 'Assets/Tools/' });
+
+        assert.equal(result.assembly.assembly, 'Game.Tools');
+        assert.equal(result.assembly.asmdefPath, 'Assets/Tools/Game.Tools.asmdef');
+        assert.match(result.assembly.warning, /editor-only/);
+      } finally {
+        fs.rmSync(projectRoot, { recursive: true, force: true });
+      }
+    });
+
+    it('should create scripts from project templates', async () => {
+      const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-create-template-'));
+      try {
+        fs.mkdirSync(path.join(projectRoot, '.unity-mcp/templates'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, '.unity-mcp/templates/EcsSystem.cs.tmpl'), [
+          'namespace {{namespace}}',
+          '{',
+          '    public partial struct {{className}} : ISystem { } // {{group}}',
+          '}'
+        ].join('\n'));
+        fs.mkdirSync(path.join(projectRoot, 'Assets/Game'), { recursive: true });
+        fs.writeFileSync(path.join(projectRoot, 'Assets/Game/Game.asmdef'), JSON.stringify({ name: 'Game', rootNamespace: 'Game' }));
+        mockUnityConnection.endpoint = { projectPath: projectRoot };
+        mockUnityConnection.sendCommand = mock.fn(async () => ({ success: true, scriptPath: 'Assets/Game/Systems/MoveSystem.cs' }));
+
+        const result = await handler.execute({
+          scriptName: 'MoveSystem',
+          template: 'EcsSystem',
+          variables: { group: 'Simulation' },
+          path: 'Assets/Game/Systems/'
+        });
+
+        const params = mockUnityConnection.sendCommand.mock.calls[0].arguments[1];
+        assert.equal(params.namespace, 'Game.Systems');
+        assert.equal(params.scriptContent, 'namespace Game.Systems\n{\n    public partial struct MoveSystem : ISystem { } // Simulation\n}');
+        assert.equal(result.template, 'EcsSystem');
+        assert.equal(result.assembly.assembly, 'Game');
+
+        await assert.rejects(handler.execute({ scriptName: 'MoveSystem', template: 'EcsSystem' }), { code: 'TEMPLATE_VARIABLES_MISSING' });
+        await assert.rejects(handler.execute({ scriptName: 'MoveSystem', template: 'Missing' }), (error) =>
+          error.code === 'TEMPLATE_NOT_FOUND' && error.details.available[0] === 'EcsSystem');
+      } finally {
+        fs.rmSync(projectRoot, { recursive: true, force: true });
+      }
+    });
+
+    it('should not report an assembly without a local project', async () => {
+      const result = await handler.execute({ scriptName: 'TestScript' });
+      assert.equal(result.assembly, undefined);
+    });
   });
 
   describe('integration with BaseToolHandler', () => {
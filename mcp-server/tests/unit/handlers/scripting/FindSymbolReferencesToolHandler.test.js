@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FindSymbolReferencesToolHandler } from '../../../../src/handlers/scripting/FindSymbolReferencesToolHandler.js';
+
+describe('FindSymbolReferencesToolHandler', () => {
+  let handler;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-references-'));
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Scripts'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/Spawner.cs'), [
+      'public class Spawner',
+      '{',
+      '    public int count;',
+      '    void Spawn() { count++; /* count */ Debug.Log("count"); }',
+      '}',
+      ''
+    ].join('\n'));
+
+    handler = new FindSymbolReferencesToolHandler({
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'find_symbol_references');
+    assert.deepEqual(handler.inputSchema.required, ['symbol']);
+  });
+
+  it('should validate symbol names', () => {
+    assert.throws(() => handler.validate({}), /symbol is required/);
+    assert.throws(() => handler.validate({ symbol: 'count++' }), /C# identifier or dotted name/);
+    assert.doesNotThrow(() => handler.validate({ symbol: 'Spawner.count' }));
+  });
+
+  it('should return code references with declaration flags', async () => {
+    const result = await handler.execute({ symbol: 'Spawner.count' });
+
+    assert.deepEqual(result.references.map(({ line, column, isDeclaration }) => [line, column, isDeclaration]), [
+      [3, 16, true],
+      [4, 20, false]
+    ]);
+    assert.equal(result.truncated, false);
+
+    const usages = await handler.execute({ symbol: 'count', includeDeclarations: false, maxResults: 1 });
+    assert.equal(usages.references[0].text, 'void Spawn() { count++; /* count */ Debug.Log("count"); }');
+    assert.equal(usages.totalReferences, 1);
+  });
+});
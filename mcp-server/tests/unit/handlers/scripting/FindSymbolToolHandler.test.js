@@ -0,0 +1,74 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FindSymbolToolHandler } from '../../../../src/handlers/scripting/FindSymbolToolHandler.js';
+
+describe('FindSymbolToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-find-symbol-'));
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Scripts'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/PlayerHealth.cs'), [
+      'using UnityEngine;',
+      '',
+      '/// <summary>Handles damage taken by the player.</summary>',
+      'public class PlayerHealth : MonoBehaviour',
+      '{',
+      '    public void TakeDamage(int amount) { }',
+      '    public void Heal(int amount) { }',
+      '}',
+      ''
+    ].join('\n'));
+
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new FindSymbolToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'find_symbol');
+    assert.ok(handler.inputSchema.properties.kind.enum.includes('method'));
+    assert.deepEqual(handler.inputSchema.required, []);
+  });
+
+  it('should require a query or base type', () => {
+    assert.throws(() => handler.validate({ query: ' ' }), /Either query or baseType must be provided/);
+    assert.doesNotThrow(() => handler.validate({ baseType: 'MonoBehaviour' }));
+  });
+
+  it('should return ranked matches and report truncation', async () => {
+    const result = await handler.execute({ query: 'player damage', maxResults: 1 });
+
+    assert.equal(result.matches.length, 1);
+    assert.equal(result.matches[0].fullName, 'PlayerHealth');
+    assert.equal(result.matches[0].summary, 'Handles damage taken by the player.');
+    assert.equal(result.totalMatches, 2);
+    assert.equal(result.truncated, true);
+    assert.equal(result.filesSearched, 1);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('should fail with PROJECT_NOT_FOUND when the sources are not local', async () => {
+    delete mockUnityConnection.endpoint;
+
+    const response = await handler.handle({ query: 'player' });
+
+    assert.equal(response.status, 'error');
+    assert.equal(response.code, 'PROJECT_NOT_FOUND');
+    assert.match(response.error, /UNITY_PROJECT_PATH/);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GetScriptOutlineToolHandler } from '../../../../src/handlers/scripting/GetScriptOutlineToolHandler.js';
+
+const SCRIPT = `using UnityEngine;
+
+public class PlayerController : MonoBehaviour
+{
+    [SerializeField] private float speed = 5f;
+
+    void Update() { }
+}
+`;
+
+describe('GetScriptOutlineToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-outline-'));
+    fs.mkdirSync(path.join(projectRoot, 'Assets/Scripts'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'Assets/Scripts/PlayerController.cs'), SCRIPT);
+
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({ success: true, scriptContent: SCRIPT, scriptPath: 'Assets/Scripts/PlayerController.cs' }))
+    };
+    handler = new GetScriptOutlineToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'get_script_outline');
+    assert.deepEqual(handler.inputSchema.required, ['scriptPath']);
+  });
+
+  it('should validate script paths', () => {
+    assert.throws(() => handler.validate({}), /scriptPath is required/);
+    assert.throws(() => handler.validate({ scriptPath: 'Scripts/Player.cs' }), /must start with Assets\/ or Packages\//);
+    assert.throws(() => handler.validate({ scriptPath: 'Assets/../../secret.cs' }), /must start with Assets\/ or Packages\//);
+    assert.throws(() => handler.validate({ scriptPath: 'Assets/Player.txt' }), /must end with .cs/);
+    assert.doesNotThrow(() => handler.validate({ scriptPath: 'Packages/com.game.tools/Runtime/Tool.cs' }));
+  });
+
+  it('should outline the script from disk when the project is local', async () => {
+    mockUnityConnection.endpoint = { projectPath: projectRoot };
+
+    const result = await handler.execute({ scriptPath: 'Assets/Scripts/PlayerController.cs' });
+
+    assert.equal(result.source, 'disk');
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+    assert.equal(result.types[0].signature, 'public class PlayerController : MonoBehaviour');
+    assert.deepEqual(result.types[0].members.map((member) => [member.signature, member.line, member.serialized]), [
+      ['private float speed', 5, true],
+      ['void Update()', 7, undefined]
+    ]);
+  });
+
+  it('should parse the script read through Unity otherwise', async () => {
+    const result = await handler.execute({ scriptPath: 'Assets/Scripts/PlayerController.cs', includeMembers: false });
+
+    assert.equal(result.source, 'unity');
+    assert.deepEqual(mockUnityConnection.sendCommand.mock.calls[0].arguments, [
+      'read_script',
+      { scriptPath: 'Assets/Scripts/PlayerController.cs', includeMetadata: false }
+    ]);
+    assert.equal(result.types[0].memberCount, 2);
+    assert.equal(result.types[0].members, undefined);
+  });
+});
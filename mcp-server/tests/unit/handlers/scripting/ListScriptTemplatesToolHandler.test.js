@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ListScriptTemplatesToolHandler } from '../../../../src/handlers/scripting/ListScriptTemplatesToolHandler.js';
+
+describe('ListScriptTemplatesToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-list-templates-'));
+    fs.mkdirSync(path.join(projectRoot, '.unity-mcp/templates'), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, '.unity-mcp/templates/GameConfig.cs.tmpl'), [
+      '// @description ScriptableObject config asset',
+      'using UnityEngine;',
+      '',
+      '[CreateAssetMenu(menuName = "{{menu}}/{{className}}")]',
+      'public class {{className}} : ScriptableObject { }',
+      ''
+    ].join('\n'));
+
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new ListScriptTemplatesToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should initialize with correct properties', () => {
+    assert.equal(handler.name, 'list_script_templates');
+    assert.deepEqual(handler.inputSchema.required, []);
+  });
+
+  it('should list project templates with their variables', async () => {
+    const result = await handler.execute({});
+
+    assert.equal(result.directory, path.join(projectRoot, '.unity-mcp/templates'));
+    assert.deepEqual(result.templates, [{
+      name: 'GameConfig',
+      description: 'ScriptableObject config asset',
+      variables: [{ name: 'menu', description: '' }],
+      path: path.join(projectRoot, '.unity-mcp/templates/GameConfig.cs.tmpl')
+    }]);
+    assert.ok(result.builtInScriptTypes.includes('MonoBehaviour'));
+    assert.ok('namespace' in result.builtInVariables);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('should include template source on request', async () => {
+    const result = await handler.execute({ includeContent: true });
+    assert.match(result.templates[0].content, /public class \{\{className\}\} : ScriptableObject/);
+  });
+});
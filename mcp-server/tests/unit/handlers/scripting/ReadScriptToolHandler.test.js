@@ -1,6 +1,7 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { ReadScriptToolHandler } from '../../../../src/handlers/scripting/ReadScriptToolHandler.js';
+import { hashScriptContent } from '../../../../src/core/scriptPatch.js';
 
 describe('ReadScriptToolHandler', () => {
   let handler;
@@ -121,6 +122,13 @@ describe('ReadScriptToolHandler', () => {
       assert.equal(result.scriptPath, 'Assets/Scripts/TestScript.cs');
     });
 
+    it('should return a content hash for update_script preconditions', async () => {
+      const result = await handler.execute({ scriptPath: 'Assets/Scripts/TestScript.cs', includeMetadata: false });
+
+      assert.equal(result.contentHash, hashScriptContent(result.scriptContent));
+      assert.match(result.contentHash, /^[0-9a-f]{64}$/);
+    });
+
     it('should read script by name with search', async () => {
       mockUnityConnection.sendCommand.mock.mockImplementation(async () => ({
         success: true,
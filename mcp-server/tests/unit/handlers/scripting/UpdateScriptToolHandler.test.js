@@ -1,10 +1,13 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { UpdateScriptToolHandler } from '../../../../src/handlers/scripting/UpdateScriptToolHandler.js';
+import { hashScriptContent } from '../../../../src/core/scriptPatch.js';
+import { processCompilationMessages } from '../../../../src/core/compilationMessages.js';
 
 describe('UpdateScriptToolHandler', () => {
   let handler;
   let mockUnityConnection;
+  const updateCalls = () => mockUnityConnection.sendCommand.mock.calls.filter((call) => call.arguments[0] === 'update_script');
 
   beforeEach(() => {
     mockUnityConnection = {
@@ -37,7 +40,8 @@ describe('UpdateScriptToolHandler', () => {
       assert.equal(schema.type, 'object');
       assert.ok(schema.properties.scriptPath);
       assert.ok(schema.properties.scriptContent);
-      assert.deepEqual(schema.required, ['scriptContent']);
+      // scriptContent is optional in patch mode, so validate() enforces it
+      assert.deepEqual(schema.required, []);
     });
 
     it('should define alternative update methods', () => {
@@ -154,10 +158,9 @@ describe('UpdateScriptToolHandler', () => {
         scriptContent: 'using UnityEngine;\n\npublic class TestScript : MonoBehaviour\n{\n}'
       });
 
-      assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 1);
-      assert.equal(mockUnityConnection.sendCommand.mock.calls[0].arguments[0], 'update_script');
+      assert.equal(updateCalls().length, 1);
       
-      const params = mockUnityConnection.sendCommand.mock.calls[0].arguments[1];
+      const params = updateCalls()[0].arguments[1];
       assert.equal(params.scriptPath, 'Assets/Scripts/TestScript.cs');
       assert.equal(params.updateMode, 'replace');
       assert.ok(params.scriptContent.includes('TestScript'));
@@ -166,6 +169,24 @@ describe('UpdateScriptToolHandler', () => {
       assert.equal(result.message, 'Script updated successfully');
     });
 
+    it('should return a compilation cursor taken before the write', async () => {
+      const existing = { type: 'Error', message: 'Assets/Scripts/Enemy.cs(3,1): error CS1002: ; expected' };
+      const introduced = { type: 'Error', message: 'Assets/Scripts/TestScript.cs(1,8): error CS1513: } expected' };
+      mockUnityConnection.sendCommand.mock.mockImplementation(async (command) => (command === 'get_compilation_state'
+        ? { isCompiling: false, messages: [existing] }
+        : { success: true, scriptPath: 'Assets/Scripts/TestScript.cs' }));
+
+      const result = await handler.execute({
+        scriptPath: 'Assets/Scripts/TestScript.cs',
+        scriptContent: 'public class TestScript {'
+      });
+
+      const commands = mockUnityConnection.sendCommand.mock.calls.map((call) => call.arguments[0]);
+      assert.deepEqual(commands, ['get_compilation_state', 'update_script']);
+      const after = processCompilationMessages([existing, introduced], { since: result.compilationCursor, contextLines: 0 });
+      assert.deepEqual(after.messages.map((message) => message.file), ['Assets/Scripts/TestScript.cs']);
+    });
+
     it('should update script by name with search', async () => {
       mockUnityConnection.sendCommand.mock.mockImplementation(async () => ({
         success: true,
@@ -179,8 +200,8 @@ describe('UpdateScriptToolHandler', () => {
         scriptContent: 'updated content'
       });
 
-      assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 1);
-      const params = mockUnityConnection.sendCommand.mock.calls[0].arguments[1];
+      assert.equal(updateCalls().length, 1);
+      const params = updateCalls()[0].arguments[1];
       assert.equal(params.scriptName, 'PlayerController');
       assert.equal(params.searchPath, 'Assets/Scripts/');
 
@@ -194,7 +215,7 @@ describe('UpdateScriptToolHandler', () => {
         updateMode: 'append'
       });
 
-      const params = mockUnityConnection.sendCommand.mock.calls[0].arguments[1];
+      const params = updateCalls()[0].arguments[1];
       assert.equal(params.updateMode, 'append');
     });
 
@@ -205,7 +226,7 @@ describe('UpdateScriptToolHandler', () => {
         updateMode: 'prepend'
       });
 
-      const params = mockUnityConnection.sendCommand.mock.calls[0].arguments[1];
+      const params = updateCalls()[0].arguments[1];
       assert.equal(params.updateMode, 'prepend');
     });
 
@@ -216,7 +237,7 @@ describe('UpdateScriptToolHandler', () => {
         createBackup: true
       });
 
-      const params = mockUnityConnection.sendCommand.mock.calls[0].arguments[1];
+      const params = updateCalls()[0].arguments[1];
       assert.equal(params.createBackup, true);
     });
 
@@ -332,4 +353,106 @@ describe('UpdateScriptToolHandler', () => {
       assert.ok(result.error.includes('scriptContent is required'));
     });
   });
+
+  describe('patch mode and expectedHash', () => {
+    const original = 'public class TestScript\n{\n    int lives = 3;\n}\n';
+    let diskContent;
+
+    beforeEach(() => {
+      diskContent = original;
+      mockUnityConnection.sendCommand.mock.mockImplementation(async (command, params) => {
+        if (command === 'read_script') {
+          return { success: true, data: { scriptPath: 'Assets/Scripts/TestScript.cs', scriptContent: diskContent } };
+        }
+        if (params.expectedHash && params.expectedHash !== hashScriptContent(diskContent)) {
+          throw Object.assign(new Error('Assets/Scripts/TestScript.cs changed since it was read'), { code: 'SCRIPT_CONFLICT' });
+        }
+        return { success: true, data: { scriptPath: 'Assets/Scripts/TestScript.cs', message: 'Script updated successfully' } };
+      });
+    });
+
+    it('should require a patch in patch mode', () => {
+      assert.doesNotThrow(() => handler.validate({ scriptName: 'TestScript', updateMode: 'patch', patch: [{ search: '3', replace: '5' }] }));
+      assert.throws(
+        () => handler.validate({ scriptPath: 'Assets/Scripts/TestScript.cs', updateMode: 'patch' }),
+        /patch must be a unified diff/
+      );
+      assert.throws(
+        () => handler.validate({ scriptPath: 'Assets/Scripts/TestScript.cs', scriptContent: 'x', expectedHash: 'abc' }),
+        /expectedHash must be the contentHash/
+      );
+    });
+
+    it('should apply a unified diff and write the result with a hash precondition', async () => {
+      const result = await handler.execute({
+        scriptName: 'TestScript',
+        updateMode: 'patch',
+        patch: '@@ -2,3 +2,3 @@\n {\n-    int lives = 3;\n+    int lives = 5;\n }\n'
+      });
+
+      const [, params] = updateCalls()[0].arguments;
+      assert.deepEqual(params, {
+        scriptPath: 'Assets/Scripts/TestScript.cs',
+        scriptContent: original.replace('3', '5'),
+        updateMode: 'replace',
+        createBackup: false,
+        expectedHash: hashScriptContent(original)
+      });
+      assert.equal(result.hunksApplied, 1);
+      assert.equal(result.contentHash, hashScriptContent(original.replace('3', '5')));
+    });
+
+    it('should fail with SCRIPT_CONFLICT and a diff when the script changed since it was read', async () => {
+      const expectedHash = hashScriptContent(original);
+      await handler.handle({ scriptPath: 'Assets/Scripts/TestScript.cs', scriptContent: original, expectedHash });
+      diskContent = original.replace('3', '4');
+
+      const result = await handler.handle({
+        scriptPath: 'Assets/Scripts/TestScript.cs',
+        updateMode: 'patch',
+        patch: [{ search: 'lives = 3', replace: 'lives = 5' }],
+        expectedHash
+      });
+
+      assert.equal(result.status, 'error');
+      assert.equal(result.code, 'SCRIPT_CONFLICT');
+      assert.match(result.details.diff, /-    int lives = 3;\n\+    int lives = 4;/);
+      assert.equal(mockUnityConnection.sendCommand.mock.calls.filter((call) => call.arguments[0] === 'update_script').length, 1);
+    });
+
+    it('should report a conflict Unity detects at write time', async () => {
+      mockUnityConnection.sendCommand.mock.mockImplementation(async (command) => {
+        if (command === 'read_script') {
+          const content = diskContent;
+          diskContent = original.replace('3', '7');
+          return { success: true, data: { scriptPath: 'Assets/Scripts/TestScript.cs', scriptContent: content } };
+        }
+        return {
+          status: 'error',
+          error: 'Assets/Scripts/TestScript.cs changed since it was read',
+          code: 'SCRIPT_CONFLICT',
+          details: { scriptPath: 'Assets/Scripts/TestScript.cs', expectedHash: 'old', currentHash: 'new' }
+        };
+      });
+
+      await assert.rejects(
+        handler.execute({ scriptPath: 'Assets/Scripts/TestScript.cs', updateMode: 'patch', patch: [{ search: 'lives = 3', replace: 'lives = 5' }] }),
+        (error) => error.code === 'SCRIPT_CONFLICT' && /\+    int lives = 7;/.test(error.details.diff)
+      );
+    });
+
+    it('should preview a patch as a diff without writing', async () => {
+      const result = await handler.handle({
+        scriptPath: 'Assets/Scripts/TestScript.cs',
+        updateMode: 'patch',
+        patch: [{ search: 'lives = 3', replace: 'lives = 5' }],
+        dryRun: true
+      });
+
+      assert.equal(result.result.dryRun, true);
+      assert.match(result.result.diff, /-    int lives = 3;\n\+    int lives = 5;/);
+      assert.deepEqual(result.result.changes, [{ action: 'modify', target: 'asset', path: 'Assets/Scripts/TestScript.cs' }]);
+      assert.ok(mockUnityConnection.sendCommand.mock.calls.every((call) => call.arguments[0] === 'read_script'));
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,62 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CompareTestRunsToolHandler } from '../../../../src/handlers/test/CompareTestRunsToolHandler.js';
+import { getTestRunHistory } from '../../../../src/core/testRunHistory.js';
+
+function record(history, runId, statuses) {
+  history.record({
+    runId,
+    isRunning: false,
+    results: Object.entries(statuses).map(([name, status]) => ({ name, status, duration: 0.1 }))
+  });
+}
+
+describe('CompareTestRunsToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-compare-runs-'));
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new CompareTestRunsToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should compare the latest run with the previous one by default', async () => {
+    const history = getTestRunHistory(mockUnityConnection);
+    record(history, 'r1', { 'T.A': 'Passed', 'T.B': 'Failed' });
+    record(history, 'r2', { 'T.A': 'Failed', 'T.B': 'Passed' });
+
+    const result = await handler.execute({});
+
+    assert.equal(result.base.id, 'r1');
+    assert.equal(result.head.id, 'r2');
+    assert.deepEqual(result.newlyFailing, [{ name: 'T.A', status: 'Failed', previousStatus: 'Passed' }]);
+    assert.deepEqual(result.fixed, [{ name: 'T.B', status: 'Passed', previousStatus: 'Failed' }]);
+    assert.deepEqual(result.flaky, []);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 0);
+  });
+
+  it('should need two stored runs', async () => {
+    record(getTestRunHistory(mockUnityConnection), 'only', { 'T.A': 'Passed' });
+
+    const missing = await handler.handle({});
+    assert.equal(missing.code, 'TEST_RUN_NOT_FOUND');
+
+    const same = await handler.handle({ baseRunId: 'only', headRunId: 'latest' });
+    assert.match(same.error, /same run/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ExportTestResultsToolHandler } from '../../../../src/handlers/test/ExportTestResultsToolHandler.js';
+import { getTestRunHistory } from '../../../../src/core/testRunHistory.js';
+
+describe('ExportTestResultsToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-export-results-'));
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({})),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new ExportTestResultsToolHandler(mockUnityConnection);
+    getTestRunHistory(mockUnityConnection).record({
+      runId: 'e1',
+      testMode: 'PlayMode',
+      isRunning: false,
+      results: [{ name: 'Game.Tests.PlayerTests.Jumps', status: 'Passed', duration: 0.4 }]
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should require a known format', () => {
+    assert.deepEqual(handler.inputSchema.required, ['format']);
+    assert.deepEqual(handler.inputSchema.properties.format.enum, ['junit', 'nunit', 'trx']);
+  });
+
+  it('should return the report inline', async () => {
+    const result = await handler.execute({ format: 'junit' });
+
+    assert.equal(result.runId, 'e1');
+    assert.match(result.report, /<testcase name="Jumps" classname="Game.Tests.PlayerTests" time="0.400" \/>/);
+  });
+
+  it('should write the report relative to the project', async () => {
+    const result = await handler.execute({ format: 'nunit', outputPath: 'TestResults/nunit.xml' });
+
+    assert.equal(result.path, path.join(projectRoot, 'TestResults/nunit.xml'));
+    assert.match(fs.readFileSync(result.path, 'utf8'), /<test-run id="2" testcasecount="1" result="Passed"/);
+    assert.equal(result.bytes, fs.statSync(result.path).size);
+  });
+
+  it('should refuse output paths outside the project', async () => {
+    await assert.rejects(handler.execute({ format: 'junit', outputPath: '../junit.xml' }), { code: 'PATH_OUTSIDE_PROJECT' });
+    await assert.rejects(handler.execute({ format: 'junit', outputPath: path.join(os.tmpdir(), 'junit.xml') }), { code: 'PATH_OUTSIDE_PROJECT' });
+    assert.equal(fs.existsSync(path.join(projectRoot, '..', 'junit.xml')), false);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GetTestResultsToolHandler } from '../../../../src/handlers/test/GetTestResultsToolHandler.js';
+
+const UNITY_RESULTS = {
+  runId: '5d1c',
+  testMode: 'EditMode',
+  isRunning: false,
+  results: [
+    { name: 'Game.Tests.MathTests.Add', status: 'Passed', duration: 0.1, startTime: '2026-10-19T10:00:00Z', endTime: '2026-10-19T10:00:00.1Z', message: null, stackTrace: null, output: 'ok' },
+    { name: 'Game.Tests.MathTests.Divide', status: 'Failed', duration: 0.2, startTime: '2026-10-19T10:00:00.1Z', endTime: '2026-10-19T10:00:00.3Z', message: 'Expected 2', stackTrace: 'at Divide', output: null }
+  ],
+  summary: { total: 2, passed: 1, failed: 1 },
+  totalTests: 2,
+  message: 'Test results retrieved successfully'
+};
+
+describe('GetTestResultsToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-test-results-'));
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => UNITY_RESULTS),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new GetTestResultsToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should store finished runs and filter them locally', async () => {
+    const result = await handler.execute({ filterStatus: 'Failed', includeDetails: false });
+
+    assert.deepEqual(mockUnityConnection.sendCommand.mock.calls[0].arguments, ['get_test_results', { includeDetails: true }]);
+    assert.equal(result.runId, '5d1c');
+    assert.deepEqual(result.results.map((test) => test.name), ['Game.Tests.MathTests.Divide']);
+    assert.equal(result.results[0].stackTrace, undefined);
+    assert.equal(result.summary.total, 2);
+    assert.ok(fs.existsSync(path.join(projectRoot, 'Library/UnityEditorMCP/test-runs/5d1c.json')));
+  });
+
+  it('should read stored runs without Unity', async () => {
+    await handler.execute({});
+    mockUnityConnection.sendCommand = mock.fn(async () => {
+      throw new Error('Not connected');
+    });
+
+    const stored = await handler.execute({ runId: 'latest' });
+
+    assert.equal(stored.stored, true);
+    assert.equal(stored.runId, '5d1c');
+    assert.equal(stored.results[1].stackTrace, 'at Divide');
+    assert.equal(stored.summary.failed, 1);
+  });
+
+  it('should pass through responses without results', async () => {
+    const pending = { message: 'No test results available. Run tests first.', hasResults: false, isRunning: true };
+    mockUnityConnection.sendCommand = mock.fn(async () => pending);
+
+    assert.deepEqual(await handler.execute({}), pending);
+    assert.equal(fs.existsSync(path.join(projectRoot, 'Library/UnityEditorMCP/test-runs')), false);
+  });
+
+  it('should report unknown stored runs', async () => {
+    const response = await handler.handle({ runId: 'missing' });
+    assert.equal(response.status, 'error');
+    assert.equal(response.code, 'TEST_RUN_NOT_FOUND');
+  });
+});
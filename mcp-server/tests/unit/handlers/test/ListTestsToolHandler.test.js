@@ -0,0 +1,49 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ListTestsToolHandler } from '../../../../src/handlers/test/ListTestsToolHandler.js';
+import { getTestRunHistory } from '../../../../src/core/testRunHistory.js';
+
+describe('ListTestsToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-list-tests-'));
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async () => ({
+        tests: [{ name: 'Game.Tests.PlayerTests.Jumps' }, { name: 'Game.Tests.PlayerTests.Runs' }],
+        totalCount: 2
+      })),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new ListTestsToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should mark tests that reruns classified as flaky', async () => {
+    const history = getTestRunHistory(mockUnityConnection);
+    history.recordClassifications([{ name: 'Game.Tests.PlayerTests.Jumps', classification: 'flaky', attempts: 2, passes: 1, runId: 'r1' }]);
+    history.recordClassifications([{ name: 'Game.Tests.PlayerTests.Jumps', classification: 'consistent', attempts: 2, passes: 0, runId: 'r2' }]);
+
+    const result = await handler.execute({});
+
+    assert.equal(result.knownFlakyCount, 1);
+    assert.equal(result.tests[0].knownFlaky, true);
+    assert.deepEqual(
+      { ...result.tests[0].flakiness, classifiedAt: undefined },
+      { flakyCount: 1, consistentCount: 1, lastClassification: 'consistent', classifiedAt: undefined }
+    );
+    assert.deepEqual(result.tests[1], { name: 'Game.Tests.PlayerTests.Runs' });
+    assert.ok(fs.existsSync(path.join(projectRoot, 'Library/UnityEditorMCP/test-runs/classifications.json')));
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunTestsToolHandler } from '../../../../src/handlers/test/RunTestsToolHandler.js';
+import { getTestRunHistory } from '../../../../src/core/testRunHistory.js';
+
+function results(runId, statuses) {
+  return {
+    runId,
+    testMode: 'PlayMode',
+    isRunning: false,
+    results: Object.entries(statuses).map(([name, status]) => ({ name, status, duration: 0.1, stackTrace: status === 'Failed' ? 'at X' : null }))
+  };
+}
+
+describe('RunTestsToolHandler', () => {
+  let handler;
+  let mockUnityConnection;
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'unity-mcp-run-tests-'));
+    mockUnityConnection = {
+      isConnected: mock.fn(() => true),
+      connect: mock.fn(async () => {}),
+      sendCommand: mock.fn(async (command) => command === 'run_tests'
+        ? { message: 'Test execution started', runId: 'a1', testMode: 'EditMode' }
+        : { runId: 'a1', testMode: 'EditMode', isRunning: false, results: [{ name: 'Game.Tests.MathTests.Add', status: 'Passed', duration: 0.1 }] }),
+      endpoint: { projectPath: projectRoot }
+    };
+    handler = new RunTestsToolHandler(mockUnityConnection);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  it('should return as soon as the run starts by default', async () => {
+    const result = await handler.execute({ testMode: 'EditMode' });
+
+    assert.equal(result.runId, 'a1');
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 1);
+  });
+
+  it('should wait for the run when await is true', async () => {
+    const result = await handler.execute({ testMode: 'EditMode', await: true, pollIntervalMs: 1 });
+
+    assert.deepEqual(mockUnityConnection.sendCommand.mock.calls.map((call) => call.arguments[0]), ['run_tests', 'get_test_results', 'get_test_results']);
+    assert.equal(result.completed, true);
+    assert.equal(result.summary.passed, 1);
+    assert.deepEqual(result.failures, []);
+  });
+
+  it('should cancel the run when the request is cancelled while it starts', async () => {
+    const controller = new AbortController();
+    const sendCommand = mockUnityConnection.sendCommand;
+    mockUnityConnection.sendCommand = mock.fn(async (command, params) => {
+      if (command === 'run_tests') {
+        controller.abort();
+      }
+      return sendCommand(command, params);
+    });
+
+    await assert.rejects(handler.execute({ testMode: 'EditMode', await: true }, { signal: controller.signal }), { code: 'REQUEST_CANCELLED' });
+    assert.deepEqual(mockUnityConnection.sendCommand.mock.calls.map((call) => call.arguments[0]), ['run_tests', 'cancel_tests']);
+  });
+
+  it('should warn instead of waiting when Unity returns no runId', async () => {
+    mockUnityConnection.sendCommand = mock.fn(async () => ({ message: 'Test execution started', testMode: 'EditMode' }));
+
+    const result = await handler.execute({ testMode: 'EditMode', rerunFailed: true });
+
+    assert.match(result.warning, /did not return a runId, so the run was not awaited and failed tests were not rerun/);
+    assert.equal(mockUnityConnection.sendCommand.mock.calls.length, 1);
+  });
+
+  it('should rerun failed tests and classify them', async () => {
+    const runs = [
+      results('full', { 'T.Stable': 'Passed', 'T.Flaky': 'Failed', 'T.Broken': 'Failed' }),
+      results('rerun1', { 'T.Flaky': 'Passed', 'T.Broken': 'Failed' }),
+      results('rerun2', { 'T.Broken': 'Failed' })
+    ];
+    let current = null;
+    mockUnityConnection.sendCommand = mock.fn(async (command) => {
+      if (command === 'run_tests') {
+        current = runs.shift();
+        return { message: 'Test execution started', runId: current.runId };
+      }
+      return current;
+    });
+    const progress = [];
+
+    const result = await handler.execute({ testMode: 'PlayMode', repeat: 2, pollIntervalMs: 1 }, {
+      sendProgress: async (update) => progress.push(update.progress)
+    });
+
+    const runTests = mockUnityConnection.sendCommand.mock.calls.filter((call) => call.arguments[0] === 'run_tests');
+    assert.deepEqual(runTests.map((call) => call.arguments[1].testNames), [undefined, ['T.Flaky', 'T.Broken'], ['T.Broken']]);
+    assert.equal(result.runId, 'full');
+    assert.equal(result.success, false);
+    assert.deepEqual(result.flaky, ['T.Flaky']);
+    assert.deepEqual(result.consistentFailures, ['T.Broken']);
+    assert.deepEqual(result.failures.map((failure) => [failure.name, failure.attempts, failure.passes]), [['T.Flaky', 2, 1], ['T.Broken', 3, 0]]);
+    assert.deepEqual(result.reruns.map((rerun) => [rerun.runId, rerun.tests, rerun.failed]), [['rerun1', 2, 1], ['rerun2', 1, 1]]);
+    assert.deepEqual(progress, [...progress].sort((a, b) => a - b));
+
+    const history = getTestRunHistory(mockUnityConnection);
+    assert.equal(history.get('latest').id, 'full');
+    assert.equal(history.get('rerun2').rerunOf, 'full');
+    assert.equal(history.getClassifications()['T.Flaky'].flakyCount, 1);
+    assert.equal(history.getClassifications()['T.Broken'].classification, 'consistent');
+  });
+
+  it('should reject reruns without waiting', async () => {
+    const response = await handler.handle({ rerunFailed: true, await: false });
+
+    assert.equal(response.status, 'error');
+    assert.match(response.error, /rerunFailed and repeat wait/);
+  });
+});
@@ -0,0 +1,237 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using UnityEditor;
+using UnityEditor.Compilation;
+using UnityEditor.SceneManagement;
+using UnityEngine;
+using UnityEngine.SceneManagement;
+
+namespace UnityEditorMCP.Core
+{
+    /// <summary>
+    /// Collects editor changes and pushes them to connected MCP clients as coalesced events.
+    /// Events are flushed from EditorApplication.update at most every FlushIntervalSeconds;
+    /// compilation, play mode and scene load transitions are sent immediately.
+    /// </summary>
+    [InitializeOnLoad]
+    public static class EditorEventBroadcaster
+    {
+        private const double FlushIntervalSeconds = 0.25;
+        private const int MaxLogEntriesPerFlush = 20;
+        private const int MaxLogMessageLength = 2000;
+        private const string OwnLogPrefix = "[Unity Editor MCP]";
+
+        private static readonly object pendingLock = new object();
+        private static readonly List<object> pendingLogs = new List<object>();
+        private static readonly HashSet<string> importedAssets = new HashSet<string>();
+        private static readonly HashSet<string> deletedAssets = new HashSet<string>();
+        private static readonly List<object> movedAssets = new List<object>();
+        private static int droppedLogs;
+        private static int compilationErrors;
+        private static int compilationWarnings;
+        private static bool hierarchyChanged;
+        private static double lastFlushTime;
+
+        static EditorEventBroadcaster()
+        {
+            EditorApplication.hierarchyChanged += OnHierarchyChanged;
+            Application.logMessageReceivedThreaded += OnLogMessage;
+            EditorApplication.update += Flush;
+            CompilationPipeline.compilationStarted += OnCompilationStarted;
+            CompilationPipeline.assemblyCompilationFinished += OnAssemblyCompilationFinished;
+            CompilationPipeline.compilationFinished += OnCompilationFinished;
+            EditorApplication.playModeStateChanged += OnPlayModeStateChanged;
+            EditorSceneManager.sceneOpened += OnSceneOpened;
+            SceneManager.sceneLoaded += OnSceneLoaded;
+            AssemblyReloadEvents.beforeAssemblyReload += Unsubscribe;
+        }
+
+        /// <summary>
+        /// Records asset changes reported by the asset pipeline
+        /// </summary>
+        internal static void NotifyAssetsChanged(string[] imported, string[] deleted, string[] moved, string[] movedFrom)
+        {
+            lock (pendingLock)
+            {
+                importedAssets.UnionWith(imported);
+                deletedAssets.UnionWith(deleted);
+                for (int i = 0; i < moved.Length && i < movedFrom.Length; i++)
+                {
+                    movedAssets.Add(new { from = movedFrom[i], to = moved[i] });
+                }
+            }
+        }
+
+        private static void OnHierarchyChanged()
+        {
+            hierarchyChanged = true;
+        }
+
+        private static void OnCompilationStarted(object context)
+        {
+            compilationErrors = 0;
+            compilationWarnings = 0;
+            UnityEditorMCP.BroadcastEvent("compilation_started", new { timestamp = DateTime.UtcNow.ToString("o") });
+        }
+
+        private static void OnAssemblyCompilationFinished(string assemblyPath, CompilerMessage[] messages)
+        {
+            compilationErrors += messages.Count(m => m.type == CompilerMessageType.Error);
+            compilationWarnings += messages.Count(m => m.type == CompilerMessageType.Warning);
+        }
+
+        private static void OnCompilationFinished(object context)
+        {
+            UnityEditorMCP.BroadcastEvent("compilation_finished", new
+            {
+                errorCount = compilationErrors,
+                warningCount = compilationWarnings,
+                success = compilationErrors == 0,
+                timestamp = DateTime.UtcNow.ToString("o")
+            });
+        }
+
+        private static void OnPlayModeStateChanged(PlayModeStateChange state)
+        {
+            UnityEditorMCP.BroadcastEvent("play_mode_changed", new
+            {
+                state = state.ToString(),
+                isPlaying = state == PlayModeStateChange.EnteredPlayMode,
+                timestamp = DateTime.UtcNow.ToString("o")
+            });
+        }
+
+        private static void OnSceneOpened(Scene scene, OpenSceneMode mode)
+        {
+            BroadcastSceneLoaded(scene, mode.ToString(), false);
+        }
+
+        private static void OnSceneLoaded(Scene scene, LoadSceneMode mode)
+        {
+            if (Application.isPlaying)
+            {
+                BroadcastSceneLoaded(scene, mode.ToString(), true);
+            }
+        }
+
+        private static void BroadcastSceneLoaded(Scene scene, string mode, bool inPlayMode)
+        {
+            UnityEditorMCP.BroadcastEvent("scene_loaded", new
+            {
+                scenePath = scene.path,
+                sceneName = scene.name,
+                mode,
+                inPlayMode,
+                timestamp = DateTime.UtcNow.ToString("o")
+            });
+        }
+
+        private static void OnLogMessage(string message, string stackTrace, LogType type)
+        {
+            if (message == null || message.StartsWith(OwnLogPrefix, StringComparison.Ordinal))
+            {
+                return;
+            }
+
+            lock (pendingLock)
+            {
+                if (pendingLogs.Count >= MaxLogEntriesPerFlush)
+                {
+                    droppedLogs++;
+                    return;
+                }
+
+                bool isError = type == LogType.Error || type == LogType.Exception || type == LogType.Assert;
+                pendingLogs.Add(new
+                {
+                    type = type.ToString(),
+                    message = message.Length > MaxLogMessageLength ? message.Substring(0, MaxLogMessageLength) : message,
+                    stackTrace = isError ? stackTrace : null,
+                    timestamp = DateTime.UtcNow.ToString("o")
+                });
+            }
+        }
+
+        private static void Flush()
+        {
+            if (EditorApplication.timeSinceStartup - lastFlushTime < FlushIntervalSeconds)
+            {
+                return;
+            }
+            lastFlushTime = EditorApplication.timeSinceStartup;
+
+            bool sendHierarchy = hierarchyChanged;
+            hierarchyChanged = false;
+            object logs = null;
+            object assets = null;
+
+            lock (pendingLock)
+            {
+                if (pendingLogs.Count > 0 || droppedLogs > 0)
+                {
+                    logs = new { entries = pendingLogs.ToList(), dropped = droppedLogs };
+                }
+                if (importedAssets.Count > 0 || deletedAssets.Count > 0 || movedAssets.Count > 0)
+                {
+                    assets = new
+                    {
+                        imported = importedAssets.ToList(),
+                        deleted = deletedAssets.ToList(),
+                        moved = movedAssets.ToList()
+                    };
+                }
+
+                pendingLogs.Clear();
+                importedAssets.Clear();
+                deletedAssets.Clear();
+                movedAssets.Clear();
+                droppedLogs = 0;
+            }
+
+            if (!UnityEditorMCP.HasEventSubscribers)
+            {
+                return;
+            }
+
+            if (sendHierarchy)
+            {
+                var scene = EditorSceneManager.GetActiveScene();
+                UnityEditorMCP.BroadcastEvent("hierarchy_changed", new { scenePath = scene.path, sceneName = scene.name });
+            }
+            if (logs != null)
+            {
+                UnityEditorMCP.BroadcastEvent("log_messages", logs);
+            }
+            if (assets != null)
+            {
+                UnityEditorMCP.BroadcastEvent("assets_changed", assets);
+            }
+        }
+
+        private static void Unsubscribe()
+        {
+            EditorApplication.hierarchyChanged -= OnHierarchyChanged;
+            Application.logMessageReceivedThreaded -= OnLogMessage;
+            EditorApplication.update -= Flush;
+            CompilationPipeline.compilationStarted -= OnCompilationStarted;
+            CompilationPipeline.assemblyCompilationFinished -= OnAssemblyCompilationFinished;
+            CompilationPipeline.compilationFinished -= OnCompilationFinished;
+            EditorApplication.playModeStateChanged -= OnPlayModeStateChanged;
+            EditorSceneManager.sceneOpened -= OnSceneOpened;
+            SceneManager.sceneLoaded -= OnSceneLoaded;
+            AssemblyReloadEvents.beforeAssemblyReload -= Unsubscribe;
+        }
+    }
+
+    /// <summary>
+    /// Forwards asset pipeline changes to the event broadcaster
+    /// </summary>
+    public class McpAssetChangeListener : AssetPostprocessor
+    {
+        private static void OnPostprocessAllAssets(string[] importedAssets, string[] deletedAssets, string[] movedAssets, string[] movedFromAssetPaths)
+        {
+            EditorEventBroadcaster.NotifyAssetsChanged(importedAssets, deletedAssets, movedAssets, movedFromAssetPaths);
+        }
+    }
+}
\ No newline at end of file
@@ -1,6 +1,8 @@
 using System;
 using System.Collections.Generic;
+using System.Linq;
 using System.Net;
+using System.Runtime.CompilerServices;
 using System.Net.Sockets;
 using System.Text;
 using System.Threading;
@@ -26,9 +28,16 @@ namespace UnityEditorMCP.Core
         private static TcpListener tcpListener;
         private static readonly Queue<(Command command, TcpClient client)> commandQueue = new Queue<(Command, TcpClient)>();
         private static readonly object queueLock = new object();
+        private static readonly ConditionalWeakTable<NetworkStream, SemaphoreSlim> streamWriteLocks = new ConditionalWeakTable<NetworkStream, SemaphoreSlim>();
+        // Clients that have sent at least one authorized command receive unsolicited event frames.
+        private static readonly HashSet<TcpClient> eventSubscribers = new HashSet<TcpClient>();
+        private static readonly object eventSubscribersLock = new object();
         private static CancellationTokenSource cancellationTokenSource;
         private static Task listenerTask;
         private const double RegistryHeartbeatIntervalSeconds = 5.0;
+        // Large responses go out as several frames so other commands' responses can interleave; base64 adds a third per chunk.
+        private const int MaxFramePayloadBytes = 512 * 1024;
+        private const int ChunkPayloadBytes = 384 * 1024;
         private static double lastRegistryWriteTime;
         private static int mainThreadId;
         private static volatile bool registryWritePending;
@@ -84,6 +93,9 @@ namespace UnityEditorMCP.Core
                 { "enhanced_read_logs", command => ConsoleHandler.EnhancedReadLogs(command.Parameters) },
                 { "capture_screenshot", command => ScreenshotHandler.CaptureScreenshot(command.Parameters) },
                 { "analyze_screenshot", command => ScreenshotHandler.AnalyzeScreenshot(command.Parameters) },
+                { "start_frame_sequence", command => FrameSequenceHandler.StartFrameSequence(command.Parameters) },
+                { "get_frame_sequence", command => FrameSequenceHandler.GetFrameSequence(command.Parameters) },
+                { "stop_frame_sequence", command => FrameSequenceHandler.StopFrameSequence(command.Parameters) },
                 { "add_component", command => ComponentHandler.AddComponent(command.Parameters) },
                 { "remove_component", command => ComponentHandler.RemoveComponent(command.Parameters) },
                 { "modify_component", command => ComponentHandler.ModifyComponent(command.Parameters) },
@@ -102,8 +114,26 @@ namespace UnityEditorMCP.Core
                 { "list_tests", command => TestRunnerHandler.ListTests(command.Parameters) },
                 { "run_tests", command => TestRunnerHandler.RunTests(command.Parameters) },
                 { "get_test_results", command => TestRunnerHandler.GetTestResults(command.Parameters) },
-                { "cancel_tests", command => TestRunnerHandler.CancelTests(command.Parameters) }
+                { "cancel_tests", command => TestRunnerHandler.CancelTests(command.Parameters) },
+                { "begin_undo_group", command => UndoHandler.BeginUndoGroup(command.Parameters) },
+                { "end_undo_group", command => UndoHandler.EndUndoGroup(command.Parameters) },
+                { "revert_undo_group", command => UndoHandler.RevertUndoGroup(command.Parameters) },
+                { "undo", command => UndoHandler.PerformUndo(command.Parameters) },
+                { "redo", command => UndoHandler.PerformRedo(command.Parameters) },
+                { "get_undo_history", command => UndoHandler.GetUndoHistory(command.Parameters) },
+                { "get_project_settings", command => ProjectSettingsHandler.GetProjectSettings(command.Parameters) },
+                { "preview_command", HandlePreviewCommand }
             };
+
+        // Commands whose handlers only validate and describe their changes when dryRun is set
+        private static readonly HashSet<string> PreviewableCommands = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "modify_gameobject",
+            "delete_gameobject",
+            "modify_component",
+            "modify_prefab",
+            "manage_asset_database"
+        };
         
         private static McpStatus _status = McpStatus.NotConfigured;
         public static McpStatus Status
@@ -398,6 +428,7 @@ namespace UnityEditorMCP.Core
             }
             finally
             {
+                RemoveEventSubscriber(client);
                 client?.Close();
                 if (Status == McpStatus.Connected)
                 {
@@ -408,11 +439,36 @@ namespace UnityEditorMCP.Core
         }
         
         /// <summary>
-        /// Sends a framed message over the stream
+        /// Sends a framed message over the stream.
+        /// The Node client multiplexes several commands on one connection, so responses can complete
+        /// concurrently; the length prefix and payload are written as one frame under a per-stream lock.
+        /// Responses for a command that exceed MaxFramePayloadBytes are split into continuation frames
+        /// (see Response.Chunks) so large hierarchies and screenshots survive the client's frame limit.
         /// </summary>
-        private static async Task SendFramedMessage(NetworkStream stream, string message, CancellationToken cancellationToken)
+        private static async Task SendFramedMessage(NetworkStream stream, string message, CancellationToken cancellationToken, string commandId = null)
         {
             var messageBytes = Encoding.UTF8.GetBytes(message);
+
+            if (commandId != null && messageBytes.Length > MaxFramePayloadBytes)
+            {
+                var chunks = Response.Chunks(commandId, messageBytes, ChunkPayloadBytes);
+                Debug.Log($"[Unity Editor MCP] Sending response for command {commandId} in {chunks.Count} chunks (length={messageBytes.Length})");
+                foreach (var chunk in chunks)
+                {
+                    await WriteFrameAsync(stream, Encoding.UTF8.GetBytes(chunk), cancellationToken);
+                }
+                return;
+            }
+            
+            Debug.Log($"[Unity Editor MCP] Sending response (length={messageBytes.Length}): {message}");
+            await WriteFrameAsync(stream, messageBytes, cancellationToken);
+        }
+
+        /// <summary>
+        /// Writes one length-prefixed frame atomically with respect to other writers on the same stream
+        /// </summary>
+        private static async Task WriteFrameAsync(NetworkStream stream, byte[] messageBytes, CancellationToken cancellationToken)
+        {
             var lengthBytes = BitConverter.GetBytes(messageBytes.Length);
             
             // Convert to big-endian
@@ -420,14 +476,22 @@ namespace UnityEditorMCP.Core
             {
                 Array.Reverse(lengthBytes);
             }
-            
-            Debug.Log($"[Unity Editor MCP] Sending response (length={messageBytes.Length}): {message}");
-            
-            // Write length prefix
-            await stream.WriteAsync(lengthBytes, 0, 4, cancellationToken);
-            // Write message
-            await stream.WriteAsync(messageBytes, 0, messageBytes.Length, cancellationToken);
-            await stream.FlushAsync(cancellationToken);
+
+            var frame = new byte[4 + messageBytes.Length];
+            Buffer.BlockCopy(lengthBytes, 0, frame, 0, 4);
+            Buffer.BlockCopy(messageBytes, 0, frame, 4, messageBytes.Length);
+
+            var writeLock = streamWriteLocks.GetValue(stream, _ => new SemaphoreSlim(1, 1));
+            await writeLock.WaitAsync(cancellationToken);
+            try
+            {
+                await stream.WriteAsync(frame, 0, frame.Length, cancellationToken);
+                await stream.FlushAsync(cancellationToken);
+            }
+            finally
+            {
+                writeLock.Release();
+            }
         }
         
         /// <summary>
@@ -473,6 +537,7 @@ namespace UnityEditorMCP.Core
                 }
                 else
                 {
+                AddEventSubscriber(client);
                 
                 if (TryExecuteRegisteredCommand(command, out object commandResult))
                 {
@@ -492,7 +557,7 @@ namespace UnityEditorMCP.Core
                 // Send response
                 if (client.Connected)
                 {
-                    await SendFramedMessage(client.GetStream(), response, CancellationToken.None);
+                    await SendFramedMessage(client.GetStream(), response, CancellationToken.None, command.Id);
                 }
             }
             catch (Exception ex)
@@ -522,6 +587,79 @@ namespace UnityEditorMCP.Core
             }
         }
         
+        /// <summary>
+        /// Whether any authorized client is connected to receive events
+        /// </summary>
+        public static bool HasEventSubscribers
+        {
+            get
+            {
+                lock (eventSubscribersLock)
+                {
+                    return eventSubscribers.Count > 0;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Sends an unsolicited event frame (no command id) to every authorized client.
+        /// Event frames are written without logging so console events cannot feed back into themselves.
+        /// </summary>
+        public static void BroadcastEvent(string eventName, object data)
+        {
+            List<TcpClient> subscribers;
+            lock (eventSubscribersLock)
+            {
+                if (eventSubscribers.Count == 0)
+                {
+                    return;
+                }
+                subscribers = eventSubscribers.ToList();
+            }
+
+            var messageBytes = Encoding.UTF8.GetBytes(Response.Event(eventName, data));
+            foreach (var client in subscribers)
+            {
+                _ = SendEventAsync(client, messageBytes);
+            }
+        }
+
+        private static async Task SendEventAsync(TcpClient client, byte[] messageBytes)
+        {
+            try
+            {
+                if (client.Connected)
+                {
+                    await WriteFrameAsync(client.GetStream(), messageBytes, CancellationToken.None);
+                }
+            }
+            catch (Exception)
+            {
+                RemoveEventSubscriber(client);
+            }
+        }
+
+        private static void AddEventSubscriber(TcpClient client)
+        {
+            lock (eventSubscribersLock)
+            {
+                eventSubscribers.Add(client);
+            }
+        }
+
+        private static void RemoveEventSubscriber(TcpClient client)
+        {
+            if (client == null)
+            {
+                return;
+            }
+
+            lock (eventSubscribersLock)
+            {
+                eventSubscribers.Remove(client);
+            }
+        }
+        
         /// <summary>
         /// Shuts down the MCP system
         /// </summary>
@@ -699,6 +837,23 @@ namespace UnityEditorMCP.Core
             };
         }
 
+        /// <summary>
+        /// Runs a command as a dry run. Previews use their own command so that a package
+        /// without dryRun support rejects them instead of applying the change.
+        /// </summary>
+        private static object HandlePreviewCommand(Command command)
+        {
+            string type = command.Parameters?["command"]?.ToString();
+            if (string.IsNullOrEmpty(type) || !PreviewableCommands.Contains(type))
+            {
+                return new { error = $"Command cannot be previewed: {type}", code = "PREVIEW_UNSUPPORTED" };
+            }
+
+            var parameters = (command.Parameters["params"] as JObject)?.DeepClone() as JObject ?? new JObject();
+            parameters["dryRun"] = true;
+            return CommandHandlers[type](new Command { Id = command.Id, Type = type, Parameters = parameters });
+        }
+
         private static string GetAction(Command command)
         {
             return command.Parameters?["action"]?.ToString();
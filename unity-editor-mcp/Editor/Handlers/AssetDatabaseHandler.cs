@@ -20,6 +20,8 @@ namespace UnityEditorMCP.Handlers
         {
             try
             {
+                // Mutating actions only validate and describe their changes when dryRun is set
+                bool dryRun = parameters["dryRun"]?.ToObject<bool>() ?? false;
                 switch (action.ToLower())
                 {
                     case "find_assets":
@@ -31,18 +33,18 @@ namespace UnityEditorMCP.Handlers
                         return GetAssetInfo(assetPath);
                     case "create_folder":
                         var folderPath = parameters["folderPath"]?.ToString();
-                        return CreateFolder(folderPath);
+                        return CreateFolder(folderPath, dryRun);
                     case "delete_asset":
                         var deleteAssetPath = parameters["assetPath"]?.ToString();
-                        return DeleteAsset(deleteAssetPath);
+                        return DeleteAsset(deleteAssetPath, dryRun);
                     case "move_asset":
                         var fromPath = parameters["fromPath"]?.ToString();
                         var toPath = parameters["toPath"]?.ToString();
-                        return MoveAsset(fromPath, toPath);
+                        return MoveAsset(fromPath, toPath, dryRun);
                     case "copy_asset":
                         var copyFromPath = parameters["fromPath"]?.ToString();
                         var copyToPath = parameters["toPath"]?.ToString();
-                        return CopyAsset(copyFromPath, copyToPath);
+                        return CopyAsset(copyFromPath, copyToPath, dryRun);
                     case "refresh":
                         return RefreshAssetDatabase();
                     case "save":
@@ -185,7 +187,7 @@ namespace UnityEditorMCP.Handlers
         /// <summary>
         /// Create a new folder in the Asset Database
         /// </summary>
-        private static object CreateFolder(string folderPath)
+        private static object CreateFolder(string folderPath, bool dryRun)
         {
             try
             {
@@ -208,6 +210,16 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"Parent folder does not exist: {parentPath}" };
                 }
 
+                if (dryRun)
+                {
+                    return new
+                    {
+                        dryRun = true,
+                        action = "create_folder",
+                        changes = new[] { new { action = "create", target = "asset", path = folderPath } }
+                    };
+                }
+
                 var guid = AssetDatabase.CreateFolder(parentPath, folderName);
 
                 return new
@@ -229,7 +241,7 @@ namespace UnityEditorMCP.Handlers
         /// <summary>
         /// Delete an asset from the Asset Database
         /// </summary>
-        private static object DeleteAsset(string assetPath)
+        private static object DeleteAsset(string assetPath, bool dryRun)
         {
             try
             {
@@ -243,6 +255,19 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"Asset not found: {assetPath}" };
                 }
 
+                if (dryRun)
+                {
+                    var contents = AssetDatabase.IsValidFolder(assetPath)
+                        ? AssetDatabase.FindAssets("", new[] { assetPath }).Select(AssetDatabase.GUIDToAssetPath).Distinct().ToList()
+                        : new List<string>();
+                    return new
+                    {
+                        dryRun = true,
+                        action = "delete_asset",
+                        changes = new[] { new { action = "delete", target = "asset", path = assetPath, contents } }
+                    };
+                }
+
                 if (!AssetDatabase.DeleteAsset(assetPath))
                 {
                     return new { error = $"Failed to delete asset: {assetPath}" };
@@ -266,7 +291,7 @@ namespace UnityEditorMCP.Handlers
         /// <summary>
         /// Move an asset to a new location
         /// </summary>
-        private static object MoveAsset(string fromPath, string toPath)
+        private static object MoveAsset(string fromPath, string toPath, bool dryRun)
         {
             try
             {
@@ -280,6 +305,22 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"Source asset not found: {fromPath}" };
                 }
 
+                if (dryRun)
+                {
+                    var validationError = AssetDatabase.ValidateMoveAsset(fromPath, toPath);
+                    if (!string.IsNullOrEmpty(validationError))
+                    {
+                        return new { error = $"Failed to move asset: {validationError}" };
+                    }
+
+                    return new
+                    {
+                        dryRun = true,
+                        action = "move_asset",
+                        changes = new[] { new { action = "move", target = "asset", from = fromPath, to = toPath } }
+                    };
+                }
+
                 var errorMessage = AssetDatabase.MoveAsset(fromPath, toPath);
                 if (!string.IsNullOrEmpty(errorMessage))
                 {
@@ -305,7 +346,7 @@ namespace UnityEditorMCP.Handlers
         /// <summary>
         /// Copy an asset to a new location
         /// </summary>
-        private static object CopyAsset(string fromPath, string toPath)
+        private static object CopyAsset(string fromPath, string toPath, bool dryRun)
         {
             try
             {
@@ -319,6 +360,26 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"Source asset not found: {fromPath}" };
                 }
 
+                if (dryRun)
+                {
+                    return new
+                    {
+                        dryRun = true,
+                        action = "copy_asset",
+                        changes = new[]
+                        {
+                            new
+                            {
+                                action = "copy",
+                                target = "asset",
+                                from = fromPath,
+                                to = toPath,
+                                overwrites = AssetDatabase.LoadAssetAtPath<UnityEngine.Object>(toPath) != null
+                            }
+                        }
+                    };
+                }
+
                 if (!AssetDatabase.CopyAsset(fromPath, toPath))
                 {
                     return new { error = $"Failed to copy asset from {fromPath} to {toPath}" };
@@ -111,6 +111,7 @@ namespace UnityEditorMCP.Handlers
                 string prefabPath = parameters["prefabPath"]?.ToString();
                 JObject modifications = parameters["modifications"] as JObject;
                 bool applyToInstances = parameters["applyToInstances"]?.ToObject<bool>() ?? true;
+                bool dryRun = parameters["dryRun"]?.ToObject<bool>() ?? false;
 
                 // Validate parameters
                 if (string.IsNullOrEmpty(prefabPath))
@@ -130,6 +131,11 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"Prefab not found at path: {prefabPath}" };
                 }
 
+                if (dryRun)
+                {
+                    return PreviewPrefabModification(prefabPath, prefabAsset, modifications, applyToInstances);
+                }
+
                 // Track modifications
                 List<string> modifiedProperties = new List<string>();
                 
@@ -417,6 +423,8 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"Material not found at path: {materialPath}" };
                 }
 
+                Undo.RecordObject(material, $"Modify Material {material.name}");
+
                 List<string> propertiesModified = new List<string>();
                 bool shaderChanged = false;
                 string previousShader = material.shader.name;
@@ -468,8 +476,133 @@ namespace UnityEditorMCP.Handlers
             }
         }
 
+        /// <summary>
+        /// Describes what ModifyPrefab would change without saving the prefab or touching instances
+        /// </summary>
+        private static object PreviewPrefabModification(string prefabPath, GameObject prefabAsset, JObject modifications, bool applyToInstances)
+        {
+            var diffs = new List<object>();
+            GameObject prefabRoot = PrefabUtility.LoadPrefabContents(prefabPath);
+            try
+            {
+                foreach (var prop in modifications.Properties())
+                {
+                    diffs.AddRange(DescribeModification(prefabRoot, prop.Name, prop.Value));
+                }
+            }
+            finally
+            {
+                PrefabUtility.UnloadPrefabContents(prefabRoot);
+            }
+
+            var instancePaths = new List<string>();
+            if (applyToInstances)
+            {
+                foreach (var obj in UnityEngine.Object.FindObjectsOfType<GameObject>())
+                {
+                    if (PrefabUtility.GetCorrespondingObjectFromSource(obj) == prefabAsset ||
+                        PrefabUtility.GetPrefabAssetPathOfNearestInstanceRoot(obj) == prefabPath)
+                    {
+                        instancePaths.Add(GetGameObjectPath(obj));
+                    }
+                }
+            }
+
+            var changes = new List<object>
+            {
+                new { action = "modify", target = "asset", path = prefabPath, diff = diffs }
+            };
+            changes.AddRange(instancePaths.Select(path => (object)new { action = "revert", target = "gameObject", path }));
+
+            return new
+            {
+                dryRun = true,
+                prefabPath = prefabPath,
+                changes = changes,
+                affectedInstances = instancePaths.Count
+            };
+        }
+
         #region Helper Methods
 
+        private static IEnumerable<object> DescribeModification(GameObject target, string propertyName, JToken value)
+        {
+            switch (propertyName.ToLower())
+            {
+                case "name":
+                    return new[] { Diff("name", target.name, value.ToString()) };
+                case "tag":
+                    return new[] { Diff("tag", target.tag, value.ToString()) };
+                case "layer":
+                    return new[] { Diff("layer", target.layer, value) };
+                case "active":
+                case "isactive":
+                    return new[] { Diff("active", target.activeSelf, value) };
+                case "transform":
+                    var transformData = value as JObject;
+                    var transformDiffs = new List<object>();
+                    if (transformData?["position"] != null)
+                        transformDiffs.Add(Diff("transform.position", ToPreviewValue(target.transform.localPosition), transformData["position"]));
+                    if (transformData?["rotation"] != null)
+                        transformDiffs.Add(Diff("transform.rotation", ToPreviewValue(target.transform.localEulerAngles), transformData["rotation"]));
+                    if (transformData?["scale"] != null)
+                        transformDiffs.Add(Diff("transform.scale", ToPreviewValue(target.transform.localScale), transformData["scale"]));
+                    return transformDiffs;
+                case "components":
+                    var componentDiffs = new List<object>();
+                    foreach (var comp in (value as JObject)?.Properties() ?? Enumerable.Empty<JProperty>())
+                    {
+                        var component = target.GetComponent(comp.Name);
+                        foreach (var prop in (comp.Value as JObject)?.Properties() ?? Enumerable.Empty<JProperty>())
+                        {
+                            componentDiffs.Add(Diff($"components.{comp.Name}.{prop.Name}", ReadMemberValue(component, prop.Name), prop.Value));
+                        }
+                    }
+                    return componentDiffs;
+                default:
+                    return new[] { (object)new { property = propertyName, from = (object)null, to = value, supported = false } };
+            }
+        }
+
+        private static object Diff(string property, object from, object to)
+        {
+            return new { property, from, to };
+        }
+
+        private static object ReadMemberValue(Component component, string memberName)
+        {
+            if (component == null) return null;
+
+            var type = component.GetType();
+            var field = type.GetField(memberName);
+            if (field != null && field.IsPublic)
+            {
+                return ToPreviewValue(field.GetValue(component));
+            }
+
+            var property = type.GetProperty(memberName);
+            return property != null && property.CanRead ? ToPreviewValue(property.GetValue(component)) : null;
+        }
+
+        private static object ToPreviewValue(object value)
+        {
+            switch (value)
+            {
+                case null:
+                    return null;
+                case Vector3 v:
+                    return new { x = v.x, y = v.y, z = v.z };
+                case Vector2 v2:
+                    return new { x = v2.x, y = v2.y };
+                case Color c:
+                    return new { r = c.r, g = c.g, b = c.b, a = c.a };
+                case UnityEngine.Object obj:
+                    return obj != null ? obj.name : null;
+                default:
+                    return value.GetType().IsPrimitive || value is string || value is Enum ? value : value.ToString();
+            }
+        }
+
         private static bool ApplyMaterialProperty(Material material, string propertyName, JToken value)
         {
             try
@@ -30,6 +30,7 @@ namespace UnityEditorMCP.Handlers
             public int line;
             public int column;
             public string timestamp;
+            public string assembly;
         }
 
         /// <summary>
@@ -328,7 +329,8 @@ namespace UnityEditorMCP.Handlers
                     file = msg.file,
                     line = msg.line,
                     column = msg.column,
-                    timestamp = DateTime.Now.ToString("o")
+                    timestamp = DateTime.Now.ToString("o"),
+                    assembly = Path.GetFileNameWithoutExtension(assemblyName)
                 };
                 
                 lastCompilationMessages.Add(compilationMessage);
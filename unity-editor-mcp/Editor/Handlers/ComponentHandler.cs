@@ -236,6 +236,23 @@ namespace UnityEditorMCP.Handlers
 
                 Component component = components[componentIndex];
 
+                if (parameters["dryRun"]?.ToObject<bool>() ?? false)
+                {
+                    var diff = properties.Properties()
+                        .Select(prop => (object)new { property = prop.Name, from = ReadPropertyForPreview(component, prop.Name), to = prop.Value })
+                        .ToArray();
+                    return new
+                    {
+                        dryRun = true,
+                        componentType = type.Name,
+                        componentIndex = componentIndex,
+                        changes = new[]
+                        {
+                            new { action = "modify", target = "component", path = $"{gameObjectPath}/{type.Name}[{componentIndex}]", diff }
+                        }
+                    };
+                }
+
                 // Record undo
                 Undo.RecordObject(component, $"Modify {type.Name}");
 
@@ -888,6 +905,39 @@ namespace UnityEditorMCP.Handlers
             return properties;
         }
 
+        /// <summary>
+        /// Reads the current value of a member ModifyComponent would set, for dry-run diffs
+        /// </summary>
+        private static object ReadPropertyForPreview(Component component, string propertyName)
+        {
+            try
+            {
+                Type type = component.GetType();
+                FieldInfo field = type.GetField(propertyName, BindingFlags.Public | BindingFlags.Instance);
+                PropertyInfo property = type.GetProperty(propertyName, BindingFlags.Public | BindingFlags.Instance);
+                if (field == null && property == null)
+                {
+                    var serializedField = type.GetField(propertyName, BindingFlags.NonPublic | BindingFlags.Instance);
+                    if (serializedField != null && serializedField.IsDefined(typeof(SerializeField), true))
+                    {
+                        field = serializedField;
+                    }
+                }
+
+                object value = field != null
+                    ? field.GetValue(component)
+                    : property != null && property.CanRead ? property.GetValue(component) : null;
+
+                if (value is UnityEngine.Object obj)
+                    return obj != null ? obj.name : null;
+                return value != null && IsSerializableValue(value) ? SerializeValue(value) : value?.ToString();
+            }
+            catch (Exception)
+            {
+                return null;
+            }
+        }
+
         /// <summary>
         /// Checks if a value can be serialized
         /// </summary>
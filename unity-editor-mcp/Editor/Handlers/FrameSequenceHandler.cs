@@ -0,0 +1,281 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using UnityEngine;
+using UnityEditor;
+using Newtonsoft.Json.Linq;
+
+namespace UnityEditorMCP.Handlers
+{
+    /// <summary>
+    /// Captures a sequence of play mode frames at an interval. The capture runs
+    /// over many frames, so it is started, polled and stopped by separate commands.
+    /// </summary>
+    public static class FrameSequenceHandler
+    {
+        private const int MaxFrameCount = 120;
+        private const int MaxIntervalMs = 10000;
+        // PNG bytes per get_frame_sequence page; base64 adds a third on the wire
+        private const int MaxPageBytes = 8 * 1024 * 1024;
+
+        private static FrameSequence currentSequence;
+        private static FrameSequenceRecorder currentRecorder;
+
+        /// <summary>
+        /// Starts capturing frames from the Game View or a camera
+        /// </summary>
+        public static object StartFrameSequence(JObject parameters)
+        {
+            try
+            {
+                string captureMode = parameters["captureMode"]?.ToString() ?? "game";
+                string cameraName = parameters["cameraName"]?.ToString();
+                int frameCount = parameters["frameCount"]?.ToObject<int>() ?? 10;
+                int intervalMs = parameters["intervalMs"]?.ToObject<int>() ?? 100;
+                int width = parameters["width"]?.ToObject<int>() ?? 0;
+                int height = parameters["height"]?.ToObject<int>() ?? 0;
+                int maxDimension = parameters["maxDimension"]?.ToObject<int>() ?? 0;
+
+                if (!EditorApplication.isPlaying)
+                {
+                    return new { error = "Frame sequences can only be captured in play mode. Start play mode with play_game first.", code = "NOT_IN_PLAY_MODE" };
+                }
+
+                if (captureMode != "game" && captureMode != "camera")
+                {
+                    return new { error = "Invalid capture mode. Must be 'game' or 'camera'" };
+                }
+
+                if (frameCount < 1 || frameCount > MaxFrameCount)
+                {
+                    return new { error = $"frameCount must be between 1 and {MaxFrameCount}" };
+                }
+
+                if (intervalMs < 0 || intervalMs > MaxIntervalMs)
+                {
+                    return new { error = $"intervalMs must be between 0 and {MaxIntervalMs}" };
+                }
+
+                if (currentSequence != null && currentSequence.Status == FrameSequence.Capturing && currentRecorder != null)
+                {
+                    return new
+                    {
+                        error = "A frame sequence is already being captured",
+                        code = "CAPTURE_IN_PROGRESS",
+                        captureId = currentSequence.CaptureId
+                    };
+                }
+
+                Camera camera = null;
+                if (captureMode == "camera")
+                {
+                    camera = ScreenshotHandler.FindCamera(cameraName);
+                    if (camera == null)
+                    {
+                        return new
+                        {
+                            error = string.IsNullOrEmpty(cameraName)
+                                ? "No camera found for frame capture"
+                                : $"Camera '{cameraName}' not found"
+                        };
+                    }
+                }
+
+                currentSequence = new FrameSequence
+                {
+                    CaptureId = Guid.NewGuid().ToString("N"),
+                    CaptureMode = captureMode,
+                    CameraName = camera?.name,
+                    FrameCount = frameCount,
+                    IntervalMs = intervalMs,
+                    Width = width,
+                    Height = height,
+                    MaxDimension = maxDimension,
+                    Status = FrameSequence.Capturing
+                };
+
+                // DontDestroyOnLoad keeps the recorder across scene loads; leaving play mode destroys it
+                var host = new GameObject("UnityEditorMCP.FrameSequenceRecorder") { hideFlags = HideFlags.HideInHierarchy };
+                UnityEngine.Object.DontDestroyOnLoad(host);
+                currentRecorder = host.AddComponent<FrameSequenceRecorder>();
+                currentRecorder.Begin(currentSequence, camera);
+
+                return new
+                {
+                    success = true,
+                    captureId = currentSequence.CaptureId,
+                    captureMode = captureMode,
+                    cameraName = currentSequence.CameraName,
+                    frameCount = frameCount,
+                    intervalMs = intervalMs,
+                    message = $"Capturing {frameCount} frames every {intervalMs}ms"
+                };
+            }
+            catch (Exception ex)
+            {
+                Debug.LogError($"[FrameSequenceHandler] Error starting frame capture: {ex.Message}");
+                return new { error = $"Failed to start frame capture: {ex.Message}" };
+            }
+        }
+
+        /// <summary>
+        /// Returns the capture status, and once the capture has ended the frame
+        /// timestamps and sizes. The images are fetched in pages with from/count.
+        /// </summary>
+        public static object GetFrameSequence(JObject parameters)
+        {
+            try
+            {
+                string captureId = parameters["captureId"]?.ToString();
+                int from = parameters["from"]?.ToObject<int>() ?? 0;
+                int count = parameters["count"]?.ToObject<int>() ?? 0;
+                if (currentSequence == null || (!string.IsNullOrEmpty(captureId) && captureId != currentSequence.CaptureId))
+                {
+                    return new { error = $"Frame sequence not found: {captureId}", code = "CAPTURE_NOT_FOUND" };
+                }
+
+                var sequence = currentSequence;
+                bool finished = sequence.Status != FrameSequence.Capturing;
+                if (count > 0)
+                {
+                    if (!finished)
+                    {
+                        return new { error = "Frames can only be fetched once the capture has ended", code = "CAPTURE_IN_PROGRESS", captureId = sequence.CaptureId };
+                    }
+                    if (from < 0 || from > sequence.Frames.Count)
+                    {
+                        return new { error = $"from must be between 0 and {sequence.Frames.Count}" };
+                    }
+
+                    return GetFramePage(sequence, from, count);
+                }
+
+                return new
+                {
+                    captureId = sequence.CaptureId,
+                    status = sequence.Status,
+                    captureMode = sequence.CaptureMode,
+                    cameraName = sequence.CameraName,
+                    frameCount = sequence.FrameCount,
+                    intervalMs = sequence.IntervalMs,
+                    capturedFrames = sequence.Frames.Count,
+                    failure = sequence.Error,
+                    frames = finished
+                        ? sequence.Frames.Select(frame => new
+                        {
+                            index = frame.Index,
+                            timeMs = frame.TimeMs,
+                            frame = frame.FrameNumber,
+                            gameTime = frame.GameTime,
+                            width = frame.Width,
+                            height = frame.Height
+                        }).ToArray()
+                        : null
+                };
+            }
+            catch (Exception ex)
+            {
+                return new { error = $"Failed to get frame sequence: {ex.Message}" };
+            }
+        }
+
+        // Up to count frames from index from, cut short once the page holds MaxPageBytes
+        private static object GetFramePage(FrameSequence sequence, int from, int count)
+        {
+            var page = new List<object>();
+            int bytes = 0;
+            int next = from;
+            while (next < sequence.Frames.Count && page.Count < count && (page.Count == 0 || bytes + sequence.Frames[next].Png.Length <= MaxPageBytes))
+            {
+                var frame = sequence.Frames[next++];
+                bytes += frame.Png.Length;
+                page.Add(new
+                {
+                    index = frame.Index,
+                    width = frame.Width,
+                    height = frame.Height,
+                    base64Data = Convert.ToBase64String(frame.Png)
+                });
+            }
+
+            return new
+            {
+                captureId = sequence.CaptureId,
+                from = from,
+                nextFrom = next < sequence.Frames.Count ? (int?)next : null,
+                frames = page
+            };
+        }
+
+        /// <summary>
+        /// Stops the capture in progress; the frames captured so far are kept
+        /// </summary>
+        public static object StopFrameSequence(JObject parameters)
+        {
+            try
+            {
+                if (currentSequence == null || currentSequence.Status != FrameSequence.Capturing)
+                {
+                    return new
+                    {
+                        message = "No frame sequence is being captured",
+                        wasStopped = false
+                    };
+                }
+
+                currentSequence.Status = FrameSequence.Stopped;
+                if (currentRecorder != null)
+                {
+                    UnityEngine.Object.Destroy(currentRecorder.gameObject);
+                }
+                currentRecorder = null;
+
+                return new
+                {
+                    captureId = currentSequence.CaptureId,
+                    message = "Frame capture stopped",
+                    wasStopped = true,
+                    capturedFrames = currentSequence.Frames.Count
+                };
+            }
+            catch (Exception ex)
+            {
+                return new { error = $"Failed to stop frame capture: {ex.Message}" };
+            }
+        }
+    }
+
+    /// <summary>
+    /// State of one frame sequence capture, filled in by FrameSequenceRecorder
+    /// </summary>
+    internal class FrameSequence
+    {
+        public const string Capturing = "capturing";
+        public const string Completed = "completed";
+        public const string Stopped = "stopped";
+        public const string Failed = "failed";
+
+        public string CaptureId;
+        public string CaptureMode;
+        public string CameraName;
+        public int FrameCount;
+        public int IntervalMs;
+        public int Width;
+        public int Height;
+        public int MaxDimension;
+        public string Status;
+        public string Error;
+        public readonly List<CapturedFrame> Frames = new List<CapturedFrame>();
+    }
+
+    internal class CapturedFrame
+    {
+        public int Index;
+        public double TimeMs;
+        public int FrameNumber;
+        public float GameTime;
+        public int Width;
+        public int Height;
+        public byte[] Png;
+    }
+}
\ No newline at end of file
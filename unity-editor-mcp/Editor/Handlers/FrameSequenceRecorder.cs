@@ -0,0 +1,155 @@
+using System;
+using System.Collections;
+using UnityEngine;
+
+namespace UnityEditorMCP.Handlers
+{
+    /// <summary>
+    /// Play mode helper that captures the frames of a FrameSequence. Game View
+    /// frames can only be read after rendering, so capture runs in a coroutine
+    /// at the end of each frame.
+    /// </summary>
+    [AddComponentMenu("")]
+    public class FrameSequenceRecorder : MonoBehaviour
+    {
+        private FrameSequence sequence;
+        private Camera targetCamera;
+
+        internal void Begin(FrameSequence sequence, Camera camera)
+        {
+            this.sequence = sequence;
+            targetCamera = camera;
+            StartCoroutine(Capture());
+        }
+
+        private IEnumerator Capture()
+        {
+            float start = Time.realtimeSinceStartup;
+            for (int index = 0; index < sequence.FrameCount; index++)
+            {
+                float due = start + index * sequence.IntervalMs / 1000f;
+                while (Time.realtimeSinceStartup < due)
+                {
+                    yield return null;
+                }
+                yield return new WaitForEndOfFrame();
+
+                if (sequence.Status != FrameSequence.Capturing)
+                {
+                    yield break;
+                }
+
+                try
+                {
+                    sequence.Frames.Add(CaptureFrame(index, start));
+                }
+                catch (Exception ex)
+                {
+                    sequence.Status = FrameSequence.Failed;
+                    sequence.Error = $"Failed to capture frame {index}: {ex.Message}";
+                    Destroy(gameObject);
+                    yield break;
+                }
+            }
+
+            sequence.Status = FrameSequence.Completed;
+            Destroy(gameObject);
+        }
+
+        private CapturedFrame CaptureFrame(int index, float start)
+        {
+            Texture2D texture = sequence.CaptureMode == "camera"
+                ? RenderCamera()
+                : ScreenCapture.CaptureScreenshotAsTexture();
+            try
+            {
+                texture = ScaleToFit(texture, sequence.MaxDimension);
+                return new CapturedFrame
+                {
+                    Index = index,
+                    TimeMs = Math.Round((Time.realtimeSinceStartup - start) * 1000.0, 1),
+                    FrameNumber = Time.frameCount,
+                    GameTime = Time.time,
+                    Width = texture.width,
+                    Height = texture.height,
+                    Png = texture.EncodeToPNG()
+                };
+            }
+            finally
+            {
+                Destroy(texture);
+            }
+        }
+
+        private Texture2D RenderCamera()
+        {
+            if (targetCamera == null)
+            {
+                throw new InvalidOperationException("The camera was destroyed during the capture");
+            }
+
+            int width = sequence.Width > 0 ? sequence.Width : Mathf.Max(1, targetCamera.pixelWidth);
+            int height = sequence.Height > 0 ? sequence.Height : Mathf.Max(1, targetCamera.pixelHeight);
+            RenderTexture previousTarget = targetCamera.targetTexture;
+            RenderTexture previousActive = RenderTexture.active;
+            RenderTexture renderTexture = RenderTexture.GetTemporary(width, height, 24);
+            try
+            {
+                targetCamera.targetTexture = renderTexture;
+                targetCamera.Render();
+                return ReadTexture(renderTexture);
+            }
+            finally
+            {
+                targetCamera.targetTexture = previousTarget;
+                RenderTexture.active = previousActive;
+                RenderTexture.ReleaseTemporary(renderTexture);
+            }
+        }
+
+        // Frames are shrunk in Unity so large Game Views do not make the poll response huge
+        private static Texture2D ScaleToFit(Texture2D texture, int maxDimension)
+        {
+            int longest = Mathf.Max(texture.width, texture.height);
+            if (maxDimension <= 0 || longest <= maxDimension)
+            {
+                return texture;
+            }
+
+            float scale = (float)maxDimension / longest;
+            int width = Mathf.Max(1, Mathf.RoundToInt(texture.width * scale));
+            int height = Mathf.Max(1, Mathf.RoundToInt(texture.height * scale));
+            RenderTexture previousActive = RenderTexture.active;
+            RenderTexture renderTexture = RenderTexture.GetTemporary(width, height, 0);
+            try
+            {
+                Graphics.Blit(texture, renderTexture);
+                return ReadTexture(renderTexture);
+            }
+            finally
+            {
+                RenderTexture.active = previousActive;
+                RenderTexture.ReleaseTemporary(renderTexture);
+                Destroy(texture);
+            }
+        }
+
+        private static Texture2D ReadTexture(RenderTexture renderTexture)
+        {
+            RenderTexture.active = renderTexture;
+            var texture = new Texture2D(renderTexture.width, renderTexture.height, TextureFormat.RGB24, false);
+            texture.ReadPixels(new Rect(0, 0, renderTexture.width, renderTexture.height), 0, 0);
+            texture.Apply();
+            return texture;
+        }
+
+        private void OnDestroy()
+        {
+            if (sequence != null && sequence.Status == FrameSequence.Capturing)
+            {
+                sequence.Status = FrameSequence.Failed;
+                sequence.Error = "Play mode ended before all frames were captured";
+            }
+        }
+    }
+}
\ No newline at end of file
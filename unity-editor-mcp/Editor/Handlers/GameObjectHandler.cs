@@ -202,6 +202,11 @@ namespace UnityEditorMCP.Handlers
                     return new { error = $"GameObject not found: {path}" };
                 }
                 
+                if (parameters["dryRun"]?.ToObject<bool>() ?? false)
+                {
+                    return PreviewGameObjectModification(obj, parameters);
+                }
+                
                 // Store original values for undo
                 var originalName = obj.name;
                 var originalPosition = obj.transform.position;
@@ -325,6 +330,90 @@ namespace UnityEditorMCP.Handlers
             }
         }
         
+        /// <summary>
+        /// Lists the property changes ModifyGameObject would make without applying them
+        /// </summary>
+        private static object PreviewGameObjectModification(GameObject obj, JObject parameters)
+        {
+            var diffs = new List<object>();
+            
+            string newName = parameters["name"]?.ToString();
+            if (!string.IsNullOrEmpty(newName) && newName != obj.name)
+            {
+                diffs.Add(new { property = "name", from = (object)obj.name, to = (object)newName });
+            }
+            
+            var position = ParseVector3(parameters["position"]);
+            if (position.HasValue && position.Value != obj.transform.position)
+            {
+                diffs.Add(new { property = "position", from = (object)ToXYZ(obj.transform.position), to = (object)ToXYZ(position.Value) });
+            }
+            
+            var rotation = ParseVector3(parameters["rotation"]);
+            if (rotation.HasValue && Quaternion.Euler(rotation.Value) != obj.transform.rotation)
+            {
+                diffs.Add(new { property = "rotation", from = (object)ToXYZ(obj.transform.rotation.eulerAngles), to = (object)ToXYZ(rotation.Value) });
+            }
+            
+            var scale = ParseVector3(parameters["scale"]);
+            if (scale.HasValue && scale.Value != obj.transform.localScale)
+            {
+                diffs.Add(new { property = "scale", from = (object)ToXYZ(obj.transform.localScale), to = (object)ToXYZ(scale.Value) });
+            }
+            
+            bool? active = parameters["active"]?.ToObject<bool>();
+            if (active.HasValue && active.Value != obj.activeSelf)
+            {
+                diffs.Add(new { property = "active", from = (object)obj.activeSelf, to = (object)active.Value });
+            }
+            
+            string tag = parameters["tag"]?.ToString();
+            if (!string.IsNullOrEmpty(tag) && tag != obj.tag)
+            {
+                diffs.Add(new { property = "tag", from = (object)obj.tag, to = (object)tag });
+            }
+            
+            int? layer = parameters["layer"]?.ToObject<int>();
+            if (layer.HasValue && layer.Value >= 0 && layer.Value < 32 && layer.Value != obj.layer)
+            {
+                diffs.Add(new { property = "layer", from = (object)obj.layer, to = (object)layer.Value });
+            }
+            
+            if (parameters.ContainsKey("parentPath"))
+            {
+                string parentPath = parameters["parentPath"]?.ToString();
+                GameObject newParent = null;
+                if (!string.IsNullOrEmpty(parentPath))
+                {
+                    newParent = GameObject.Find(parentPath);
+                    if (newParent == null)
+                    {
+                        return new { error = $"Parent GameObject not found: {parentPath}" };
+                    }
+                }
+                
+                if (obj.transform.parent != (newParent ? newParent.transform : null))
+                {
+                    var currentParent = obj.transform.parent ? GetGameObjectPath(obj.transform.parent.gameObject) : null;
+                    var targetParent = newParent ? GetGameObjectPath(newParent) : null;
+                    diffs.Add(new { property = "parent", from = (object)currentParent, to = (object)targetParent });
+                }
+            }
+            
+            return new
+            {
+                dryRun = true,
+                changes = diffs.Count > 0
+                    ? new object[] { new { action = "modify", target = "gameObject", path = GetGameObjectPath(obj), diff = diffs } }
+                    : new object[0]
+            };
+        }
+        
+        private static object ToXYZ(Vector3 value)
+        {
+            return new { x = value.x, y = value.y, z = value.z };
+        }
+        
         /// <summary>
         /// Finds GameObjects based on search criteria
         /// </summary>
@@ -416,6 +505,7 @@ namespace UnityEditorMCP.Handlers
                 string path = parameters["path"]?.ToString();
                 string[] paths = parameters["paths"]?.ToObject<string[]>();
                 bool includeChildren = parameters["includeChildren"]?.ToObject<bool>() ?? true;
+                bool dryRun = parameters["dryRun"]?.ToObject<bool>() ?? false;
                 
                 // Validate input
                 if (string.IsNullOrEmpty(path) && (paths == null || paths.Length == 0))
@@ -437,6 +527,7 @@ namespace UnityEditorMCP.Handlers
                 // Find and delete GameObjects
                 List<string> deleted = new List<string>();
                 List<string> notFound = new List<string>();
+                List<object> changes = new List<object>();
                 
                 foreach (string objPath in allPaths)
                 {
@@ -444,7 +535,19 @@ namespace UnityEditorMCP.Handlers
                     if (obj != null)
                     {
                         deleted.Add(objPath);
-                        Undo.DestroyObjectImmediate(obj);
+                        if (dryRun)
+                        {
+                            // Destroying a GameObject always destroys its children too
+                            var descendants = obj.GetComponentsInChildren<Transform>(true)
+                                .Where(t => t != obj.transform)
+                                .Select(t => GetGameObjectPath(t.gameObject))
+                                .ToList();
+                            changes.Add(new { action = "delete", target = "gameObject", path = GetGameObjectPath(obj), descendants });
+                        }
+                        else
+                        {
+                            Undo.DestroyObjectImmediate(obj);
+                        }
                     }
                     else
                     {
@@ -452,6 +555,17 @@ namespace UnityEditorMCP.Handlers
                     }
                 }
                 
+                if (dryRun)
+                {
+                    return new
+                    {
+                        dryRun = true,
+                        changes,
+                        notFound = notFound,
+                        notFoundCount = notFound.Count
+                    };
+                }
+                
                 return new
                 {
                     deletedCount = deleted.Count,
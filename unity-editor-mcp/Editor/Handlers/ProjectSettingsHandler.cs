@@ -0,0 +1,65 @@
+using System;
+using System.Linq;
+using UnityEditor;
+using UnityEditorInternal;
+using UnityEngine;
+using Newtonsoft.Json.Linq;
+
+namespace UnityEditorMCP.Handlers
+{
+    /// <summary>
+    /// Handles read-only project settings queries
+    /// </summary>
+    public static class ProjectSettingsHandler
+    {
+        /// <summary>
+        /// Returns a summary of player, editor, quality and build settings
+        /// </summary>
+        public static object GetProjectSettings(JObject parameters)
+        {
+            try
+            {
+                var buildTarget = EditorUserBuildSettings.activeBuildTarget;
+                var targetGroup = BuildPipeline.GetBuildTargetGroup(buildTarget);
+
+                return new
+                {
+                    player = new
+                    {
+                        companyName = PlayerSettings.companyName,
+                        productName = PlayerSettings.productName,
+                        bundleVersion = PlayerSettings.bundleVersion,
+                        colorSpace = PlayerSettings.colorSpace.ToString(),
+                        scriptingBackend = PlayerSettings.GetScriptingBackend(targetGroup).ToString(),
+                        apiCompatibilityLevel = PlayerSettings.GetApiCompatibilityLevel(targetGroup).ToString(),
+                        scriptingDefineSymbols = PlayerSettings.GetScriptingDefineSymbolsForGroup(targetGroup)
+                    },
+                    build = new
+                    {
+                        activeBuildTarget = buildTarget.ToString(),
+                        buildTargetGroup = targetGroup.ToString(),
+                        scenes = EditorBuildSettings.scenes.Select(scene => new { path = scene.path, enabled = scene.enabled }).ToList()
+                    },
+                    editor = new
+                    {
+                        serializationMode = EditorSettings.serializationMode.ToString(),
+                        enterPlayModeOptionsEnabled = EditorSettings.enterPlayModeOptionsEnabled
+                    },
+                    quality = new
+                    {
+                        current = QualitySettings.names[QualitySettings.GetQualityLevel()],
+                        levels = QualitySettings.names
+                    },
+                    tags = InternalEditorUtility.tags,
+                    layers = InternalEditorUtility.layers,
+                    unityVersion = Application.unityVersion
+                };
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"[ProjectSettingsHandler] Error reading project settings: {e.Message}");
+                return new { error = e.Message };
+            }
+        }
+    }
+}
\ No newline at end of file
@@ -27,6 +27,7 @@ namespace UnityEditorMCP.Handlers
                 string windowName = parameters["windowName"]?.ToString();
                 string cameraName = parameters["cameraName"]?.ToString();
                 bool encodeAsBase64 = parameters["encodeAsBase64"]?.ToObject<bool>() ?? false;
+                bool saveFile = parameters["saveFile"]?.ToObject<bool>() ?? true;
                 
                 // Validate capture mode
                 if (!IsValidCaptureMode(captureMode))
@@ -34,19 +35,28 @@ namespace UnityEditorMCP.Handlers
                     return new { error = "Invalid capture mode. Must be 'game', 'scene', 'camera', or 'window'" };
                 }
                 
-                // Generate output path if not provided
-                if (string.IsNullOrEmpty(outputPath))
+                if (!saveFile)
                 {
-                    string timestamp = DateTime.Now.ToString("yyyy-MM-dd_HH-mm-ss");
-                    outputPath = $"Assets/Screenshots/screenshot_{captureMode}_{timestamp}.png";
+                    // Only return the image data; nothing is written to the project
+                    outputPath = null;
+                    encodeAsBase64 = true;
                 }
-                
-                // Ensure directory exists
-                string directory = Path.GetDirectoryName(outputPath);
-                if (!AssetDatabase.IsValidFolder(directory))
+                else
                 {
-                    Directory.CreateDirectory(directory);
-                    AssetDatabase.Refresh();
+                    // Generate output path if not provided
+                    if (string.IsNullOrEmpty(outputPath))
+                    {
+                        string timestamp = DateTime.Now.ToString("yyyy-MM-dd_HH-mm-ss");
+                        outputPath = $"Assets/Screenshots/screenshot_{captureMode}_{timestamp}.png";
+                    }
+                    
+                    // Ensure directory exists
+                    string directory = Path.GetDirectoryName(outputPath);
+                    if (!AssetDatabase.IsValidFolder(directory))
+                    {
+                        Directory.CreateDirectory(directory);
+                        AssetDatabase.Refresh();
+                    }
                 }
                 
                 // Capture based on mode
@@ -115,12 +125,9 @@ namespace UnityEditorMCP.Handlers
                     byte[] imageBytes = File.ReadAllBytes(tempPath);
                     
                     // Save to final location
-                    File.WriteAllBytes(outputPath, imageBytes);
+                    SaveCapture(outputPath, imageBytes);
                     File.Delete(tempPath);
                     
-                    // Refresh asset database
-                    AssetDatabase.Refresh();
-                    
                     var result = new
                     {
                         success = true,
@@ -232,8 +239,7 @@ namespace UnityEditorMCP.Handlers
                 screenshot.Apply();
 
                 byte[] imageBytes = screenshot.EncodeToPNG();
-                File.WriteAllBytes(outputPath, imageBytes);
-                AssetDatabase.Refresh();
+                SaveCapture(outputPath, imageBytes);
 
                 var result = new
                 {
@@ -353,8 +359,7 @@ namespace UnityEditorMCP.Handlers
                 UnityEngine.Object.DestroyImmediate(screenshot);
                 
                 // Save to file
-                File.WriteAllBytes(outputPath, imageBytes);
-                AssetDatabase.Refresh();
+                SaveCapture(outputPath, imageBytes);
                 
                 var result = new
                 {
@@ -451,6 +456,20 @@ namespace UnityEditorMCP.Handlers
             }
         }
         
+        /// <summary>
+        /// Writes a capture into the project; a null path means the caller only wants the image data
+        /// </summary>
+        private static void SaveCapture(string outputPath, byte[] imageBytes)
+        {
+            if (string.IsNullOrEmpty(outputPath))
+            {
+                return;
+            }
+            
+            File.WriteAllBytes(outputPath, imageBytes);
+            AssetDatabase.Refresh();
+        }
+        
         /// <summary>
         /// Analyzes a screenshot for content
         /// </summary>
@@ -553,7 +572,7 @@ namespace UnityEditorMCP.Handlers
             return new Vector2Int(1920, 1080);
         }
 
-        private static Camera FindCamera(string cameraName)
+        internal static Camera FindCamera(string cameraName)
         {
             if (!string.IsNullOrEmpty(cameraName))
             {
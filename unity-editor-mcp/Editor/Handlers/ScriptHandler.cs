@@ -2,6 +2,8 @@ using System;
 using System.Collections.Generic;
 using System.IO;
 using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
 using System.Text.RegularExpressions;
 using UnityEditor;
 using UnityEngine;
@@ -127,7 +129,8 @@ namespace UnityEditorMCP.Handlers
                 var result = new
                 {
                     scriptContent = content,
-                    scriptPath = relativePath
+                    scriptPath = relativePath,
+                    contentHash = ComputeContentHash(content)
                 };
 
                 // Add metadata if requested
@@ -138,6 +141,7 @@ namespace UnityEditorMCP.Handlers
                     {
                         scriptContent = content,
                         scriptPath = relativePath,
+                        contentHash = ComputeContentHash(content),
                         lastModified = fileInfo.LastWriteTime.ToString("o"),
                         lineCount = content.Split('\n').Length,
                         fileSize = fileInfo.Length,
@@ -167,6 +171,7 @@ namespace UnityEditorMCP.Handlers
                 string scriptContent = parameters["scriptContent"]?.ToString();
                 string updateMode = parameters["updateMode"]?.ToString() ?? "replace";
                 bool createBackup = parameters["createBackup"]?.ToObject<bool>() ?? false;
+                string expectedHash = parameters["expectedHash"]?.ToString();
 
                 if (string.IsNullOrEmpty(scriptContent))
                 {
@@ -201,6 +206,19 @@ namespace UnityEditorMCP.Handlers
                     return Response.Error($"Script not found at {relativePath}");
                 }
 
+                // Refuse to overwrite edits made since the caller read the script
+                if (!string.IsNullOrEmpty(expectedHash))
+                {
+                    string currentHash = ComputeContentHash(File.ReadAllText(fullPath));
+                    if (!string.Equals(currentHash, expectedHash, StringComparison.OrdinalIgnoreCase))
+                    {
+                        return Response.Error(
+                            $"{relativePath} changed since it was read",
+                            "SCRIPT_CONFLICT",
+                            new { scriptPath = relativePath, expectedHash, currentHash });
+                    }
+                }
+
                 // Create backup if requested
                 string backupPath = null;
                 if (createBackup)
@@ -236,7 +254,8 @@ namespace UnityEditorMCP.Handlers
                 var result = new
                 {
                     scriptPath = relativePath,
-                    message = "Script updated successfully"
+                    message = "Script updated successfully",
+                    contentHash = ComputeContentHash(finalContent)
                 };
 
                 if (createBackup && backupPath != null)
@@ -245,6 +264,7 @@ namespace UnityEditorMCP.Handlers
                     {
                         scriptPath = relativePath,
                         message = "Script updated successfully",
+                        contentHash = ComputeContentHash(finalContent),
                         backupPath = backupPath.Replace(Application.dataPath + "/../", "")
                     };
                     return Response.Success("Script updated successfully", resultWithBackup);
@@ -618,6 +638,18 @@ namespace UnityEditorMCP.Handlers
             return path;
         }
 
+        /// <summary>
+        /// SHA-256 of the script text as UTF-8, matching the server's contentHash
+        /// </summary>
+        private static string ComputeContentHash(string content)
+        {
+            using (var sha256 = SHA256.Create())
+            {
+                var bytes = sha256.ComputeHash(Encoding.UTF8.GetBytes(content));
+                return BitConverter.ToString(bytes).Replace("-", "").ToLowerInvariant();
+            }
+        }
+
         private static string FindScriptByName(string scriptName, string searchPath)
         {
             string[] guids = AssetDatabase.FindAssets($"{scriptName} t:Script", new[] { searchPath });
@@ -7,6 +7,7 @@ using UnityEditor.TestTools.TestRunner.Api;
 using UnityEngine;
 using ApiTestMode = UnityEditor.TestTools.TestRunner.Api.TestMode;
 using UnityEditorMCP.Helpers;
+using Newtonsoft.Json;
 using Newtonsoft.Json.Linq;
 
 namespace UnityEditorMCP.Handlers
@@ -20,8 +21,21 @@ namespace UnityEditorMCP.Handlers
         private static TestRunCallback currentCallback;
         private static Dictionary<string, TestResult> lastTestResults = new Dictionary<string, TestResult>();
         private static bool isRunningTests = false;
+        private static string currentRunId;
+        private static string currentTestMode;
+        private static string currentTestName;
+        private static int totalTestCount;
+        private static bool runStateRestored = false;
         private const ApiTestMode AllTestModes = ApiTestMode.EditMode | ApiTestMode.PlayMode;
 
+        // PlayMode tests reload the domain, so the run in progress is mirrored into SessionState
+        // when it starts, when it finishes and right before each reload
+        private const string RunIdKey = "UnityEditorMCP.TestRunner.RunId";
+        private const string TestModeKey = "UnityEditorMCP.TestRunner.TestMode";
+        private const string IsRunningKey = "UnityEditorMCP.TestRunner.IsRunning";
+        private const string TotalTestsKey = "UnityEditorMCP.TestRunner.TotalTests";
+        private const string ResultsKey = "UnityEditorMCP.TestRunner.Results";
+
         /// <summary>
         /// Lists all available tests in the project
         /// </summary>
@@ -69,6 +83,8 @@ namespace UnityEditorMCP.Handlers
         {
             try
             {
+                RestoreRunState();
+
                 if (isRunningTests)
                 {
                     return Response.Error("Tests are already running. Please wait for them to complete or cancel.");
@@ -117,15 +133,15 @@ namespace UnityEditorMCP.Handlers
 
                 // Clear previous results
                 lastTestResults.Clear();
+                currentRunId = Guid.NewGuid().ToString("N");
+                currentTestMode = testMode == AllTestModes ? "EditAndPlayMode" : testMode.ToString();
+                currentTestName = null;
+                totalTestCount = 0;
 
-                // Create callback handler
-                if (currentCallback == null)
-                {
-                    currentCallback = new TestRunCallback();
-                    testRunnerApi.RegisterCallbacks(currentCallback);
-                }
+                EnsureCallbacksRegistered();
 
                 isRunningTests = true;
+                SaveRunState();
 
                 // Execute tests
                 var executionSettings = new ExecutionSettings(filter);
@@ -134,6 +150,7 @@ namespace UnityEditorMCP.Handlers
                 return new
                 {
                     message = "Test execution started",
+                    runId = currentRunId,
                     testMode = testMode.ToString(),
                     testCount = testNames?.Length ?? 0,
                     runAll = runAll,
@@ -143,6 +160,7 @@ namespace UnityEditorMCP.Handlers
             catch (Exception ex)
             {
                 isRunningTests = false;
+                SaveRunState();
                 return Response.Error($"Failed to run tests: {ex.Message}");
             }
         }
@@ -154,6 +172,8 @@ namespace UnityEditorMCP.Handlers
         {
             try
             {
+                RestoreRunState();
+
                 var includeDetails = parameters["includeDetails"]?.ToObject<bool>() ?? true;
                 var filterStatus = parameters["filterStatus"]?.ToString();
 
@@ -163,7 +183,9 @@ namespace UnityEditorMCP.Handlers
                     {
                         message = "No test results available. Run tests first.",
                         hasResults = false,
-                        isRunning = isRunningTests
+                        isRunning = isRunningTests,
+                        runId = currentRunId,
+                        progress = CreateProgress()
                     };
                 }
 
@@ -214,10 +236,13 @@ namespace UnityEditorMCP.Handlers
 
                 return new
                 {
+                    runId = currentRunId,
+                    testMode = currentTestMode,
                     results = results.ToArray(),
                     summary = summary,
                     isRunning = isRunningTests,
                     totalTests = lastTestResults.Count,
+                    progress = CreateProgress(),
                     message = "Test results retrieved successfully"
                 };
             }
@@ -234,6 +259,8 @@ namespace UnityEditorMCP.Handlers
         {
             try
             {
+                RestoreRunState();
+
                 if (!isRunningTests)
                 {
                     return new
@@ -246,6 +273,8 @@ namespace UnityEditorMCP.Handlers
                 // Unity doesn't provide a direct way to cancel tests, but we can try to stop the test runner
                 EditorApplication.isPlaying = false;
                 isRunningTests = false;
+                currentTestName = null;
+                SaveRunState();
 
                 return new
                 {
@@ -260,8 +289,87 @@ namespace UnityEditorMCP.Handlers
             }
         }
 
+        /// <summary>
+        /// Restores the run in progress after a domain reload and re-registers the callbacks
+        /// </summary>
+        [InitializeOnLoadMethod]
+        private static void RestoreRunState()
+        {
+            if (runStateRestored)
+                return;
+
+            runStateRestored = true;
+            AssemblyReloadEvents.beforeAssemblyReload += SaveRunState;
+            isRunningTests = SessionState.GetBool(IsRunningKey, false);
+            totalTestCount = SessionState.GetInt(TotalTestsKey, 0);
+
+            var runId = SessionState.GetString(RunIdKey, string.Empty);
+            var testMode = SessionState.GetString(TestModeKey, string.Empty);
+            currentRunId = string.IsNullOrEmpty(runId) ? null : runId;
+            currentTestMode = string.IsNullOrEmpty(testMode) ? null : testMode;
+
+            var resultsJson = SessionState.GetString(ResultsKey, string.Empty);
+            if (!string.IsNullOrEmpty(resultsJson))
+            {
+                try
+                {
+                    lastTestResults = JsonConvert.DeserializeObject<Dictionary<string, TestResult>>(resultsJson)
+                        ?? new Dictionary<string, TestResult>();
+                }
+                catch (Exception ex)
+                {
+                    Debug.LogWarning($"[TestRunner] Failed to restore test results: {ex.Message}");
+                }
+            }
+
+            // The Test Framework resumes the run in the new domain and reports to the callbacks registered there
+            if (isRunningTests)
+            {
+                EnsureCallbacksRegistered();
+            }
+        }
+
         #region Helper Methods
 
+        private static void EnsureCallbacksRegistered()
+        {
+            if (currentCallback == null)
+            {
+                currentCallback = new TestRunCallback();
+                testRunnerApi.RegisterCallbacks(currentCallback);
+            }
+        }
+
+        private static void SaveRunState()
+        {
+            SessionState.SetString(RunIdKey, currentRunId ?? string.Empty);
+            SessionState.SetString(TestModeKey, currentTestMode ?? string.Empty);
+            SessionState.SetBool(IsRunningKey, isRunningTests);
+            SessionState.SetInt(TotalTestsKey, totalTestCount);
+            SessionState.SetString(ResultsKey, JsonConvert.SerializeObject(lastTestResults));
+        }
+
+        private static object CreateProgress()
+        {
+            return new
+            {
+                completed = lastTestResults.Count,
+                total = totalTestCount,
+                currentTest = currentTestName
+            };
+        }
+
+        private static int CountLeafTests(ITestAdaptor test)
+        {
+            if (test == null)
+                return 0;
+
+            if (!test.HasChildren)
+                return test.IsSuite ? 0 : 1;
+
+            return test.Children.Sum(CountLeafTests);
+        }
+
         private static ApiTestMode ParseTestMode(string mode)
         {
             if (string.IsNullOrEmpty(mode))
@@ -435,6 +543,18 @@ namespace UnityEditorMCP.Handlers
             {
                 Debug.Log($"[TestRunner] Starting test run");
                 lastTestResults.Clear();
+                currentTestName = null;
+                totalTestCount = CountLeafTests(testsToRun);
+
+                // Runs started from the Test Runner window get their own id
+                if (!isRunningTests)
+                {
+                    currentRunId = Guid.NewGuid().ToString("N");
+                    currentTestMode = null;
+                    isRunningTests = true;
+                }
+
+                SaveRunState();
             }
 
             public void RunFinished(ITestResultAdaptor result)
@@ -442,11 +562,18 @@ namespace UnityEditorMCP.Handlers
                 Debug.Log($"[TestRunner] Test run completed");
                 ProcessTestResults(result);
                 isRunningTests = false;
+                currentTestName = null;
+                SaveRunState();
             }
 
             public void TestStarted(ITestAdaptor test)
             {
                 Debug.Log($"[TestRunner] Test started: {test.FullName}");
+
+                if (!test.IsSuite)
+                {
+                    currentTestName = test.FullName;
+                }
             }
 
             public void TestFinished(ITestResultAdaptor result)
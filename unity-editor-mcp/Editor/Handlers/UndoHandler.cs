@@ -0,0 +1,192 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Reflection;
+using UnityEditor;
+using UnityEngine;
+using Newtonsoft.Json.Linq;
+
+namespace UnityEditorMCP.Handlers
+{
+    /// <summary>
+    /// Handles Undo stack operations: undo/redo, history, and the groups used to make multi-step edits atomic
+    /// </summary>
+    public static class UndoHandler
+    {
+        private const int MaxSteps = 50;
+
+        // Undo.GetRecords is internal; history degrades to the current group when it is unavailable.
+        private static readonly MethodInfo GetRecordsMethod = typeof(Undo).GetMethod(
+            "GetRecords",
+            BindingFlags.NonPublic | BindingFlags.Static,
+            null,
+            new[] { typeof(List<string>), typeof(List<string>) },
+            null);
+
+        /// <summary>
+        /// Performs one or more Undo steps
+        /// </summary>
+        public static object PerformUndo(JObject parameters)
+        {
+            return PerformSteps(parameters, "undo", Undo.PerformUndo);
+        }
+
+        /// <summary>
+        /// Performs one or more Redo steps
+        /// </summary>
+        public static object PerformRedo(JObject parameters)
+        {
+            return PerformSteps(parameters, "redo", Undo.PerformRedo);
+        }
+
+        /// <summary>
+        /// Returns the Undo and Redo stacks, most recent entry first
+        /// </summary>
+        public static object GetUndoHistory(JObject parameters)
+        {
+            try
+            {
+                int limit = Math.Max(1, parameters?["limit"]?.ToObject<int?>() ?? 20);
+                var undoRecords = new List<string>();
+                var redoRecords = new List<string>();
+                bool recordsAvailable = GetRecordsMethod != null;
+
+                if (recordsAvailable)
+                {
+                    GetRecordsMethod.Invoke(null, new object[] { undoRecords, redoRecords });
+                }
+
+                return new
+                {
+                    currentGroup = Undo.GetCurrentGroup(),
+                    currentGroupName = Undo.GetCurrentGroupName(),
+                    recordsAvailable,
+                    undoCount = undoRecords.Count,
+                    redoCount = redoRecords.Count,
+                    undo = Enumerable.Reverse(undoRecords).Take(limit).ToList(),
+                    redo = Enumerable.Reverse(redoRecords).Take(limit).ToList()
+                };
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"[UndoHandler] Error reading undo history: {e.Message}");
+                return new { error = e.Message };
+            }
+        }
+
+        /// <summary>
+        /// Starts a new named Undo group and returns its index
+        /// </summary>
+        public static object BeginUndoGroup(JObject parameters)
+        {
+            try
+            {
+                string name = parameters?["name"]?.ToString();
+                if (string.IsNullOrEmpty(name))
+                {
+                    name = "MCP Batch";
+                }
+
+                Undo.IncrementCurrentGroup();
+                Undo.SetCurrentGroupName(name);
+
+                return new
+                {
+                    groupIndex = Undo.GetCurrentGroup(),
+                    name
+                };
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"[UndoHandler] Error beginning undo group: {e.Message}");
+                return new { error = e.Message };
+            }
+        }
+
+        /// <summary>
+        /// Collapses every operation recorded since the group began into a single Undo step
+        /// </summary>
+        public static object EndUndoGroup(JObject parameters)
+        {
+            try
+            {
+                var groupIndex = parameters?["groupIndex"]?.ToObject<int?>();
+                if (!groupIndex.HasValue)
+                {
+                    return new { error = "groupIndex is required" };
+                }
+
+                Undo.CollapseUndoOperations(groupIndex.Value);
+
+                return new
+                {
+                    groupIndex = groupIndex.Value,
+                    name = Undo.GetCurrentGroupName()
+                };
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"[UndoHandler] Error ending undo group: {e.Message}");
+                return new { error = e.Message };
+            }
+        }
+
+        /// <summary>
+        /// Reverts every operation recorded since the group began
+        /// </summary>
+        public static object RevertUndoGroup(JObject parameters)
+        {
+            try
+            {
+                var groupIndex = parameters?["groupIndex"]?.ToObject<int?>();
+                if (!groupIndex.HasValue)
+                {
+                    return new { error = "groupIndex is required" };
+                }
+
+                Undo.RevertAllDownToGroup(groupIndex.Value);
+
+                return new
+                {
+                    groupIndex = groupIndex.Value,
+                    reverted = true
+                };
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"[UndoHandler] Error reverting undo group: {e.Message}");
+                return new { error = e.Message };
+            }
+        }
+
+        private static object PerformSteps(JObject parameters, string operation, Action perform)
+        {
+            try
+            {
+                int steps = parameters?["steps"]?.ToObject<int?>() ?? 1;
+                if (steps < 1 || steps > MaxSteps)
+                {
+                    return new { error = $"steps must be between 1 and {MaxSteps}" };
+                }
+
+                for (int i = 0; i < steps; i++)
+                {
+                    perform();
+                }
+
+                return new
+                {
+                    operation,
+                    performed = steps,
+                    currentGroup = Undo.GetCurrentGroup(),
+                    currentGroupName = Undo.GetCurrentGroupName()
+                };
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"[UndoHandler] Error performing {operation}: {e.Message}");
+                return new { error = e.Message };
+            }
+        }
+    }
+}
\ No newline at end of file
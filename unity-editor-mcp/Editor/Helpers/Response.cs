@@ -1,4 +1,5 @@
 using Newtonsoft.Json;
+using System;
 using System.Collections.Generic;
 
 namespace UnityEditorMCP.Helpers
@@ -217,5 +218,73 @@ namespace UnityEditorMCP.Helpers
             
             return JsonConvert.SerializeObject(response);
         }
+
+        /// <summary>
+        /// Creates an unsolicited event message pushed to connected clients
+        /// </summary>
+        /// <param name="eventName">Event name, e.g. hierarchy_changed</param>
+        /// <param name="data">Event payload (pass null for none)</param>
+        /// <returns>JSON string of the event</returns>
+        /// <remarks>
+        /// Events carry no command id, so the Node client emits them instead of matching a pending command.
+        /// </remarks>
+        public static string Event(string eventName, object data)
+        {
+            var response = new Dictionary<string, object>
+            {
+                ["event"] = eventName,
+                ["timestamp"] = DateTime.UtcNow.ToString("o")
+            };
+
+            if (data != null)
+            {
+                response["data"] = data;
+            }
+
+            return JsonConvert.SerializeObject(response);
+        }
+
+        /// <summary>
+        /// Splits a serialized response into continuation frames for responses larger than one frame
+        /// </summary>
+        /// <param name="id">Command ID the response belongs to</param>
+        /// <param name="payload">UTF-8 bytes of the complete response JSON</param>
+        /// <param name="chunkSize">Maximum number of payload bytes per chunk</param>
+        /// <returns>JSON strings of the chunk envelopes, in send order</returns>
+        /// <remarks>
+        /// Each envelope is <c>{ id, chunk: { index, total, final }, payload }</c> where payload is the
+        /// base64 slice of the original bytes; the Node client concatenates them and parses the result.
+        /// </remarks>
+        public static List<string> Chunks(string id, byte[] payload, int chunkSize)
+        {
+            if (chunkSize <= 0)
+            {
+                throw new ArgumentOutOfRangeException(nameof(chunkSize), "Chunk size must be positive");
+            }
+
+            var total = Math.Max(1, (payload.Length + chunkSize - 1) / chunkSize);
+            var chunks = new List<string>(total);
+
+            for (int index = 0; index < total; index++)
+            {
+                var offset = index * chunkSize;
+                var length = Math.Min(chunkSize, payload.Length - offset);
+                var response = new Dictionary<string, object>
+                {
+                    ["id"] = id,
+                    ["chunk"] = new Dictionary<string, object>
+                    {
+                        ["index"] = index,
+                        ["total"] = total,
+                        ["final"] = index == total - 1
+                    },
+                    ["payload"] = Convert.ToBase64String(payload, offset, length)
+                };
+
+                chunks.Add(JsonConvert.SerializeObject(response));
+            }
+
+            return chunks;
+        }
     }
 }
\ No newline at end of file
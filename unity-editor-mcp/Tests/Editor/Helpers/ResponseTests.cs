@@ -135,5 +135,30 @@ namespace UnityEditorMCP.Tests.Helpers
             Assert.AreEqual("hard", json["data"]["settings"]["difficulty"].Value<string>());
             Assert.AreEqual(5, json["data"]["settings"]["level"].Value<int>());
         }
+    
+        
+        [Test]
+        public void Chunks_ShouldSplitPayloadIntoOrderedContinuationFrames()
+        {
+            // Arrange
+            var payload = System.Text.Encoding.UTF8.GetBytes(Response.SuccessResult("7", new { text = new string('x', 50) }));
+            
+            // Act
+            var chunks = Response.Chunks("7", payload, 16);
+            var reassembled = new List<byte>();
+            for (int i = 0; i < chunks.Count; i++)
+            {
+                var json = JObject.Parse(chunks[i]);
+                Assert.AreEqual("7", json["id"].Value<string>());
+                Assert.AreEqual(i, json["chunk"]["index"].Value<int>());
+                Assert.AreEqual(chunks.Count, json["chunk"]["total"].Value<int>());
+                Assert.AreEqual(i == chunks.Count - 1, json["chunk"]["final"].Value<bool>());
+                reassembled.AddRange(System.Convert.FromBase64String(json["payload"].Value<string>()));
+            }
+            
+            // Assert
+            Assert.AreEqual((payload.Length + 15) / 16, chunks.Count);
+            CollectionAssert.AreEqual(payload, reassembled.ToArray());
+        }
     }
 }
\ No newline at end of file